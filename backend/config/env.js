@@ -54,6 +54,58 @@ module.exports.env = {
     GEMINI_API_KEY: process.env.GEMINI_API_KEY,
     GEMINI_MODEL: process.env.GEMINI_MODEL || 'gemini-2.5-flash',
     
+    // Analysis providers ('google' / 'gemini' for live APIs, 'stub' for offline fixtures)
+    VISION_PROVIDER: process.env.VISION_PROVIDER || 'google',
+    LLM_PROVIDER: process.env.LLM_PROVIDER || 'gemini',
+    
+    // Web detection ("Seen elsewhere" references, an extra billed Vision feature) and its use as era evidence
+    VISION_WEB_DETECTION: process.env.VISION_WEB_DETECTION === 'true',
+    WEB_DETECTION_MAX_RESULTS: process.env.WEB_DETECTION_MAX_RESULTS || '10',
+    GEMINI_WEB_EVIDENCE: process.env.GEMINI_WEB_EVIDENCE !== 'false',
+    
+    // SafeSearch moderation before analysis; per-category thresholds are SAFESEARCH_<CATEGORY>_BLOCK / _FLAG
+    // (see utils/moderation.js for the defaults)
+    MODERATION_ENABLED: process.env.MODERATION_ENABLED !== 'false',
+    
+    // Image preprocessing before Vision / Gemini (orientation, max size, faded scans, metadata stripped)
+    IMAGE_MAX_DIMENSION: process.env.IMAGE_MAX_DIMENSION || '2048',
+    IMAGE_AUTO_CONTRAST: process.env.IMAGE_AUTO_CONTRAST !== 'false',
+    
+    // Analysis jobs (background worker concurrency per instance)
+    ANALYSIS_JOB_CONCURRENCY: process.env.ANALYSIS_JOB_CONCURRENCY || '2',
+    
+    // Analysis cache (image content + perceptual hash)
+    ANALYSIS_CACHE_ENABLED: process.env.ANALYSIS_CACHE_ENABLED !== 'false',
+    ANALYSIS_CACHE_TTL_DAYS: process.env.ANALYSIS_CACHE_TTL_DAYS || '30',
+    ANALYSIS_CACHE_MAX_DISTANCE: process.env.ANALYSIS_CACHE_MAX_DISTANCE || '5',
+    
+    // Gemini output schema repair (extra requests when the JSON fails validation)
+    GEMINI_REPAIR_RETRIES: process.env.GEMINI_REPAIR_RETRIES || '2',
+    
+    // Prompt experiment fallback when promptExperiments/era is not set ("era-v4:90,era-v5:10")
+    GEMINI_PROMPT_VARIANTS: process.env.GEMINI_PROMPT_VARIANTS || '',
+    GEMINI_PROMPT_ASSIGNMENT: process.env.GEMINI_PROMPT_ASSIGNMENT || 'user',
+    
+    // Per-garment analysis (one extra Gemini request per cropped garment)
+    GARMENT_ANALYSIS_ENABLED: process.env.GARMENT_ANALYSIS_ENABLED !== 'false',
+    GARMENT_MAX_CROPS: process.env.GARMENT_MAX_CROPS || '3',
+    
+    // Retries and circuit breakers for Vision, Gemini and Google Photos (utils/resilientCall.js)
+    RETRY_MAX_ATTEMPTS: process.env.RETRY_MAX_ATTEMPTS || '',
+    BREAKER_FAILURE_THRESHOLD: process.env.BREAKER_FAILURE_THRESHOLD || '5',
+    BREAKER_RESET_MS: process.env.BREAKER_RESET_MS || '30000',
+    
+    // Per-user quotas (services/usageAccounting.js), UTC days and months, 0 = unlimited
+    USAGE_QUOTA_DAILY_ANALYSES: process.env.USAGE_QUOTA_DAILY_ANALYSES || '50',
+    USAGE_QUOTA_MONTHLY_ANALYSES: process.env.USAGE_QUOTA_MONTHLY_ANALYSES || '500',
+    USAGE_QUOTA_DAILY_QUESTIONS: process.env.USAGE_QUOTA_DAILY_QUESTIONS || '100',
+    USAGE_QUOTA_MONTHLY_QUESTIONS: process.env.USAGE_QUOTA_MONTHLY_QUESTIONS || '1000',
+    USAGE_QUOTA_DAILY_TOKENS: process.env.USAGE_QUOTA_DAILY_TOKENS || '0',
+    USAGE_QUOTA_MONTHLY_TOKENS: process.env.USAGE_QUOTA_MONTHLY_TOKENS || '0',
+    
+    // Google user ids allowed to export feedback (comma separated)
+    ADMIN_USER_IDS: process.env.ADMIN_USER_IDS || '',
+    
     // Google OAuth
     GOOGLE_CLIENT_ID: process.env.GOOGLE_CLIENT_ID,
     GOOGLE_CLIENT_SECRET: process.env.GOOGLE_CLIENT_SECRET,
@@ -8,4 +8,18 @@ function requireGoogleUser(req, res, next) {
     next();
 }
 
-module.exports = { requireGoogleUser };
+// Admins are listed by Google user id in ADMIN_USER_IDS (comma separated)
+function requireAdmin(req, res, next) {
+    const googleUserId = req.cookies.google_user_id;
+    const adminIds = (process.env.ADMIN_USER_IDS || '').split(',').map(id => id.trim()).filter(Boolean);
+    if (!googleUserId) {
+        return res.status(401).json({ error: 'Not logged in' });
+    }
+    if (!adminIds.includes(googleUserId)) {
+        return res.status(403).json({ error: 'Admin access required' });
+    }
+    req.googleUserId = googleUserId;
+    next();
+}
+
+module.exports = { requireGoogleUser, requireAdmin };
@@ -0,0 +1,58 @@
+// backend/providers/gemini.js
+// LLM provider backed by Google Gemini (@google/generative-ai)
+require('../config/env')();
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { resilientCall } = require('../utils/resilientCall');
+
+let genAI = null;
+
+function getClient() {
+    if (!genAI) {
+        genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+    }
+    return genAI;
+}
+
+function getModelName() {
+    // ✅ Use a stable 2.x model; can be overridden via environment variable
+    return process.env.GEMINI_MODEL || 'gemini-2.5-flash';
+}
+
+/**
+ * Gemini needs an API key; without one the analysis pipeline skips era reasoning
+ */
+function isConfigured() {
+    return !!process.env.GEMINI_API_KEY;
+}
+
+/**
+ * Generate content from prompt parts (retried on 429/5xx and network errors, see utils/resilientCall)
+ * @param {Array<Object>} parts - Gemini content parts ({ text } / { inlineData })
+ * @returns {Promise<{ text: string, model: string, usage: { inputTokens, outputTokens, totalTokens }|null }>}
+ *   usage comes from the response's usageMetadata (null when the API did not send it)
+ */
+async function generate(parts) {
+    const modelName = getModelName();
+    const model = getClient().getGenerativeModel({ model: modelName });
+    const result = await resilientCall('gemini', () => model.generateContent(parts));
+    const metadata = result.response.usageMetadata;
+    return {
+        text: result.response.text(),
+        model: modelName,
+        usage: metadata
+            ? {
+                inputTokens: metadata.promptTokenCount || 0,
+                outputTokens: metadata.candidatesTokenCount || 0,
+                totalTokens: metadata.totalTokenCount || 0,
+            }
+            : null,
+    };
+}
+
+module.exports = {
+    name: 'gemini',
+    getModelName,
+    isConfigured,
+    generate,
+};
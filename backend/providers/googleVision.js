@@ -0,0 +1,32 @@
+// backend/providers/googleVision.js
+// Vision provider backed by Google Cloud Vision (ImageAnnotatorClient)
+require('../config/env')();
+
+const vision = require('@google-cloud/vision');
+const { resilientCall } = require('../utils/resilientCall');
+
+// Client is created on first use so that requiring this module never needs credentials
+let client = null;
+
+function getClient() {
+    if (!client) {
+        client = new vision.ImageAnnotatorClient();
+    }
+    return client;
+}
+
+/**
+ * Annotate an image with the requested Vision features (retried on transient errors, see utils/resilientCall)
+ * @param {Object} image - Vision image source ({ content } or { source: { imageUri } })
+ * @param {Array<Object>} features - Vision feature requests ({ type, maxResults })
+ * @returns {Promise<Object>} AnnotateImageResponse
+ */
+async function annotate(image, features) {
+    const [result] = await resilientCall('vision', () => getClient().annotateImage({ image, features }));
+    return result;
+}
+
+module.exports = {
+    name: 'google',
+    annotate,
+};
@@ -0,0 +1,66 @@
+// backend/providers/index.js
+// Provider registry for the analysis pipeline
+// VISION_PROVIDER selects feature extraction, LLM_PROVIDER selects era reasoning.
+// Use "stub" for both to run the whole pipeline offline (local dev, tests).
+require('../config/env')();
+
+const logger = require('../utils/logger');
+
+// Loaded lazily so the Google SDKs are only required when actually selected
+const VISION_PROVIDERS = {
+    google: () => require('./googleVision'),
+    stub: () => require('./stubVision'),
+};
+
+const LLM_PROVIDERS = {
+    gemini: () => require('./gemini'),
+    stub: () => require('./stubLlm'),
+};
+
+function resolveProvider(registry, configured, fallback, kind) {
+    const key = (configured || fallback).toLowerCase();
+    const load = registry[key];
+    if (!load) {
+        throw new Error(
+            `Unknown ${kind} provider "${configured}". Expected one of: ${Object.keys(registry).join(', ')}`
+        );
+    }
+    return load();
+}
+
+let visionProvider = null;
+let llmProvider = null;
+
+/**
+ * Provider used by runVision ({ name, annotate(image, features) })
+ */
+function getVisionProvider() {
+    if (!visionProvider) {
+        visionProvider = resolveProvider(VISION_PROVIDERS, process.env.VISION_PROVIDER, 'google', 'vision');
+        logger.info(`[providers] Using vision provider: ${visionProvider.name}`);
+    }
+    return visionProvider;
+}
+
+/**
+ * Provider used by runGemini ({ name, getModelName(), isConfigured(), generate(parts) })
+ */
+function getLlmProvider() {
+    if (!llmProvider) {
+        llmProvider = resolveProvider(LLM_PROVIDERS, process.env.LLM_PROVIDER, 'gemini', 'LLM');
+        logger.info(`[providers] Using LLM provider: ${llmProvider.name}`);
+    }
+    return llmProvider;
+}
+
+// Forget cached providers (lets tests switch providers via process.env)
+function resetProviders() {
+    visionProvider = null;
+    llmProvider = null;
+}
+
+module.exports = {
+    getVisionProvider,
+    getLlmProvider,
+    resetProviders,
+};
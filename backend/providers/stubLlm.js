@@ -0,0 +1,50 @@
+// backend/providers/stubLlm.js
+// Offline LLM provider: answers era requests with fixed JSON fixtures
+const eraFixture = require('./fixtures/eraResponse.json');
+const garmentFixture = require('./fixtures/garmentResponse.json');
+
+const STUB_MODEL = 'stub-era-v1';
+
+function getModelName() {
+    return STUB_MODEL;
+}
+
+// Always available, no credentials needed
+function isConfigured() {
+    return true;
+}
+
+// Per-garment prompts (services/garmentAnalysis.js) get the garment fixture
+function isGarmentPrompt(parts = []) {
+    return parts.some(part => typeof part.text === 'string' && part.text.startsWith('You are dating a single garment'));
+}
+
+// Follow-up questions (services/resultChat.js) are answered in plain text
+function isChatPrompt(parts = []) {
+    return parts.some(part => typeof part.text === 'string' && part.text.startsWith('### Question:'));
+}
+
+const STUB_ANSWER = 'Going by the fitted bodice and full skirt, the 1950s estimate still fits best. '
+    + 'Low block heels or two-tone saddle shoes would suit this outfit.';
+
+/**
+ * Return a fixture as model text (the prompt is only used to pick the fixture)
+ * @returns {Promise<{ text: string, model: string }>}
+ */
+async function generate(parts) {
+    if (isChatPrompt(parts)) {
+        return { text: STUB_ANSWER, model: STUB_MODEL };
+    }
+    const fixture = isGarmentPrompt(parts) ? garmentFixture : eraFixture;
+    return {
+        text: JSON.stringify(fixture, null, 2),
+        model: STUB_MODEL,
+    };
+}
+
+module.exports = {
+    name: 'stub',
+    getModelName,
+    isConfigured,
+    generate,
+};
@@ -0,0 +1,37 @@
+// backend/providers/stubVision.js
+// Offline vision provider: returns a fixed annotation fixture instead of calling Google Cloud Vision
+const annotationFixture = require('./fixtures/visionAnnotation.json');
+
+// Map Vision feature types to the response field they populate
+const FEATURE_FIELDS = {
+    LABEL_DETECTION: ['labelAnnotations'],
+    OBJECT_LOCALIZATION: ['localizedObjectAnnotations'],
+    IMAGE_PROPERTIES: ['imagePropertiesAnnotation'],
+    TEXT_DETECTION: ['textAnnotations'],
+    WEB_DETECTION: ['webDetection'],
+    FACE_DETECTION: ['faceAnnotations'],
+    SAFE_SEARCH_DETECTION: ['safeSearchAnnotation'],
+};
+
+/**
+ * Return the fixture fields for the requested features (same shape as AnnotateImageResponse)
+ * The image itself is ignored, so results are identical for every input.
+ */
+async function annotate(image, features = []) {
+    const result = {};
+    for (const feature of features) {
+        const fields = FEATURE_FIELDS[feature.type] || [];
+        for (const field of fields) {
+            if (annotationFixture[field] !== undefined) {
+                // Deep copy so callers can't mutate the shared fixture
+                result[field] = JSON.parse(JSON.stringify(annotationFixture[field]));
+            }
+        }
+    }
+    return result;
+}
+
+module.exports = {
+    name: 'stub',
+    annotate,
+};
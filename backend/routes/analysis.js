@@ -3,17 +3,124 @@
 require('../config/env')();
 
 const express = require('express');
-const vision = require('@google-cloud/vision');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-const axios = require('axios');
 const logger = require('../utils/logger');
 const { firestore } = require('../utils/firestore');
+const { createJob, getJob, subscribeToJob, buildJobEvent } = require('../services/analysisJobs');
+const { createBatch, getBatchStatus } = require('../services/analysisBatches');
+const {
+    listResultVersions,
+    getResultVersion,
+    deleteResultVersions
+} = require('../services/resultVersions');
+const { normalizeEra, parseEraRangeQuery, eraOverlaps } = require('../utils/eras');
+const { buildEraDistribution } = require('../utils/eraDistribution');
+const {
+    parseFeedback,
+    saveFeedback,
+    deleteFeedback,
+    deleteFeedbackCopy,
+    listFeedback,
+    feedbackToCsv
+} = require('../services/resultFeedback');
+const { requireAdmin } = require('../middleware/auth');
+const { getPromptRegistry } = require('../services/promptTemplates');
+const { getPromptStats } = require('../services/promptStats');
+const { resolveLocaleSettings, describeSearchTargets } = require('../utils/locales');
+const { parseQuestion, askAboutResult, clearChat } = require('../services/resultChat');
+const { rankSimilar } = require('../utils/similarity');
+const { getUsageStatus, assertWithinQuota, remainingAnalyses } = require('../services/usageAccounting');
+const { isPrivacyModeEnabled, getPrivateImage, deletePrivateImage } = require('../services/privacyMode');
 
 const router = express.Router();
 // Use the same firestore instance as photos.js (may be configured for different database)
 const db = firestore;
-const visionClient = new vision.ImageAnnotatorClient();
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+
+// Results filtered by era are filtered in memory, from at most this many recent results
+const ERA_FILTER_SCAN_LIMIT = 200;
+// Similar looks are ranked from at most this many recent results
+const SIMILAR_SCAN_LIMIT = 200;
+
+// Results saved before the canonical era model have no era field
+function eraOf(data) {
+    return data.era || normalizeEra(data.geminiResult?.era_primary);
+}
+
+// Result (or version) with the fields derived on read: era fields when they were not stored,
+// search queries grouped per search locale
+function withDerivedFields(data) {
+    return {
+        ...data,
+        era: eraOf(data),
+        eraDistribution: data.eraDistribution || buildEraDistribution(data.geminiResult),
+        searchTargets: describeSearchTargets(data.geminiResult, data.locale),
+    };
+}
+
+/**
+ * Locale setting for a new analysis: body locale / searchLocales, the user's saved preferences,
+ * Accept-Language, then the fallback (the previous result's setting on re-analysis)
+ * @throws {Error} with status 400 for an unsupported requested locale
+ */
+async function resolveRequestLocale(req, fallback = null) {
+    const { locale, searchLocales } = req.body || {};
+
+    let profile = null;
+    try {
+        const userDoc = await db.collection('users').doc(req.user.id).get();
+        if (userDoc.exists) {
+            const user = userDoc.data();
+            profile = { locale: user.locale || user.googleLocale || null, searchLocales: user.searchLocales || null };
+        }
+    } catch (e) {
+        logger.warn('[Analysis] Could not load locale preferences:', e.message);
+    }
+
+    if (!locale && !searchLocales && !profile?.locale && fallback) {
+        return fallback;
+    }
+    return resolveLocaleSettings({
+        requested: locale || null,
+        requestedSearch: searchLocales || null,
+        profile,
+        acceptLanguage: req.get('accept-language'),
+    });
+}
+
+// 429 body for a QUOTA_EXCEEDED error (the dashboard shows `error` and when the quota resets)
+function sendQuotaExceeded(res, error) {
+    return res.status(429).json({ error: error.message, code: error.code, quota: error.quota });
+}
+
+// User's results docs, newest first
+async function listUserResultDocs(userId, limit) {
+    try {
+        // Try using orderBy (Native Mode)
+        const snap = await db
+            .collection('results')
+            .where('userId', '==', userId)
+            .orderBy('analyzedAt', 'desc')
+            .limit(limit)
+            .get();
+        return snap.docs;
+    } catch (orderByError) {
+        // If orderBy fails (may be Datastore Mode or missing index), try without orderBy
+        logger.warn('[Analysis results] orderBy failed, trying without:', orderByError.message);
+        const snap = await db
+            .collection('results')
+            .where('userId', '==', userId)
+            .limit(limit)
+            .get();
+
+        // Sort in memory
+        const docs = snap.docs;
+        docs.sort((a, b) => {
+            const aTime = a.data().analyzedAt?.toMillis?.() || 0;
+            const bTime = b.data().analyzedAt?.toMillis?.() || 0;
+            return bTime - aTime; // Descending order
+        });
+        return docs.slice(0, limit);
+    }
+}
 
 // Import function to get access token from photos.js
 async function getAccessTokenFromCookies(req, res) {
@@ -202,509 +309,265 @@ router.get('/check', requireGoogleUser, async (req, res) => {
     }
 });
 
-// ========= 1. Run Vision API analysis =========
-async function runVision(imageUrl, req = null) {
+/**
+ * Analyze photo (Vision + Gemini), asynchronously
+ * POST /api/analysis/analyze
+ * body: { photoId: string, imageUrl: string, baseUrl?: string, docId?: string, locale?: string, searchLocales?: string[] }
+ * locale: language of the write-up; searchLocales: up to 3 locales that get search queries and marketplaces
+ * Returns 202: { success, jobId, status } → poll GET /api/analysis/jobs/:jobId
+ * Returns 429: { error, code: 'QUOTA_EXCEEDED', quota: { period, metric, limit, used, resetsAt } }
+ * A photo SafeSearch blocks fails its job with errorCode CONTENT_BLOCKED (the userPhotos doc gets `moderation`)
+ */
+router.post('/analyze', requireGoogleUser, async (req, res) => {
     try {
-        logger.info('[runVision] Starting Vision API analysis for:', imageUrl.substring(0, 100));
-        
-        // Google Photos URL requires authentication, need to download image first
-        let imageSource;
-        
-        // Check if it's a Google Photos URL
-        if (imageUrl.includes('googleusercontent.com') || imageUrl.includes('google.com')) {
-            try {
-                // Try to get access token (if req is available)
-                let accessToken = null;
-                if (req && req.cookies) {
-                    try {
-                        const { token } = await getAccessTokenFromCookies(req, { cookie: () => {} });
-                        accessToken = token;
-                        logger.info('[runVision] Got access token from cookies');
-                    } catch (e) {
-                        logger.warn('[runVision] Could not get access token from cookies:', e.message);
-                    }
-                }
-                
-                // Download image content
-                const headers = {};
-                if (accessToken) {
-                    headers.Authorization = `Bearer ${accessToken}`;
-                }
-                
-                logger.info('[runVision] Downloading image for Vision API...');
-                const imageResponse = await axios.get(imageUrl, {
-                    headers,
-                    responseType: 'arraybuffer',
-                    timeout: 15000
-                });
-                
-                // Use image content (buffer)
-                const imageBuffer = Buffer.from(imageResponse.data);
-                imageSource = { content: imageBuffer };
-                logger.info('[runVision] Image downloaded successfully, size:', imageBuffer.length, 'bytes');
-            } catch (downloadError) {
-                logger.warn('[runVision] Failed to download image, trying imageUri:', downloadError.message);
-                // If download fails, fall back to imageUri method
-                imageSource = { source: { imageUri: imageUrl } };
-            }
-        } else {
-            // For other URLs, use imageUri method
-            imageSource = { source: { imageUri: imageUrl } };
-        }
-        
-        // Call Vision API
-        const [visionResult] = await visionClient.annotateImage({
-            image: imageSource,
-            features: [
-                { type: 'LABEL_DETECTION', maxResults: 20 },
-                { type: 'OBJECT_LOCALIZATION', maxResults: 10 },
-                { type: 'IMAGE_PROPERTIES', maxResults: 1 },
-                { type: 'TEXT_DETECTION', maxResults: 1 }
-            ]
-        });
-        
-        logger.info('[runVision] Vision API response received, labels count:', visionResult.labelAnnotations?.length || 0);
-        logger.info('[runVision] Vision API objects count:', visionResult.localizedObjectAnnotations?.length || 0);
-        
-        // If Vision API returns empty data, log warning
-        if (!visionResult.labelAnnotations || visionResult.labelAnnotations.length === 0) {
-            logger.warn('[runVision] WARNING: Vision API returned no labels! This may cause era to be "Undetermined"');
-        }
-        if (!visionResult.localizedObjectAnnotations || visionResult.localizedObjectAnnotations.length === 0) {
-            logger.warn('[runVision] WARNING: Vision API returned no objects!');
-        }
+        const { photoId, imageUrl, baseUrl, docId } = req.body;
+        const userId = req.user.id;
 
-        // Extract labels (format: description:score)
-        const labels = (visionResult.labelAnnotations || []).map(l =>
-            `${l.description}:${Math.round(l.score * 1000) / 1000}`
-        );
+        if (!photoId || !imageUrl) {
+            return res
+                .status(400)
+                .json({ error: 'photoId and imageUrl are required' });
+        }
 
-        // Extract objects (format: name:score)
-        const objects = (visionResult.localizedObjectAnnotations || []).map(o =>
-            `${o.name}:${Math.round(o.score * 1000) / 1000}`
-        );
-        
-        // Log first few labels and objects for debugging
-        if (labels.length > 0) {
-            logger.info('[runVision] Sample labels:', labels.slice(0, 5));
+        let locale;
+        try {
+            locale = await resolveRequestLocale(req);
+        } catch (e) {
+            if (e.status === 400) return res.status(400).json({ error: e.message });
+            throw e;
         }
-        if (objects.length > 0) {
-            logger.info('[runVision] Sample objects:', objects.slice(0, 5));
+
+        try {
+            await assertWithinQuota(userId, { analyses: 1 });
+        } catch (e) {
+            if (e.code === 'QUOTA_EXCEEDED') return sendQuotaExceeded(res, e);
+            throw e;
         }
 
-        // Extract dominant colors
-        const colors = [];
+        // Capture access token now, the job runs after this request has finished
+        let accessToken = null;
         try {
-            const dom =
-                visionResult.imagePropertiesAnnotation?.dominantColors?.colors ||
-                [];
-            for (const c of dom.slice(0, 6)) {
-                colors.push({
-                    rgb: [
-                        Math.round(c.color.red),
-                        Math.round(c.color.green),
-                        Math.round(c.color.blue)
-                    ],
-                    score: Math.round(c.score * 1000) / 1000
-                });
-            }
+            ({ token: accessToken } = await getAccessTokenFromCookies(req, res));
         } catch (e) {
-            logger.warn('[runVision] Failed to extract colors:', e);
-        }
-
-        // OCR text
-        const ocrText = visionResult.textAnnotations?.[0]?.description || '';
-        const ocrExcerpt = ocrText.substring(0, 200);
-
-        // Extract clothing-related keywords
-        const clothingVocab = [
-            'dress', 'skirt', 'blouse', 'shirt', 'trousers', 'pants', 'jeans',
-            'jacket', 'coat', 'hat', 'belt', 'polka dot', 'gingham', 'houndstooth',
-            'plaid', 'floral', 'lace', 'ruffle', 'lapel', 'collar', 'v-neck',
-            'a-line', 'fit and flare', 'tea dress', 'day dress', 'evening dress',
-            'suit', 'blazer', 'tie', 'necktie', 'vest', 'waistcoat', 'overcoat',
-            'tuxedo', 'formal wear', 'sleeve', 'pocket', 'button'
-        ];
-        const clothingKeywords = [];
-        const allText = [...labels, ...objects].join(' ').toLowerCase();
-        for (const keyword of clothingVocab) {
-            if (allText.includes(keyword) && !clothingKeywords.includes(keyword)) {
-                clothingKeywords.push(keyword);
-            }
+            logger.warn('[Analysis] Could not get access token from cookies:', e.message);
         }
 
-        const visionFeatures = {
-            labels,
-            objects,
-            colors,
-            ocr_excerpt: ocrExcerpt,
-            clothing_keywords: clothingKeywords
-        };
-        
-        logger.info('[runVision] Vision features extracted:', {
-            labelsCount: labels.length,
-            objectsCount: objects.length,
-            colorsCount: colors.length,
-            clothingKeywordsCount: clothingKeywords.length,
-            sampleLabels: labels.slice(0, 3),
-            sampleObjects: objects.slice(0, 3),
-            clothingKeywords: clothingKeywords
+        const privacyMode = await isPrivacyModeEnabled(userId);
+        const job = await createJob({ userId, photoId, docId, imageUrl, baseUrl, locale, privacyMode, accessToken });
+        logger.info(`[Analysis] Enqueued job ${job.id} for user ${userId}, photoId=${photoId}`);
+
+        res.status(202).json({
+            success: true,
+            jobId: job.id,
+            status: job.status
         });
-        
-        // If feature data is too sparse, log warning
-        if (labels.length === 0 && objects.length === 0) {
-            logger.error('[runVision] ERROR: No labels or objects extracted! Vision API may have failed or image is invalid.');
+    } catch (error) {
+        logger.error('[Analysis] Failed to enqueue analysis:', error);
+        res.status(500).json({
+            error: 'Analysis failed',
+            message:
+                process.env.NODE_ENV === 'development'
+                    ? error.message
+                    : 'Something went wrong'
+        });
+    }
+});
+
+/**
+ * Get analysis job status
+ * GET /api/analysis/jobs/:jobId
+ * Returns: { id, status, stage, progress, resultId, error, ... }
+ * status: queued | running | completed | failed
+ * stage: queued | downloading | vision | gemini | garments | saving | completed
+ */
+router.get('/jobs/:jobId', requireGoogleUser, async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { jobId } = req.params;
+
+        const job = await getJob(jobId);
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        if (job.userId !== userId) {
+            return res.status(403).json({ error: 'Access denied' });
         }
 
-        return visionFeatures;
+        res.json(job);
     } catch (error) {
-        logger.error('[runVision] Vision API error:', error);
-        throw error;
+        logger.error('[Analysis job] Get job error:', error);
+        res.status(500).json({ error: 'Failed to get job status' });
     }
-}
-
-// ========= 2. Run Gemini analysis =========
-async function runGemini(features, imageUrl = null, req = null) {
-    const GEMINI_PROMPT = `You are a vintage fashion expert.
-You will receive: (1) clothing-related features extracted by a vision API (labels, objects, colors, keywords),
-optionally (2) the raw image.
-
-Task:
-1) Infer the most likely fashion era (by decade) and style for the outfit.
-2) Provide Top-3 candidates with confidence (0–1) and a one-line discriminator each.
-3) Generate shopping guidance:
-   - Search queries (EN only) mixing era, silhouette, pattern/material (6–10 queries).
-   - Tips: silhouettes/fabrics/details to look for, price range, platforms (Etsy/eBay/Depop, vintage shops, repro brands).
-4) If evidence is weak, say what additional angles/photos would help.
-
-IMPORTANT: Keep the rationale brief and concise (2-3 sentences maximum, around 100-150 characters). Focus on the key distinguishing features that led to the era determination.
-
-Return strict JSON only with this schema:
-{
-  "era_primary": "string (e.g., '1930s', '1940s', or 'Undetermined' if insufficient data)",
-  "style_tags": ["tag1","tag2"],
-  "top3_candidates": [
-    {"era":"", "style":"", "confidence":0.0, "discriminator":""},
-    {"era":"", "style":"", "confidence":0.0, "discriminator":""},
-    {"era":"", "style":"", "confidence":0.0, "discriminator":""}
-  ],
-  "rationale": "brief 2-3 sentence explanation (100-150 characters max)",
-  "search_queries": {"en":["query1","query2",...]},
-  "shopping_tips": ["tip1","tip2",...]
-}
+});
 
-CRITICAL REQUIREMENTS:
-- Return ONLY valid JSON, no markdown code blocks, no extra text before or after
-- search_queries must ONLY contain "en" array, NO "zh" field
-- If clothing features are missing or insufficient, set era_primary to "Undetermined" and explain why in rationale
-- confidence values must be between 0.0 and 1.0
-- shopping_tips should be formatted as: "*Category:* Description" (e.g., "*Silhouettes:* Look for...")`;
+/**
+ * Stream analysis progress as Server-Sent Events
+ * GET /api/analysis/jobs/:jobId/events
+ * Events:
+ *  - progress: { type, stage, progress, message, data, at } for every stage/event
+ *    (image_downloaded, labels_found, era_drafted, saved, ...)
+ *  - completed: { ..., data: { resultId } } then the stream closes
+ *  - failed: { ..., data: { error } } then the stream closes
+ */
+router.get('/jobs/:jobId/events', requireGoogleUser, async (req, res) => {
+    const userId = req.user.id;
+    const { jobId } = req.params;
 
+    let job;
     try {
-        // ✅ Use a stable 2.x model; can be overridden via environment variable
-        const modelName = process.env.GEMINI_MODEL || 'gemini-2.5-flash';
-        const model = genAI.getGenerativeModel({ model: modelName });
-        logger.info(`Using Gemini model: ${modelName}`);
-
-        const parts = [
-            { text: GEMINI_PROMPT },
-            {
-                text:
-                    '### Vision features (JSON):\n' +
-                    JSON.stringify(features, null, 2)
-            }
-        ];
+        job = await getJob(jobId);
+    } catch (error) {
+        logger.error('[Analysis events] Get job error:', error);
+        return res.status(500).json({ error: 'Failed to get job status' });
+    }
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+    if (job.userId !== userId) {
+        return res.status(403).json({ error: 'Access denied' });
+    }
 
-        // If image URL is provided, try to include image (important for Gemini to determine era)
-        if (imageUrl) {
-            try {
-                logger.info('[runGemini] Attempting to download image for Gemini:', imageUrl.substring(0, 100));
-                
-                // For Google Photos URL, authentication is required
-                const headers = {};
-                if ((imageUrl.includes('googleusercontent.com') || imageUrl.includes('google.com')) && req) {
-                    try {
-                        // Try to get access token (if req is available)
-                        // Use getAccessTokenFromCookies defined in analysis.js
-                        const { token } = await getAccessTokenFromCookies(req, { cookie: () => {} });
-                        if (token) {
-                            headers.Authorization = `Bearer ${token}`;
-                            logger.info('[runGemini] Using access token for Google Photos image download');
-                        }
-                    } catch (e) {
-                        logger.warn('[runGemini] Could not get access token for image download:', e.message);
-                    }
-                }
-                
-                const imageResponse = await axios.get(imageUrl, {
-                    headers,
-                    responseType: 'arraybuffer',
-                    timeout: 15000,
-                    maxRedirects: 5
-                });
-
-                const mimeType =
-                    imageResponse.headers['content-type'] || 'image/jpeg';
-                const base64 = Buffer.from(imageResponse.data).toString('base64');
-
-                parts.push({
-                    inlineData: {
-                        mimeType,
-                        data: base64
-                    }
-                });
-                logger.info('[runGemini] Successfully included image in Gemini request');
-            } catch (e) {
-                logger.warn(
-                    '[runGemini] Failed to include image in Gemini request, using features only:',
-                    e.message
-                );
-                // Even if image download fails, we can still continue using feature data
-                // But Gemini may not be able to accurately determine era
-            }
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no' // Disable proxy buffering
+    });
+    res.flushHeaders();
+
+    let closed = false;
+    let unsubscribe = null;
+    let pollTimer = null;
+
+    const send = (eventName, payload) => {
+        if (closed) return;
+        res.write(`event: ${eventName}\ndata: ${JSON.stringify(payload)}\n\n`);
+        // compression() buffers responses, flush so events arrive immediately
+        if (typeof res.flush === 'function') res.flush();
+    };
+
+    const cleanup = () => {
+        if (closed) return;
+        closed = true;
+        clearInterval(heartbeat);
+        clearInterval(pollTimer);
+        if (unsubscribe) unsubscribe();
+        res.end();
+    };
+
+    const onEvent = (event) => {
+        if (event.type === 'completed' || event.type === 'failed') {
+            send(event.type, event);
+            cleanup();
         } else {
-            logger.warn('[runGemini] No imageUrl provided, Gemini will rely on Vision features only');
+            send('progress', event);
         }
+    };
 
-        const result = await model.generateContent(parts);
-        let text = result.response.text().trim();
-        
-        logger.info('[runGemini] Raw Gemini response (first 500 chars):', text.substring(0, 500));
+    // Comment lines keep proxies from closing an idle connection
+    const heartbeat = setInterval(() => {
+        if (!closed) res.write(': keepalive\n\n');
+    }, 15000);
+    req.on('close', cleanup);
 
-        // Clean possible markdown code blocks
-        if (text.startsWith('```')) {
-            text = text
-                .replace(/^```json\s*/i, '')
-                .replace(/^```\s*/i, '')
-                .replace(/\s*```$/i, '')
-                .trim();
-        }
-        
-        // Try to extract JSON (may be in the middle of text)
-        const jsonMatch = text.match(/\{[\s\S]*\}/);
-        if (jsonMatch) {
-            text = jsonMatch[0];
-        }
+    unsubscribe = subscribeToJob(jobId, onEvent);
+    if (closed && unsubscribe) {
+        // Job had already finished, replayed events closed the stream
+        unsubscribe();
+        return;
+    }
 
-        try {
-            const parsed = JSON.parse(text);
-            logger.info('[runGemini] Successfully parsed Gemini response');
-            // Ensure search_queries only has en, no zh
-            if (parsed.search_queries && parsed.search_queries.zh) {
-                delete parsed.search_queries.zh;
+    if (!unsubscribe) {
+        // Job isn't running on this instance (finished earlier or another instance): poll stored status
+        logger.info(`[Analysis events] Job ${jobId} not in memory, polling stored status`);
+        let lastStage = null;
+        const emitStored = (storedJob) => {
+            if (storedJob.status === 'completed') {
+                onEvent(buildJobEvent(storedJob, 'completed', { resultId: storedJob.resultId }));
+            } else if (storedJob.status === 'failed') {
+                onEvent(buildJobEvent(storedJob, 'failed', { error: storedJob.error, code: storedJob.errorCode || null }));
+            } else if (storedJob.stage !== lastStage) {
+                lastStage = storedJob.stage;
+                onEvent(buildJobEvent(storedJob, storedJob.stage));
             }
-            // Ensure all required fields exist
-            if (!parsed.era_primary) parsed.era_primary = 'Undetermined';
-            if (!parsed.style_tags) parsed.style_tags = [];
-            if (!parsed.top3_candidates) parsed.top3_candidates = [];
-            if (!parsed.rationale) parsed.rationale = 'No rationale provided.';
-            if (!parsed.search_queries) parsed.search_queries = { en: [] };
-            if (!parsed.shopping_tips) parsed.shopping_tips = [];
-            
-            return parsed;
-        } catch (parseError) {
-            logger.error('[runGemini] JSON parse failed:', parseError);
-            logger.error('[runGemini] Raw response:', text);
-            // Return a reasonable default structure
-            return {
-                era_primary: 'Undetermined',
-                style_tags: [],
-                top3_candidates: [],
-                rationale: 'Failed to parse analysis result. Please try again.',
-                search_queries: { en: [] },
-                shopping_tips: [],
-                parse_error: true,
-                model_used: modelName
-            };
-        }
-    } catch (error) {
-        logger.error('Gemini API error:', error);
-        throw error;
+        };
+
+        emitStored(job);
+        if (closed) return;
+        pollTimer = setInterval(async () => {
+            try {
+                const storedJob = await getJob(jobId);
+                if (storedJob) emitStored(storedJob);
+            } catch (error) {
+                logger.warn(`[Analysis events] Failed to poll job ${jobId}:`, error.message);
+            }
+        }, 2000);
     }
-}
+});
 
 /**
- * Analyze photo (Vision + Gemini)
- * POST /api/analysis/analyze
- * body: { photoId: string, imageUrl: string, baseUrl?: string }
+ * Analyze several pending photos at once
+ * POST /api/analysis/batch
+ * body: { docIds: string[] } or { all: true } (all pending photos), optional locale / searchLocales as in /analyze
+ * Returns 202: { success, batchId, counts, items } → poll GET /api/analysis/batch/:batchId
+ * Photos past the remaining analysis quota are skipped ('Quota exceeded'); 429 when nothing is left
  */
-router.post('/analyze', requireGoogleUser, async (req, res) => {
+router.post('/batch', requireGoogleUser, async (req, res) => {
     try {
-        const { photoId, imageUrl, baseUrl } = req.body;
         const userId = req.user.id;
+        const { docIds, all } = req.body;
+        const allPending = all === true;
 
-        if (!photoId || !imageUrl) {
-            return res
-                .status(400)
-                .json({ error: 'photoId and imageUrl are required' });
+        if (!allPending && (!Array.isArray(docIds) || docIds.length === 0)) {
+            return res.status(400).json({ error: 'docIds (non-empty array) or all: true is required' });
         }
-
-        logger.info(
-            `[Analysis] Starting analysis for user ${userId}, photoId=${photoId}`
-        );
-
-        // 1. Run Vision API (pass req to get access token for downloading Google Photos images)
-        logger.info('[Analysis] Running Vision API...');
-        logger.info('[Analysis] Image URL:', imageUrl);
-        logger.info('[Analysis] Base URL:', baseUrl || 'not provided');
-        const visionFeatures = await runVision(imageUrl, req);
-        
-        // Check Vision API returned feature data
-        if (!visionFeatures || (!visionFeatures.labels?.length && !visionFeatures.objects?.length)) {
-            logger.warn('[Analysis] WARNING: Vision API returned minimal or no features. This will likely result in "Undetermined" era.');
-        }
-
-        // 2. Run Gemini (if API key exists)
-        let geminiResult = null;
-        if (process.env.GEMINI_API_KEY) {
-            logger.info('[Analysis] Running Gemini API...');
-            logger.info('[Analysis] Passing features to Gemini:', {
-                labelsCount: visionFeatures.labels?.length || 0,
-                objectsCount: visionFeatures.objects?.length || 0,
-                colorsCount: visionFeatures.colors?.length || 0,
-                clothingKeywordsCount: visionFeatures.clothing_keywords?.length || 0
-            });
-            
-            // Prefer baseUrl, if not available use imageUrl
-            // baseUrl is usually the original Google Photos URL, better for Gemini direct access
-            const geminiImageUrl = baseUrl || imageUrl;
-            logger.info('[Analysis] Using image URL for Gemini:', geminiImageUrl?.substring(0, 100));
-            
-            // Pass req so runGemini can get access token to download Google Photos images
-            geminiResult = await runGemini(visionFeatures, geminiImageUrl, req);
-            logger.info('[Analysis] Gemini result era_primary:', geminiResult?.era_primary || 'not set');
-            
-            // If era_primary is "Undetermined", log detailed info for debugging
-            if (geminiResult?.era_primary === 'Undetermined') {
-                logger.warn('[Analysis] WARNING: Gemini returned "Undetermined" era. Possible reasons:');
-                logger.warn('[Analysis] - Vision features may be insufficient:', {
-                    hasLabels: (visionFeatures.labels?.length || 0) > 0,
-                    hasObjects: (visionFeatures.objects?.length || 0) > 0,
-                    hasColors: (visionFeatures.colors?.length || 0) > 0,
-                    hasKeywords: (visionFeatures.clothing_keywords?.length || 0) > 0
-                });
-                logger.warn('[Analysis] - Image URL provided to Gemini:', !!geminiImageUrl);
-            }
-
-            if (geminiResult.parse_error) {
-                logger.warn('[Analysis] Gemini parse error, using fallback');
-                geminiResult = {
-                    era_primary: 'Unknown',
-                    style_tags: [],
-                    top3_candidates: [],
-                    rationale:
-                        'Analysis incomplete due to parsing error.',
-                    search_queries: { en: [], zh: [] },
-                    shopping_tips: []
-                };
-            }
-        } else {
-            logger.warn('[Analysis] GEMINI_API_KEY not set, skipping Gemini');
+        if (!allPending && docIds.some(id => typeof id !== 'string' || !id)) {
+            return res.status(400).json({ error: 'docIds must be strings' });
         }
 
-        // 3. Save to results collection
-        const resultData = {
-            userId,
-            photoId, // Save original photoId (may be Google Photos ID or doc ID)
-            imageUrl: baseUrl || imageUrl,
-            baseUrl: baseUrl || imageUrl,
-            visionFeatures,
-            geminiResult,
-            analyzedAt: new Date(),
-            status: 'completed'
-        };
+        let locale;
+        try {
+            locale = await resolveRequestLocale(req);
+        } catch (e) {
+            if (e.status === 400) return res.status(400).json({ error: e.message });
+            throw e;
+        }
 
-        // If photoId looks like Firestore doc ID (short string), also save as docId
-        if (photoId && photoId.length < 30) {
-            resultData.docId = photoId;
+        let quotaStatus;
+        try {
+            quotaStatus = await assertWithinQuota(userId, { analyses: 1 });
+        } catch (e) {
+            if (e.code === 'QUOTA_EXCEEDED') return sendQuotaExceeded(res, e);
+            throw e;
         }
 
-        // Save analysis result
-        // In Datastore Mode, try multiple save methods
-        let resultId;
-        let saved = false;
-        
-        // Method 1: Try saving to results collection
+        let accessToken = null;
         try {
-            // Generate unique ID
-            resultId = `${userId}_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
-            const docRef = db.collection('results').doc(resultId);
-            await docRef.set(resultData);
-            logger.info(
-                `[Analysis] Result saved to results collection: ${resultId} for user ${userId}`
-            );
-            saved = true;
-        } catch (resultsError) {
-            logger.warn('[Analysis] Failed to save to results collection:', resultsError.message);
-            
-            // Method 2: If photoId is Firestore doc ID, try updating userPhotos document
-            if (photoId && photoId.length < 30) {
-                try {
-                    const userPhotoRef = db.collection('userPhotos').doc(photoId);
-                    // Check if document exists and belongs to current user
-                    const userPhotoDoc = await userPhotoRef.get();
-                    if (userPhotoDoc.exists) {
-                        const userPhotoData = userPhotoDoc.data();
-                        if (userPhotoData.userId === userId) {
-                            // Ensure resultData includes baseUrl (get from userPhotoData if resultData doesn't have it)
-                            if (!resultData.baseUrl && userPhotoData.baseUrl) {
-                                resultData.baseUrl = userPhotoData.baseUrl;
-                                resultData.imageUrl = userPhotoData.baseUrl;
-                            }
-                            
-                            // Update userPhotos document, add analysis result and update status
-                            await userPhotoRef.update({
-                                status: 'analyzed', // Update status to analyzed, so it won't appear in pending list
-                                analyzedAt: new Date(),
-                                analysisResult: resultData
-                            });
-                            resultId = photoId; // Use photoId as resultId
-                            logger.info(
-                                `[Analysis] Result saved to userPhotos document and status updated to 'analyzed': ${photoId} for user ${userId}`
-                            );
-                            saved = true;
-                        }
-                    }
-                } catch (userPhotoError) {
-                    logger.warn('[Analysis] Failed to save to userPhotos:', userPhotoError.message);
-                }
-            }
-            
-            // Method 3: Even if saving to results fails, try updating userPhotos status (if photoId is doc ID)
-            // This way we can at least ensure photo won't appear repeatedly in pending list
-            if (!saved && photoId && photoId.length < 30) {
-                try {
-                    const userPhotoRef = db.collection('userPhotos').doc(photoId);
-                    const userPhotoDoc = await userPhotoRef.get();
-                    if (userPhotoDoc.exists && userPhotoDoc.data().userId === userId) {
-                        await userPhotoRef.update({
-                            status: 'analyzed',
-                            analyzedAt: new Date()
-                        });
-                        logger.info(`[Analysis] Updated userPhotos status to 'analyzed' for ${photoId}`);
-                    }
-                } catch (updateError) {
-                    logger.warn('[Analysis] Failed to update userPhotos status:', updateError.message);
-                }
-            }
-            
-            // If all fail, log error but don't prevent returning result
-            if (!saved) {
-                logger.error('[Analysis] All save methods failed, but returning result anyway');
-                // Generate a temporary ID, at least let frontend display result
-                resultId = `temp_${Date.now()}`;
-            }
+            ({ token: accessToken } = await getAccessTokenFromCookies(req, res));
+        } catch (e) {
+            logger.warn('[Analysis batch] Could not get access token from cookies:', e.message);
         }
 
-        res.json({
+        const batch = await createBatch({
+            userId,
+            docIds,
+            allPending,
+            locale,
+            privacyMode: await isPrivacyModeEnabled(userId),
+            accessToken,
+            maxJobs: remainingAnalyses(quotaStatus)
+        });
+        const status = await getBatchStatus(batch.id);
+
+        res.status(202).json({
             success: true,
-            resultId: resultId,
-            result: resultData
+            batchId: batch.id,
+            ...status
         });
     } catch (error) {
-        logger.error('[Analysis] Analysis error:', error);
+        logger.error('[Analysis batch] Failed to create batch:', error);
         res.status(500).json({
-            error: 'Analysis failed',
+            error: 'Batch analysis failed',
             message:
                 process.env.NODE_ENV === 'development'
                     ? error.message
@@ -713,6 +576,31 @@ router.post('/analyze', requireGoogleUser, async (req, res) => {
     }
 });
 
+/**
+ * Get batch progress with per-photo outcomes
+ * GET /api/analysis/batch/:batchId
+ * Returns: { id, done, progress, counts: { total, queued, running, completed, failed, skipped }, items }
+ */
+router.get('/batch/:batchId', requireGoogleUser, async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { batchId } = req.params;
+
+        const status = await getBatchStatus(batchId);
+        if (!status) {
+            return res.status(404).json({ error: 'Batch not found' });
+        }
+        if (status.userId !== userId) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        res.json(status);
+    } catch (error) {
+        logger.error('[Analysis batch] Get batch error:', error);
+        res.status(500).json({ error: 'Failed to get batch status' });
+    }
+});
+
 /**
  * Get analysis result
  * GET /api/analysis/result/:resultId
@@ -732,56 +620,485 @@ router.get('/result/:resultId', requireGoogleUser, async (req, res) => {
             return res.status(403).json({ error: 'Access denied' });
         }
 
-        res.json({ id: doc.id, ...data });
+        res.json({ id: doc.id, ...withDerivedFields(data) });
     } catch (error) {
         logger.error('Get result error:', error);
         res.status(500).json({ error: 'Failed to get result' });
     }
 });
 
+/**
+ * Face-blurred photo of a privacy-mode result (shown instead of the proxied original)
+ * GET /api/analysis/result/:resultId/image
+ * Returns the JPEG, 404 when the result has no blurred copy
+ */
+router.get('/result/:resultId/image', requireGoogleUser, async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { resultId } = req.params;
+
+        const image = await getPrivateImage(resultId);
+        if (!image) {
+            return res.status(404).json({ error: 'Image not found' });
+        }
+        if (image.userId !== userId) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        res.set('Content-Type', image.mimeType || 'image/jpeg');
+        // Per user and replaced on re-analysis: keep it out of shared caches
+        res.set('Cache-Control', 'private, max-age=300');
+        res.send(Buffer.from(image.image));
+    } catch (error) {
+        logger.error('[Analysis image] Error:', error);
+        res.status(500).json({ error: 'Failed to get image' });
+    }
+});
+
+/**
+ * Re-analyze a photo, saving the output as a new version of the result
+ * POST /api/analysis/result/:resultId/reanalyze
+ * body: optional locale / searchLocales as in /analyze (default: the user's preferences, then the result's locale)
+ * Returns 202: { success, jobId, status } → same job endpoints as /analyze
+ */
+router.post('/result/:resultId/reanalyze', requireGoogleUser, async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { resultId } = req.params;
+
+        const doc = await db.collection('results').doc(resultId).get();
+        if (!doc.exists) {
+            return res.status(404).json({ error: 'Result not found' });
+        }
+
+        const data = doc.data();
+        if (data.userId !== userId) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        const imageUrl = data.baseUrl || data.imageUrl;
+        if (!imageUrl) {
+            return res.status(400).json({ error: 'Result has no image URL' });
+        }
+
+        let locale;
+        try {
+            locale = await resolveRequestLocale(req, data.locale || null);
+        } catch (e) {
+            if (e.status === 400) return res.status(400).json({ error: e.message });
+            throw e;
+        }
+
+        try {
+            await assertWithinQuota(userId, { analyses: 1 });
+        } catch (e) {
+            if (e.code === 'QUOTA_EXCEEDED') return sendQuotaExceeded(res, e);
+            throw e;
+        }
+
+        let accessToken = null;
+        try {
+            ({ token: accessToken } = await getAccessTokenFromCookies(req, res));
+        } catch (e) {
+            logger.warn('[Analysis reanalyze] Could not get access token from cookies:', e.message);
+        }
+
+        const job = await createJob({
+            userId,
+            photoId: data.photoId,
+            docId: data.docId,
+            reanalysisOf: resultId,
+            imageUrl,
+            baseUrl: data.baseUrl,
+            locale,
+            privacyMode: await isPrivacyModeEnabled(userId),
+            accessToken
+        });
+        logger.info(`[Analysis reanalyze] Enqueued job ${job.id} for result ${resultId}`);
+
+        res.status(202).json({
+            success: true,
+            jobId: job.id,
+            status: job.status
+        });
+    } catch (error) {
+        logger.error('[Analysis reanalyze] Error:', error);
+        res.status(500).json({ error: 'Failed to start re-analysis' });
+    }
+});
+
+/**
+ * List versions of an analysis result, newest first
+ * GET /api/analysis/result/:resultId/versions
+ * Returns: { resultId, currentVersion, versions: [{ version, modelName, promptVersion, analyzedAt, era_primary, current }] }
+ */
+router.get('/result/:resultId/versions', requireGoogleUser, async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { resultId } = req.params;
+
+        const doc = await db.collection('results').doc(resultId).get();
+        if (!doc.exists) {
+            return res.status(404).json({ error: 'Result not found' });
+        }
+
+        const data = doc.data();
+        if (data.userId !== userId) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        const versions = await listResultVersions(resultId, data);
+        res.json({
+            resultId,
+            currentVersion: data.version || 1,
+            versions
+        });
+    } catch (error) {
+        logger.error('[Analysis versions] List error:', error);
+        res.status(500).json({ error: 'Failed to list versions' });
+    }
+});
+
+/**
+ * Get one version of an analysis result
+ * GET /api/analysis/result/:resultId/versions/:version
+ */
+router.get('/result/:resultId/versions/:version', requireGoogleUser, async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { resultId } = req.params;
+        const version = parseInt(req.params.version, 10);
+
+        if (!Number.isInteger(version) || version < 1) {
+            return res.status(400).json({ error: 'Invalid version' });
+        }
+
+        const doc = await db.collection('results').doc(resultId).get();
+        if (!doc.exists) {
+            return res.status(404).json({ error: 'Result not found' });
+        }
+
+        const data = doc.data();
+        if (data.userId !== userId) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        const versionData = await getResultVersion(resultId, data, version);
+        if (!versionData) {
+            return res.status(404).json({ error: 'Version not found' });
+        }
+
+        res.json({ id: doc.id, ...withDerivedFields(versionData) });
+    } catch (error) {
+        logger.error('[Analysis versions] Get error:', error);
+        res.status(500).json({ error: 'Failed to get version' });
+    }
+});
+
+/**
+ * The user's other results ranked by similarity (era overlap, style tags, taxonomy terms, dominant colors)
+ * GET /api/analysis/result/:resultId/similar?limit=8&minScore=0.2
+ * Returns: { resultId, items: [{ id, imageUrl, baseUrl, era, score, factors, shared, privacy }] }
+ */
+router.get('/result/:resultId/similar', requireGoogleUser, async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { resultId } = req.params;
+        const limit = Math.min(parseInt(req.query.limit || '8', 10) || 8, 20);
+        const minScore = req.query.minScore !== undefined ? parseFloat(req.query.minScore) : 0.2;
+        if (!Number.isFinite(minScore) || minScore < 0 || minScore > 1) {
+            return res.status(400).json({ error: 'minScore must be between 0 and 1' });
+        }
+
+        const doc = await db.collection('results').doc(resultId).get();
+        if (!doc.exists) {
+            return res.status(404).json({ error: 'Result not found' });
+        }
+
+        const data = doc.data();
+        if (data.userId !== userId) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        const candidates = (await listUserResultDocs(userId, SIMILAR_SCAN_LIMIT))
+            .filter(candidate => candidate.id !== resultId)
+            .map(candidate => ({ id: candidate.id, data: candidate.data() }));
+
+        const items = rankSimilar(data, candidates, { limit, minScore }).map(match => ({
+            id: match.id,
+            photoId: match.data.photoId,
+            imageUrl: match.data.imageUrl,
+            baseUrl: match.data.baseUrl,
+            analyzedAt: match.data.analyzedAt,
+            era: eraOf(match.data),
+            score: match.score,
+            factors: match.factors,
+            shared: match.shared,
+            privacy: match.data.privacy || null
+        }));
+
+        res.json({ resultId, items });
+    } catch (error) {
+        logger.error('[Analysis similar] Error:', error);
+        res.status(500).json({ error: 'Failed to find similar results' });
+    }
+});
+
+/**
+ * Rate a result, correct its era / style tags and leave a note (replaces earlier feedback)
+ * PUT /api/analysis/result/:resultId/feedback
+ * Body: { rating?: 'correct'|'partially_correct'|'incorrect', era?, styleTags?: string[], note? }
+ * The model output is kept as is; feedback.original records the output the correction refers to.
+ */
+router.put('/result/:resultId/feedback', requireGoogleUser, async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { resultId } = req.params;
+
+        let input;
+        try {
+            input = parseFeedback(req.body);
+        } catch (error) {
+            return res.status(error.status || 400).json({ error: error.message });
+        }
+
+        const doc = await db.collection('results').doc(resultId).get();
+        if (!doc.exists) {
+            return res.status(404).json({ error: 'Result not found' });
+        }
+
+        const data = doc.data();
+        if (data.userId !== userId) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        const feedback = await saveFeedback(resultId, data, input);
+        res.json({ success: true, feedback });
+    } catch (error) {
+        logger.error('[Analysis feedback] Save error:', error);
+        res.status(500).json({ error: 'Failed to save feedback' });
+    }
+});
+
+/**
+ * Remove the user's feedback from a result
+ * DELETE /api/analysis/result/:resultId/feedback
+ */
+router.delete('/result/:resultId/feedback', requireGoogleUser, async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { resultId } = req.params;
+
+        const doc = await db.collection('results').doc(resultId).get();
+        if (!doc.exists) {
+            return res.status(404).json({ error: 'Result not found' });
+        }
+
+        const data = doc.data();
+        if (data.userId !== userId) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        await deleteFeedback(resultId);
+        res.json({ success: true });
+    } catch (error) {
+        logger.error('[Analysis feedback] Delete error:', error);
+        res.status(500).json({ error: 'Failed to delete feedback' });
+    }
+});
+
+/**
+ * Ask a follow-up question about a result ("what shoes would go with this?")
+ * POST /api/analysis/result/:resultId/chat
+ * Body: { question: string }
+ * Returns: { answer: { role, text, ... }, chat: [...] } (the whole thread, also returned as `chat` with the result)
+ * Returns 429 with code QUOTA_EXCEEDED when the question quota (or a token quota) is used up
+ */
+router.post('/result/:resultId/chat', requireGoogleUser, async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { resultId } = req.params;
+
+        let question;
+        try {
+            question = parseQuestion(req.body);
+        } catch (error) {
+            return res.status(error.status || 400).json({ error: error.message });
+        }
+
+        const doc = await db.collection('results').doc(resultId).get();
+        if (!doc.exists) {
+            return res.status(404).json({ error: 'Result not found' });
+        }
+
+        const data = doc.data();
+        if (data.userId !== userId) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        let quotaReservation;
+        try {
+            quotaReservation = (await assertWithinQuota(userId, { questions: 1 }, { reserve: true }))?.reservation || null;
+        } catch (e) {
+            if (e.code === 'QUOTA_EXCEEDED') return sendQuotaExceeded(res, e);
+            throw e;
+        }
+
+        let accessToken = null;
+        try {
+            ({ token: accessToken } = await getAccessTokenFromCookies(req, res));
+        } catch (e) {
+            logger.warn('[Analysis chat] Could not get access token from cookies:', e.message);
+        }
+
+        const { answer, chat } = await askAboutResult(resultId, data, question, { accessToken, quotaReservation });
+        res.json({ success: true, answer, chat });
+    } catch (error) {
+        if (error.status === 503) {
+            return res.status(503).json({ error: error.message });
+        }
+        logger.error('[Analysis chat] Error:', error);
+        res.status(500).json({ error: 'Failed to answer question' });
+    }
+});
+
+/**
+ * Clear the conversation on a result
+ * DELETE /api/analysis/result/:resultId/chat
+ */
+router.delete('/result/:resultId/chat', requireGoogleUser, async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { resultId } = req.params;
+
+        const doc = await db.collection('results').doc(resultId).get();
+        if (!doc.exists) {
+            return res.status(404).json({ error: 'Result not found' });
+        }
+
+        const data = doc.data();
+        if (data.userId !== userId) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        await clearChat(resultId);
+        res.json({ success: true });
+    } catch (error) {
+        logger.error('[Analysis chat] Clear error:', error);
+        res.status(500).json({ error: 'Failed to clear conversation' });
+    }
+});
+
+/**
+ * Export all feedback and corrections (admins only, see ADMIN_USER_IDS)
+ * GET /api/analysis/feedback/export?format=json|csv&since=2026-01-01&limit=1000
+ */
+router.get('/feedback/export', requireAdmin, async (req, res) => {
+    try {
+        const format = req.query.format || 'json';
+        if (!['json', 'csv'].includes(format)) {
+            return res.status(400).json({ error: 'format must be json or csv' });
+        }
+
+        let since = null;
+        if (req.query.since) {
+            since = new Date(req.query.since);
+            if (Number.isNaN(since.getTime())) {
+                return res.status(400).json({ error: 'since must be a date' });
+            }
+        }
+        const limit = Math.min(parseInt(req.query.limit || '1000', 10) || 1000, 10000);
+
+        const entries = await listFeedback({ since, limit });
+        logger.info(`[Analysis feedback] Exported ${entries.length} feedback entries as ${format}`);
+
+        if (format === 'csv') {
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.setHeader('Content-Disposition', 'attachment; filename="analysis-feedback.csv"');
+            return res.send(feedbackToCsv(entries));
+        }
+        res.json({ count: entries.length, items: entries });
+    } catch (error) {
+        logger.error('[Analysis feedback] Export error:', error);
+        res.status(500).json({ error: 'Failed to export feedback' });
+    }
+});
+
+/**
+ * Prompt templates, the running experiment and per version outcome stats (admins only)
+ * GET /api/analysis/prompts?limit=500
+ * limit: number of most recent results the stats are computed from
+ */
+router.get('/prompts', requireAdmin, async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit || '500', 10) || 500, 5000);
+        const registry = await getPromptRegistry('era');
+
+        let stats = [];
+        try {
+            stats = await getPromptStats({ limit });
+        } catch (error) {
+            logger.warn('[Analysis prompts] Failed to compute stats:', error.message);
+        }
+
+        res.json({
+            name: registry.name,
+            defaultVersion: registry.defaultVersion,
+            experiment: registry.experiment,
+            templates: Object.values(registry.templates).map(({ version, description, variables, source }) => ({
+                version,
+                description,
+                variables,
+                source
+            })),
+            stats
+        });
+    } catch (error) {
+        logger.error('[Analysis prompts] Error:', error);
+        res.status(500).json({ error: 'Failed to load prompts' });
+    }
+});
+
+/**
+ * Usage and remaining quota of the current user (today and this month, UTC)
+ * GET /api/analysis/usage
+ * Returns: { daily, monthly } each { periodKey, resetsAt, used, limits, remaining } (limit 0 / remaining null = unlimited)
+ */
+router.get('/usage', requireGoogleUser, async (req, res) => {
+    try {
+        const usage = await getUsageStatus(req.user.id);
+        res.json({ success: true, ...usage });
+    } catch (error) {
+        logger.error('[Analysis usage] Error:', error);
+        res.status(500).json({ error: 'Failed to load usage' });
+    }
+});
+
 /**
  * Get all analysis results for user (for analyzed photos carousel)
  * GET /api/analysis/results
+ * Query: limit, era (e.g. "1950s", "late 1960s"), eraFrom / eraTo (years, inclusive)
+ * Era filters keep results whose year range overlaps the requested range.
  */
 router.get('/results', requireGoogleUser, async (req, res) => {
     try {
         const userId = req.user.id;
         const limit = parseInt(req.query.limit || '20', 10);
 
-        let snap;
+        let eraRange;
         try {
-            // Try using orderBy (Native Mode)
-            snap = await db
-                .collection('results')
-                .where('userId', '==', userId)
-                .orderBy('analyzedAt', 'desc')
-                .limit(limit)
-                .get();
-        } catch (orderByError) {
-            // If orderBy fails (may be Datastore Mode or missing index), try without orderBy
-            logger.warn('[Analysis results] orderBy failed, trying without:', orderByError.message);
-            snap = await db
-                .collection('results')
-                .where('userId', '==', userId)
-                .limit(limit)
-                .get();
-            
-            // Sort in memory
-            const docs = snap.docs;
-            docs.sort((a, b) => {
-                const aTime = a.data().analyzedAt?.toMillis?.() || 0;
-                const bTime = b.data().analyzedAt?.toMillis?.() || 0;
-                return bTime - aTime; // Descending order
-            });
-            
-            // Create new QuerySnapshot-like object
-            snap = {
-                docs: docs.slice(0, limit),
-                empty: docs.length === 0
-            };
+            eraRange = parseEraRangeQuery(req.query);
+        } catch (error) {
+            return res.status(error.status || 400).json({ error: error.message });
         }
+        const fetchLimit = eraRange ? Math.max(limit, ERA_FILTER_SCAN_LIMIT) : limit;
 
-        const items = snap.docs.map(doc => {
+        let docs = await listUserResultDocs(userId, fetchLimit);
+        if (eraRange) {
+            docs = docs.filter(doc => eraOverlaps(eraOf(doc.data()), eraRange));
+        }
+
+        const items = docs.slice(0, limit).map(doc => {
             const data = doc.data();
             return {
                 id: doc.id,
@@ -789,7 +1106,10 @@ router.get('/results', requireGoogleUser, async (req, res) => {
                 imageUrl: data.imageUrl,
                 baseUrl: data.baseUrl,
                 analyzedAt: data.analyzedAt,
-                geminiResult: data.geminiResult
+                version: data.version || 1,
+                era: eraOf(data),
+                geminiResult: data.geminiResult,
+                privacy: data.privacy || null
             };
         });
 
@@ -824,6 +1144,19 @@ router.delete('/result/:resultId', requireGoogleUser, async (req, res) => {
 
         // Delete result document
         await db.collection('results').doc(resultId).delete();
+        if (data.privacy) {
+            await deletePrivateImage(resultId);
+        }
+
+        // Delete archived versions (best effort, the result itself is already gone)
+        try {
+            await deleteResultVersions(resultId);
+        } catch (versionsError) {
+            logger.warn(`[Delete result] Failed to delete versions of ${resultId}:`, versionsError.message);
+        }
+        if (data.feedback) {
+            await deleteFeedbackCopy(resultId);
+        }
 
         logger.info(`[Delete result] Successfully deleted result ${resultId} for user ${userId}`);
 
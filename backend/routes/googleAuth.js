@@ -134,6 +134,8 @@ router.get('/google/callback', async (req, res) => {
                     email: googleUser.email,
                     name: googleUser.name,
                     picture: googleUser.picture,
+                    // Google account language, used for analyses until the user picks a locale
+                    googleLocale: googleUser.locale || null,
                     lastLoginAt: FieldValue.serverTimestamp(),
                     createdAt: FieldValue.serverTimestamp(),
                 },
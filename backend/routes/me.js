@@ -2,9 +2,13 @@
 const express = require('express');
 const { firestore } = require('../utils/firestore');
 const { requireGoogleUser } = require('../middleware/auth');
+const { SUPPORTED_LOCALES, matchLocale } = require('../utils/locales');
 
 const router = express.Router();
 
+// Search locales a user can save (each adds queries to every analysis)
+const MAX_SEARCH_LOCALES = 3;
+
 router.get('/me', requireGoogleUser, async (req, res) => {
     const googleUserId = req.googleUserId;
 
@@ -20,6 +24,10 @@ router.get('/me', requireGoogleUser, async (req, res) => {
             name: data.name,
             email: data.email,
             picture: data.picture,
+            locale: data.locale || null,
+            searchLocales: data.searchLocales || [],
+            privacyMode: data.privacyMode === true,
+            supportedLocales: SUPPORTED_LOCALES,
         });
     } catch (err) {
         console.error('Load /api/me error:', err.message || err);
@@ -27,4 +35,58 @@ router.get('/me', requireGoogleUser, async (req, res) => {
     }
 });
 
+/**
+ * Save analysis preferences
+ * PUT /api/me/preferences
+ * body: { locale?: string|null, searchLocales?: string[], privacyMode?: boolean } (null / [] clears the preference)
+ * privacyMode: blur faces in the photos of later analyses (see services/privacyMode.js)
+ */
+router.put('/me/preferences', requireGoogleUser, async (req, res) => {
+    const googleUserId = req.googleUserId;
+    const { locale, searchLocales, privacyMode } = req.body || {};
+    const update = {};
+
+    if (locale !== undefined) {
+        if (locale === null || locale === '') {
+            update.locale = null;
+        } else {
+            update.locale = matchLocale(locale);
+            if (!update.locale) {
+                return res.status(400).json({ error: `Unsupported locale "${locale}"` });
+            }
+        }
+    }
+
+    if (searchLocales !== undefined) {
+        if (!Array.isArray(searchLocales) || searchLocales.length > MAX_SEARCH_LOCALES) {
+            return res.status(400).json({ error: `searchLocales must be an array of at most ${MAX_SEARCH_LOCALES} locales` });
+        }
+        const matched = searchLocales.map(matchLocale);
+        const unsupported = searchLocales.find((tag, i) => !matched[i]);
+        if (unsupported !== undefined) {
+            return res.status(400).json({ error: `Unsupported search locale "${unsupported}"` });
+        }
+        update.searchLocales = [...new Set(matched)];
+    }
+
+    if (privacyMode !== undefined) {
+        if (typeof privacyMode !== 'boolean') {
+            return res.status(400).json({ error: 'privacyMode must be true or false' });
+        }
+        update.privacyMode = privacyMode;
+    }
+
+    if (Object.keys(update).length === 0) {
+        return res.status(400).json({ error: 'Provide locale, searchLocales or privacyMode' });
+    }
+
+    try {
+        await firestore.collection('users').doc(googleUserId).set(update, { merge: true });
+        res.json({ success: true, ...update });
+    } catch (err) {
+        console.error('Save /api/me/preferences error:', err.message || err);
+        res.status(500).json({ error: 'Failed to save preferences' });
+    }
+});
+
 module.exports = router;
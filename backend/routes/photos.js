@@ -7,9 +7,19 @@ const axios = require('axios');
 const qs = require('qs');
 const logger = require('../utils/logger');
 const { firestore } = require('../utils/firestore');
+const { listPendingPhotos } = require('../services/userPhotos');
+const { resilientCall } = require('../utils/resilientCall');
 
 const router = express.Router();
 
+const ACCESS_TOKEN_COOKIE_OPTIONS = {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax',
+    path: '/',
+    maxAge: 7 * 24 * 60 * 60 * 1000,
+};
+
 // Function to refresh access token
 async function refreshAccessToken(refreshToken) {
     const CLIENT_ID = process.env.GOOGLE_CLIENT_ID;
@@ -20,7 +30,7 @@ async function refreshAccessToken(refreshToken) {
     }
     
     try {
-        const response = await axios.post(
+        const response = await resilientCall('googleOAuth', () => axios.post(
             'https://oauth2.googleapis.com/token',
             qs.stringify({
                 client_id: CLIENT_ID,
@@ -28,8 +38,8 @@ async function refreshAccessToken(refreshToken) {
                 refresh_token: refreshToken,
                 grant_type: 'refresh_token',
             }),
-            { headers: { 'Content-Type': 'application/x-www-form-urlencoded' } }
-        );
+            { headers: { 'Content-Type': 'application/x-www-form-urlencoded' }, timeout: 10000 }
+        ));
         
         logger.info('Token refreshed successfully');
         return response.data.access_token;
@@ -39,7 +49,42 @@ async function refreshAccessToken(refreshToken) {
             response: error.response?.data,
             status: error.response?.status
         });
-        throw new Error('Failed to refresh access token. Please login again.');
+        const err = new Error('Failed to refresh access token. Please login again.');
+        // A rejected refresh token (400 invalid_grant) means the user has to log in again
+        err.status = error.response?.status === 400 ? 401 : (error.status || 502);
+        err.requiresReauth = error.response?.status === 400;
+        throw err;
+    }
+}
+
+/**
+ * Call a Google API with the user's access token
+ * Transient failures are retried (utils/resilientCall, 'googlePhotos' breaker); on an auth failure the token is
+ * refreshed once, stored in the cookie, and the call repeated.
+ * @param {Function} request - (accessToken) => Promise (axios call)
+ * @param {Object} [options] - { tag: log prefix, refreshOn: HTTP statuses that trigger a refresh }
+ */
+async function callWithAccessToken(req, res, request, { tag, refreshOn = [401] } = {}) {
+    const { token: accessToken, refreshToken } = await getAccessTokenFromCookies(req, res);
+
+    try {
+        return await resilientCall('googlePhotos', () => request(accessToken));
+    } catch (apiError) {
+        const status = apiError.response?.status;
+        if (!refreshOn.includes(status) || !refreshToken) {
+            logger.warn(`[${tag}] Google API call failed:`, {
+                status,
+                message: apiError.response?.data?.error?.message || apiError.message,
+                hasRefreshToken: !!refreshToken
+            });
+            throw apiError;
+        }
+
+        logger.info(`[${tag}] Token ${status === 401 ? 'expired' : 'forbidden'}, refreshing...`);
+        const newToken = await refreshAccessToken(refreshToken);
+        res.cookie('google_access_token', newToken, ACCESS_TOKEN_COOKIE_OPTIONS);
+
+        return resilientCall('googlePhotos', () => request(newToken));
     }
 }
 
@@ -79,62 +124,23 @@ function getUserIdFromCookies(req) {
  */
 router.post('/photos/picker/start', async (req, res) => {
     try {
-        const { token: accessToken, refreshToken } = await getAccessTokenFromCookies(req, res);
         const userId = getUserIdFromCookies(req);
 
         logger.info(`[/api/photos/picker/start] user ${userId} creating picker session`);
 
         // Per official docs: POST https://photospicker.googleapis.com/v1/sessions
         // Request body can start with minimal config (no extra fields)
-        let resp;
-        try {
-            resp = await axios.post(
-                'https://photospicker.googleapis.com/v1/sessions',
-                {}, // Minimal body, can be extended later if needed
-                {
-                    headers: {
-                        Authorization: `Bearer ${accessToken}`,
-                        'Content-Type': 'application/json',
-                    },
-                }
-            );
-        } catch (apiError) {
-            // If returns 401, try refreshing token
-            if (apiError.response?.status === 401 && refreshToken) {
-                logger.info('[/api/photos/picker/start] Token expired, refreshing...');
-                const newToken = await refreshAccessToken(refreshToken);
-                
-                // Update cookie
-                const cookieOptions = {
-                    httpOnly: true,
-                    secure: process.env.NODE_ENV === 'production',
-                    sameSite: 'lax',
-                    path: '/',
-                    maxAge: 7 * 24 * 60 * 60 * 1000,
-                };
-                res.cookie('google_access_token', newToken, cookieOptions);
-                
-                // Retry request
-                resp = await axios.post(
-                    'https://photospicker.googleapis.com/v1/sessions',
-                    {},
-                    {
-                        headers: {
-                            Authorization: `Bearer ${newToken}`,
-                            'Content-Type': 'application/json',
-                        },
-                    }
-                );
-            } else {
-                // If no refresh_token or refresh fails, return clear error
-                logger.error('[/api/photos/picker/start] Authentication failed:', {
-                    status: apiError.response?.status,
-                    message: apiError.response?.data?.error?.message,
-                    hasRefreshToken: !!refreshToken
-                });
-                throw apiError;
+        const resp = await callWithAccessToken(req, res, token => axios.post(
+            'https://photospicker.googleapis.com/v1/sessions',
+            {}, // Minimal body, can be extended later if needed
+            {
+                headers: {
+                    Authorization: `Bearer ${token}`,
+                    'Content-Type': 'application/json',
+                },
+                timeout: 15000,
             }
-        }
+        ), { tag: '/api/photos/picker/start' });
 
         logger.info('[/api/photos/picker/start] Google API response:', JSON.stringify(resp.data, null, 2));
         
@@ -191,59 +197,21 @@ router.get('/photos/picker/items', async (req, res) => {
     }
 
     try {
-        const { token: accessToken, refreshToken } = await getAccessTokenFromCookies(req, res);
         const userId = getUserIdFromCookies(req);
 
         logger.info(`[/api/photos/picker/items] user ${userId} polling session ${sessionId}`);
 
         // Per docs: GET https://photospicker.googleapis.com/v1/mediaItems?sessionId=...
-        let resp;
-        try {
-            resp = await axios.get('https://photospicker.googleapis.com/v1/mediaItems', {
-                headers: {
-                    Authorization: `Bearer ${accessToken}`,
-                },
-                params: {
-                    sessionId,
-                    pageSize: 100, // Max 100 at a time
-                },
-            });
-        } catch (apiError) {
-            // If returns 401, try refreshing token
-            if (apiError.response?.status === 401 && refreshToken) {
-                logger.info('[/api/photos/picker/items] Token expired, refreshing...');
-                const newToken = await refreshAccessToken(refreshToken);
-                
-                // Update cookie
-                const cookieOptions = {
-                    httpOnly: true,
-                    secure: process.env.NODE_ENV === 'production',
-                    sameSite: 'lax',
-                    path: '/',
-                    maxAge: 7 * 24 * 60 * 60 * 1000,
-                };
-                res.cookie('google_access_token', newToken, cookieOptions);
-                
-                // Retry request
-                resp = await axios.get('https://photospicker.googleapis.com/v1/mediaItems', {
-                    headers: {
-                        Authorization: `Bearer ${newToken}`,
-                    },
-                    params: {
-                        sessionId,
-                        pageSize: 100,
-                    },
-                });
-            } else {
-                // If no refresh_token or refresh fails, return clear error
-                logger.error('[/api/photos/picker/items] Authentication failed:', {
-                    status: apiError.response?.status,
-                    message: apiError.response?.data?.error?.message,
-                    hasRefreshToken: !!refreshToken
-                });
-                throw apiError;
-            }
-        }
+        const resp = await callWithAccessToken(req, res, token => axios.get('https://photospicker.googleapis.com/v1/mediaItems', {
+            headers: {
+                Authorization: `Bearer ${token}`,
+            },
+            params: {
+                sessionId,
+                pageSize: 100, // Max 100 at a time
+            },
+            timeout: 15000,
+        }), { tag: '/api/photos/picker/items' });
 
         const mediaItems = resp.data.mediaItems || [];
         
@@ -418,7 +386,7 @@ router.get('/photos/picker/items', async (req, res) => {
             errorMessage: errorMessage
         });
 
-        res.status(status || 500).json({
+        res.status(status || err.status || 500).json({
             error: 'Failed to list picked media items',
             details: errorMessage || err.message,
         });
@@ -437,7 +405,7 @@ router.get('/photos/proxy', async (req, res) => {
     }
 
     try {
-        const { token: accessToken, refreshToken } = await getAccessTokenFromCookies(req, res);
+        const { token: accessToken } = await getAccessTokenFromCookies(req, res);
         
         if (!accessToken) {
             logger.error('[/api/photos/proxy] No access token available');
@@ -458,87 +426,27 @@ router.get('/photos/proxy', async (req, res) => {
             });
         }
         
-        // Use access token to get image
+        // Use access token to get image (401/403: refresh the token once and retry)
         let imageResponse;
         try {
-            imageResponse = await axios.get(imageUrl, {
+            imageResponse = await callWithAccessToken(req, res, token => axios.get(imageUrl, {
                 headers: {
-                    Authorization: `Bearer ${accessToken}`,
+                    Authorization: `Bearer ${token}`,
                 },
                 responseType: 'arraybuffer',
                 timeout: 30000, // 30 second timeout
                 maxRedirects: 5,
-                validateStatus: (status) => status < 500, // Don't throw on 4xx errors, we'll handle them
-            });
-        } catch (error) {
-            // Network errors or 5xx errors
-            logger.error('[/api/photos/proxy] Network error:', error.message);
-            throw error;
-        }
-
-        // Check if response indicates authentication failure (401 or 403)
-        // If so, try refreshing token and retry
-        if (imageResponse && (imageResponse.status === 401 || imageResponse.status === 403) && refreshToken) {
-            logger.info(`[/api/photos/proxy] Token ${imageResponse.status === 401 ? 'expired' : 'forbidden'}, refreshing...`);
-            try {
-                const newToken = await refreshAccessToken(refreshToken);
-                
-                // Update cookie
-                const cookieOptions = {
-                    httpOnly: true,
-                    secure: process.env.NODE_ENV === 'production',
-                    sameSite: 'lax',
-                    path: '/',
-                    maxAge: 7 * 24 * 60 * 60 * 1000,
-                };
-                res.cookie('google_access_token', newToken, cookieOptions);
-                
-                // Retry with new token
-                imageResponse = await axios.get(imageUrl, {
-                    headers: {
-                        Authorization: `Bearer ${newToken}`,
-                    },
-                    responseType: 'arraybuffer',
-                    timeout: 30000,
-                    maxRedirects: 5,
-                    validateStatus: (status) => status < 500,
-                });
-                
-                logger.info('[/api/photos/proxy] Retry with refreshed token successful');
-            } catch (refreshError) {
-                logger.error('[/api/photos/proxy] Token refresh or retry failed:', {
-                    refreshError: refreshError.message,
-                    status: refreshError.response?.status,
-                    responseData: refreshError.response?.data
-                });
-                
-                // Check if refresh token itself is invalid/expired
-                if (refreshError.response?.status === 400 || 
-                    refreshError.message?.includes('refresh token') ||
-                    refreshError.message?.includes('invalid_grant')) {
-                    return res.status(401).json({
-                        error: 'Session expired',
-                        details: 'Your session has expired. Please log in again.',
-                        requiresReauth: true
-                    });
-                }
-                
-                // If refresh fails for other reasons, return the original 401/403 error
-                return res.status(imageResponse.status).json({
-                    error: 'Failed to access image',
-                    details: 'Authentication failed. Please try refreshing the page or logging in again.',
+            }), { tag: '/api/photos/proxy', refreshOn: [401, 403] });
+        } catch (fetchError) {
+            // Refresh token itself is invalid/expired
+            if (fetchError.requiresReauth) {
+                return res.status(401).json({
+                    error: 'Session expired',
+                    details: 'Your session has expired. Please log in again.',
+                    requiresReauth: true
                 });
             }
-        }
-
-        // Check if response is successful
-        if (!imageResponse || imageResponse.status >= 400) {
-            const errorMsg = `Failed to fetch image: ${imageResponse?.status || 'unknown status'}`;
-            logger.error(`[/api/photos/proxy] ${errorMsg}`);
-            return res.status(imageResponse?.status || 500).json({
-                error: 'Failed to fetch image',
-                details: errorMsg,
-            });
+            throw fetchError;
         }
 
         // Set correct Content-Type
@@ -566,6 +474,15 @@ router.get('/photos/proxy', async (req, res) => {
             });
         }
         
+        // Google Photos is failing right now (circuit open), the browser may retry later
+        if (err.code === 'CIRCUIT_OPEN') {
+            res.set('Retry-After', String(Math.ceil(err.retryAfterMs / 1000)));
+            return res.status(503).json({
+                error: 'Image service temporarily unavailable',
+                details: 'Google Photos is not responding. Please try again shortly.',
+            });
+        }
+
         // If 404, image might not exist
         if (err.response?.status === 404) {
             return res.status(404).json({
@@ -579,7 +496,7 @@ router.get('/photos/proxy', async (req, res) => {
             ? err.message 
             : 'Failed to load image. Please try again.';
         
-        res.status(err.response?.status || 500).json({
+        res.status(err.response?.status || err.status || 500).json({
             error: 'Failed to proxy image',
             details: errorDetails,
         });
@@ -597,97 +514,8 @@ router.get('/photos/pending', async (req, res) => {
         
         logger.info(`[/api/photos/pending] Loading pending photos for user ${userId}`);
 
-        // Note: Firestore compound queries require index, if orderBy and where used together
-        // If query fails, try without orderBy first
-        let snap;
-        try {
-            snap = await firestore.collection('userPhotos')
-                .where('userId', '==', userId)
-                .where('status', '==', 'pending')
-                .orderBy('createdAt', 'desc')
-                .limit(50)
-                .get();
-        } catch (indexError) {
-            // If no index, try without orderBy
-            logger.warn('[/api/photos/pending] Index error, trying without orderBy:', indexError.message);
-            snap = await firestore.collection('userPhotos')
-                .where('userId', '==', userId)
-                .where('status', '==', 'pending')
-                .limit(50)
-                .get();
-        }
-
-        const allItems = snap.docs.map(doc => {
-            const data = doc.data();
-            return {
-                id: doc.id,
-                photoId: data.photoId,
-                baseUrl: data.baseUrl,
-                filename: data.filename,
-                mimeType: data.mimeType,
-                width: data.width,
-                height: data.height,
-                creationTime: data.creationTime,
-                createdAt: data.createdAt,
-                status: data.status,
-            };
-        });
-
-        // Get list of analyzed photo IDs (from results collection or userPhotos' analysisResult)
-        const analyzedPhotoIds = new Set();
-        
-        try {
-            // Method 1: Query from results collection
-            try {
-                const resultsSnap = await firestore.collection('results')
-                    .where('userId', '==', userId)
-                    .limit(200)
-                    .get();
-                
-                resultsSnap.docs.forEach(doc => {
-                    const data = doc.data();
-                    if (data.photoId) {
-                        analyzedPhotoIds.add(data.photoId);
-                    }
-                    if (data.docId) {
-                        analyzedPhotoIds.add(data.docId);
-                    }
-                });
-            } catch (resultsError) {
-                logger.warn('[/api/photos/pending] Failed to query results collection:', resultsError.message);
-            }
-            
-            // Method 2: Find documents with analysisResult from userPhotos
-            try {
-                const analyzedPhotosSnap = await firestore.collection('userPhotos')
-                    .where('userId', '==', userId)
-                    .where('status', '==', 'analyzed')
-                    .limit(200)
-                    .get();
-                
-                analyzedPhotosSnap.docs.forEach(doc => {
-                    analyzedPhotoIds.add(doc.id);
-                    const data = doc.data();
-                    if (data.photoId) {
-                        analyzedPhotoIds.add(data.photoId);
-                    }
-                });
-            } catch (analyzedError) {
-                logger.warn('[/api/photos/pending] Failed to query analyzed photos:', analyzedError.message);
-            }
-        } catch (error) {
-            logger.warn('[/api/photos/pending] Error checking analyzed photos, continuing anyway:', error.message);
-        }
-
-        // Filter out analyzed photos
-        const items = allItems.filter(item => {
-            // If photo's ID or photoId is in analyzed list, exclude it
-            const isAnalyzed = analyzedPhotoIds.has(item.id) || 
-                              (item.photoId && analyzedPhotoIds.has(item.photoId));
-            return !isAnalyzed;
-        });
+        const items = await listPendingPhotos(userId);
 
-        logger.info(`[/api/photos/pending] Found ${allItems.length} total photos, ${items.length} pending (${allItems.length - items.length} already analyzed) for user ${userId}`);
         res.json({ items });
     } catch (err) {
         logger.error('[/api/photos/pending] error:', {
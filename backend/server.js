@@ -13,6 +13,8 @@ const path = require('path');
 const cookieParser = require('cookie-parser');
 
 const logger = require('./utils/logger');
+const { getBreakerStates } = require('./utils/resilientCall');
+const { recoverInterruptedJobs } = require('./services/analysisJobs');
 
 // Routes
 const authRoutes = require('./routes/auth');          // Old JWT routes (optional)
@@ -104,10 +106,14 @@ app.use('/api/dashboard', dashboardRoutes);
 app.use('/api/analysis', analysisRouter);
 
 // Health check
+// Always 200 while the process is up; DEGRADED when a dependency's circuit breaker is not closed
 app.get('/api/health', (req, res) => {
+    const dependencies = getBreakerStates();
+    const degraded = Object.values(dependencies).some(dep => dep.state !== 'closed');
     res.status(200).json({
-        status: 'OK',
+        status: degraded ? 'DEGRADED' : 'OK',
         timestamp: new Date().toISOString(),
+        dependencies,
     });
 });
 
@@ -139,6 +145,8 @@ app.use((req, res) => {
 app.listen(PORT, () => {
     logger.info(`Server running on port ${PORT}`);
     logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
+    // Jobs a previous process left queued/running would otherwise never finish
+    recoverInterruptedJobs();
 });
 
 module.exports = app;
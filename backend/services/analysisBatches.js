@@ -0,0 +1,220 @@
+// backend/services/analysisBatches.js
+// Batch analysis: queue one analysis job per userPhotos doc and report aggregate progress
+// Concurrency is bounded by the job worker (ANALYSIS_JOB_CONCURRENCY)
+require('../config/env')();
+
+const logger = require('../utils/logger');
+const { firestore } = require('../utils/firestore');
+const { createJob, getJob } = require('./analysisJobs');
+const { listPendingPhotos } = require('./userPhotos');
+
+const db = firestore;
+const BATCHES_COLLECTION = 'analysisBatches';
+
+// Max photos per batch (same as the pending list page size)
+const MAX_BATCH_SIZE = 50;
+
+// Batches are also kept in memory in case Firestore is unavailable: until an hour after their status was
+// first read as done (like finished jobs), and never longer than a day (a batch nobody polls anymore)
+const BATCH_MEMORY_TTL_MS = 60 * 60 * 1000;
+const BATCH_MEMORY_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+const batches = new Map();
+const evicting = new Set();
+
+// Failure reported for a batch item whose job is gone, so the batch can still finish
+const MISSING_JOB_ERROR = {
+    error: 'The analysis job could not be found. Please try again.',
+    errorCode: 'JOB_INTERRUPTED',
+};
+
+function generateBatchId() {
+    return `batch_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
+}
+
+/**
+ * Load the requested userPhotos docs, keeping only the user's own photos with an image URL
+ * @returns {Promise<{ photos: Array<Object>, skipped: Array<Object> }>}
+ */
+async function loadPhotosByDocIds(userId, docIds) {
+    const photos = [];
+    const skipped = [];
+
+    for (const docId of docIds) {
+        try {
+            const doc = await db.collection('userPhotos').doc(docId).get();
+            if (!doc.exists) {
+                skipped.push({ docId, status: 'skipped', error: 'Photo not found' });
+                continue;
+            }
+
+            const data = doc.data();
+            if (data.userId !== userId) {
+                skipped.push({ docId, status: 'skipped', error: 'Access denied' });
+                continue;
+            }
+            if (!data.baseUrl) {
+                skipped.push({ docId, status: 'skipped', error: 'Photo has no image URL' });
+                continue;
+            }
+
+            photos.push({ id: doc.id, ...data });
+        } catch (error) {
+            logger.warn(`[analysisBatches] Failed to load userPhotos doc ${docId}:`, error.message);
+            skipped.push({ docId, status: 'skipped', error: 'Failed to load photo' });
+        }
+    }
+
+    return { photos, skipped };
+}
+
+/**
+ * Create a batch and queue an analysis job for each photo
+ * @param {Object} params - { userId, docIds?: string[], allPending?: boolean, locale?, privacyMode?, accessToken?, maxJobs? }
+ *   maxJobs: analyses left in the user's quota, photos past it are skipped
+ * @returns {Promise<Object>} batch { id, userId, items: [{ docId, photoId, filename, jobId, status, error }] }
+ */
+async function createBatch({ userId, docIds, allPending = false, locale = null, privacyMode = false, accessToken = null, maxJobs = Infinity }) {
+    let photos;
+    let skipped = [];
+
+    if (allPending) {
+        photos = (await listPendingPhotos(userId, MAX_BATCH_SIZE)).filter(photo => photo.baseUrl);
+    } else {
+        const uniqueIds = [...new Set(docIds)].slice(0, MAX_BATCH_SIZE);
+        ({ photos, skipped } = await loadPhotosByDocIds(userId, uniqueIds));
+    }
+
+    // Photos moderation blocked before are not sent again (analyzing one on its own checks it anew)
+    const blocked = photos.filter(photo => photo.moderation?.action === 'block');
+    if (blocked.length > 0) {
+        photos = photos.filter(photo => photo.moderation?.action !== 'block');
+        skipped = [...skipped, ...blocked.map(photo => ({
+            docId: photo.id,
+            status: 'skipped',
+            error: 'Blocked by content moderation',
+            errorCode: 'CONTENT_BLOCKED',
+        }))];
+    }
+
+    if (photos.length > maxJobs) {
+        const overQuota = photos.slice(maxJobs);
+        photos = photos.slice(0, maxJobs);
+        skipped = [...skipped, ...overQuota.map(photo => ({ docId: photo.id, status: 'skipped', error: 'Quota exceeded' }))];
+    }
+
+    const batchId = generateBatchId();
+    const items = [];
+
+    for (const photo of photos) {
+        // Same identifiers as a single click on the dashboard
+        const photoId = photo.photoId || photo.id;
+        const job = await createJob({
+            userId,
+            photoId,
+            docId: photo.id,
+            batchId,
+            imageUrl: photo.baseUrl,
+            baseUrl: photo.baseUrl,
+            locale,
+            privacyMode,
+            accessToken,
+        });
+        items.push({
+            docId: photo.id,
+            photoId,
+            filename: photo.filename || null,
+            jobId: job.id,
+        });
+    }
+
+    const batch = {
+        id: batchId,
+        userId,
+        items: [...items, ...skipped],
+        createdAt: new Date(),
+    };
+
+    batches.set(batchId, batch);
+    setTimeout(() => batches.delete(batchId), BATCH_MEMORY_MAX_AGE_MS).unref();
+    try {
+        await db.collection(BATCHES_COLLECTION).doc(batchId).set(batch);
+    } catch (error) {
+        logger.warn(`[analysisBatches] Failed to persist batch ${batchId}:`, error.message);
+    }
+
+    logger.info(`[analysisBatches] Created batch ${batchId} for user ${userId}: ${items.length} queued, ${skipped.length} skipped`);
+    return batch;
+}
+
+/**
+ * Get a batch with per-photo outcomes and aggregate counts
+ * @returns {Promise<Object|null>}
+ */
+async function getBatchStatus(batchId) {
+    let batch = batches.get(batchId);
+    if (!batch) {
+        const doc = await db.collection(BATCHES_COLLECTION).doc(batchId).get();
+        if (!doc.exists) {
+            return null;
+        }
+        batch = doc.data();
+    }
+
+    const items = await Promise.all(batch.items.map(async (item) => {
+        if (!item.jobId) {
+            return item;
+        }
+
+        let job = null;
+        try {
+            job = await getJob(item.jobId);
+        } catch (error) {
+            logger.warn(`[analysisBatches] Failed to load job ${item.jobId}:`, error.message);
+        }
+
+        if (!job) {
+            return { ...item, status: 'failed', stage: null, resultId: null, ...MISSING_JOB_ERROR };
+        }
+        return {
+            ...item,
+            status: job.status,
+            stage: job.stage || null,
+            resultId: job.resultId || null,
+            error: job.error || null,
+            errorCode: job.errorCode || null,
+        };
+    }));
+
+    const counts = { total: items.length, queued: 0, running: 0, completed: 0, failed: 0, skipped: 0 };
+    for (const item of items) {
+        if (counts[item.status] !== undefined) {
+            counts[item.status] += 1;
+        }
+    }
+    const finished = counts.completed + counts.failed + counts.skipped;
+    const done = finished >= counts.total;
+
+    if (done && batches.has(batchId) && !evicting.has(batchId)) {
+        evicting.add(batchId);
+        setTimeout(() => {
+            batches.delete(batchId);
+            evicting.delete(batchId);
+        }, BATCH_MEMORY_TTL_MS).unref();
+    }
+
+    return {
+        id: batch.id,
+        userId: batch.userId,
+        createdAt: batch.createdAt,
+        done,
+        progress: counts.total > 0 ? Math.round((finished / counts.total) * 100) : 100,
+        counts,
+        items,
+    };
+}
+
+module.exports = {
+    MAX_BATCH_SIZE,
+    createBatch,
+    getBatchStatus,
+};
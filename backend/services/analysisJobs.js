@@ -0,0 +1,388 @@
+// backend/services/analysisJobs.js
+// Asynchronous analysis jobs: /analyze enqueues, an in-process worker runs the pipeline,
+// and job status is persisted to the analysisJobs collection for GET /api/analysis/jobs/:id
+require('../config/env')();
+
+const { EventEmitter } = require('events');
+const logger = require('../utils/logger');
+const { firestore } = require('../utils/firestore');
+const { analyzePhoto } = require('./analysisPipeline');
+const { assertWithinQuota, releaseQuota } = require('./usageAccounting');
+
+const db = firestore;
+const JOBS_COLLECTION = 'analysisJobs';
+
+// How many jobs this instance runs at once
+const JOB_CONCURRENCY = parseInt(process.env.ANALYSIS_JOB_CONCURRENCY || '2', 10);
+// How long finished jobs stay in memory (Firestore keeps them after that)
+const JOB_MEMORY_TTL_MS = 60 * 60 * 1000;
+// Queued and running jobs touch updatedAt this often, so a stored job that stops changing belongs to
+// an instance that is gone (restart, crash, scale-in) and will never finish
+const JOB_HEARTBEAT_MS = 30 * 1000;
+const JOB_STALE_MS = 2 * 60 * 1000;
+
+// Rough progress percentage for each stage
+const STAGE_PROGRESS = {
+    queued: 0,
+    downloading: 10,
+    vision: 30,
+    gemini: 60,
+    garments: 75,
+    saving: 90,
+    completed: 100,
+};
+
+// Error codes whose message is shown to the user as is
+const USER_FACING_ERROR_CODES = ['QUOTA_EXCEEDED', 'CONTENT_BLOCKED', 'JOB_INTERRUPTED'];
+
+// Failure recorded for a job whose worker went away; analyzing the photo again is safe
+const INTERRUPTED_ERROR = {
+    error: 'The analysis was interrupted by a server restart. Please try again.',
+    errorCode: 'JOB_INTERRUPTED',
+};
+
+// Human-readable text for progress events (shown by the dashboard overlay and result page)
+const EVENT_MESSAGES = {
+    queued: () => 'Waiting for an analysis slot...',
+    downloading: () => 'Downloading image...',
+    image_downloaded: (data) => `Image downloaded (${Math.round((data.bytes || 0) / 1024)} KB)`,
+    image_prepared: (data) => (data.transforms?.length
+        ? `Image prepared: ${data.transforms.join(', ').replace(/_/g, ' ')}`
+        : 'Image prepared'),
+    moderation: (data) => (data.action === 'block'
+        ? 'Photo blocked by content moderation'
+        : `Photo flagged by content moderation (${(data.categories || []).join(', ')})`),
+    faces_blurred: (data) => (data.fullBlur
+        ? 'Privacy mode: face detection failed, the displayed photo is fully blurred'
+        : `Privacy mode: ${data.count} face(s) blurred`),
+    cache_hit: (data) => (data.match === 'near'
+        ? 'Found a near-identical image analyzed before, reusing its result'
+        : 'This image was analyzed before, reusing its result'),
+    vision: () => 'Extracting features with Vision API...',
+    labels_found: (data) => `Found ${data.labelsCount} labels and ${data.objectsCount} objects`
+        + (data.sampleLabels?.length ? `: ${data.sampleLabels.join(', ')}` : ''),
+    gemini: () => 'Dating the outfit with Gemini...',
+    gemini_repair: (data) => `Fixing ${data.errorCount} format issue(s) in Gemini output (retry ${data.attempt})`,
+    era_drafted: (data) => `Era drafted: ${data.era || 'Undetermined'}`,
+    garments: () => 'Dating individual garments...',
+    garments_found: (data) => `Found ${data.count} garment(s): ${(data.names || []).join(', ')}`,
+    garment_dated: (data) => `${data.name}: ${data.era || 'Undetermined'}`,
+    calibrated: (data) => `Confidence ${Math.round((data.calibrated || 0) * 100)}% (${data.evidenceStrength} evidence)`,
+    saving: () => 'Saving analysis result...',
+    saved: (data) => (data.version > 1 ? `Result saved as version ${data.version}` : 'Result saved'),
+    completed: () => 'Analysis completed!',
+    failed: (data) => data.error || 'Analysis failed',
+};
+
+// jobId -> { job, accessToken, events }
+// The access token only lives in memory, it is never written to Firestore
+const activeJobs = new Map();
+const queue = [];
+let running = 0;
+let heartbeat = null;
+
+// Emits (jobId, event) for every progress event; used by the SSE endpoint
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+function generateJobId() {
+    return `job_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
+}
+
+// Persist job state (serialized per job so stage updates are written in order)
+function persistJob(entry) {
+    const snapshot = { ...entry.job };
+    entry.persisting = (entry.persisting || Promise.resolve())
+        .then(() => db.collection(JOBS_COLLECTION).doc(snapshot.id).set(snapshot))
+        .catch((error) => {
+            // Job keeps running from memory even if Firestore is unavailable
+            logger.warn(`[analysisJobs] Failed to persist job ${snapshot.id}:`, error.message);
+        });
+    return entry.persisting;
+}
+
+function updateJob(jobId, changes) {
+    const entry = activeJobs.get(jobId);
+    if (!entry) return;
+    entry.job = { ...entry.job, ...changes, updatedAt: new Date() };
+    persistJob(entry);
+}
+
+/**
+ * Build a progress event for a job
+ * @returns {Object} { type, stage, progress, message, data, at }
+ */
+function buildJobEvent(job, type, data = {}) {
+    return {
+        type,
+        stage: job.stage,
+        progress: job.progress,
+        message: EVENT_MESSAGES[type] ? EVENT_MESSAGES[type](data) : type,
+        data,
+        at: new Date().toISOString(),
+    };
+}
+
+// Record a progress event in the job's in-memory log and notify subscribers
+function recordEvent(jobId, type, data = {}) {
+    const entry = activeJobs.get(jobId);
+    if (!entry) return;
+
+    const event = buildJobEvent(entry.job, type, data);
+    entry.events.push(event);
+    jobEvents.emit(jobId, event);
+}
+
+async function runJob(jobId) {
+    const entry = activeJobs.get(jobId);
+    if (!entry) return;
+
+    const { job, accessToken } = entry;
+    logger.info(`[analysisJobs] Running job ${jobId} for user ${job.userId}, photoId=${job.photoId}`);
+    updateJob(jobId, { status: 'running', startedAt: new Date() });
+
+    let quotaReservation = null;
+    try {
+        // Checked again when the job starts, and the analysis reserved: queued jobs of a batch (or other
+        // instances) may have used up the quota meanwhile
+        const quota = await assertWithinQuota(job.userId, { analyses: 1 }, { reserve: true });
+        quotaReservation = quota?.reservation || null;
+        // Stored with the job, so an interrupted job can give it back (failInterruptedJob)
+        updateJob(jobId, { quotaReservation });
+
+        const { resultId } = await analyzePhoto(
+            {
+                userId: job.userId,
+                photoId: job.photoId,
+                docId: job.docId,
+                imageUrl: job.imageUrl,
+                baseUrl: job.baseUrl,
+                accessToken,
+                resultId: job.reanalysisOf,
+                locale: job.locale,
+                privacyMode: job.privacyMode === true,
+                quotaReservation,
+            },
+            {
+                onStage: (stage) => {
+                    logger.info(`[analysisJobs] Job ${jobId} stage: ${stage}`);
+                    updateJob(jobId, { stage, progress: STAGE_PROGRESS[stage] ?? 0 });
+                    recordEvent(jobId, stage);
+                },
+                onEvent: (type, data) => recordEvent(jobId, type, data),
+            }
+        );
+
+        updateJob(jobId, {
+            status: 'completed',
+            stage: 'completed',
+            progress: 100,
+            resultId,
+            quotaReservation: null,
+            finishedAt: new Date(),
+        });
+        recordEvent(jobId, 'completed', { resultId });
+        logger.info(`[analysisJobs] Job ${jobId} completed, resultId=${resultId}`);
+    } catch (error) {
+        logger.error(`[analysisJobs] Job ${jobId} failed:`, error);
+        // A failed analysis doesn't count against the quota (photos blocked by moderation are counted separately)
+        if (quotaReservation) {
+            await releaseQuota(job.userId, quotaReservation);
+        }
+        // Quota and moderation errors are meant for the user, other messages only in development
+        const message = USER_FACING_ERROR_CODES.includes(error.code) || process.env.NODE_ENV === 'development'
+            ? error.message
+            : 'Analysis failed';
+        updateJob(jobId, {
+            status: 'failed',
+            error: message,
+            errorCode: error.code || null,
+            quotaReservation: null,
+            finishedAt: new Date(),
+        });
+        recordEvent(jobId, 'failed', { error: message, code: error.code || null });
+    } finally {
+        // Drop the token right away, keep the job in memory for a while for fast status reads
+        entry.accessToken = null;
+        setTimeout(() => activeJobs.delete(jobId), JOB_MEMORY_TTL_MS).unref();
+    }
+}
+
+// Keep updatedAt of unfinished jobs fresh while this instance is alive
+function startHeartbeat() {
+    if (heartbeat) return;
+    heartbeat = setInterval(() => {
+        for (const [jobId, entry] of activeJobs) {
+            if (entry.job.status === 'queued' || entry.job.status === 'running') {
+                updateJob(jobId, {});
+            }
+        }
+    }, JOB_HEARTBEAT_MS);
+    heartbeat.unref();
+}
+
+function toDate(value) {
+    if (!value) return null;
+    if (typeof value.toDate === 'function') return value.toDate();
+    return new Date(value);
+}
+
+// Stored job that is not finished but no instance has touched for JOB_STALE_MS
+function isStale(job, now = Date.now()) {
+    if (job.status !== 'queued' && job.status !== 'running') return false;
+    const updatedAt = toDate(job.updatedAt || job.createdAt);
+    return !updatedAt || now - updatedAt.getTime() > JOB_STALE_MS;
+}
+
+// Mark a stored job as failed with JOB_INTERRUPTED and give back the analysis it reserved
+async function failInterruptedJob(jobId, job) {
+    const failed = {
+        ...job,
+        status: 'failed',
+        ...INTERRUPTED_ERROR,
+        quotaReservation: null,
+        updatedAt: new Date(),
+        finishedAt: new Date(),
+    };
+    try {
+        await db.collection(JOBS_COLLECTION).doc(jobId).set(failed);
+    } catch (error) {
+        // Still reported as failed, the next read tries again (and releases the reservation then)
+        logger.warn(`[analysisJobs] Failed to mark job ${jobId} as interrupted:`, error.message);
+        return failed;
+    }
+    if (job.quotaReservation) {
+        await releaseQuota(job.userId, job.quotaReservation);
+    }
+    return failed;
+}
+
+function drainQueue() {
+    while (running < JOB_CONCURRENCY && queue.length > 0) {
+        const jobId = queue.shift();
+        running += 1;
+        runJob(jobId).finally(() => {
+            running -= 1;
+            drainQueue();
+        });
+    }
+}
+
+/**
+ * Create an analysis job and queue it for the worker
+ * @param {Object} params - { userId, photoId, docId?, batchId?, reanalysisOf?, imageUrl, baseUrl?, locale?, privacyMode?, accessToken? }
+ *   reanalysisOf: resultId to save a new version of (re-analysis)
+ *   privacyMode: the user's privacy setting when the job was created
+ * @returns {Promise<Object>} The job as stored (without access token)
+ */
+async function createJob({ userId, photoId, docId, batchId, reanalysisOf, imageUrl, baseUrl, locale = null, privacyMode = false, accessToken = null }) {
+    const now = new Date();
+    const job = {
+        id: generateJobId(),
+        userId,
+        photoId,
+        docId: docId || null,
+        batchId: batchId || null,
+        reanalysisOf: reanalysisOf || null,
+        imageUrl,
+        baseUrl: baseUrl || null,
+        locale: locale || null,
+        privacyMode: privacyMode === true,
+        status: 'queued',
+        stage: 'queued',
+        progress: 0,
+        resultId: null,
+        error: null,
+        errorCode: null,
+        quotaReservation: null,
+        createdAt: now,
+        updatedAt: now,
+    };
+
+    const entry = { job, accessToken, events: [] };
+    activeJobs.set(job.id, entry);
+    startHeartbeat();
+    await persistJob(entry);
+    recordEvent(job.id, 'queued');
+
+    queue.push(job.id);
+    logger.info(`[analysisJobs] Queued job ${job.id} for user ${userId} (queue length: ${queue.length})`);
+    drainQueue();
+
+    return job;
+}
+
+/**
+ * Get job status (memory first, then Firestore)
+ * A stored queued/running job that stopped getting updates is reported (and stored) as failed with JOB_INTERRUPTED.
+ * @returns {Promise<Object|null>}
+ */
+async function getJob(jobId) {
+    const entry = activeJobs.get(jobId);
+    if (entry) {
+        return entry.job;
+    }
+
+    const doc = await db.collection(JOBS_COLLECTION).doc(jobId).get();
+    if (!doc.exists) {
+        return null;
+    }
+    const job = doc.data();
+    if (isStale(job)) {
+        logger.warn(`[analysisJobs] Job ${jobId} was left ${job.status} with no worker, marking it as interrupted`);
+        return failInterruptedJob(jobId, job);
+    }
+    return job;
+}
+
+/**
+ * Fail the stored jobs a previous process left queued or running (called on startup)
+ * Only jobs not updated for JOB_STALE_MS: other instances keep theirs fresh. Jobs that become stale
+ * later are failed when their status is read (getJob).
+ * @returns {Promise<number>} How many jobs were marked as interrupted
+ */
+async function recoverInterruptedJobs() {
+    let snapshot;
+    try {
+        snapshot = await db.collection(JOBS_COLLECTION).where('status', 'in', ['queued', 'running']).get();
+    } catch (error) {
+        logger.warn('[analysisJobs] Could not look for interrupted jobs:', error.message);
+        return 0;
+    }
+
+    const now = Date.now();
+    const stale = snapshot.docs.filter(doc => !activeJobs.has(doc.id) && isStale(doc.data(), now));
+    await Promise.all(stale.map(doc => failInterruptedJob(doc.id, doc.data())));
+    if (stale.length > 0) {
+        logger.info(`[analysisJobs] Marked ${stale.length} interrupted job(s) as failed`);
+    }
+    return stale.length;
+}
+
+/**
+ * Subscribe to a job's progress events
+ * Events already recorded are replayed first, so late subscribers see the full history.
+ * Only jobs running on this instance have live events; returns null otherwise.
+ * @param {string} jobId
+ * @param {Function} listener - called with { type, stage, progress, message, data, at }
+ * @returns {Function|null} unsubscribe
+ */
+function subscribeToJob(jobId, listener) {
+    const entry = activeJobs.get(jobId);
+    if (!entry) {
+        return null;
+    }
+
+    entry.events.forEach(event => listener(event));
+    jobEvents.on(jobId, listener);
+    return () => jobEvents.removeListener(jobId, listener);
+}
+
+module.exports = {
+    STAGE_PROGRESS,
+    buildJobEvent,
+    createJob,
+    getJob,
+    subscribeToJob,
+    recoverInterruptedJobs,
+};
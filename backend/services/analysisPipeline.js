@@ -0,0 +1,891 @@
+// backend/services/analysisPipeline.js
+// Vision + Gemini analysis pipeline, shared by the analysis routes and the background job worker
+// Ensure environment variables are loaded (in case this file is required independently)
+require('../config/env')();
+
+const axios = require('axios');
+const logger = require('../utils/logger');
+const { firestore } = require('../utils/firestore');
+const { getVisionProvider, getLlmProvider } = require('../providers');
+const { computeImageHashes } = require('../utils/imageHash');
+const { findCachedAnalysis, storeCachedAnalysis } = require('./resultCache');
+const {
+    ERA_RESULT_SCHEMA,
+    parseModelJson,
+    validateEraResult,
+    normalizeEraResult
+} = require('../utils/eraResultSchema');
+const { saveResultVersion } = require('./resultVersions');
+const { analyzeGarments } = require('./garmentAnalysis');
+const { analyzeColors } = require('../utils/colors');
+const { extractClothingKeywords, TAXONOMY_VERSION } = require('../utils/taxonomy');
+const { normalizeEra, normalizeResultEras } = require('../utils/eras');
+const { buildEraDistribution } = require('../utils/eraDistribution');
+const { readImageSize, calibrateConfidence } = require('../utils/confidenceCalibration');
+const { getPrompt } = require('./promptTemplates');
+const { resilientCall } = require('../utils/resilientCall');
+const { matchLocale, isEnglish, resolveLocaleSettings, promptLocaleVariables } = require('../utils/locales');
+const { createUsageRecorder, recordUsage } = require('./usageAccounting');
+const { isModerationEnabled, evaluateSafeSearch, contentBlockedError } = require('../utils/moderation');
+const { interpretLabelText, eraFitsConstraints, describeYearRange } = require('../utils/labelDating');
+const { webDetectionFeature, summarizeWebDetection, webPromptFeatures } = require('../utils/webDetection');
+const { preprocessImage } = require('../utils/imagePreprocess');
+const { createPrivateDerivative, storePrivateImage, deletePrivateImage, markPrivateImageMissing } = require('./privacyMode');
+
+// Use the same firestore instance as photos.js (may be configured for different database)
+const db = firestore;
+
+// Google Photos URLs need the user's access token to download
+function isGooglePhotosUrl(url) {
+    return url.includes('googleusercontent.com') || url.includes('google.com');
+}
+
+// Other image hosts get their own breaker, so their outages don't block Google Photos downloads
+function downloadDependencyOf(imageUrl) {
+    return isGooglePhotosUrl(imageUrl) ? 'googlePhotos' : 'imageDownload';
+}
+
+// ========= 0. Download image =========
+// Google Photos URL requires authentication, so the image is downloaded with the user's token
+// Returns null if the download fails (Vision then falls back to imageUri)
+async function downloadImage(imageUrl, { accessToken = null, onStage = () => {}, onEvent = () => {} } = {}) {
+    try {
+        onStage('downloading');
+        
+        const headers = {};
+        if (isGooglePhotosUrl(imageUrl)) {
+            if (accessToken) {
+                headers.Authorization = `Bearer ${accessToken}`;
+            } else {
+                logger.warn('[downloadImage] No access token provided, downloading without Authorization');
+            }
+        }
+        
+        logger.info('[downloadImage] Downloading image for analysis...');
+        const imageResponse = await resilientCall(downloadDependencyOf(imageUrl), () => axios.get(imageUrl, {
+            headers,
+            responseType: 'arraybuffer',
+            timeout: 15000,
+            maxRedirects: 5
+        }));
+        
+        const buffer = Buffer.from(imageResponse.data);
+        logger.info('[downloadImage] Image downloaded successfully, size:', buffer.length, 'bytes');
+        onEvent('image_downloaded', { bytes: buffer.length });
+        return {
+            buffer,
+            mimeType: imageResponse.headers['content-type'] || 'image/jpeg'
+        };
+    } catch (downloadError) {
+        logger.warn('[downloadImage] Failed to download image:', downloadError.message);
+        return null;
+    }
+}
+
+// ========= 0b. SafeSearch moderation =========
+// Runs before the cache, Gemini and any stored copy see the photo; null when MODERATION_ENABLED=false
+// If SafeSearch fails the analysis continues, recorded as checked: false
+async function runModeration(imageUrl, { imageBuffer = null, usage = null, onEvent = () => {} } = {}) {
+    if (!isModerationEnabled()) return null;
+
+    try {
+        const features = [{ type: 'SAFE_SEARCH_DETECTION' }];
+        const imageSource = imageBuffer
+            ? { content: imageBuffer }
+            : { source: { imageUri: imageUrl } };
+        const visionResult = await getVisionProvider().annotate(imageSource, features);
+        usage?.addVision(features);
+
+        const moderation = { ...evaluateSafeSearch(visionResult.safeSearchAnnotation), checkedAt: new Date() };
+        if (moderation.action !== 'allow') {
+            logger.warn(`[runModeration] SafeSearch outcome: ${moderation.action}`, moderation.triggered);
+            onEvent('moderation', { action: moderation.action, categories: moderation.triggered.map(t => t.category) });
+        }
+        return moderation;
+    } catch (error) {
+        logger.warn('[runModeration] SafeSearch failed, continuing without moderation:', error.message);
+        return { action: 'allow', checked: false, categories: null, triggered: [], checkedAt: new Date() };
+    }
+}
+
+// Record the moderation outcome on the user's photo (and on the result when re-analyzing); best effort
+async function saveModeration({ userId, photoId, docId, resultId }, moderation) {
+    const userPhotoId = docId || (photoId && photoId.length < 30 ? photoId : null);
+    try {
+        if (userPhotoId) {
+            const userPhotoRef = db.collection('userPhotos').doc(userPhotoId);
+            const userPhotoDoc = await userPhotoRef.get();
+            if (userPhotoDoc.exists && userPhotoDoc.data().userId === userId) {
+                await userPhotoRef.update({ moderation });
+            }
+        }
+        if (resultId) {
+            await db.collection('results').doc(resultId).update({ moderation });
+        }
+    } catch (error) {
+        logger.warn('[runModeration] Failed to save moderation outcome:', error.message);
+    }
+}
+
+// Bounding polygon → { left, top, width, height } as fractions of the image size
+function toNormalizedBox(boundingPoly) {
+    const vertices = boundingPoly?.normalizedVertices || [];
+    if (vertices.length === 0) return null;
+
+    const xs = vertices.map(v => Math.min(1, Math.max(0, v.x || 0)));
+    const ys = vertices.map(v => Math.min(1, Math.max(0, v.y || 0)));
+    const round = (n) => Math.round(n * 10000) / 10000;
+    const left = Math.min(...xs);
+    const top = Math.min(...ys);
+    const width = Math.max(...xs) - left;
+    const height = Math.max(...ys) - top;
+
+    if (width <= 0 || height <= 0) return null;
+    return { left: round(left), top: round(top), width: round(width), height: round(height) };
+}
+
+// ========= 1. Run Vision API analysis =========
+async function runVision(imageUrl, { imageBuffer = null, usage = null, onStage = () => {}, onEvent = () => {} } = {}) {
+    try {
+        logger.info('[runVision] Starting Vision API analysis for:', imageUrl.substring(0, 100));
+        
+        // Prefer downloaded image content (Google Photos URLs need auth), otherwise let Vision fetch imageUri
+        const imageSource = imageBuffer
+            ? { content: imageBuffer }
+            : { source: { imageUri: imageUrl } };
+        if (!imageBuffer) {
+            logger.warn('[runVision] No image content available, using imageUri');
+        }
+        
+        // Call Vision API (through the configured vision provider)
+        onStage('vision');
+        const features = [
+            { type: 'LABEL_DETECTION', maxResults: 20 },
+            { type: 'OBJECT_LOCALIZATION', maxResults: 10 },
+            { type: 'IMAGE_PROPERTIES', maxResults: 1 },
+            { type: 'TEXT_DETECTION', maxResults: 1 }
+        ];
+        // Optional: pages and images elsewhere on the web (VISION_WEB_DETECTION)
+        const webFeature = webDetectionFeature();
+        if (webFeature) features.push(webFeature);
+        const visionResult = await getVisionProvider().annotate(imageSource, features);
+        usage?.addVision(features);
+        
+        logger.info('[runVision] Vision API response received, labels count:', visionResult.labelAnnotations?.length || 0);
+        logger.info('[runVision] Vision API objects count:', visionResult.localizedObjectAnnotations?.length || 0);
+        
+        // If Vision API returns empty data, log warning
+        if (!visionResult.labelAnnotations || visionResult.labelAnnotations.length === 0) {
+            logger.warn('[runVision] WARNING: Vision API returned no labels! This may cause era to be "Undetermined"');
+        }
+        if (!visionResult.localizedObjectAnnotations || visionResult.localizedObjectAnnotations.length === 0) {
+            logger.warn('[runVision] WARNING: Vision API returned no objects!');
+        }
+
+        // Extract labels (format: description:score)
+        const labels = (visionResult.labelAnnotations || []).map(l =>
+            `${l.description}:${Math.round(l.score * 1000) / 1000}`
+        );
+
+        // Extract objects (format: name:score)
+        const objects = (visionResult.localizedObjectAnnotations || []).map(o =>
+            `${o.name}:${Math.round(o.score * 1000) / 1000}`
+        );
+
+        // Keep object bounding boxes for per-garment analysis
+        const objectBoxes = (visionResult.localizedObjectAnnotations || [])
+            .map(o => ({
+                name: o.name,
+                score: Math.round(o.score * 1000) / 1000,
+                box: toNormalizedBox(o.boundingPoly)
+            }))
+            .filter(o => o.box);
+        
+        // Log first few labels and objects for debugging
+        if (labels.length > 0) {
+            logger.info('[runVision] Sample labels:', labels.slice(0, 5));
+        }
+        if (objects.length > 0) {
+            logger.info('[runVision] Sample objects:', objects.slice(0, 5));
+        }
+
+        // Extract dominant colors
+        const colors = [];
+        try {
+            const dom =
+                visionResult.imagePropertiesAnnotation?.dominantColors?.colors ||
+                [];
+            for (const c of dom.slice(0, 6)) {
+                colors.push({
+                    rgb: [
+                        Math.round(c.color.red),
+                        Math.round(c.color.green),
+                        Math.round(c.color.blue)
+                    ],
+                    score: Math.round(c.score * 1000) / 1000
+                });
+            }
+        } catch (e) {
+            logger.warn('[runVision] Failed to extract colors:', e);
+        }
+
+        // Named palette and decade palette matches (an extra dating signal)
+        const colorAnalysis = analyzeColors(colors);
+        if (colorAnalysis.decadeMatches.length > 0) {
+            logger.info('[runVision] Palette best matches:', colorAnalysis.decadeMatches.slice(0, 3));
+        }
+
+        // OCR text
+        const ocrText = visionResult.textAnnotations?.[0]?.description || '';
+        const ocrExcerpt = ocrText.substring(0, 200);
+
+        // Label tokens (RN/WPL numbers, union labels, "Made in West Germany", care/fiber text) dated from the full text
+        const labelEvidence = interpretLabelText(ocrText);
+        if (labelEvidence.findings.length > 0) {
+            logger.info('[runVision] Label findings:', labelEvidence.findings.map(f => `${f.rule} (${f.text})`));
+        }
+
+        // "Seen elsewhere": web entities, best-guess labels, matching pages, similar images (null when not requested)
+        const webDetection = webFeature ? summarizeWebDetection(visionResult.webDetection) : null;
+        if (webDetection) {
+            logger.info(`[runVision] Web detection: ${webDetection.pages.length} pages, best guess:`, webDetection.bestGuessLabels);
+        }
+
+        // Clothing keywords from the garment taxonomy: { term, category, parent, source, score }
+        const clothingKeywords = extractClothingKeywords([
+            ...(visionResult.labelAnnotations || []).map(l => ({ text: l.description, score: l.score, source: 'label' })),
+            ...(visionResult.localizedObjectAnnotations || []).map(o => ({ text: o.name, score: o.score, source: 'object' }))
+        ]);
+
+        const visionFeatures = {
+            labels,
+            objects,
+            object_boxes: objectBoxes,
+            colors,
+            color_analysis: colorAnalysis,
+            ocr_excerpt: ocrExcerpt,
+            label_evidence: labelEvidence,
+            web_detection: webDetection,
+            clothing_keywords: clothingKeywords,
+            taxonomy_version: TAXONOMY_VERSION
+        };
+        
+        logger.info('[runVision] Vision features extracted:', {
+            labelsCount: labels.length,
+            objectsCount: objects.length,
+            colorsCount: colors.length,
+            clothingKeywordsCount: clothingKeywords.length,
+            sampleLabels: labels.slice(0, 3),
+            sampleObjects: objects.slice(0, 3),
+            clothingKeywords: clothingKeywords.map(k => k.term)
+        });
+        
+        // If feature data is too sparse, log warning
+        if (labels.length === 0 && objects.length === 0) {
+            logger.error('[runVision] ERROR: No labels or objects extracted! Vision API may have failed or image is invalid.');
+        }
+
+        onEvent('labels_found', {
+            labelsCount: labels.length,
+            objectsCount: objects.length,
+            sampleLabels: labels.slice(0, 5).map(l => l.split(':')[0])
+        });
+
+        return visionFeatures;
+    } catch (error) {
+        logger.error('[runVision] Vision API error:', error);
+        throw error;
+    }
+}
+
+// Extract and validate the era JSON from model text
+// Returns parsed = null when the text contains no parseable JSON
+function parseEraResult(rawText) {
+    const { value: parsed, error } = parseModelJson(rawText);
+    if (error) {
+        return { parsed: null, errors: [{ path: '', message: error }] };
+    }
+
+    // search_queries must only have en; other languages ("zh", "de-DE") belong in localized_queries,
+    // moving them is not worth a repair round
+    if (parsed && parsed.search_queries && typeof parsed.search_queries === 'object') {
+        for (const key of Object.keys(parsed.search_queries)) {
+            if (key === 'en') continue;
+            const locale = matchLocale(key);
+            const queries = parsed.search_queries[key];
+            if (locale && !isEnglish(locale) && Array.isArray(queries)) {
+                parsed.localized_queries = { [locale]: queries, ...(parsed.localized_queries || {}) };
+            }
+            delete parsed.search_queries[key];
+        }
+    }
+
+    const { errors } = validateEraResult(parsed);
+    const isObject = parsed !== null && typeof parsed === 'object' && !Array.isArray(parsed);
+    return { parsed: isObject ? parsed : null, errors };
+}
+
+// Text-only follow-up asking Gemini to fix its previous output
+function buildRepairPrompt(previousOutput, errors) {
+    return `Your previous answer did not match the required JSON schema.
+
+Validation errors:
+${errors.map(error => `- ${error.path || '(root)'}: ${error.message}`).join('\n')}
+
+JSON schema:
+${JSON.stringify(ERA_RESULT_SCHEMA, null, 2)}
+
+Previous answer:
+${previousOutput}
+
+Return the corrected JSON only, no markdown code blocks and no extra text. Keep the content of the answer,
+only change what is needed to satisfy the schema (era_primary like "1950s", "Late 1950s" or "Undetermined",
+confidence between 0.0 and 1.0, shopping_tips formatted as "*Category:* Description").`;
+}
+
+// ========= 2. Run Gemini analysis =========
+async function runGemini(
+    features,
+    imageUrl = null,
+    { image = null, accessToken = null, userId = null, locale = null, prompt: assignedPrompt = null, usage = null, onStage = () => {}, onEvent = () => {} } = {}
+) {
+    try {
+        onStage('gemini');
+
+        // Versioned template (backend/prompts), the version may come from a prompt experiment
+        // (analyzePhoto resolves it up front, since the cache is keyed by it)
+        const localeSettings = locale || resolveLocaleSettings();
+        const prompt = assignedPrompt || await getPrompt('era', { userId, variables: promptLocaleVariables(localeSettings) });
+        logger.info(`[runGemini] Using prompt ${prompt.version}` + (prompt.experiment ? ` (experiment bucket ${prompt.experiment.bucket})` : ''));
+
+        const llm = getLlmProvider();
+        const modelName = llm.getModelName();
+        logger.info(`Using ${llm.name} model: ${modelName}`);
+
+        // Boxes are only used for garment crops, they add nothing to the era prompt
+        const promptFeatures = { ...features };
+        delete promptFeatures.object_boxes;
+
+        // Named colors instead of bare RGB numbers, plus the decade palette matches
+        if (features?.color_analysis) {
+            const { palette, decadeMatches, monochrome } = features.color_analysis;
+            promptFeatures.colors = palette.map(c => `${c.name} ${c.hex} (${Math.round(c.score * 100)}%)`);
+            promptFeatures.palette_matches = monochrome
+                ? 'monochrome photo, colors are not a dating signal'
+                : decadeMatches.slice(0, 3).map(m => `${m.decade}:${m.score}`);
+            delete promptFeatures.color_analysis;
+        }
+
+        // Dated label findings as readable lines, plus the year range they allow together
+        if (features?.label_evidence) {
+            const { findings, constraints } = features.label_evidence;
+            delete promptFeatures.label_evidence;
+            if (findings.length > 0) {
+                promptFeatures.label_findings = findings.map(f => `${f.text}: ${describeYearRange(f)} (${f.note})`);
+            }
+            if (constraints) {
+                promptFeatures.label_date_range = describeYearRange(constraints);
+            }
+        }
+
+        // Best-guess labels and top web entities as extra evidence (pages and image URLs stay out of the prompt)
+        delete promptFeatures.web_detection;
+        Object.assign(promptFeatures, webPromptFeatures(features?.web_detection));
+
+        // Compact "term (category)" strings are enough for the prompt
+        if (Array.isArray(features?.clothing_keywords)) {
+            promptFeatures.clothing_keywords = features.clothing_keywords.map(k =>
+                typeof k === 'string' ? k : `${k.term} (${k.category})`
+            );
+        }
+
+        const parts = [
+            { text: prompt.text },
+            {
+                text:
+                    '### Vision features (JSON):\n' +
+                    JSON.stringify(promptFeatures, null, 2)
+            }
+        ];
+
+        // Include the image (important for Gemini to determine era)
+        // Reuse the already downloaded image when available, otherwise download from imageUrl
+        let imageIncluded = false;
+        if (image?.buffer) {
+            parts.push({
+                inlineData: {
+                    mimeType: image.mimeType || 'image/jpeg',
+                    data: image.buffer.toString('base64')
+                }
+            });
+            imageIncluded = true;
+            logger.info('[runGemini] Included downloaded image in Gemini request');
+        } else if (imageUrl) {
+            try {
+                logger.info('[runGemini] Attempting to download image for Gemini:', imageUrl.substring(0, 100));
+                
+                // For Google Photos URL, authentication is required
+                const headers = {};
+                if (isGooglePhotosUrl(imageUrl) && accessToken) {
+                    headers.Authorization = `Bearer ${accessToken}`;
+                    logger.info('[runGemini] Using access token for Google Photos image download');
+                }
+                
+                const imageResponse = await resilientCall(downloadDependencyOf(imageUrl), () => axios.get(imageUrl, {
+                    headers,
+                    responseType: 'arraybuffer',
+                    timeout: 15000,
+                    maxRedirects: 5
+                }));
+
+                // Same preprocessing as the shared download (orientation, size, no metadata)
+                const prepared = await preprocessImage({
+                    buffer: Buffer.from(imageResponse.data),
+                    mimeType: imageResponse.headers['content-type'] || 'image/jpeg'
+                });
+
+                parts.push({
+                    inlineData: {
+                        mimeType: prepared.mimeType,
+                        data: prepared.buffer.toString('base64')
+                    }
+                });
+                imageIncluded = true;
+                logger.info('[runGemini] Successfully included image in Gemini request');
+            } catch (e) {
+                logger.warn(
+                    '[runGemini] Failed to include image in Gemini request, using features only:',
+                    e.message
+                );
+                // Even if image download fails, we can still continue using feature data
+                // But Gemini may not be able to accurately determine era
+            }
+        } else {
+            logger.warn('[runGemini] No imageUrl provided, Gemini will rely on Vision features only');
+        }
+
+        const result = await llm.generate(parts);
+        usage?.addLlmCall(result, parts);
+        let text = result.text;
+        logger.info('[runGemini] Raw Gemini response (first 500 chars):', text.trim().substring(0, 500));
+
+        // Validate against the era result schema; on violations ask Gemini to repair its own output
+        const maxRepairs = parseInt(process.env.GEMINI_REPAIR_RETRIES || '2', 10);
+        const validationErrors = [];
+        let attempt = 0;
+        let parsed;
+        let errors;
+
+        while (true) {
+            ({ parsed, errors } = parseEraResult(text));
+            errors.forEach(error => validationErrors.push({ attempt, ...error }));
+            if (errors.length === 0 || attempt >= maxRepairs) {
+                break;
+            }
+
+            attempt += 1;
+            logger.warn(`[runGemini] Output failed validation (${errors.length} errors), repair attempt ${attempt}/${maxRepairs}:`, errors);
+            onEvent('gemini_repair', { attempt, errorCount: errors.length });
+            try {
+                const repairParts = [{ text: buildRepairPrompt(text, errors) }];
+                const repaired = await llm.generate(repairParts);
+                usage?.addLlmCall(repaired, repairParts);
+                text = repaired.text;
+            } catch (repairError) {
+                logger.warn('[runGemini] Repair request failed:', repairError.message);
+                break;
+            }
+        }
+
+        const validation = {
+            valid: errors.length === 0,
+            attempts: attempt + 1,
+            repaired: attempt > 0 && errors.length === 0,
+            errors: validationErrors
+        };
+
+        if (!parsed) {
+            logger.error('[runGemini] Could not get valid JSON from Gemini, raw response:', text);
+            // Return a reasonable default structure
+            return {
+                era_primary: 'Undetermined',
+                style_tags: [],
+                top3_candidates: [],
+                rationale: 'Failed to parse analysis result. Please try again.',
+                search_queries: { en: [] },
+                localized_queries: {},
+                shopping_tips: [],
+                parse_error: true,
+                model_used: modelName,
+                prompt_version: prompt.version,
+                prompt_experiment: prompt.experiment,
+                locale: localeSettings,
+                image_included: imageIncluded,
+                validation
+            };
+        }
+
+        if (!validation.valid) {
+            logger.warn('[runGemini] Output still invalid after repair, keeping normalized result');
+        } else {
+            logger.info('[runGemini] Gemini response passed schema validation');
+        }
+
+        const eraResult = {
+            ...normalizeEraResult(parsed),
+            model_used: modelName,
+            prompt_version: prompt.version,
+            prompt_experiment: prompt.experiment,
+            locale: localeSettings,
+            // Whether Gemini saw the image or only the Vision features (used for confidence calibration)
+            image_included: imageIncluded,
+            validation
+        };
+        onEvent('era_drafted', { era: eraResult.era_primary });
+        return eraResult;
+    } catch (error) {
+        logger.error('Gemini API error:', error);
+        throw error;
+    }
+}
+
+/**
+ * Save an analysis result
+ * In Datastore Mode, try multiple save methods
+ * @returns {Promise<string>} resultId (temp_* if every save method failed)
+ */
+async function saveResult(resultData) {
+    const { userId, photoId } = resultData;
+
+    let resultId;
+    let saved = false;
+
+    // Method 1: Try saving to results collection
+    try {
+        // Generate unique ID
+        resultId = `${userId}_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
+        const docRef = db.collection('results').doc(resultId);
+        await docRef.set(resultData);
+        logger.info(
+            `[Analysis] Result saved to results collection: ${resultId} for user ${userId}`
+        );
+        saved = true;
+    } catch (resultsError) {
+        logger.warn('[Analysis] Failed to save to results collection:', resultsError.message);
+
+        // Method 2: If photoId is Firestore doc ID, try updating userPhotos document
+        if (photoId && photoId.length < 30) {
+            try {
+                const userPhotoRef = db.collection('userPhotos').doc(photoId);
+                // Check if document exists and belongs to current user
+                const userPhotoDoc = await userPhotoRef.get();
+                if (userPhotoDoc.exists) {
+                    const userPhotoData = userPhotoDoc.data();
+                    if (userPhotoData.userId === userId) {
+                        // Ensure resultData includes baseUrl (get from userPhotoData if resultData doesn't have it)
+                        if (!resultData.baseUrl && userPhotoData.baseUrl) {
+                            resultData.baseUrl = userPhotoData.baseUrl;
+                            resultData.imageUrl = userPhotoData.baseUrl;
+                        }
+
+                        // Update userPhotos document, add analysis result and update status
+                        await userPhotoRef.update({
+                            status: 'analyzed', // Update status to analyzed, so it won't appear in pending list
+                            analyzedAt: new Date(),
+                            analysisResult: resultData
+                        });
+                        resultId = photoId; // Use photoId as resultId
+                        logger.info(
+                            `[Analysis] Result saved to userPhotos document and status updated to 'analyzed': ${photoId} for user ${userId}`
+                        );
+                        saved = true;
+                    }
+                }
+            } catch (userPhotoError) {
+                logger.warn('[Analysis] Failed to save to userPhotos:', userPhotoError.message);
+            }
+        }
+
+        // Method 3: Even if saving to results fails, try updating userPhotos status (if photoId is doc ID)
+        // This way we can at least ensure photo won't appear repeatedly in pending list
+        if (!saved && photoId && photoId.length < 30) {
+            try {
+                const userPhotoRef = db.collection('userPhotos').doc(photoId);
+                const userPhotoDoc = await userPhotoRef.get();
+                if (userPhotoDoc.exists && userPhotoDoc.data().userId === userId) {
+                    await userPhotoRef.update({
+                        status: 'analyzed',
+                        analyzedAt: new Date()
+                    });
+                    logger.info(`[Analysis] Updated userPhotos status to 'analyzed' for ${photoId}`);
+                }
+            } catch (updateError) {
+                logger.warn('[Analysis] Failed to update userPhotos status:', updateError.message);
+            }
+        }
+
+        // If all fail, log error but don't prevent returning result
+        if (!saved) {
+            logger.error('[Analysis] All save methods failed, but returning result anyway');
+            // Generate a temporary ID, at least let frontend display result
+            resultId = `temp_${Date.now()}`;
+        }
+    }
+
+    return resultId;
+}
+
+/**
+ * Run the full pipeline for one photo: Vision → Gemini → save
+ * With resultId set this is a re-analysis: the cache is bypassed and the output is saved
+ * as a new version of that result.
+ * @param {Object} params - { userId, photoId, docId?, imageUrl, baseUrl?, accessToken?, resultId?, locale?, privacyMode?, quotaReservation? }
+ *   privacyMode: store a face-blurred copy for display (the models still get the unblurred image)
+ *   quotaReservation: the reservation from assertWithinQuota({ reserve: true }) when the analysis was already counted
+ * @param {Object} [options]
+ *   - onStage(stage): 'downloading' | 'vision' | 'gemini' | 'garments' | 'saving'
+ *   - onEvent(type, data): 'image_downloaded' | 'image_prepared' | 'moderation' | 'faces_blurred' | 'cache_hit'
+ *     | 'labels_found' | 'era_drafted'
+ *     | 'garments_found' | 'garment_dated' | 'saved'
+ * @returns {Promise<{ resultId: string, result: Object }>} result.usage holds what the analysis cost
+ * @throws {Error} code CONTENT_BLOCKED (status 422) when SafeSearch blocks the photo
+ */
+async function analyzePhoto(
+    { userId, photoId, docId = null, imageUrl, baseUrl, accessToken = null, resultId = null, locale = null, privacyMode = false, quotaReservation = null },
+    { onStage = () => {}, onEvent = () => {} } = {}
+) {
+    // { output, search, source }: language of the write-up and the search locales
+    const localeSettings = locale || resolveLocaleSettings();
+    // Vision features, Gemini calls/tokens and image bytes, saved on the result and added to the user's counters
+    const usage = createUsageRecorder();
+
+    logger.info(
+        `[Analysis] Starting analysis for user ${userId}, photoId=${photoId}`
+    );
+
+    logger.info('[Analysis] Image URL:', imageUrl);
+    logger.info('[Analysis] Base URL:', baseUrl || 'not provided');
+
+    // 0. Download once (access token is needed for Google Photos images), shared by cache, Vision and Gemini
+    const downloaded = await downloadImage(imageUrl, { accessToken, onStage, onEvent });
+    usage.addImageBytes(downloaded?.buffer.length);
+
+    // Upright, resized, metadata-free copy: the one buffer Vision, Gemini and garment crops all get
+    const image = downloaded ? await preprocessImage(downloaded) : null;
+    const preprocessing = image?.preprocessing || null;
+    if (preprocessing) {
+        onEvent('image_prepared', { transforms: preprocessing.transforms, output: preprocessing.output });
+    }
+
+    // SafeSearch gate: a blocked photo goes no further (no cache, Gemini, blurred copy or result)
+    const moderation = await runModeration(imageUrl, { imageBuffer: image?.buffer, usage, onEvent });
+    if (moderation) {
+        await saveModeration({ userId, photoId, docId, resultId }, moderation);
+    }
+    if (moderation?.action === 'block') {
+        await recordUsage(userId, usage.summary(), { kind: 'blocked' });
+        throw contentBlockedError(moderation);
+    }
+
+    // Privacy mode: face-blurred copy for display and storage (before the cache, so cached results get one too)
+    const privateImage = privacyMode ? await createPrivateDerivative(image, { usage, onEvent }) : null;
+
+    // Era prompt for this analysis (template version or experiment variant): cached output is only reused for
+    // the same prompt, and runGemini gets the same assignment
+    let prompt = null;
+    try {
+        prompt = await getPrompt('era', { userId, variables: promptLocaleVariables(localeSettings) });
+    } catch (error) {
+        logger.warn('[Analysis] Could not resolve the era prompt before the cache lookup:', error.message);
+    }
+
+    // Identical or near-identical images reuse a cached analysis
+    // Hashes and resolution come from the original bytes (the preprocessed copy depends on settings)
+    let imageHash = null;
+    let cached = null;
+    let imageSize = null;
+    if (downloaded) {
+        imageHash = await computeImageHashes(downloaded.buffer);
+        imageSize = await readImageSize(downloaded.buffer);
+        // Re-analysis means "do it again", so never reuse the cached output
+        cached = resultId || !prompt ? null : await findCachedAnalysis(imageHash, { locale: localeSettings, prompt, userId });
+    }
+
+    if (cached) {
+        onEvent('cache_hit', { match: cached.match, distance: cached.distance });
+        return saveAnalysis(
+            { userId, photoId, docId, imageUrl, baseUrl, resultId, quotaReservation },
+            {
+                visionFeatures: cached.visionFeatures,
+                geminiResult: cached.geminiResult,
+                garments: cached.garments || [],
+                imageHash,
+                imageSize,
+                preprocessing,
+                privateImage,
+                moderation,
+                cache: { hit: true, match: cached.match, distance: cached.distance, key: cached.key },
+                usage: usage.summary(),
+            },
+            { onStage, onEvent }
+        );
+    }
+
+    // 1. Run Vision API
+    logger.info('[Analysis] Running Vision API...');
+    const visionFeatures = await runVision(imageUrl, { imageBuffer: image?.buffer, usage, onStage, onEvent });
+
+    // Check Vision API returned feature data
+    if (!visionFeatures || (!visionFeatures.labels?.length && !visionFeatures.objects?.length)) {
+        logger.warn('[Analysis] WARNING: Vision API returned minimal or no features. This will likely result in "Undetermined" era.');
+    }
+
+    // 2. Run Gemini (if the LLM provider is configured, e.g. API key exists)
+    let geminiResult = null;
+    if (getLlmProvider().isConfigured()) {
+        logger.info('[Analysis] Running Gemini API...');
+        logger.info('[Analysis] Passing features to Gemini:', {
+            labelsCount: visionFeatures.labels?.length || 0,
+            objectsCount: visionFeatures.objects?.length || 0,
+            colorsCount: visionFeatures.colors?.length || 0,
+            clothingKeywordsCount: visionFeatures.clothing_keywords?.length || 0
+        });
+
+        // Prefer baseUrl, if not available use imageUrl
+        // baseUrl is usually the original Google Photos URL, better for Gemini direct access
+        const geminiImageUrl = baseUrl || imageUrl;
+        logger.info('[Analysis] Using image URL for Gemini:', geminiImageUrl?.substring(0, 100));
+
+        // Pass the prepared image; only if the download above failed does runGemini try the URL itself
+        geminiResult = await runGemini(visionFeatures, geminiImageUrl, { image, accessToken, userId, locale: localeSettings, prompt, usage, onStage, onEvent });
+        logger.info('[Analysis] Gemini result era_primary:', geminiResult?.era_primary || 'not set');
+
+        // If era_primary is "Undetermined", log detailed info for debugging
+        if (geminiResult?.era_primary === 'Undetermined') {
+            logger.warn('[Analysis] WARNING: Gemini returned "Undetermined" era. Possible reasons:');
+            logger.warn('[Analysis] - Vision features may be insufficient:', {
+                hasLabels: (visionFeatures.labels?.length || 0) > 0,
+                hasObjects: (visionFeatures.objects?.length || 0) > 0,
+                hasColors: (visionFeatures.colors?.length || 0) > 0,
+                hasKeywords: (visionFeatures.clothing_keywords?.length || 0) > 0
+            });
+            logger.warn('[Analysis] - Image URL provided to Gemini:', !!geminiImageUrl);
+        }
+
+        if (geminiResult.parse_error) {
+            logger.warn('[Analysis] Gemini output could not be parsed, validation errors:', geminiResult.validation?.errors);
+        }
+    } else {
+        logger.warn('[Analysis] GEMINI_API_KEY not set, skipping Gemini');
+    }
+
+    // 2b. Date each localized garment on its own (needs the downloaded image for cropping)
+    const garments = await analyzeGarments(image?.buffer, visionFeatures, geminiResult, { usage, onStage, onEvent });
+
+    // Only complete analyses are worth caching
+    const hasFeatures = visionFeatures.labels?.length > 0 || visionFeatures.objects?.length > 0;
+    if (imageHash && prompt && hasFeatures && geminiResult?.validation?.valid) {
+        await storeCachedAnalysis(imageHash, { visionFeatures, geminiResult, garments, locale: localeSettings, prompt, userId });
+    }
+
+    return saveAnalysis(
+        { userId, photoId, docId, imageUrl, baseUrl, resultId, quotaReservation },
+        { visionFeatures, geminiResult, garments, imageHash, imageSize, preprocessing, privateImage, moderation, cache: { hit: false }, usage: usage.summary() },
+        { onStage, onEvent }
+    );
+}
+
+// ========= 3. Save to results collection =========
+async function saveAnalysis(
+    { userId, photoId, docId, imageUrl, baseUrl, resultId: existingResultId, quotaReservation = null },
+    { visionFeatures, geminiResult, garments, imageHash, imageSize, preprocessing, privateImage = null, moderation = null, cache, usage },
+    { onStage, onEvent }
+) {
+    // Gemini's confidence scaled by the evidence it had (Vision signals, taxonomy, image, resolution)
+    const confidence = calibrateConfidence({ visionFeatures, geminiResult, imageSize });
+    onEvent('calibrated', { calibrated: confidence.calibrated, evidenceStrength: confidence.evidenceStrength });
+
+    const eraFields = normalizeResultEras(geminiResult);
+    const labelConstraints = visionFeatures?.label_evidence?.constraints || null;
+
+    const resultData = {
+        userId,
+        photoId, // Save original photoId (may be Google Photos ID or doc ID)
+        imageUrl: baseUrl || imageUrl,
+        baseUrl: baseUrl || imageUrl,
+        visionFeatures,
+        geminiResult,
+        // Canonical eras ({ decade, subPeriod, startYear, endYear, label, raw }) for grouping and filtering
+        ...eraFields,
+        // Probability per decade 1900s–2020s (source: model distribution or spread from candidates)
+        eraDistribution: buildEraDistribution(geminiResult),
+        // { model, calibrated, evidenceScore, evidenceStrength, factors }
+        confidence,
+        // Year range from the garment label (see visionFeatures.label_evidence) and whether the era fits it
+        labelDating: labelConstraints
+            ? { ...labelConstraints, eraFits: eraFitsConstraints(eraFields.era, labelConstraints) }
+            : null,
+        // Per-garment findings; box is { left, top, width, height } as fractions of the image
+        garments: (garments || []).map(g => ({ ...g, canonicalEra: normalizeEra(g.era) })),
+        imageHash: imageHash || null,
+        // { transforms, original, output } of the image the models saw (null if it was sent unprocessed)
+        preprocessing: preprocessing || null,
+        // Privacy mode: { enabled, blurred, faceCount, fullBlur, hasImage }, the photo is then shown from resultImages
+        privacy: privateImage?.privacy || null,
+        // SafeSearch { action: 'allow'|'flag', checked, categories, triggered, checkedAt } (null when moderation is off)
+        moderation: moderation || null,
+        cache,
+        // Version metadata (cached results keep the model/prompt that produced them)
+        modelName: geminiResult?.model_used || null,
+        visionProvider: getVisionProvider().name,
+        promptVersion: geminiResult?.prompt_version || null,
+        promptExperiment: geminiResult?.prompt_experiment || null,
+        // Locale the write-up and localized queries were produced for
+        locale: geminiResult?.locale || null,
+        // { visionFeatures, visionUnits, geminiModel, geminiCalls, inputTokens, outputTokens, imageBytes, ... }
+        usage: usage || null,
+        analyzedAt: new Date(),
+        status: 'completed'
+    };
+
+    // Save userPhotos doc ID when known, otherwise if photoId looks like Firestore doc ID (short string)
+    if (docId) {
+        resultData.docId = docId;
+    } else if (photoId && photoId.length < 30) {
+        resultData.docId = photoId;
+    }
+
+    onStage('saving');
+    let resultId;
+    if (existingResultId) {
+        resultData.version = await saveResultVersion(existingResultId, resultData);
+        resultId = existingResultId;
+    } else {
+        resultData.version = 1;
+        resultId = await saveResult(resultData);
+    }
+    onEvent('saved', { resultId, version: resultData.version });
+
+    if (privateImage?.derivative) {
+        const stored = await storePrivateImage(resultId, userId, privateImage.derivative);
+        if (!stored) {
+            resultData.privacy = await markPrivateImageMissing(resultId, resultData.privacy);
+        }
+    } else if (existingResultId) {
+        // Re-analysis without privacy mode (or without an image): drop the previous blurred copy
+        await deletePrivateImage(resultId);
+    }
+
+    await recordUsage(userId, usage, { cached: !!cache?.hit, reservation: quotaReservation });
+
+    return { resultId, result: resultData };
+}
+
+module.exports = {
+    downloadImage,
+    runModeration,
+    runVision,
+    runGemini,
+    saveResult,
+    analyzePhoto,
+};
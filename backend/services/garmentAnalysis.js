@@ -0,0 +1,172 @@
+// backend/services/garmentAnalysis.js
+// Per-garment analysis: crop each localized clothing object and date it on its own,
+// so a coat, a dress and a hat are not blended into a single era
+require('../config/env')();
+
+const sharp = require('sharp');
+const logger = require('../utils/logger');
+const { getLlmProvider } = require('../providers');
+const { parseModelJson, validateGarmentResult } = require('../utils/eraResultSchema');
+
+// OBJECT_LOCALIZATION names that are garments or accessories worth dating
+const GARMENT_OBJECTS = new Set([
+    'dress', 'coat', 'jacket', 'outerwear', 'suit', 'shirt', 'top', 'blouse',
+    'pants', 'jeans', 'shorts', 'skirt', 'hat', 'shoe', 'footwear', 'boot',
+    'handbag', 'bag', 'tie', 'scarf', 'belt', 'glove', 'sunglasses', 'swimwear',
+]);
+
+const MIN_OBJECT_SCORE = 0.5;
+// Ignore tiny boxes (fraction of the image area), there is not enough detail to date them
+const MIN_BOX_AREA = 0.01;
+// Extra context around each box (fraction of the box size)
+const CROP_PADDING = 0.08;
+const CROP_MAX_DIMENSION = 768;
+
+function isGarmentAnalysisEnabled() {
+    return process.env.GARMENT_ANALYSIS_ENABLED !== 'false';
+}
+
+function getMaxGarments() {
+    return parseInt(process.env.GARMENT_MAX_CROPS || '3', 10);
+}
+
+/**
+ * Pick the clothing objects to crop, best score first
+ * @param {Array<Object>} objectBoxes - visionFeatures.object_boxes ({ name, score, box })
+ * @returns {Array<Object>}
+ */
+function selectGarments(objectBoxes = []) {
+    return objectBoxes
+        .filter(o => GARMENT_OBJECTS.has(String(o.name || '').toLowerCase()))
+        .filter(o => o.score >= MIN_OBJECT_SCORE)
+        .filter(o => o.box.width * o.box.height >= MIN_BOX_AREA)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, getMaxGarments());
+}
+
+/**
+ * Crop a normalized box (with padding) out of the image
+ * @returns {Promise<Buffer>} JPEG
+ */
+async function cropGarment(imageBuffer, box) {
+    // Rotate first so the crop uses the same orientation the user sees
+    const { data, info } = await sharp(imageBuffer).rotate().toBuffer({ resolveWithObject: true });
+
+    const padX = box.width * CROP_PADDING;
+    const padY = box.height * CROP_PADDING;
+    const left = Math.max(0, Math.floor((box.left - padX) * info.width));
+    const top = Math.max(0, Math.floor((box.top - padY) * info.height));
+    const right = Math.min(info.width, Math.ceil((box.left + box.width + padX) * info.width));
+    const bottom = Math.min(info.height, Math.ceil((box.top + box.height + padY) * info.height));
+
+    return sharp(data)
+        .extract({ left, top, width: Math.max(1, right - left), height: Math.max(1, bottom - top) })
+        .resize(CROP_MAX_DIMENSION, CROP_MAX_DIMENSION, { fit: 'inside', withoutEnlargement: true })
+        .jpeg({ quality: 85 })
+        .toBuffer();
+}
+
+function buildGarmentPrompt(garmentName, visionFeatures, overallResult) {
+    const labels = (visionFeatures.labels || []).slice(0, 10).map(l => l.split(':')[0]);
+    return `You are dating a single garment cropped from a vintage outfit photo.
+Garment type (from object detection): ${garmentName}
+Labels for the whole photo: ${labels.join(', ') || 'none'}
+Era of the whole outfit (may differ for this garment): ${overallResult?.era_primary || 'unknown'}
+
+Judge only the garment in the image. Accessories and outerwear are often older or newer than the rest of the outfit.
+
+Return strict JSON only with this schema:
+{
+  "era": "decade like '1950s' or 'Late 1950s', or 'Undetermined'",
+  "style": "short style name",
+  "confidence": 0.0,
+  "discriminator": "one line on the detail that dates it",
+  "search_queries": {"en": ["query1", "query2", "query3"]}
+}`;
+}
+
+/**
+ * Date one garment crop
+ * @returns {Promise<Object>} { era, style, confidence, discriminator, search_queries, validation }
+ */
+async function analyzeGarmentCrop(crop, garmentName, visionFeatures, overallResult, { usage = null } = {}) {
+    const llm = getLlmProvider();
+    const parts = [
+        { text: buildGarmentPrompt(garmentName, visionFeatures, overallResult) },
+        { inlineData: { mimeType: 'image/jpeg', data: crop.toString('base64') } },
+    ];
+    const response = await llm.generate(parts);
+    usage?.addLlmCall(response, parts);
+    const { text } = response;
+
+    const { value, error } = parseModelJson(text);
+    if (error || !value || typeof value !== 'object') {
+        throw new Error(`Garment result is not valid JSON (${error || 'not an object'})`);
+    }
+
+    // Invalid fields are kept (clamped) and the errors recorded, like the whole-outfit result
+    const { valid, errors } = validateGarmentResult(value);
+    const confidence = Number(value.confidence);
+    return {
+        era: typeof value.era === 'string' && value.era.trim() ? value.era : 'Undetermined',
+        style: typeof value.style === 'string' ? value.style : '',
+        confidence: Number.isFinite(confidence) ? Math.min(1, Math.max(0, confidence)) : 0,
+        discriminator: typeof value.discriminator === 'string' ? value.discriminator : '',
+        search_queries: {
+            en: Array.isArray(value.search_queries?.en) ? value.search_queries.en.slice(0, 5) : [],
+        },
+        validation: { valid, errors },
+    };
+}
+
+/**
+ * Crop and date every clothing object found by OBJECT_LOCALIZATION
+ * Failures of a single garment are logged and skipped.
+ * @param {Buffer} imageBuffer - Downloaded image
+ * @param {Object} visionFeatures - From runVision (needs object_boxes)
+ * @param {Object} overallResult - Whole-outfit Gemini result (context for the prompt)
+ * @param {Object} [options] - { usage, onStage, onEvent } (usage: recorder from services/usageAccounting)
+ * @returns {Promise<Array<Object>>} [{ index, name, score, box, era, style, confidence, discriminator, search_queries }]
+ */
+async function analyzeGarments(imageBuffer, visionFeatures, overallResult, { usage = null, onStage = () => {}, onEvent = () => {} } = {}) {
+    if (!isGarmentAnalysisEnabled() || !imageBuffer || !getLlmProvider().isConfigured()) {
+        return [];
+    }
+
+    const candidates = selectGarments(visionFeatures?.object_boxes);
+    if (candidates.length === 0) {
+        logger.info('[garmentAnalysis] No clothing objects to crop');
+        return [];
+    }
+
+    onStage('garments');
+    onEvent('garments_found', { count: candidates.length, names: candidates.map(c => c.name) });
+
+    const garments = [];
+    for (const candidate of candidates) {
+        try {
+            const crop = await cropGarment(imageBuffer, candidate.box);
+            const finding = await analyzeGarmentCrop(crop, candidate.name, visionFeatures, overallResult, { usage });
+            garments.push({
+                index: garments.length + 1,
+                name: candidate.name,
+                score: candidate.score,
+                box: candidate.box,
+                ...finding,
+            });
+            onEvent('garment_dated', { name: candidate.name, era: finding.era });
+        } catch (error) {
+            logger.warn(`[garmentAnalysis] Failed to analyze ${candidate.name}:`, error.message);
+        }
+    }
+
+    logger.info(`[garmentAnalysis] Analyzed ${garments.length}/${candidates.length} garments`);
+    return garments;
+}
+
+module.exports = {
+    GARMENT_OBJECTS,
+    selectGarments,
+    cropGarment,
+    analyzeGarments,
+};
@@ -0,0 +1,221 @@
+// backend/services/privacyMode.js
+// Privacy mode: faces blurred before a photo is displayed or stored
+// Users turn it on with PUT /api/me/preferences { privacyMode: true }. Their analyses run Vision FACE_DETECTION on
+// the prepared image and keep a face-blurred, display-size derivative in the `resultImages` collection (doc id =
+// resultId). result.html, the dashboard and similar looks show that copy instead of proxying the original;
+// Vision and Gemini still see the unblurred image, so the clothing analysis is unchanged.
+// If face detection fails, the whole derivative is blurred rather than risking a visible face.
+require('../config/env')();
+
+const sharp = require('sharp');
+const logger = require('../utils/logger');
+const { firestore } = require('../utils/firestore');
+const { getVisionProvider } = require('../providers');
+
+const db = firestore;
+const IMAGES_COLLECTION = 'resultImages';
+
+// The derivative is stored inside a Firestore document (1 MiB including the other fields)
+const MAX_IMAGE_BYTES = 1000 * 1000;
+// Display size and JPEG quality, tried in order until the derivative fits (detailed photos may not at the first)
+const ENCODING_STEPS = [
+    { maxDimension: 1280, quality: 80 },
+    { maxDimension: 1280, quality: 60 },
+    { maxDimension: 960, quality: 60 },
+    { maxDimension: 640, quality: 50 },
+];
+const MAX_FACES = 20;
+// Margin around Vision's face box (hair, ears, chin)
+const FACE_PADDING = 0.2;
+const FULL_BLUR_SIGMA = 30;
+
+/**
+ * Is privacy mode on for this user? (false when the profile can't be read)
+ */
+async function isPrivacyModeEnabled(userId) {
+    try {
+        const doc = await db.collection('users').doc(userId).get();
+        return doc.exists && doc.data().privacyMode === true;
+    } catch (error) {
+        logger.warn(`[privacyMode] Could not load privacy setting for user ${userId}:`, error.message);
+        return false;
+    }
+}
+
+// Vision boundingPoly (pixel vertices) → padded { left, top, width, height } inside the image
+function faceRegion(boundingPoly, width, height) {
+    const vertices = boundingPoly?.vertices || [];
+    if (vertices.length === 0) return null;
+
+    const xs = vertices.map(v => v.x || 0);
+    const ys = vertices.map(v => v.y || 0);
+    const padX = (Math.max(...xs) - Math.min(...xs)) * FACE_PADDING;
+    const padY = (Math.max(...ys) - Math.min(...ys)) * FACE_PADDING;
+    const left = Math.max(0, Math.floor(Math.min(...xs) - padX));
+    const top = Math.max(0, Math.floor(Math.min(...ys) - padY));
+    const right = Math.min(width, Math.ceil(Math.max(...xs) + padX));
+    const bottom = Math.min(height, Math.ceil(Math.max(...ys) + padY));
+
+    if (right - left < 1 || bottom - top < 1) return null;
+    return { left, top, width: right - left, height: bottom - top };
+}
+
+/**
+ * Face boxes from Vision FACE_DETECTION
+ * @param {Buffer} buffer - Prepared (upright) image
+ * @returns {Promise<Array<{ boundingPoly }>>} Throws when Vision fails
+ */
+async function detectFaces(buffer, { usage = null } = {}) {
+    const features = [{ type: 'FACE_DETECTION', maxResults: MAX_FACES }];
+    const response = await getVisionProvider().annotate({ content: buffer }, features);
+    usage?.addVision(features);
+    return response.faceAnnotations || [];
+}
+
+/**
+ * Blur face regions (or the whole image) and scale down for display
+ * @param {Buffer} buffer - Prepared (upright) image
+ * @param {Array<{ boundingPoly }>} faces - Vision face annotations in pixel coordinates of buffer
+ * @param {{ fullBlur?: boolean, maxBytes?: number }} [options] - maxBytes: size the JPEG is scaled down to fit
+ * @returns {Promise<{ buffer: Buffer, mimeType: string, width: number, height: number, faceCount: number }>}
+ */
+async function blurFaces(buffer, faces, { fullBlur = false, maxBytes = MAX_IMAGE_BYTES } = {}) {
+    const { width, height } = await sharp(buffer).metadata();
+
+    let source;
+    let faceCount = 0;
+    if (fullBlur) {
+        source = () => sharp(buffer).blur(FULL_BLUR_SIGMA);
+    } else {
+        const regions = faces.map(face => faceRegion(face.boundingPoly, width, height)).filter(Boolean);
+        const overlays = await Promise.all(regions.map(async region => ({
+            // Strong enough that the face can't be recognized, scaled to the face size
+            input: await sharp(buffer)
+                .extract(region)
+                .blur(Math.max(8, Math.round(Math.max(region.width, region.height) / 4)))
+                .toBuffer(),
+            left: region.left,
+            top: region.top,
+        })));
+        faceCount = regions.length;
+        const blurred = overlays.length > 0 ? await sharp(buffer).composite(overlays).toBuffer() : buffer;
+        source = () => sharp(blurred);
+    }
+
+    let data;
+    let info;
+    for (const { maxDimension, quality } of ENCODING_STEPS) {
+        ({ data, info } = await source()
+            .resize(maxDimension, maxDimension, { fit: 'inside', withoutEnlargement: true })
+            .jpeg({ quality })
+            .toBuffer({ resolveWithObject: true }));
+        if (data.length <= maxBytes) break;
+    }
+
+    return { buffer: data, mimeType: 'image/jpeg', width: info.width, height: info.height, faceCount };
+}
+
+/**
+ * Face-blurred derivative of the prepared image for a privacy-mode analysis
+ * @param {{ buffer: Buffer }|null} image - Prepared image (null when the download failed)
+ * @returns {Promise<{ derivative: Object|null, privacy: { enabled: true, blurred, faceCount, fullBlur, hasImage } }>}
+ */
+async function createPrivateDerivative(image, { usage = null, onEvent = () => {} } = {}) {
+    if (!image?.buffer) {
+        // Nothing to blur: the result shows no photo rather than the original
+        return { derivative: null, privacy: { enabled: true, blurred: false, faceCount: 0, fullBlur: false, hasImage: false } };
+    }
+
+    let faces = null;
+    try {
+        faces = await detectFaces(image.buffer, { usage });
+    } catch (error) {
+        logger.warn('[privacyMode] Face detection failed, blurring the whole image:', error.message);
+    }
+
+    try {
+        const derivative = await blurFaces(image.buffer, faces || [], { fullBlur: faces === null });
+        onEvent('faces_blurred', { count: derivative.faceCount, fullBlur: faces === null });
+        return {
+            derivative,
+            privacy: {
+                enabled: true,
+                blurred: faces === null || derivative.faceCount > 0,
+                faceCount: derivative.faceCount,
+                fullBlur: faces === null,
+                hasImage: true,
+            },
+        };
+    } catch (error) {
+        logger.warn('[privacyMode] Could not create the blurred image:', error.message);
+        return { derivative: null, privacy: { enabled: true, blurred: false, faceCount: 0, fullBlur: false, hasImage: false } };
+    }
+}
+
+/**
+ * Store the derivative for a result (replaces the previous one on re-analysis)
+ * @returns {Promise<boolean>} false when it is too large or the write failed (see markPrivateImageMissing)
+ */
+async function storePrivateImage(resultId, userId, derivative) {
+    if (derivative.buffer.length > MAX_IMAGE_BYTES) {
+        logger.warn(`[privacyMode] Blurred image for result ${resultId} is too large to store (${derivative.buffer.length} bytes)`);
+        return false;
+    }
+    try {
+        await db.collection(IMAGES_COLLECTION).doc(resultId).set({
+            userId,
+            image: derivative.buffer,
+            mimeType: derivative.mimeType,
+            width: derivative.width,
+            height: derivative.height,
+            faceCount: derivative.faceCount,
+            createdAt: new Date(),
+        });
+        return true;
+    } catch (error) {
+        logger.warn(`[privacyMode] Failed to store blurred image for result ${resultId}:`, error.message);
+        return false;
+    }
+}
+
+/**
+ * @returns {Promise<{ userId, image: Buffer, mimeType }|null>}
+ */
+async function getPrivateImage(resultId) {
+    const doc = await db.collection(IMAGES_COLLECTION).doc(resultId).get();
+    return doc.exists ? doc.data() : null;
+}
+
+async function deletePrivateImage(resultId) {
+    try {
+        await db.collection(IMAGES_COLLECTION).doc(resultId).delete();
+    } catch (error) {
+        logger.warn(`[privacyMode] Failed to delete blurred image for result ${resultId}:`, error.message);
+    }
+}
+
+/**
+ * Record on a saved result that its blurred image could not be stored, so the result page shows no photo
+ * instead of requesting one that doesn't exist (a copy from an earlier version is dropped too)
+ * @returns {Promise<Object>} The result's privacy with hasImage: false
+ */
+async function markPrivateImageMissing(resultId, privacy) {
+    const updated = { ...privacy, hasImage: false };
+    await deletePrivateImage(resultId);
+    try {
+        await db.collection('results').doc(resultId).update({ privacy: updated });
+    } catch (error) {
+        logger.warn(`[privacyMode] Failed to update privacy of result ${resultId}:`, error.message);
+    }
+    return updated;
+}
+
+module.exports = {
+    isPrivacyModeEnabled,
+    blurFaces,
+    createPrivateDerivative,
+    storePrivateImage,
+    getPrivateImage,
+    deletePrivateImage,
+    markPrivateImageMissing,
+};
@@ -0,0 +1,78 @@
+// backend/services/promptStats.js
+// Per prompt version outcome stats (parse failures, repairs, user feedback) for comparing prompt variants
+require('../config/env')();
+
+const { firestore } = require('../utils/firestore');
+
+const db = firestore;
+
+function rate(count, total) {
+    return total > 0 ? Math.round((count / total) * 1000) / 1000 : null;
+}
+
+/**
+ * Group result docs by prompt version
+ * @param {Array<Object>} results - results doc data
+ * @returns {Array<Object>} One entry per prompt version, most used first
+ */
+function summarizeByPromptVersion(results) {
+    const byVersion = new Map();
+
+    for (const result of results) {
+        const version = result.promptVersion || result.geminiResult?.prompt_version || 'unknown';
+        if (!byVersion.has(version)) {
+            byVersion.set(version, {
+                promptVersion: version,
+                results: 0,
+                parseErrors: 0,
+                invalidOutputs: 0,
+                repaired: 0,
+                feedback: { rated: 0, correct: 0, partially_correct: 0, incorrect: 0 },
+                eraCorrections: 0,
+            });
+        }
+
+        const stats = byVersion.get(version);
+        const validation = result.geminiResult?.validation;
+        stats.results += 1;
+        if (result.geminiResult?.parse_error) stats.parseErrors += 1;
+        if (validation && !validation.valid) stats.invalidOutputs += 1;
+        if (validation?.repaired) stats.repaired += 1;
+
+        // Feedback only counts when it refers to the output of this prompt version
+        const feedback = result.feedback;
+        if (feedback && (feedback.original?.promptVersion || version) === version) {
+            if (feedback.rating && stats.feedback[feedback.rating] !== undefined) {
+                stats.feedback.rated += 1;
+                stats.feedback[feedback.rating] += 1;
+            }
+            if (feedback.correction?.era) stats.eraCorrections += 1;
+        }
+    }
+
+    return [...byVersion.values()]
+        .map(stats => ({
+            ...stats,
+            parseErrorRate: rate(stats.parseErrors, stats.results),
+            repairRate: rate(stats.repaired, stats.results),
+            correctRate: rate(stats.feedback.correct, stats.feedback.rated),
+        }))
+        .sort((a, b) => b.results - a.results);
+}
+
+/**
+ * Stats over the most recent results
+ * @param {Object} [options] - { limit }
+ */
+async function getPromptStats({ limit = 500 } = {}) {
+    const snap = await db.collection('results')
+        .orderBy('analyzedAt', 'desc')
+        .limit(limit)
+        .get();
+    return summarizeByPromptVersion(snap.docs.map(doc => doc.data()));
+}
+
+module.exports = {
+    summarizeByPromptVersion,
+    getPromptStats,
+};
@@ -0,0 +1,221 @@
+// backend/services/promptTemplates.js
+// Versioned prompt templates and prompt experiments
+// Templates ship in backend/prompts (index.json + one file per version) and can be added or overridden without
+// a deploy through the promptTemplates collection ({ name, version, template, variables, description }).
+// An experiment assigns users (or single requests) to template versions by percentage; it is read from
+// promptExperiments/{name} ({ variants: [{ version, percent }], assignment: 'user'|'request' }), falling back
+// to GEMINI_PROMPT_VARIANTS ("era-v4:90,era-v5:10") and GEMINI_PROMPT_ASSIGNMENT.
+require('../config/env')();
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { firestore } = require('../utils/firestore');
+
+const db = firestore;
+const PROMPTS_DIR = path.join(__dirname, '../prompts');
+const TEMPLATES_COLLECTION = 'promptTemplates';
+const EXPERIMENTS_COLLECTION = 'promptExperiments';
+
+// Firestore templates and experiments are re-read at most this often
+const REGISTRY_TTL_MS = 60 * 1000;
+
+const bundledManifest = require('../prompts/index.json');
+
+// name -> { registry, loadedAt }
+const registryCache = new Map();
+
+function loadBundledTemplates(name) {
+    const entry = bundledManifest[name];
+    if (!entry) {
+        throw new Error(`Unknown prompt "${name}"`);
+    }
+
+    const templates = {};
+    for (const [version, meta] of Object.entries(entry.templates)) {
+        templates[version] = {
+            version,
+            template: fs.readFileSync(path.join(PROMPTS_DIR, meta.file), 'utf8').trimEnd(),
+            variables: meta.variables || {},
+            description: meta.description || '',
+            source: 'bundled',
+        };
+    }
+    return { defaultVersion: entry.default, templates };
+}
+
+// "era-v4:90,era-v5:10" → [{ version, percent }]
+function parseVariantsEnv(value) {
+    return String(value || '')
+        .split(',')
+        .map(part => part.trim())
+        .filter(Boolean)
+        .map(part => {
+            const [version, percent] = part.split(':');
+            return { version: version.trim(), percent: parseFloat(percent) };
+        })
+        .filter(variant => variant.version && Number.isFinite(variant.percent) && variant.percent > 0);
+}
+
+function experimentFromEnv(name) {
+    const variants = parseVariantsEnv(process.env.GEMINI_PROMPT_VARIANTS);
+    if (variants.length === 0) return null;
+    return {
+        name,
+        variants,
+        assignment: process.env.GEMINI_PROMPT_ASSIGNMENT === 'request' ? 'request' : 'user',
+        source: 'env',
+    };
+}
+
+async function loadRegistry(name) {
+    const { defaultVersion, templates } = loadBundledTemplates(name);
+    let experiment = experimentFromEnv(name);
+
+    try {
+        const snap = await db.collection(TEMPLATES_COLLECTION).where('name', '==', name).get();
+        snap.docs.forEach(doc => {
+            const data = doc.data();
+            if (!data.version || typeof data.template !== 'string') return;
+            templates[data.version] = {
+                version: data.version,
+                template: data.template,
+                variables: data.variables || {},
+                description: data.description || '',
+                source: 'firestore',
+            };
+        });
+
+        const experimentDoc = await db.collection(EXPERIMENTS_COLLECTION).doc(name).get();
+        if (experimentDoc.exists && experimentDoc.data().enabled !== false) {
+            const data = experimentDoc.data();
+            experiment = {
+                name,
+                variants: (data.variants || []).filter(v => v.version && v.percent > 0),
+                assignment: data.assignment === 'request' ? 'request' : 'user',
+                source: 'firestore',
+            };
+        }
+    } catch (error) {
+        logger.warn(`[promptTemplates] Failed to load ${name} templates from Firestore, using bundled ones:`, error.message);
+    }
+
+    return { name, defaultVersion, templates, experiment };
+}
+
+/**
+ * Templates and experiment for a prompt (cached for REGISTRY_TTL_MS)
+ * @param {string} name - e.g. 'era'
+ * @returns {Promise<{ name, defaultVersion, templates: Object, experiment: Object|null }>}
+ */
+async function getPromptRegistry(name) {
+    const cached = registryCache.get(name);
+    if (cached && Date.now() - cached.loadedAt < REGISTRY_TTL_MS) {
+        return cached.registry;
+    }
+
+    const registry = await loadRegistry(name);
+    registryCache.set(name, { registry, loadedAt: Date.now() });
+    return registry;
+}
+
+/**
+ * Replace {{variable}} placeholders
+ * @throws {Error} when the template uses a variable without a value
+ */
+function renderTemplate(template, variables = {}) {
+    return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => {
+        if (variables[key] === undefined || variables[key] === null) {
+            throw new Error(`Prompt variable "${key}" has no value`);
+        }
+        return String(variables[key]);
+    });
+}
+
+// Stable bucket 0–99 for a key
+function bucketOf(experimentName, key) {
+    const hash = crypto.createHash('sha256').update(`${experimentName}:${key}`).digest();
+    return hash.readUInt32BE(0) % 100;
+}
+
+/**
+ * Pick the template version for a user or request
+ * Users keep their variant across requests ('user' assignment); buckets past the variant percentages
+ * get the default version.
+ * @returns {{ version: string, experiment: { name, variant, bucket, assignment }|null }}
+ */
+function assignVariant(registry, { userId = null } = {}) {
+    const { experiment, defaultVersion, templates } = registry;
+    if (!experiment || experiment.variants.length === 0) {
+        return { version: defaultVersion, experiment: null };
+    }
+
+    const key = experiment.assignment === 'user' && userId ? userId : crypto.randomUUID();
+    const bucket = bucketOf(experiment.name, key);
+
+    let upper = 0;
+    let version = defaultVersion;
+    for (const variant of experiment.variants) {
+        upper += variant.percent;
+        if (bucket < upper) {
+            version = variant.version;
+            break;
+        }
+    }
+
+    if (!templates[version]) {
+        logger.warn(`[promptTemplates] Experiment variant ${version} has no template, using ${defaultVersion}`);
+        version = defaultVersion;
+    }
+
+    return {
+        version,
+        experiment: {
+            name: experiment.name,
+            variant: version,
+            bucket,
+            assignment: experiment.assignment,
+        },
+    };
+}
+
+/**
+ * Rendered prompt for a user (or an explicit version)
+ * @param {string} name - e.g. 'era'
+ * @param {Object} [options] - { userId, version, variables } (variables override the template defaults)
+ * @returns {Promise<{ version: string, text: string, experiment: Object|null }>}
+ */
+async function getPrompt(name, { userId = null, version = null, variables = {} } = {}) {
+    const registry = await getPromptRegistry(name);
+
+    let assignment;
+    if (version && registry.templates[version]) {
+        assignment = { version, experiment: null };
+    } else {
+        if (version) {
+            logger.warn(`[promptTemplates] Unknown ${name} prompt version ${version}, assigning one`);
+        }
+        assignment = assignVariant(registry, { userId });
+    }
+
+    const template = registry.templates[assignment.version];
+    return {
+        version: assignment.version,
+        text: renderTemplate(template.template, { ...template.variables, ...variables }),
+        experiment: assignment.experiment,
+    };
+}
+
+// Tests and admin changes can force a reload
+function clearPromptCache() {
+    registryCache.clear();
+}
+
+module.exports = {
+    getPromptRegistry,
+    renderTemplate,
+    assignVariant,
+    getPrompt,
+    clearPromptCache,
+};
@@ -0,0 +1,187 @@
+// backend/services/resultCache.js
+// Analysis cache keyed by image hash, shared across picker sessions
+// Identical (or near-identical) images reuse the stored Vision features and Gemini output
+// instead of paying for another Vision + Gemini run. Exact (byte-identical) hits are shared across users;
+// near-duplicates only match the same user's entries, since a similar-looking photo of someone else
+// would hand over Vision text, web references and garment crops that describe a different image.
+require('../config/env')();
+
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { firestore } = require('../utils/firestore');
+const { getVisionProvider, getLlmProvider } = require('../providers');
+const { hammingDistance, hashBands } = require('../utils/imageHash');
+const { isWebDetectionEnabled } = require('../utils/webDetection');
+
+const db = firestore;
+const CACHE_COLLECTION = 'analysisCache';
+
+// Bump when feature extraction or result format changes, so older entries stop matching
+const CACHE_SCHEMA_VERSION = 9;
+
+function isCacheEnabled() {
+    return process.env.ANALYSIS_CACHE_ENABLED !== 'false';
+}
+
+function getTtlMs() {
+    const days = parseFloat(process.env.ANALYSIS_CACHE_TTL_DAYS || '30');
+    return days * 24 * 60 * 60 * 1000;
+}
+
+// Max dHash Hamming distance treated as the same picture
+function getMaxDistance() {
+    return parseInt(process.env.ANALYSIS_CACHE_MAX_DISTANCE || '5', 10);
+}
+
+/**
+ * Version key of the models that produced an entry; entries from other versions are ignored
+ * (entries without web detection don't serve analyses that request it, and the other way round)
+ */
+function getModelVersion() {
+    const web = isWebDetectionEnabled() ? '|web' : '';
+    return `${getVisionProvider().name}|${getLlmProvider().getModelName()}|v${CACHE_SCHEMA_VERSION}${web}`;
+}
+
+function toMillis(value) {
+    if (!value) return 0;
+    if (typeof value.toMillis === 'function') return value.toMillis();
+    return new Date(value).getTime();
+}
+
+// Gemini output is written for one output locale and set of search locales
+function localeKeyOf(locale) {
+    return locale ? `${locale.output}|${(locale.search || []).join(',')}` : null;
+}
+
+// ... and by one era prompt: the assigned template version (experiment variant) and its text, so each
+// variant keeps its own output and a Firestore template override stops matching the older entries
+function promptKeyOf(prompt) {
+    if (!prompt) return null;
+    const textHash = crypto.createHash('sha256').update(prompt.text || '').digest('hex').substring(0, 12);
+    return `${prompt.version}|${textHash}`;
+}
+
+function isUsable(entry, modelVersion, localeKey, promptKey) {
+    return entry
+        && entry.modelVersion === modelVersion
+        && (entry.localeKey || null) === localeKey
+        && (entry.promptKey || null) === promptKey
+        && toMillis(entry.expiresAt) > Date.now();
+}
+
+/**
+ * Find a cached analysis for image hashes
+ * Exact content hash first, then near-duplicates by perceptual hash.
+ * @param {Object} hashes - { sha256, dhash }
+ * @param {Object} [options] - { locale, prompt, userId } only entries made for the same locale setting and era
+ *   prompt (from getPrompt) match; near-duplicates only among the entries userId stored (none without userId)
+ * @returns {Promise<Object|null>} { visionFeatures, geminiResult, garments, match: 'exact'|'near', distance, key }
+ */
+async function findCachedAnalysis(hashes, { locale = null, prompt = null, userId = null } = {}) {
+    if (!isCacheEnabled() || !hashes?.sha256) {
+        return null;
+    }
+
+    const modelVersion = getModelVersion();
+    const localeKey = localeKeyOf(locale);
+    const promptKey = promptKeyOf(prompt);
+
+    // 1. Exact match
+    try {
+        const doc = await db.collection(CACHE_COLLECTION).doc(hashes.sha256).get();
+        if (doc.exists && isUsable(doc.data(), modelVersion, localeKey, promptKey)) {
+            logger.info(`[resultCache] Exact cache hit for ${hashes.sha256.substring(0, 12)}`);
+            const entry = doc.data();
+            return {
+                visionFeatures: entry.visionFeatures,
+                geminiResult: entry.geminiResult,
+                garments: entry.garments || [],
+                match: 'exact',
+                distance: 0,
+                key: doc.id,
+            };
+        }
+    } catch (error) {
+        logger.warn('[resultCache] Exact lookup failed:', error.message);
+    }
+
+    // 2. Near-duplicate match among the user's own entries (candidates share at least one hash band)
+    if (!hashes.dhash || !userId) {
+        return null;
+    }
+    try {
+        const snap = await db.collection(CACHE_COLLECTION)
+            .where('userId', '==', userId)
+            .where('phashBands', 'array-contains-any', hashBands(hashes.dhash))
+            .limit(20)
+            .get();
+
+        let best = null;
+        for (const doc of snap.docs) {
+            const entry = doc.data();
+            if (!isUsable(entry, modelVersion, localeKey, promptKey)) continue;
+
+            const distance = hammingDistance(hashes.dhash, entry.perceptualHash);
+            if (distance <= getMaxDistance() && (!best || distance < best.distance)) {
+                best = { doc, entry, distance };
+            }
+        }
+
+        if (best) {
+            logger.info(`[resultCache] Near-duplicate cache hit ${best.doc.id.substring(0, 12)} (distance ${best.distance})`);
+            return {
+                visionFeatures: best.entry.visionFeatures,
+                geminiResult: best.entry.geminiResult,
+                garments: best.entry.garments || [],
+                match: 'near',
+                distance: best.distance,
+                key: best.doc.id,
+            };
+        }
+    } catch (error) {
+        logger.warn('[resultCache] Near-duplicate lookup failed:', error.message);
+    }
+
+    return null;
+}
+
+/**
+ * Store Vision features and Gemini output (whole outfit and per garment) for image hashes
+ * prompt: the era prompt Gemini was given (getPrompt), userId: whose photo it was (near-duplicate lookups are limited to it)
+ * Failures are logged and ignored (the cache is an optimization only).
+ */
+async function storeCachedAnalysis(hashes, { visionFeatures, geminiResult, garments = [], locale = null, prompt = null, userId = null }) {
+    if (!isCacheEnabled() || !hashes?.sha256) {
+        return;
+    }
+
+    const now = new Date();
+    const entry = {
+        contentHash: hashes.sha256,
+        userId,
+        perceptualHash: hashes.dhash || null,
+        phashBands: hashes.dhash ? hashBands(hashes.dhash) : [],
+        modelVersion: getModelVersion(),
+        localeKey: localeKeyOf(locale),
+        promptKey: promptKeyOf(prompt),
+        visionFeatures,
+        geminiResult,
+        garments,
+        createdAt: now,
+        expiresAt: new Date(now.getTime() + getTtlMs()),
+    };
+
+    try {
+        await db.collection(CACHE_COLLECTION).doc(hashes.sha256).set(entry);
+        logger.info(`[resultCache] Stored cache entry ${hashes.sha256.substring(0, 12)}`);
+    } catch (error) {
+        logger.warn('[resultCache] Failed to store cache entry:', error.message);
+    }
+}
+
+module.exports = {
+    CACHE_SCHEMA_VERSION,
+    getModelVersion,
+    findCachedAnalysis,
+    storeCachedAnalysis,
+};
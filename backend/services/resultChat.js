@@ -0,0 +1,196 @@
+// backend/services/resultChat.js
+// Follow-up questions about an analysis result
+// Each answer is grounded in the stored result (era output, garments, Vision features) and the photo itself.
+// The thread is kept on the results doc as `chat` ([{ role: 'user'|'assistant', text, version, createdAt }]),
+// so it survives reloads and re-analysis (each message records the result version it was asked about).
+require('../config/env')();
+
+const logger = require('../utils/logger');
+const { firestore } = require('../utils/firestore');
+const { getLlmProvider } = require('../providers');
+const { getPrompt } = require('./promptTemplates');
+const { downloadImage } = require('./analysisPipeline');
+const { preprocessImage } = require('../utils/imagePreprocess');
+const { promptLocaleVariables } = require('../utils/locales');
+const { createUsageRecorder, recordUsage, releaseQuota } = require('./usageAccounting');
+const { describeYearRange } = require('../utils/labelDating');
+
+const db = firestore;
+
+const MAX_QUESTION_LENGTH = 500;
+// Messages kept on the results doc (oldest dropped first)
+const MAX_THREAD_MESSAGES = 40;
+// Earlier messages sent with each question
+const HISTORY_MESSAGES = 10;
+
+function badRequest(message) {
+    const err = new Error(message);
+    err.status = 400;
+    return err;
+}
+
+/**
+ * Validate a question request body
+ * @param {Object} body - { question }
+ * @returns {string} Trimmed question
+ * @throws {Error} with status 400
+ */
+function parseQuestion(body = {}) {
+    const { question } = body;
+    if (typeof question !== 'string' || !question.trim()) {
+        throw badRequest('question is required');
+    }
+    if (question.length > MAX_QUESTION_LENGTH) {
+        throw badRequest(`question must be at most ${MAX_QUESTION_LENGTH} characters`);
+    }
+    return question.trim();
+}
+
+// The parts of a result the model needs to answer (no ids, hashes or bookkeeping)
+function resultContext(result) {
+    const gemini = result.geminiResult || {};
+    const vision = result.visionFeatures || {};
+    return {
+        era_primary: gemini.era_primary || null,
+        top3_candidates: gemini.top3_candidates || [],
+        style_tags: gemini.style_tags || [],
+        rationale: gemini.rationale || '',
+        shopping_tips: gemini.shopping_tips || [],
+        garments: (result.garments || []).map(g => ({
+            name: g.name,
+            era: g.era,
+            style: g.style,
+            discriminator: g.discriminator,
+        })),
+        vision_features: {
+            labels: vision.labels || [],
+            objects: vision.objects || [],
+            clothing_keywords: (vision.clothing_keywords || []).map(k =>
+                typeof k === 'string' ? k : `${k.term} (${k.category})`
+            ),
+            colors: (vision.color_analysis?.palette || []).map(c => c.name),
+            ocr_excerpt: vision.ocr_excerpt || '',
+            label_findings: (vision.label_evidence?.findings || []).map(f => `${f.text}: ${describeYearRange(f)}`),
+        },
+    };
+}
+
+function formatHistory(thread) {
+    return thread
+        .slice(-HISTORY_MESSAGES)
+        .map(message => `${message.role === 'user' ? 'User' : 'Expert'}: ${message.text}`)
+        .join('\n');
+}
+
+/**
+ * Prompt parts for a question: instructions, the result, the conversation so far, the question and the photo
+ * @param {Object} params - { promptText, result, thread, question, image }
+ * @returns {Array<Object>} Gemini content parts
+ */
+function buildChatParts({ promptText, result, thread = [], question, image = null }) {
+    const parts = [
+        { text: promptText },
+        { text: '### Analysis (JSON):\n' + JSON.stringify(resultContext(result), null, 2) },
+    ];
+    if (thread.length > 0) {
+        parts.push({ text: '### Conversation so far:\n' + formatHistory(thread) });
+    }
+    parts.push({ text: '### Question:\n' + question });
+    if (image?.buffer) {
+        parts.push({
+            inlineData: {
+                mimeType: image.mimeType || 'image/jpeg',
+                data: image.buffer.toString('base64'),
+            },
+        });
+    }
+    return parts;
+}
+
+/**
+ * Answer a question about a result and append both messages to its thread
+ * @param {string} resultId
+ * @param {Object} result - Results doc data (already loaded and access-checked by the caller)
+ * @param {string} question - From parseQuestion
+ * @param {Object} [options] - { accessToken } for Google Photos images,
+ *   { quotaReservation } when the route reserved the question with assertWithinQuota({ reserve: true })
+ * @returns {Promise<{ answer: Object, chat: Array<Object> }>}
+ */
+async function askAboutResult(resultId, result, question, { accessToken = null, quotaReservation = null } = {}) {
+    let usageRecorded = false;
+    try {
+        const llm = getLlmProvider();
+        if (!llm.isConfigured()) {
+            const err = new Error('Follow-up questions are not available (no LLM configured)');
+            err.status = 503;
+            throw err;
+        }
+
+        const prompt = await getPrompt('chat', {
+            userId: result.userId,
+            variables: { output_language: promptLocaleVariables(result.locale).output_language },
+        });
+
+        // The photo is optional: Google Photos base URLs expire, the stored analysis still grounds the answer
+        const imageUrl = result.baseUrl || result.imageUrl;
+        const downloaded = imageUrl ? await downloadImage(imageUrl, { accessToken }) : null;
+        if (!downloaded) {
+            logger.warn(`[resultChat] Answering without the photo for result ${resultId}`);
+        }
+        // Same preprocessing as the analysis, so the model sees the photo it dated
+        const image = downloaded ? await preprocessImage(downloaded) : null;
+
+        const usage = createUsageRecorder();
+        usage.addImageBytes(downloaded?.buffer.length);
+
+        const thread = Array.isArray(result.chat) ? result.chat : [];
+        const parts = buildChatParts({ promptText: prompt.text, result, thread, question, image });
+        const response = await llm.generate(parts);
+        usage.addLlmCall(response, parts);
+        await recordUsage(result.userId, usage.summary(), { kind: 'question', reservation: quotaReservation });
+        usageRecorded = true;
+        const text = String(response.text || '').trim();
+        if (!text) {
+            throw new Error('Empty answer from model');
+        }
+
+        const now = new Date();
+        const version = result.version || 1;
+        const answer = {
+            role: 'assistant',
+            text,
+            version,
+            modelName: response.model || llm.getModelName(),
+            promptVersion: prompt.version,
+            imageIncluded: !!image,
+            createdAt: now,
+        };
+        const chat = [...thread, { role: 'user', text: question, version, createdAt: now }, answer]
+            .slice(-MAX_THREAD_MESSAGES);
+
+        await db.collection('results').doc(resultId).update({ chat });
+        logger.info(`[resultChat] Answered question on result ${resultId} (${chat.length} messages in thread)`);
+        return { answer, chat };
+    } catch (error) {
+        // A question that never reached the model gives back the quota reserved for it
+        if (quotaReservation && !usageRecorded) {
+            await releaseQuota(result.userId, quotaReservation);
+        }
+        throw error;
+    }
+}
+
+/**
+ * Remove the conversation from a result
+ */
+async function clearChat(resultId) {
+    await db.collection('results').doc(resultId).update({ chat: [] });
+}
+
+module.exports = {
+    MAX_QUESTION_LENGTH,
+    parseQuestion,
+    buildChatParts,
+    askAboutResult,
+    clearChat,
+};
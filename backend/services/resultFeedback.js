@@ -0,0 +1,205 @@
+// backend/services/resultFeedback.js
+// User feedback on analysis results: a rating, era / style tag corrections and a note
+// The feedback is stored on the results doc (for display) and mirrored to the analysisFeedback collection
+// (one doc per result) for the admin export. The model output is never overwritten: each feedback keeps a
+// copy of the output it refers to, so corrections stay comparable after a re-analysis.
+require('../config/env')();
+
+const logger = require('../utils/logger');
+const { firestore } = require('../utils/firestore');
+const { normalizeEra } = require('../utils/eras');
+
+const db = firestore;
+const FEEDBACK_COLLECTION = 'analysisFeedback';
+
+const RATINGS = ['correct', 'partially_correct', 'incorrect'];
+const MAX_NOTE_LENGTH = 1000;
+const MAX_STYLE_TAGS = 10;
+const MAX_STYLE_TAG_LENGTH = 50;
+
+function badRequest(message) {
+    const err = new Error(message);
+    err.status = 400;
+    return err;
+}
+
+/**
+ * Validate and clean a feedback request body
+ * @param {Object} body - { rating?, era?, styleTags?, note? }
+ * @returns {{ rating: string|null, era: string|null, styleTags: string[]|null, note: string|null }}
+ * @throws {Error} with status 400
+ */
+function parseFeedback(body = {}) {
+    const { rating, era, styleTags, note } = body;
+
+    if (rating !== undefined && rating !== null && !RATINGS.includes(rating)) {
+        throw badRequest(`rating must be one of ${RATINGS.join(', ')}`);
+    }
+
+    let correctedEra = null;
+    if (era !== undefined && era !== null && era !== '') {
+        if (typeof era !== 'string' || normalizeEra(era).startYear === null) {
+            throw badRequest(`Unrecognized era "${era}"`);
+        }
+        correctedEra = era.trim();
+    }
+
+    let correctedTags = null;
+    if (styleTags !== undefined && styleTags !== null) {
+        if (!Array.isArray(styleTags) || styleTags.some(tag => typeof tag !== 'string')) {
+            throw badRequest('styleTags must be an array of strings');
+        }
+        correctedTags = [...new Set(styleTags.map(tag => tag.trim()).filter(Boolean))];
+        if (correctedTags.length > MAX_STYLE_TAGS || correctedTags.some(tag => tag.length > MAX_STYLE_TAG_LENGTH)) {
+            throw badRequest(`styleTags allows at most ${MAX_STYLE_TAGS} tags of ${MAX_STYLE_TAG_LENGTH} characters`);
+        }
+    }
+
+    let cleanNote = null;
+    if (note !== undefined && note !== null && note !== '') {
+        if (typeof note !== 'string' || note.length > MAX_NOTE_LENGTH) {
+            throw badRequest(`note must be a string of at most ${MAX_NOTE_LENGTH} characters`);
+        }
+        cleanNote = note.trim();
+    }
+
+    if (!rating && !correctedEra && !correctedTags && !cleanNote) {
+        throw badRequest('Provide a rating, a corrected era, style tags or a note');
+    }
+
+    return { rating: rating || null, era: correctedEra, styleTags: correctedTags, note: cleanNote };
+}
+
+// The model output the feedback refers to
+function originalOutputOf(result) {
+    return {
+        era_primary: result.geminiResult?.era_primary || null,
+        era: result.era || normalizeEra(result.geminiResult?.era_primary),
+        style_tags: result.geminiResult?.style_tags || [],
+        version: result.version || 1,
+        modelName: result.modelName || result.geminiResult?.model_used || null,
+        promptVersion: result.promptVersion || null,
+    };
+}
+
+/**
+ * Save (replace) the user's feedback on a result
+ * @param {string} resultId
+ * @param {Object} result - Results doc data (already loaded and access-checked by the caller)
+ * @param {Object} input - From parseFeedback
+ * @returns {Promise<Object>} Stored feedback
+ */
+async function saveFeedback(resultId, result, input) {
+    const now = new Date();
+    const feedback = {
+        rating: input.rating,
+        correction: {
+            era: input.era,
+            canonicalEra: input.era ? normalizeEra(input.era) : null,
+            styleTags: input.styleTags,
+        },
+        note: input.note,
+        original: originalOutputOf(result),
+        createdAt: result.feedback?.createdAt || now,
+        updatedAt: now,
+    };
+
+    await db.collection('results').doc(resultId).update({ feedback });
+    try {
+        await db.collection(FEEDBACK_COLLECTION).doc(resultId).set({
+            resultId,
+            userId: result.userId,
+            photoId: result.photoId || null,
+            ...feedback,
+        });
+    } catch (error) {
+        // The results doc holds the feedback, the export copy can be rebuilt from it
+        logger.warn(`[resultFeedback] Failed to store export copy for ${resultId}:`, error.message);
+    }
+
+    logger.info(`[resultFeedback] Saved feedback for result ${resultId} (rating=${feedback.rating || 'none'})`);
+    return feedback;
+}
+
+/**
+ * Delete the export copy of a result's feedback (also used when the result itself is deleted)
+ */
+async function deleteFeedbackCopy(resultId) {
+    try {
+        await db.collection(FEEDBACK_COLLECTION).doc(resultId).delete();
+    } catch (error) {
+        logger.warn(`[resultFeedback] Failed to delete export copy for ${resultId}:`, error.message);
+    }
+}
+
+/**
+ * Remove the user's feedback from a result
+ */
+async function deleteFeedback(resultId) {
+    await db.collection('results').doc(resultId).update({ feedback: null });
+    await deleteFeedbackCopy(resultId);
+}
+
+/**
+ * All feedback entries, newest first (admin export)
+ * @param {Object} [options] - { since: Date, limit: number }
+ * @returns {Promise<Array<Object>>}
+ */
+async function listFeedback({ since = null, limit = 1000 } = {}) {
+    let query = db.collection(FEEDBACK_COLLECTION);
+    if (since) {
+        query = query.where('updatedAt', '>=', since);
+    }
+    const snap = await query.orderBy('updatedAt', 'desc').limit(limit).get();
+    return snap.docs.map(doc => doc.data());
+}
+
+function toDate(value) {
+    if (!value) return null;
+    if (typeof value.toDate === 'function') return value.toDate();
+    return new Date(value);
+}
+
+// Notes and tags are user input: spreadsheets run cells starting with = + - @ (or tab / CR) as formulas,
+// so those are prefixed with ' to be read as text
+function csvCell(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const CSV_COLUMNS = [
+    ['resultId', f => f.resultId],
+    ['userId', f => f.userId],
+    ['rating', f => f.rating],
+    ['originalEra', f => f.original?.era_primary],
+    ['correctedEra', f => f.correction?.era],
+    ['eraMatches', f => (f.correction?.era ? f.correction.canonicalEra?.decade === f.original?.era?.decade : '')],
+    ['originalStyleTags', f => (f.original?.style_tags || []).join('; ')],
+    ['correctedStyleTags', f => (f.correction?.styleTags || []).join('; ')],
+    ['note', f => f.note],
+    ['version', f => f.original?.version],
+    ['modelName', f => f.original?.modelName],
+    ['promptVersion', f => f.original?.promptVersion],
+    ['updatedAt', f => toDate(f.updatedAt)?.toISOString()],
+];
+
+/**
+ * Feedback entries as CSV, one row per result
+ */
+function feedbackToCsv(entries) {
+    const rows = entries.map(entry => CSV_COLUMNS.map(([, pick]) => csvCell(pick(entry))).join(','));
+    return [CSV_COLUMNS.map(([name]) => name).join(','), ...rows].join('\n') + '\n';
+}
+
+module.exports = {
+    RATINGS,
+    parseFeedback,
+    saveFeedback,
+    deleteFeedback,
+    deleteFeedbackCopy,
+    listFeedback,
+    feedbackToCsv,
+};
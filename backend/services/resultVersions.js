@@ -0,0 +1,177 @@
+// backend/services/resultVersions.js
+// Versioned analysis results
+// The results doc always holds the latest version (so resultId links and /check keep working);
+// older versions are archived in the results/{resultId}/versions subcollection.
+require('../config/env')();
+
+const logger = require('../utils/logger');
+const { firestore } = require('../utils/firestore');
+
+const db = firestore;
+const VERSIONS_SUBCOLLECTION = 'versions';
+
+// Fields copied into an archived version (identity fields stay on the results doc)
+const VERSIONED_FIELDS = [
+    'visionFeatures',
+    'geminiResult',
+    'era',
+    'eraCandidates',
+    'eraDistribution',
+    'confidence',
+    'labelDating',
+    'garments',
+    'imageHash',
+    'preprocessing',
+    'moderation',
+    'cache',
+    'modelName',
+    'visionProvider',
+    'promptVersion',
+    'promptExperiment',
+    'locale',
+    'usage',
+    'analyzedAt',
+];
+
+function pickVersionFields(data) {
+    const snapshot = {};
+    for (const field of VERSIONED_FIELDS) {
+        if (data[field] !== undefined) {
+            snapshot[field] = data[field];
+        }
+    }
+    return snapshot;
+}
+
+// Results saved before versioning have no version number: they are version 1
+function currentVersionOf(data) {
+    return data.version || 1;
+}
+
+// Short description of a version for lists
+function summarizeVersion(version, data) {
+    return {
+        version,
+        modelName: data.modelName || data.geminiResult?.model_used || null,
+        visionProvider: data.visionProvider || null,
+        promptVersion: data.promptVersion || null,
+        analyzedAt: data.analyzedAt || null,
+        era_primary: data.geminiResult?.era_primary || null,
+        eraLabel: data.era?.label || null,
+    };
+}
+
+/**
+ * Save a re-analysis as the new version of an existing result
+ * The current results doc content is archived first, in the same transaction.
+ * @param {string} resultId
+ * @param {Object} resultData - Fresh analysis (same shape as a new result)
+ * @returns {Promise<number>} New version number
+ */
+async function saveResultVersion(resultId, resultData) {
+    const resultRef = db.collection('results').doc(resultId);
+
+    const version = await db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(resultRef);
+        if (!doc.exists) {
+            throw new Error(`Result ${resultId} not found`);
+        }
+
+        const current = doc.data();
+        const currentVersion = currentVersionOf(current);
+        const nextVersion = currentVersion + 1;
+
+        transaction.set(
+            resultRef.collection(VERSIONS_SUBCOLLECTION).doc(String(currentVersion)),
+            { version: currentVersion, ...pickVersionFields(current) }
+        );
+        transaction.set(resultRef, {
+            ...current,
+            ...resultData,
+            // Keep the original identity of the result
+            userId: current.userId,
+            photoId: current.photoId,
+            version: nextVersion,
+        });
+
+        return nextVersion;
+    });
+
+    logger.info(`[resultVersions] Saved version ${version} of result ${resultId}`);
+    return version;
+}
+
+/**
+ * List all versions of a result, newest first
+ * @param {string} resultId
+ * @param {Object} current - Data of the results doc (already loaded by the caller)
+ * @returns {Promise<Array<Object>>}
+ */
+async function listResultVersions(resultId, current) {
+    const versions = [{ ...summarizeVersion(currentVersionOf(current), current), current: true }];
+
+    try {
+        const snap = await db.collection('results').doc(resultId)
+            .collection(VERSIONS_SUBCOLLECTION)
+            .get();
+        snap.docs.forEach(doc => {
+            const data = doc.data();
+            versions.push({ ...summarizeVersion(data.version, data), current: false });
+        });
+    } catch (error) {
+        logger.warn(`[resultVersions] Failed to list versions of ${resultId}:`, error.message);
+    }
+
+    return versions.sort((a, b) => b.version - a.version);
+}
+
+/**
+ * Get one version of a result, shaped like the result itself
+ * @returns {Promise<Object|null>}
+ */
+async function getResultVersion(resultId, current, version) {
+    if (version === currentVersionOf(current)) {
+        return { ...current, version };
+    }
+
+    const doc = await db.collection('results').doc(resultId)
+        .collection(VERSIONS_SUBCOLLECTION)
+        .doc(String(version))
+        .get();
+    if (!doc.exists) {
+        return null;
+    }
+
+    // Identity fields (and the conversation and privacy state of the displayed photo, which span versions)
+    // come from the results doc
+    return {
+        userId: current.userId,
+        photoId: current.photoId,
+        docId: current.docId,
+        imageUrl: current.imageUrl,
+        baseUrl: current.baseUrl,
+        status: current.status,
+        chat: current.chat || [],
+        privacy: current.privacy || null,
+        ...doc.data(),
+        latestVersion: currentVersionOf(current),
+    };
+}
+
+/**
+ * Delete archived versions of a result (used when the result is deleted)
+ */
+async function deleteResultVersions(resultId) {
+    const snap = await db.collection('results').doc(resultId)
+        .collection(VERSIONS_SUBCOLLECTION)
+        .get();
+    await Promise.all(snap.docs.map(doc => doc.ref.delete()));
+    return snap.size;
+}
+
+module.exports = {
+    saveResultVersion,
+    listResultVersions,
+    getResultVersion,
+    deleteResultVersions,
+};
@@ -0,0 +1,371 @@
+// backend/services/usageAccounting.js
+// Per-analysis usage and per-user quotas
+// Each analysis records what it cost (Vision features, Gemini calls and tokens, image bytes) on the results doc
+// as `usage`. The same numbers are added to per-user counters in usageCounters, one doc per user and day
+// (`${userId}_day_2026-10-19`) and per user and month (`${userId}_month_2026-10`), UTC periods.
+// Quotas come from USAGE_QUOTA_* (0 = unlimited). Cached analyses cost no AI calls and do not count as analyses.
+// Jobs and questions reserve their analysis / question on the counters when they start, in the same transaction as
+// the quota check (assertWithinQuota with reserve), so concurrent requests can't all pass a check for the last one.
+require('../config/env')();
+
+const logger = require('../utils/logger');
+const { firestore, FieldValue } = require('../utils/firestore');
+
+const db = firestore;
+const COUNTERS_COLLECTION = 'usageCounters';
+
+// Counter fields on each usageCounters doc
+const COUNTER_FIELDS = ['analyses', 'cachedAnalyses', 'blockedAnalyses', 'questions', 'visionUnits', 'geminiCalls', 'inputTokens', 'outputTokens', 'imageBytes'];
+
+// Quota metrics per period: metric -> env variable
+const QUOTA_ENV = {
+    daily: {
+        analyses: 'USAGE_QUOTA_DAILY_ANALYSES',
+        questions: 'USAGE_QUOTA_DAILY_QUESTIONS',
+        tokens: 'USAGE_QUOTA_DAILY_TOKENS',
+    },
+    monthly: {
+        analyses: 'USAGE_QUOTA_MONTHLY_ANALYSES',
+        questions: 'USAGE_QUOTA_MONTHLY_QUESTIONS',
+        tokens: 'USAGE_QUOTA_MONTHLY_TOKENS',
+    },
+};
+
+const QUOTA_DEFAULTS = {
+    daily: { analyses: 50, questions: 100, tokens: 0 },
+    monthly: { analyses: 500, questions: 1000, tokens: 0 },
+};
+
+const METRIC_LABELS = {
+    analyses: 'analysis',
+    questions: 'question',
+    tokens: 'token',
+};
+
+// Gemini bills an inline image at a fixed token count; used when the response has no usageMetadata
+const ESTIMATED_IMAGE_TOKENS = 258;
+const CHARS_PER_TOKEN = 4;
+
+function envInt(name, fallback) {
+    const value = parseInt(process.env[name], 10);
+    return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+/**
+ * Configured limits ({ daily: { analyses, questions, tokens }, monthly: {...} }, 0 = unlimited)
+ */
+function getQuotaLimits() {
+    const limits = {};
+    for (const [period, metrics] of Object.entries(QUOTA_ENV)) {
+        limits[period] = {};
+        for (const [metric, envName] of Object.entries(metrics)) {
+            limits[period][metric] = envInt(envName, QUOTA_DEFAULTS[period][metric]);
+        }
+    }
+    return limits;
+}
+
+/**
+ * Period keys and reset times for a date (UTC)
+ * @returns {{ daily: { key, resetsAt: Date }, monthly: { key, resetsAt: Date } }}
+ */
+function periodsOf(date = new Date()) {
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth();
+    const day = date.getUTCDate();
+    const pad = value => String(value).padStart(2, '0');
+    return {
+        daily: {
+            key: `day_${year}-${pad(month + 1)}-${pad(day)}`,
+            resetsAt: new Date(Date.UTC(year, month, day + 1)),
+        },
+        monthly: {
+            key: `month_${year}-${pad(month + 1)}`,
+            resetsAt: new Date(Date.UTC(year, month + 1, 1)),
+        },
+    };
+}
+
+function counterDocId(userId, periodKey) {
+    return `${userId}_${periodKey}`;
+}
+
+function estimateTokens(parts = []) {
+    let chars = 0;
+    let images = 0;
+    for (const part of parts) {
+        if (typeof part.text === 'string') chars += part.text.length;
+        if (part.inlineData) images += 1;
+    }
+    return Math.ceil(chars / CHARS_PER_TOKEN) + images * ESTIMATED_IMAGE_TOKENS;
+}
+
+/**
+ * Collects the usage of one analysis (or one follow-up question) while it runs
+ * @returns {{ addVision(features), addLlmCall(response, parts), addImageBytes(bytes), summary() }}
+ */
+function createUsageRecorder() {
+    const usage = {
+        visionFeatures: [],
+        visionUnits: 0,
+        geminiModel: null,
+        geminiCalls: 0,
+        inputTokens: 0,
+        outputTokens: 0,
+        estimatedTokens: false,
+        imageBytes: 0,
+    };
+
+    return {
+        // Vision bills per feature and image
+        addVision(features = []) {
+            for (const feature of features) {
+                if (!usage.visionFeatures.includes(feature.type)) usage.visionFeatures.push(feature.type);
+            }
+            usage.visionUnits += features.length;
+        },
+
+        // Providers without usageMetadata (stub, older responses) get a chars/4 estimate
+        addLlmCall(response, parts = []) {
+            usage.geminiCalls += 1;
+            usage.geminiModel = response?.model || usage.geminiModel;
+            if (response?.usage) {
+                usage.inputTokens += response.usage.inputTokens || 0;
+                usage.outputTokens += response.usage.outputTokens || 0;
+            } else {
+                usage.inputTokens += estimateTokens(parts);
+                usage.outputTokens += Math.ceil(String(response?.text || '').length / CHARS_PER_TOKEN);
+                usage.estimatedTokens = true;
+            }
+        },
+
+        addImageBytes(bytes) {
+            usage.imageBytes += bytes || 0;
+        },
+
+        summary() {
+            return {
+                ...usage,
+                visionFeatures: [...usage.visionFeatures],
+                totalTokens: usage.inputTokens + usage.outputTokens,
+            };
+        },
+    };
+}
+
+/**
+ * Counter increments for a usage summary
+ * @param {Object} usage - From createUsageRecorder().summary()
+ * @param {Object} [options] - { kind: 'analysis'|'question'|'blocked', cached, reserved }
+ *   reserved: the analysis / question was already counted when its quota was reserved
+ */
+function counterIncrements(usage, { kind = 'analysis', cached = false, reserved = false } = {}) {
+    const increments = {
+        visionUnits: usage.visionUnits || 0,
+        geminiCalls: usage.geminiCalls || 0,
+        inputTokens: usage.inputTokens || 0,
+        outputTokens: usage.outputTokens || 0,
+        imageBytes: usage.imageBytes || 0,
+    };
+    if (kind === 'question') {
+        if (!reserved) increments.questions = 1;
+    } else if (kind === 'blocked') {
+        // Stopped by moderation: the SafeSearch call is counted, not the analysis
+        // (a reserved analysis is released by the job that failed)
+        increments.blockedAnalyses = 1;
+    } else if (cached) {
+        increments.cachedAnalyses = 1;
+        // The reserved analysis turned out to cost no AI calls
+        if (reserved) increments.analyses = -1;
+    } else if (!reserved) {
+        increments.analyses = 1;
+    }
+    return increments;
+}
+
+// Keys of the current day and month: { daily, monthly }
+function currentPeriodKeys() {
+    const { daily, monthly } = periodsOf();
+    return { daily: daily.key, monthly: monthly.key };
+}
+
+// Add increments to the user's daily and monthly counters (logged on failure)
+// periodKeys: { daily, monthly } of the counters to change, the current ones by default
+async function addToCounters(userId, increments, periodKeys = currentPeriodKeys()) {
+    try {
+        const batch = db.batch();
+        for (const [period, key] of Object.entries(periodKeys)) {
+            const update = { userId, period, periodKey: key, updatedAt: new Date() };
+            for (const [field, value] of Object.entries(increments)) {
+                if (value) update[field] = FieldValue.increment(value);
+            }
+            batch.set(db.collection(COUNTERS_COLLECTION).doc(counterDocId(userId, key)), update, { merge: true });
+        }
+        await batch.commit();
+    } catch (error) {
+        logger.warn(`[usageAccounting] Failed to record usage for user ${userId}:`, error.message);
+    }
+}
+
+/**
+ * Add a usage summary to the user's daily and monthly counters
+ * Failures are logged: accounting never fails an analysis.
+ * @param {Object} [options] - { kind, cached, reservation } (see counterIncrements)
+ *   reservation: returned by assertWithinQuota({ reserve: true }) when the analysis / question was reserved;
+ *   its adjustment goes to the day and month it was reserved in, even after midnight
+ */
+async function recordUsage(userId, usage, { reservation = null, ...options } = {}) {
+    if (!userId || !usage) return;
+    const increments = counterIncrements(usage, { ...options, reserved: !!reservation });
+    if (reservation && increments.analyses) {
+        await addToCounters(userId, { analyses: increments.analyses }, reservation.periodKeys);
+        delete increments.analyses;
+    }
+    await addToCounters(userId, increments);
+}
+
+/**
+ * Give back a reservation made by assertWithinQuota for a job or question that failed
+ * @param {Object} reservation - { analyses, questions, periodKeys } as returned by assertWithinQuota
+ *   (the current day and month without periodKeys)
+ */
+async function releaseQuota(userId, { analyses = 0, questions = 0, periodKeys } = {}) {
+    if (!userId) return;
+    await addToCounters(userId, { analyses: -analyses, questions: -questions }, periodKeys);
+}
+
+function usedOf(data = {}) {
+    const used = {};
+    for (const field of COUNTER_FIELDS) {
+        used[field] = data[field] || 0;
+    }
+    used.tokens = used.inputTokens + used.outputTokens;
+    return used;
+}
+
+/**
+ * Counters, limits and remaining quota of a user for the current day and month
+ * @returns {Promise<{ daily: Object, monthly: Object }>} Each { periodKey, resetsAt, used, limits, remaining }
+ *   (remaining is null for unlimited metrics)
+ */
+async function getUsageStatus(userId) {
+    return readUsageStatus(userId, ref => ref.get());
+}
+
+// Usage status from the counter docs, read with read(ref) (ref.get() or a transaction's get)
+async function readUsageStatus(userId, read) {
+    const limits = getQuotaLimits();
+    const periods = periodsOf();
+    const status = {};
+
+    for (const [period, { key, resetsAt }] of Object.entries(periods)) {
+        const doc = await read(db.collection(COUNTERS_COLLECTION).doc(counterDocId(userId, key)));
+        const used = usedOf(doc.exists ? doc.data() : {});
+        const remaining = {};
+        for (const [metric, limit] of Object.entries(limits[period])) {
+            remaining[metric] = limit > 0 ? Math.max(0, limit - used[metric]) : null;
+        }
+        status[period] = { periodKey: key, resetsAt: resetsAt.toISOString(), used, limits: limits[period], remaining };
+    }
+    return status;
+}
+
+function quotaExceededError(period, metric, { limit, used, resetsAt }) {
+    const label = `${period === 'daily' ? 'Daily' : 'Monthly'} ${METRIC_LABELS[metric]} quota`;
+    const err = new Error(`${label} reached (${used} of ${limit} used). It resets at ${resetsAt}.`);
+    err.status = 429;
+    err.code = 'QUOTA_EXCEEDED';
+    err.quota = { period, metric, limit, used, resetsAt };
+    return err;
+}
+
+// Throw QUOTA_EXCEEDED when the requested amounts don't fit in the status
+function checkQuota(status, requested) {
+    for (const period of ['daily', 'monthly']) {
+        const { used, limits, resetsAt } = status[period];
+        for (const [metric, limit] of Object.entries(limits)) {
+            if (limit <= 0) continue;
+            const exceeded = requested[metric] > 0
+                ? used[metric] + requested[metric] > limit
+                : metric === 'tokens' && used.tokens >= limit;
+            if (exceeded) {
+                throw quotaExceededError(period, metric, { limit, used: used[metric], resetsAt });
+            }
+        }
+    }
+}
+
+/**
+ * Throw when a request would exceed one of the user's quotas
+ * Token quotas are checked before the call (its token count is not known yet): they block once reached.
+ * Counters that cannot be read do not block anyone.
+ * With reserve, the requested analyses / questions are added to the counters in the same transaction as the
+ * check, and the status gets a reservation: { analyses, questions, periodKeys: { daily, monthly } }. The caller
+ * then records its usage with { reservation }, or passes it to releaseQuota if it fails.
+ * Without it the check only reads (early 429 before a job is queued).
+ * @param {string} userId
+ * @param {Object} [request] - { analyses, questions } the request is about to use
+ * @param {Object} [options] - { reserve }
+ * @returns {Promise<Object|null>} Usage status before the request (see getUsageStatus), null when the counters
+ *   could not be read (nothing is reserved then)
+ * @throws {Error} with status 429 and code QUOTA_EXCEEDED ({ quota: { period, metric, limit, used, resetsAt } })
+ */
+async function assertWithinQuota(userId, { analyses = 0, questions = 0 } = {}, { reserve = false } = {}) {
+    const requested = { analyses, questions, tokens: 0 };
+
+    if (!reserve) {
+        let status;
+        try {
+            status = await getUsageStatus(userId);
+        } catch (error) {
+            logger.warn(`[usageAccounting] Could not read usage of user ${userId}, not enforcing quotas:`, error.message);
+            return null;
+        }
+        checkQuota(status, requested);
+        return status;
+    }
+
+    try {
+        return await db.runTransaction(async (transaction) => {
+            const status = await readUsageStatus(userId, ref => transaction.get(ref));
+            checkQuota(status, requested);
+
+            for (const period of ['daily', 'monthly']) {
+                const { periodKey } = status[period];
+                const update = { userId, period, periodKey, updatedAt: new Date() };
+                if (analyses) update.analyses = FieldValue.increment(analyses);
+                if (questions) update.questions = FieldValue.increment(questions);
+                transaction.set(db.collection(COUNTERS_COLLECTION).doc(counterDocId(userId, periodKey)), update, { merge: true });
+            }
+            const periodKeys = { daily: status.daily.periodKey, monthly: status.monthly.periodKey };
+            return { ...status, reservation: { analyses, questions, periodKeys } };
+        });
+    } catch (error) {
+        if (error.code === 'QUOTA_EXCEEDED') throw error;
+        logger.warn(`[usageAccounting] Could not reserve quota for user ${userId}, not enforcing quotas:`, error.message);
+        return null;
+    }
+}
+
+/**
+ * Analyses a user can still start, from the status returned by assertWithinQuota
+ * @param {Object|null} status - null when the counters could not be read
+ * @returns {number} Infinity when unlimited
+ */
+function remainingAnalyses(status) {
+    if (!status) return Infinity;
+    const remaining = [status.daily.remaining.analyses, status.monthly.remaining.analyses].filter(value => value !== null);
+    return remaining.length > 0 ? Math.min(...remaining) : Infinity;
+}
+
+module.exports = {
+    getQuotaLimits,
+    periodsOf,
+    createUsageRecorder,
+    counterIncrements,
+    recordUsage,
+    releaseQuota,
+    getUsageStatus,
+    assertWithinQuota,
+    remainingAnalyses,
+};
@@ -0,0 +1,115 @@
+// backend/services/userPhotos.js
+// Shared userPhotos queries (used by the photos routes and batch analysis)
+require('../config/env')();
+
+const logger = require('../utils/logger');
+const { firestore } = require('../utils/firestore');
+
+const db = firestore;
+
+/**
+ * List a user's pending photos, excluding photos that already have an analysis result
+ * @param {string} userId
+ * @param {number} [limit=50]
+ * @returns {Promise<Array<Object>>} [{ id, photoId, baseUrl, filename, ... }]
+ */
+async function listPendingPhotos(userId, limit = 50) {
+    // Note: Firestore compound queries require index, if orderBy and where used together
+    // If query fails, try without orderBy first
+    let snap;
+    try {
+        snap = await db.collection('userPhotos')
+            .where('userId', '==', userId)
+            .where('status', '==', 'pending')
+            .orderBy('createdAt', 'desc')
+            .limit(limit)
+            .get();
+    } catch (indexError) {
+        // If no index, try without orderBy
+        logger.warn('[userPhotos] Index error, trying without orderBy:', indexError.message);
+        snap = await db.collection('userPhotos')
+            .where('userId', '==', userId)
+            .where('status', '==', 'pending')
+            .limit(limit)
+            .get();
+    }
+
+    const allItems = snap.docs.map(doc => {
+        const data = doc.data();
+        return {
+            id: doc.id,
+            photoId: data.photoId,
+            baseUrl: data.baseUrl,
+            filename: data.filename,
+            mimeType: data.mimeType,
+            width: data.width,
+            height: data.height,
+            creationTime: data.creationTime,
+            createdAt: data.createdAt,
+            status: data.status,
+            moderation: data.moderation || null,
+        };
+    });
+
+    // Get list of analyzed photo IDs (from results collection or userPhotos' analysisResult)
+    const analyzedPhotoIds = new Set();
+
+    try {
+        // Method 1: Query from results collection
+        try {
+            const resultsSnap = await db.collection('results')
+                .where('userId', '==', userId)
+                .limit(200)
+                .get();
+
+            resultsSnap.docs.forEach(doc => {
+                const data = doc.data();
+                if (data.photoId) {
+                    analyzedPhotoIds.add(data.photoId);
+                }
+                if (data.docId) {
+                    analyzedPhotoIds.add(data.docId);
+                }
+            });
+        } catch (resultsError) {
+            logger.warn('[userPhotos] Failed to query results collection:', resultsError.message);
+        }
+
+        // Method 2: Find documents with analysisResult from userPhotos
+        try {
+            const analyzedPhotosSnap = await db.collection('userPhotos')
+                .where('userId', '==', userId)
+                .where('status', '==', 'analyzed')
+                .limit(200)
+                .get();
+
+            analyzedPhotosSnap.docs.forEach(doc => {
+                analyzedPhotoIds.add(doc.id);
+                const data = doc.data();
+                if (data.photoId) {
+                    analyzedPhotoIds.add(data.photoId);
+                }
+            });
+        } catch (analyzedError) {
+            logger.warn('[userPhotos] Failed to query analyzed photos:', analyzedError.message);
+        }
+    } catch (error) {
+        logger.warn('[userPhotos] Error checking analyzed photos, continuing anyway:', error.message);
+    }
+
+    // Filter out analyzed photos
+    const items = allItems.filter(item => {
+        // If photo's ID or photoId is in analyzed list, exclude it
+        const isAnalyzed = analyzedPhotoIds.has(item.id) || 
+                          (item.photoId && analyzedPhotoIds.has(item.photoId));
+        return !isAnalyzed;
+    });
+
+
+    logger.info(`[userPhotos] Found ${allItems.length} total photos, ${items.length} pending (${allItems.length - items.length} already analyzed) for user ${userId}`);
+    return items;
+}
+
+module.exports = {
+    listPendingPhotos,
+};
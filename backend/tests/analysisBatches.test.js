@@ -0,0 +1,233 @@
+// In-memory stand-in for the parts of Firestore used by batches and jobs
+jest.mock('../utils/firestore', () => {
+  const store = new Map();
+
+  function docRef(path) {
+    return {
+      path,
+      get: async () => ({
+        id: path.split('/').pop(),
+        exists: store.has(path),
+        data: () => store.get(path)
+      }),
+      set: async (data) => { store.set(path, data); }
+    };
+  }
+
+  return {
+    store,
+    firestore: { collection: (name) => ({ doc: (id) => docRef(`${name}/${id}`) }) }
+  };
+});
+
+// Pending photos for { all: true } batches
+let mockPending = [];
+jest.mock('../services/userPhotos', () => ({
+  ...jest.requireActual('../services/userPhotos'),
+  listPendingPhotos: async () => mockPending
+}));
+
+// Each photo's analysis waits for the test to settle it: mockOutcomes[docId].resolve() / .reject(error)
+let mockOutcomes = {};
+jest.mock('../services/analysisPipeline', () => ({
+  analyzePhoto: ({ docId }) => mockOutcomes[docId].promise
+}));
+
+let mockQuotaStatus = null;
+jest.mock('../services/usageAccounting', () => ({
+  ...jest.requireActual('../services/usageAccounting'),
+  assertWithinQuota: async () => mockQuotaStatus
+}));
+
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const request = require('supertest');
+const { store } = require('../utils/firestore');
+const { createBatch, getBatchStatus } = require('../services/analysisBatches');
+const analysisRouter = require('../routes/analysis');
+
+const app = express();
+app.use(express.json());
+app.use(cookieParser());
+app.use('/api/analysis', analysisRouter);
+
+function deferred() {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => { resolve = res; reject = rej; });
+  return { promise, resolve, reject };
+}
+
+function addPhoto(docId, data = {}) {
+  store.set(`userPhotos/${docId}`, { userId: 'u1', photoId: `gp_${docId}`, baseUrl: `https://example.com/${docId}`, filename: `${docId}.jpg`, ...data });
+  mockOutcomes[docId] = deferred();
+}
+
+// Let the job worker catch up with settled analyses
+async function flush() {
+  for (let i = 0; i < 20; i++) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+}
+
+describe('Analysis batches', () => {
+  beforeEach(() => {
+    store.clear();
+    mockOutcomes = {};
+    mockPending = [];
+    mockQuotaStatus = null;
+  });
+
+  test('queues one job per photo and skips the ones it cannot analyze', async () => {
+    addPhoto('d1');
+    addPhoto('d2');
+    addPhoto('theirs', { userId: 'u2' });
+    addPhoto('nourl', { baseUrl: null });
+    addPhoto('blocked', { moderation: { action: 'block' } });
+
+    const batch = await createBatch({
+      userId: 'u1',
+      docIds: ['d1', 'd2', 'd1', 'theirs', 'nourl', 'missing', 'blocked'],
+      privacyMode: true
+    });
+
+    const queued = batch.items.filter(item => item.jobId);
+    expect(queued.map(item => item.docId)).toEqual(['d1', 'd2']);
+    expect(queued[0]).toMatchObject({ photoId: 'gp_d1', filename: 'd1.jpg' });
+    expect(new Set(queued.map(item => item.jobId)).size).toBe(2);
+
+    expect(batch.items.filter(item => !item.jobId)).toEqual([
+      { docId: 'theirs', status: 'skipped', error: 'Access denied' },
+      { docId: 'nourl', status: 'skipped', error: 'Photo has no image URL' },
+      { docId: 'missing', status: 'skipped', error: 'Photo not found' },
+      { docId: 'blocked', status: 'skipped', error: 'Blocked by content moderation', errorCode: 'CONTENT_BLOCKED' }
+    ]);
+
+    const job = store.get(`analysisJobs/${queued[0].jobId}`);
+    expect(job).toMatchObject({ batchId: batch.id, docId: 'd1', photoId: 'gp_d1', privacyMode: true });
+    expect(store.get(`analysisBatches/${batch.id}`)).toMatchObject({ id: batch.id, userId: 'u1' });
+
+    mockOutcomes.d1.resolve({ resultId: 'r1' });
+    mockOutcomes.d2.resolve({ resultId: 'r2' });
+    await flush();
+  });
+
+  test('skips photos past the remaining quota and batches all pending photos', async () => {
+    ['p1', 'p2', 'p3'].forEach(id => addPhoto(id));
+    mockPending = ['p1', 'p2', 'p3', 'nourl'].map(id => ({ id, photoId: `gp_${id}`, baseUrl: id === 'nourl' ? null : `https://example.com/${id}` }));
+
+    const batch = await createBatch({ userId: 'u1', allPending: true, maxJobs: 2 });
+    expect(batch.items.map(item => [item.docId, item.jobId ? 'job' : item.error])).toEqual([
+      ['p1', 'job'],
+      ['p2', 'job'],
+      ['p3', 'Quota exceeded']
+    ]);
+
+    mockOutcomes.p1.resolve({ resultId: 'r1' });
+    mockOutcomes.p2.resolve({ resultId: 'r2' });
+    await flush();
+  });
+
+  test('aggregates job outcomes into the batch status', async () => {
+    ['d1', 'd2', 'd3'].forEach(id => addPhoto(id));
+    const batch = await createBatch({ userId: 'u1', docIds: ['d1', 'd2', 'd3', 'missing'] });
+    await flush();
+
+    // Two jobs run at once (ANALYSIS_JOB_CONCURRENCY), the third waits
+    let status = await getBatchStatus(batch.id);
+    expect(status).toMatchObject({
+      done: false,
+      progress: 25,
+      counts: { total: 4, queued: 1, running: 2, completed: 0, failed: 0, skipped: 1 }
+    });
+
+    mockOutcomes.d1.resolve({ resultId: 'r1' });
+    mockOutcomes.d2.reject(Object.assign(new Error('Daily analysis limit reached'), { code: 'QUOTA_EXCEEDED' }));
+    await flush();
+    mockOutcomes.d3.resolve({ resultId: 'r3' });
+    await flush();
+
+    status = await getBatchStatus(batch.id);
+    expect(status).toMatchObject({
+      done: true,
+      progress: 100,
+      counts: { total: 4, queued: 0, running: 0, completed: 2, failed: 1, skipped: 1 }
+    });
+    expect(status.items.find(item => item.docId === 'd1')).toMatchObject({ status: 'completed', resultId: 'r1' });
+    expect(status.items.find(item => item.docId === 'd2')).toMatchObject({
+      status: 'failed', error: 'Daily analysis limit reached', errorCode: 'QUOTA_EXCEEDED'
+    });
+
+    expect(await getBatchStatus('batch_missing')).toBeNull();
+  });
+
+  test('counts a job that cannot be found as failed so the batch finishes', async () => {
+    ['d1', 'd2'].forEach(id => addPhoto(id));
+    const batch = await createBatch({ userId: 'u1', docIds: ['d1', 'd2'] });
+    mockOutcomes.d1.resolve({ resultId: 'r1' });
+    mockOutcomes.d2.resolve({ resultId: 'r2' });
+    await flush();
+
+    // A batch stored by another instance, one of its jobs gone
+    store.set('analysisBatches/batch_elsewhere', {
+      ...store.get(`analysisBatches/${batch.id}`),
+      id: 'batch_elsewhere',
+      items: [batch.items[0], { ...batch.items[1], jobId: 'job_gone' }]
+    });
+
+    const status = await getBatchStatus('batch_elsewhere');
+    expect(status).toMatchObject({ done: true, progress: 100, counts: { total: 2, completed: 1, failed: 1 } });
+    expect(status.items[1]).toMatchObject({ status: 'failed', errorCode: 'JOB_INTERRUPTED' });
+  });
+
+  test('drops finished batches from memory after a while', async () => {
+    jest.useFakeTimers({ doNotFake: ['setImmediate', 'nextTick'] });
+    try {
+      addPhoto('d1');
+      const batch = await createBatch({ userId: 'u1', docIds: ['d1'] });
+      mockOutcomes.d1.resolve({ resultId: 'r1' });
+      await flush();
+
+      expect((await getBatchStatus(batch.id)).done).toBe(true);
+      // Served from memory while Firestore has no copy
+      store.delete(`analysisBatches/${batch.id}`);
+      expect(await getBatchStatus(batch.id)).not.toBeNull();
+
+      jest.advanceTimersByTime(61 * 60 * 1000);
+      expect(await getBatchStatus(batch.id)).toBeNull();
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  describe('routes', () => {
+    test('POST /batch validates the body and returns the initial status', async () => {
+      addPhoto('d1');
+      const agent = () => request(app).post('/api/analysis/batch').set('Cookie', 'google_user_id=u1');
+
+      await agent().send({}).expect(400);
+      await agent().send({ docIds: [1] }).expect(400);
+
+      const res = await agent().send({ docIds: ['d1', 'missing'] }).expect(202);
+      expect(res.body).toMatchObject({ success: true, counts: { total: 2, skipped: 1 } });
+      expect(res.body.batchId).toBe(res.body.id);
+
+      mockOutcomes.d1.resolve({ resultId: 'r1' });
+      await flush();
+    });
+
+    test('GET /batch/:batchId reports progress to the owner only', async () => {
+      addPhoto('d1');
+      const batch = await createBatch({ userId: 'u1', docIds: ['d1'] });
+      mockOutcomes.d1.resolve({ resultId: 'r1' });
+      await flush();
+
+      await request(app).get(`/api/analysis/batch/${batch.id}`).set('Cookie', 'google_user_id=u2').expect(403);
+      await request(app).get('/api/analysis/batch/batch_missing').set('Cookie', 'google_user_id=u1').expect(404);
+
+      const res = await request(app).get(`/api/analysis/batch/${batch.id}`).set('Cookie', 'google_user_id=u1').expect(200);
+      expect(res.body).toMatchObject({ id: batch.id, done: true, progress: 100, counts: { total: 1, completed: 1 } });
+      expect(res.body.items[0]).toMatchObject({ docId: 'd1', status: 'completed', resultId: 'r1' });
+    });
+  });
+});
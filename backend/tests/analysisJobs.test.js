@@ -0,0 +1,321 @@
+// In-memory stand-in for the parts of Firestore used by analysis jobs
+jest.mock('../utils/firestore', () => {
+  const store = new Map();
+
+  function docRef(path) {
+    return {
+      path,
+      get: async () => ({
+        id: path.split('/').pop(),
+        exists: store.has(path),
+        data: () => store.get(path)
+      }),
+      set: async (data) => { store.set(path, data); }
+    };
+  }
+
+  function collectionRef(path) {
+    return {
+      doc: (id) => docRef(`${path}/${id}`),
+      where: (field, op, values) => ({
+        get: async () => {
+          const docs = [...store.keys()]
+            .filter(key => key.startsWith(`${path}/`) && values.includes(store.get(key)[field]))
+            .map(key => ({ id: key.split('/').pop(), data: () => store.get(key) }));
+          return { docs, size: docs.length, empty: docs.length === 0 };
+        }
+      })
+    };
+  }
+
+  return {
+    store,
+    firestore: { collection: collectionRef }
+  };
+});
+
+// The pipeline is scripted per test: mockAnalyze(params, { onStage, onEvent }) → { resultId }
+let mockAnalyze;
+jest.mock('../services/analysisPipeline', () => ({
+  analyzePhoto: (params, callbacks) => mockAnalyze(params, callbacks)
+}));
+
+// Quota checks: mockQuotaError is thrown, otherwise the analysis is reserved
+let mockQuotaError = null;
+const mockReservation = { analyses: 1, questions: 0, periodKeys: { daily: 'day_2026-10-18', monthly: 'month_2026-10' } };
+jest.mock('../services/usageAccounting', () => ({
+  ...jest.requireActual('../services/usageAccounting'),
+  assertWithinQuota: jest.fn(async () => {
+    if (mockQuotaError) throw mockQuotaError;
+    return { daily: {}, monthly: {}, reservation: mockReservation };
+  }),
+  releaseQuota: jest.fn(async () => {})
+}));
+
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const request = require('supertest');
+const { store } = require('../utils/firestore');
+const { assertWithinQuota, releaseQuota } = require('../services/usageAccounting');
+const { createJob, getJob, recoverInterruptedJobs } = require('../services/analysisJobs');
+const analysisRouter = require('../routes/analysis');
+
+const app = express();
+app.use(cookieParser());
+app.use('/api/analysis', analysisRouter);
+
+const JOB = { userId: 'u1', photoId: 'p1', imageUrl: 'https://example.com/a.jpg', accessToken: 'secret' };
+const MINUTE = 60 * 1000;
+
+// Resolves once the worker has moved the job to the given status
+async function waitForStatus(jobId, status) {
+  for (let i = 0; i < 100; i++) {
+    const job = await getJob(jobId);
+    if (job.status === status) return job;
+    await new Promise(resolve => setImmediate(resolve));
+  }
+  throw new Error(`Job ${jobId} never reached ${status}`);
+}
+
+// Promise the test resolves or rejects by hand, to hold the pipeline at a stage
+function deferred() {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => { resolve = res; reject = rej; });
+  return { promise, resolve, reject };
+}
+
+// Read a whole Server-Sent Events response as text (the request only ends when the stream closes)
+function readStream(res, callback) {
+  let text = '';
+  res.setEncoding('utf8');
+  res.on('data', chunk => { text += chunk; });
+  res.on('end', () => callback(null, text));
+}
+
+function parseEvents(text) {
+  return text.split('\n\n').filter(Boolean).map((block) => {
+    const name = /^event: (.*)$/m.exec(block)?.[1];
+    const data = /^data: (.*)$/m.exec(block)?.[1];
+    return { name, data: data ? JSON.parse(data) : null };
+  });
+}
+
+describe('Analysis jobs', () => {
+  beforeEach(() => {
+    store.clear();
+    jest.clearAllMocks();
+    mockQuotaError = null;
+    mockAnalyze = async () => ({ resultId: 'r1' });
+  });
+
+  test('moves a job from queued through running to completed', async () => {
+    const gate = deferred();
+    mockAnalyze = async (params, { onStage }) => {
+      onStage('vision');
+      await gate.promise;
+      return { resultId: 'r1' };
+    };
+
+    const job = await createJob(JOB);
+    expect(job).toMatchObject({ status: 'queued', stage: 'queued', progress: 0, resultId: null });
+    expect(job.accessToken).toBeUndefined();
+
+    const running = await waitForStatus(job.id, 'running');
+    expect(running).toMatchObject({ stage: 'vision', progress: 30 });
+
+    gate.resolve();
+    const completed = await waitForStatus(job.id, 'completed');
+    expect(completed).toMatchObject({ stage: 'completed', progress: 100, resultId: 'r1', error: null });
+
+    // The stored copy never contains the access token
+    await new Promise(resolve => setImmediate(resolve));
+    expect(store.get(`analysisJobs/${job.id}`)).toMatchObject({ status: 'completed', resultId: 'r1' });
+    expect(JSON.stringify(store.get(`analysisJobs/${job.id}`))).not.toContain('secret');
+  });
+
+  test('passes the job parameters and token to the pipeline', async () => {
+    const seen = [];
+    mockAnalyze = async (params) => {
+      seen.push(params);
+      return { resultId: 'r2' };
+    };
+
+    const job = await createJob({ ...JOB, docId: 'd1', reanalysisOf: 'r2', locale: 'fr-FR', privacyMode: true });
+    await waitForStatus(job.id, 'completed');
+    expect(seen).toEqual([expect.objectContaining({
+      userId: 'u1', photoId: 'p1', docId: 'd1', resultId: 'r2', locale: 'fr-FR', privacyMode: true, accessToken: 'secret',
+      quotaReservation: mockReservation
+    })]);
+    expect(assertWithinQuota).toHaveBeenCalledWith('u1', { analyses: 1 }, { reserve: true });
+    expect(releaseQuota).not.toHaveBeenCalled();
+  });
+
+  test('keeps user-facing error messages and hides the others', async () => {
+    const quotaError = Object.assign(new Error('Daily analysis limit reached'), { code: 'QUOTA_EXCEEDED' });
+    mockQuotaError = quotaError;
+    const limited = await createJob(JOB);
+    expect(await waitForStatus(limited.id, 'failed')).toMatchObject({
+      error: 'Daily analysis limit reached', errorCode: 'QUOTA_EXCEEDED'
+    });
+
+    // Nothing was reserved for the job that hit the quota
+    expect(releaseQuota).not.toHaveBeenCalled();
+
+    mockQuotaError = null;
+    mockAnalyze = async () => { throw new Error('Gemini exploded'); };
+    const broken = await createJob(JOB);
+    expect(await waitForStatus(broken.id, 'failed')).toMatchObject({ error: 'Analysis failed', errorCode: null });
+    // The failed analysis gives its reserved quota back
+    expect(releaseQuota).toHaveBeenCalledWith('u1', mockReservation);
+    expect(store.get(`analysisJobs/${broken.id}`).quotaReservation).toBeNull();
+  });
+
+  test('fails stored jobs that no instance is working on anymore', async () => {
+    const now = Date.now();
+    store.set('analysisJobs/stale', { id: 'stale', userId: 'u1', status: 'running', updatedAt: new Date(now - 10 * MINUTE) });
+    store.set('analysisJobs/fresh', { id: 'fresh', userId: 'u1', status: 'queued', updatedAt: new Date(now) });
+    store.set('analysisJobs/done', { id: 'done', userId: 'u1', status: 'completed', updatedAt: new Date(now - 10 * MINUTE) });
+
+    expect(await recoverInterruptedJobs()).toBe(1);
+    expect(store.get('analysisJobs/stale')).toMatchObject({ status: 'failed', errorCode: 'JOB_INTERRUPTED' });
+    expect(store.get('analysisJobs/fresh').status).toBe('queued');
+    expect(store.get('analysisJobs/done').status).toBe('completed');
+
+    // Jobs that go stale later fail when their status is read
+    store.set('analysisJobs/later', { id: 'later', userId: 'u1', status: 'queued', updatedAt: new Date(now - 3 * MINUTE) });
+    expect(await getJob('later')).toMatchObject({ status: 'failed', errorCode: 'JOB_INTERRUPTED' });
+    expect(store.get('analysisJobs/later').status).toBe('failed');
+  });
+
+  test('gives back the analysis an interrupted job reserved', async () => {
+    const old = new Date(Date.now() - 10 * MINUTE);
+    store.set('analysisJobs/reserved', { id: 'reserved', userId: 'u1', status: 'running', quotaReservation: mockReservation, updatedAt: old });
+    store.set('analysisJobs/queued', { id: 'queued', userId: 'u1', status: 'queued', quotaReservation: null, updatedAt: old });
+
+    expect(await recoverInterruptedJobs()).toBe(2);
+    expect(releaseQuota).toHaveBeenCalledTimes(1);
+    expect(releaseQuota).toHaveBeenCalledWith('u1', mockReservation);
+    expect(store.get('analysisJobs/reserved').quotaReservation).toBeNull();
+
+    // Released once: the job is no longer running
+    expect(await getJob('reserved')).toMatchObject({ status: 'failed', errorCode: 'JOB_INTERRUPTED' });
+    expect(await recoverInterruptedJobs()).toBe(0);
+    expect(releaseQuota).toHaveBeenCalledTimes(1);
+
+    store.set('analysisJobs/later', { id: 'later', userId: 'u2', status: 'running', quotaReservation: mockReservation, updatedAt: old });
+    await getJob('later');
+    expect(releaseQuota).toHaveBeenLastCalledWith('u2', mockReservation);
+  });
+
+  describe('GET /api/analysis/jobs/:jobId', () => {
+    test('returns the job to its owner only', async () => {
+      const job = await createJob(JOB);
+      await waitForStatus(job.id, 'completed');
+
+      await request(app).get(`/api/analysis/jobs/${job.id}`).expect(401);
+      await request(app).get(`/api/analysis/jobs/${job.id}`).set('Cookie', 'google_user_id=u2').expect(403);
+      await request(app).get('/api/analysis/jobs/missing').set('Cookie', 'google_user_id=u1').expect(404);
+
+      const res = await request(app).get(`/api/analysis/jobs/${job.id}`).set('Cookie', 'google_user_id=u1').expect(200);
+      expect(res.body).toMatchObject({ id: job.id, status: 'completed', resultId: 'r1' });
+    });
+
+    test('reports an interrupted job as failed', async () => {
+      store.set('analysisJobs/old', { id: 'old', userId: 'u1', status: 'running', updatedAt: new Date(Date.now() - 10 * MINUTE) });
+
+      const res = await request(app).get('/api/analysis/jobs/old').set('Cookie', 'google_user_id=u1').expect(200);
+      expect(res.body).toMatchObject({ status: 'failed', errorCode: 'JOB_INTERRUPTED' });
+      expect(res.body.error).toMatch(/try again/);
+    });
+  });
+
+  describe('GET /api/analysis/jobs/:jobId/events', () => {
+    test('checks the job and its owner before streaming', async () => {
+      const job = await createJob(JOB);
+      await waitForStatus(job.id, 'completed');
+
+      await request(app).get(`/api/analysis/jobs/${job.id}/events`).set('Cookie', 'google_user_id=u2').expect(403);
+      await request(app).get('/api/analysis/jobs/missing/events').set('Cookie', 'google_user_id=u1').expect(404);
+    });
+
+    test('streams progress events, then the completed event, then closes', async () => {
+      const gate = deferred();
+      mockAnalyze = async (params, { onStage, onEvent }) => {
+        onStage('vision');
+        onEvent('labels_found', { labelsCount: 12, objectsCount: 3, sampleLabels: ['Dress'] });
+        await gate.promise;
+        onStage('gemini');
+        onEvent('era_drafted', { era: '1950s' });
+        return { resultId: 'r9' };
+      };
+
+      const job = await createJob(JOB);
+      await waitForStatus(job.id, 'running');
+      // Finish while the stream is open (the request resolves only once the server ends it)
+      setTimeout(() => gate.resolve(), 50);
+
+      const res = await request(app)
+        .get(`/api/analysis/jobs/${job.id}/events`)
+        .set('Cookie', 'google_user_id=u1')
+        .buffer(true)
+        .parse(readStream)
+        .expect(200);
+
+      const events = parseEvents(res.body);
+      expect(events.map(e => [e.name, e.data.type])).toEqual([
+        ['progress', 'queued'],
+        ['progress', 'vision'],
+        ['progress', 'labels_found'],
+        ['progress', 'gemini'],
+        ['progress', 'era_drafted'],
+        ['completed', 'completed']
+      ]);
+      expect(events[2].data).toMatchObject({ stage: 'vision', progress: 30, message: 'Found 12 labels and 3 objects: Dress' });
+      expect(events[5].data).toMatchObject({ progress: 100, data: { resultId: 'r9' } });
+    });
+
+    test('ends the stream with a failed event', async () => {
+      const gate = deferred();
+      mockAnalyze = async (params, { onStage }) => {
+        onStage('downloading');
+        await gate.promise;
+        throw Object.assign(new Error('This photo was not analyzed'), { code: 'CONTENT_BLOCKED' });
+      };
+
+      const job = await createJob(JOB);
+      await waitForStatus(job.id, 'running');
+      setTimeout(() => gate.resolve(), 50);
+
+      const res = await request(app)
+        .get(`/api/analysis/jobs/${job.id}/events`)
+        .set('Cookie', 'google_user_id=u1')
+        .buffer(true)
+        .parse(readStream)
+        .expect(200);
+
+      const events = parseEvents(res.body);
+      expect(events.map(e => e.name)).toEqual(['progress', 'progress', 'failed']);
+      expect(events[2].data.data).toEqual({ error: 'This photo was not analyzed', code: 'CONTENT_BLOCKED' });
+    });
+
+    test('streams the stored outcome of a job from another instance', async () => {
+      store.set('analysisJobs/elsewhere', {
+        id: 'elsewhere', userId: 'u1', status: 'failed', stage: 'gemini', progress: 60,
+        error: 'Analysis failed', errorCode: null, updatedAt: new Date()
+      });
+
+      const res = await request(app)
+        .get('/api/analysis/jobs/elsewhere/events')
+        .set('Cookie', 'google_user_id=u1')
+        .buffer(true)
+        .parse(readStream)
+        .expect(200);
+
+      expect(res.headers['content-type']).toMatch(/text\/event-stream/);
+      expect(parseEvents(res.body)).toEqual([
+        { name: 'failed', data: expect.objectContaining({ type: 'failed', data: { error: 'Analysis failed', code: null } }) }
+      ]);
+    });
+  });
+});
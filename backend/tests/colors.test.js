@@ -0,0 +1,38 @@
+const { nameColor, buildPalette, matchDecadePalettes, analyzeColors } = require('../utils/colors');
+
+describe('Color analysis', () => {
+  test('names colors by perceptual distance', () => {
+    expect(nameColor([33, 47, 84]).name).toBe('navy');
+    expect(nameColor([218, 160, 40]).name).toBe('harvest gold');
+    expect(nameColor([250, 250, 250]).name).toBe('white');
+  });
+
+  test('merges dominant colors with the same name', () => {
+    const palette = buildPalette([
+      { rgb: [30, 45, 85], score: 0.3 },
+      { rgb: [35, 48, 82], score: 0.2 },
+      { rgb: [200, 30, 45], score: 0.1 }
+    ]);
+    expect(palette.map(c => [c.name, c.score])).toEqual([['navy', 0.5], ['red', 0.1]]);
+  });
+
+  test('1970s earth tones match the 1970s palette best', () => {
+    const { matches } = matchDecadePalettes(buildPalette([
+      { rgb: [218, 159, 42], score: 0.4 },
+      { rgb: [111, 125, 44], score: 0.3 },
+      { rgb: [183, 71, 42], score: 0.3 }
+    ]));
+    expect(matches[0].decade).toBe('1970s');
+  });
+
+  test('black-and-white photos are flagged and not matched', () => {
+    const result = analyzeColors([
+      { rgb: [20, 20, 20], score: 0.5 },
+      { rgb: [128, 128, 128], score: 0.3 },
+      { rgb: [240, 240, 240], score: 0.2 }
+    ]);
+    expect(result.monochrome).toBe(true);
+    expect(result.decadeMatches).toEqual([]);
+    expect(result.palette).toHaveLength(3);
+  });
+});
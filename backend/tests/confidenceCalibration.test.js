@@ -0,0 +1,52 @@
+const sharp = require('sharp');
+const { readImageSize, calibrateConfidence } = require('../utils/confidenceCalibration');
+const eraFixture = require('../providers/fixtures/eraResponse.json');
+
+const richFeatures = {
+  labels: Array.from({ length: 12 }, (_, i) => `Label ${i}:0.9`),
+  objects: ['Dress:0.9', 'Hat:0.8', 'Shoe:0.7'],
+  clothing_keywords: Array.from({ length: 5 }, (_, i) => ({ term: `term ${i}`, score: 0.8 }))
+};
+
+describe('Confidence calibration', () => {
+  test('keeps most of the model confidence with strong evidence', () => {
+    const confidence = calibrateConfidence({
+      visionFeatures: richFeatures,
+      geminiResult: { ...eraFixture, image_included: true },
+      imageSize: { width: 1024, height: 768 }
+    });
+
+    expect(confidence.model).toBe(0.72);
+    expect(confidence.evidenceStrength).toBe('strong');
+    expect(confidence.factors).toEqual({ labels: 0.9, objects: 0.8, taxonomy: 0.8, image: 1, resolution: 1 });
+    expect(confidence.calibrated).toBeGreaterThan(0.6);
+    expect(confidence.calibrated).toBeLessThanOrEqual(0.72);
+  });
+
+  test('discounts a confident answer made without evidence', () => {
+    const confidence = calibrateConfidence({
+      visionFeatures: { labels: [], objects: [], clothing_keywords: [] },
+      geminiResult: { ...eraFixture, image_included: false },
+      imageSize: null
+    });
+
+    expect(confidence.evidenceStrength).toBe('weak');
+    expect(confidence.evidenceScore).toBe(0.05);
+    expect(confidence.calibrated).toBeLessThan(0.25);
+  });
+
+  test('has no confidence for an undetermined era', () => {
+    const confidence = calibrateConfidence({
+      visionFeatures: richFeatures,
+      geminiResult: { era_primary: 'Undetermined', top3_candidates: [{ era: '1950s', confidence: 0.3 }] }
+    });
+    expect(confidence.model).toBe(0);
+    expect(confidence.calibrated).toBe(0);
+  });
+
+  test('reads the image size', async () => {
+    const png = await sharp({ create: { width: 40, height: 30, channels: 3, background: '#ffffff' } }).png().toBuffer();
+    expect(await readImageSize(png)).toEqual({ width: 40, height: 30 });
+    expect(await readImageSize(Buffer.from('not an image'))).toBeNull();
+  });
+});
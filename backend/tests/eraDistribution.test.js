@@ -0,0 +1,40 @@
+const { DECADES, buildEraDistribution } = require('../utils/eraDistribution');
+
+const probabilities = (distribution) => Object.fromEntries(
+  distribution.decades.filter(d => d.probability > 0).map(d => [d.label, d.probability])
+);
+
+describe('Era distribution', () => {
+  test('covers every decade from 1900s to 2020s', () => {
+    expect(DECADES).toHaveLength(13);
+    expect(buildEraDistribution({}).decades.map(d => d.decade)).toEqual(DECADES);
+  });
+
+  test('normalizes the model distribution', () => {
+    const distribution = buildEraDistribution({
+      decade_distribution: { '1940s': 0.4, '1950s': 1.2, '1890s': 0.5, '1960s': -1 }
+    });
+    expect(distribution.source).toBe('model');
+    expect(distribution.peak).toBe(1950);
+    expect(probabilities(distribution)).toEqual({ '1940s': 0.25, '1950s': 0.75 });
+  });
+
+  test('spreads candidates over the decades their years cover', () => {
+    const distribution = buildEraDistribution({
+      top3_candidates: [
+        { era: '1955-1964', confidence: 0.6 },
+        { era: 'Late 1940s', confidence: 0.2 }
+      ]
+    });
+    expect(distribution.source).toBe('candidates');
+    expect(probabilities(distribution)).toEqual({ '1940s': 0.25, '1950s': 0.375, '1960s': 0.375 });
+  });
+
+  test('falls back to the primary era, then to an empty distribution', () => {
+    expect(probabilities(buildEraDistribution({ era_primary: '1970s' }))).toEqual({ '1970s': 1 });
+
+    const empty = buildEraDistribution({ era_primary: 'Undetermined' });
+    expect(empty.source).toBe('none');
+    expect(empty.peak).toBeNull();
+  });
+});
@@ -0,0 +1,108 @@
+const { validateEraResult, normalizeEraResult } = require('../utils/eraResultSchema');
+const eraFixture = require('../providers/fixtures/eraResponse.json');
+
+// Scripted LLM: returns the queued responses in order
+const mockResponses = [];
+jest.mock('../providers', () => ({
+  getVisionProvider: () => ({ name: 'stub' }),
+  getLlmProvider: () => ({
+    name: 'scripted',
+    getModelName: () => 'scripted-model',
+    isConfigured: () => true,
+    generate: jest.fn(async () => ({ text: mockResponses.shift(), model: 'scripted-model' }))
+  })
+}));
+
+const { runGemini } = require('../services/analysisPipeline');
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+describe('Era result schema', () => {
+  test('fixture result is valid', () => {
+    expect(validateEraResult(eraFixture)).toEqual({ valid: true, errors: [] });
+  });
+
+  test('reports confidence, era and tip format violations with paths', () => {
+    const result = clone(eraFixture);
+    result.era_primary = 'fifties';
+    result.top3_candidates[1].confidence = 1.4;
+    result.shopping_tips[0] = 'Look for full skirts';
+    delete result.search_queries.en;
+
+    const { valid, errors } = validateEraResult(result);
+    expect(valid).toBe(false);
+    expect(errors.map(error => error.path)).toEqual(expect.arrayContaining([
+      'era_primary',
+      'top3_candidates[1].confidence',
+      'shopping_tips[0]',
+      'search_queries.en'
+    ]));
+  });
+
+  test('checks decade distribution keys and probabilities', () => {
+    const result = clone(eraFixture);
+    result.decade_distribution = { '1950s': 0.5, 'Late 1940s': 0.3, '1960s': 1.2 };
+
+    const { errors } = validateEraResult(result);
+    expect(errors.map(error => error.path)).toEqual([
+      'decade_distribution.Late 1940s',
+      'decade_distribution.1960s'
+    ]);
+  });
+
+  test('checks localized query locales and keeps only string queries', () => {
+    const result = clone(eraFixture);
+    result.localized_queries = { 'de-DE': ['Petticoat Kleid 50er'], german: ['Kleid'] };
+    expect(validateEraResult(result).errors.map(error => error.path)).toEqual(['localized_queries.german']);
+
+    const normalized = normalizeEraResult({ localized_queries: { 'fr-FR': ['robe années 50', 3, ' '] } });
+    expect(normalized.localized_queries).toEqual({ 'fr-FR': ['robe années 50'] });
+  });
+
+  test('normalize fills missing fields and clamps confidences', () => {
+    const normalized = normalizeEraResult({ top3_candidates: [{ era: '1960s', confidence: 3 }] });
+    expect(normalized.era_primary).toBe('Undetermined');
+    expect(normalized.search_queries).toEqual({ en: [] });
+    expect(normalized.top3_candidates[0].confidence).toBe(1);
+  });
+});
+
+describe('runGemini repair', () => {
+  const originalRetries = process.env.GEMINI_REPAIR_RETRIES;
+
+  beforeEach(() => {
+    mockResponses.length = 0;
+    process.env.GEMINI_REPAIR_RETRIES = '2';
+  });
+
+  afterAll(() => {
+    process.env.GEMINI_REPAIR_RETRIES = originalRetries;
+  });
+
+  test('repairs invalid output and records the errors', async () => {
+    const invalid = clone(eraFixture);
+    invalid.top3_candidates[0].confidence = 72;
+    mockResponses.push('```json\n' + JSON.stringify(invalid) + '\n```', JSON.stringify(eraFixture));
+
+    const result = await runGemini({ labels: [] }, null);
+    expect(result.parse_error).toBeUndefined();
+    expect(result.top3_candidates[0].confidence).toBe(0.72);
+    expect(result.validation).toMatchObject({ valid: true, attempts: 2, repaired: true });
+    expect(result.validation.errors).toEqual([
+      { attempt: 0, path: 'top3_candidates[0].confidence', message: 'must be <= 1' }
+    ]);
+  });
+
+  test('falls back to Undetermined after bounded retries of unparseable output', async () => {
+    mockResponses.push('not json', 'still not json', 'nope', 'never asked');
+
+    const result = await runGemini({ labels: [] }, null);
+    expect(result.era_primary).toBe('Undetermined');
+    expect(result.parse_error).toBe(true);
+    expect(result.validation.attempts).toBe(3);
+    expect(result.validation.valid).toBe(false);
+    expect(mockResponses).toEqual(['never asked']);
+  });
+});
@@ -0,0 +1,65 @@
+const { normalizeEra, normalizeResultEras, parseEraRangeQuery, eraOverlaps } = require('../utils/eras');
+
+const years = (raw) => {
+  const era = normalizeEra(raw);
+  return [era.startYear, era.endYear, era.label];
+};
+
+describe('Canonical era model', () => {
+  test('normalizes decades and sub-periods', () => {
+    expect(normalizeEra('1950s')).toEqual({
+      decade: 1950, subPeriod: null, startYear: 1950, endYear: 1959, label: '1950s', raw: '1950s'
+    });
+    expect(years('Late 1950s')).toEqual([1957, 1959, 'Late 1950s']);
+    expect(years("mid-'60s")).toEqual([1964, 1966, 'Mid 1960s']);
+    expect(years('early forties')).toEqual([1940, 1943, 'Early 1940s']);
+  });
+
+  test('normalizes years, ranges and named periods', () => {
+    expect(years('1962')).toEqual([1962, 1962, '1962']);
+    expect(years('1955–62')).toEqual([1955, 1962, '1955 – 1962']);
+    expect(years('1950s-1960s')).toEqual([1950, 1969, '1950s – 1960s']);
+    expect(years('late 1940s to early 1950s')).toEqual([1947, 1953, 'Late 1940s – Early 1950s']);
+    expect(years('Early-to-mid 1960s')).toEqual([1960, 1966, 'Early to mid 1960s']);
+    expect(years('Early to mid 1960s')).toEqual([1960, 1966, 'Early to mid 1960s']);
+    expect(years("mid-to-late '50s")).toEqual([1954, 1959, 'Mid to late 1950s']);
+    expect(years('Mid-to-late 1950s')).toEqual([1954, 1959, 'Mid to late 1950s']);
+    expect(years('early to mid-1960s')).toEqual([1960, 1966, 'Early to mid 1960s']);
+    expect(years('Edwardian')).toEqual([1901, 1910, 'Edwardian']);
+  });
+
+  test('falls back to Undetermined', () => {
+    expect(normalizeEra('Undetermined')).toMatchObject({ decade: null, startYear: null, label: 'Undetermined' });
+    expect(normalizeEra(undefined)).toMatchObject({ label: 'Undetermined', raw: null });
+  });
+
+  test('normalizes the primary era and candidates of a result', () => {
+    const { era, eraCandidates } = normalizeResultEras({
+      era_primary: 'Late 1950s',
+      top3_candidates: [{ era: '1960s', style: 'Mod', confidence: 0.4 }]
+    });
+    expect(era.label).toBe('Late 1950s');
+    expect(eraCandidates).toEqual([
+      expect.objectContaining({ decade: 1960, startYear: 1960, endYear: 1969, style: 'Mod', confidence: 0.4 })
+    ]);
+  });
+
+  test('parses era-range queries', () => {
+    expect(parseEraRangeQuery({})).toBeNull();
+    expect(parseEraRangeQuery({ era: 'late 1960s' })).toEqual({ from: 1967, to: 1969 });
+    expect(parseEraRangeQuery({ eraFrom: '1955' })).toEqual({ from: 1955, to: Infinity });
+    expect(parseEraRangeQuery({ era: '1950s', eraTo: '1954' })).toEqual({ from: 1950, to: 1954 });
+    expect(() => parseEraRangeQuery({ era: 'someday' })).toThrow(expect.objectContaining({ status: 400 }));
+    expect(() => parseEraRangeQuery({ eraFrom: '19x5' })).toThrow(/eraFrom must be a year/);
+    expect(() => parseEraRangeQuery({ eraFrom: '1970', eraTo: '1950' }))
+      .toThrow(expect.objectContaining({ status: 400, message: 'eraFrom must not be after eraTo' }));
+    expect(parseEraRangeQuery({ eraFrom: '1950', eraTo: '1950' })).toEqual({ from: 1950, to: 1950 });
+  });
+
+  test('matches eras overlapping a range', () => {
+    const range = { from: 1955, to: 1965 };
+    expect(eraOverlaps(normalizeEra('Late 1950s'), range)).toBe(true);
+    expect(eraOverlaps(normalizeEra('Early 1950s'), range)).toBe(false);
+    expect(eraOverlaps(normalizeEra('Undetermined'), range)).toBe(false);
+  });
+});
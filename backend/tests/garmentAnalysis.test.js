@@ -0,0 +1,82 @@
+// Load environment variables before importing providers
+require('../config/env')();
+
+const sharp = require('sharp');
+const { resetProviders } = require('../providers');
+const { selectGarments, cropGarment, analyzeGarments } = require('../services/garmentAnalysis');
+
+const box = (left, top, width, height) => ({ left, top, width, height });
+
+describe('Garment analysis', () => {
+  const originalEnv = { ...process.env };
+
+  beforeEach(() => {
+    process.env.LLM_PROVIDER = 'stub';
+    process.env.GARMENT_MAX_CROPS = '2';
+    resetProviders();
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+    resetProviders();
+  });
+
+  test('selects clothing objects only, best score first', () => {
+    const selected = selectGarments([
+      { name: 'Person', score: 0.95, box: box(0, 0, 1, 1) },
+      { name: 'Hat', score: 0.7, box: box(0.4, 0, 0.2, 0.15) },
+      { name: 'Dress', score: 0.9, box: box(0.3, 0.2, 0.4, 0.7) },
+      { name: 'Shoe', score: 0.3, box: box(0.4, 0.9, 0.1, 0.1) },
+      { name: 'Coat', score: 0.8, box: box(0.5, 0.5, 0.05, 0.05) }
+    ]);
+    expect(selected.map(g => g.name)).toEqual(['Dress', 'Hat']);
+  });
+
+  test('crops the padded box out of the image', async () => {
+    const image = await sharp({
+      create: { width: 200, height: 100, channels: 3, background: '#336699' }
+    }).jpeg().toBuffer();
+
+    const crop = await cropGarment(image, box(0.25, 0.5, 0.5, 0.25));
+    const { width, height } = await sharp(crop).metadata();
+    // 100x25 px box plus 8% padding on each side
+    expect(width).toBe(116);
+    expect(height).toBe(29);
+  });
+
+  test('dates each garment with its box', async () => {
+    const image = await sharp({
+      create: { width: 120, height: 160, channels: 3, background: '#aa3322' }
+    }).png().toBuffer();
+    const events = [];
+
+    const garments = await analyzeGarments(
+      image,
+      {
+        labels: ['Dress:0.9'],
+        object_boxes: [
+          { name: 'Dress', score: 0.9, box: box(0.3, 0.2, 0.4, 0.7) },
+          { name: 'Hat', score: 0.7, box: box(0.4, 0, 0.2, 0.15) }
+        ]
+      },
+      { era_primary: '1950s' },
+      { onEvent: (type) => events.push(type) }
+    );
+
+    expect(garments).toHaveLength(2);
+    expect(garments[0]).toMatchObject({
+      index: 1,
+      name: 'Dress',
+      box: box(0.3, 0.2, 0.4, 0.7),
+      era: '1950s',
+      validation: { valid: true, errors: [] }
+    });
+    expect(garments[1].index).toBe(2);
+    expect(events).toEqual(['garments_found', 'garment_dated', 'garment_dated']);
+  });
+
+  test('skips garment analysis without image content', async () => {
+    const garments = await analyzeGarments(null, { object_boxes: [] }, null);
+    expect(garments).toEqual([]);
+  });
+});
@@ -0,0 +1,57 @@
+const sharp = require('sharp');
+const {
+  contentHash,
+  perceptualHash,
+  hammingDistance,
+  hashBands,
+  computeImageHashes
+} = require('../utils/imageHash');
+
+// Horizontal gradient test image
+async function gradientImage(width, height, format = 'png') {
+  const pixels = Buffer.alloc(width * height * 3);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const value = Math.round((x / width) * 255);
+      const offset = (y * width + x) * 3;
+      pixels[offset] = value;
+      pixels[offset + 1] = (value + y) % 256;
+      pixels[offset + 2] = 255 - value;
+    }
+  }
+  return sharp(pixels, { raw: { width, height, channels: 3 } })[format]().toBuffer();
+}
+
+describe('Image hashing', () => {
+  test('content hash is stable and byte-exact', async () => {
+    const image = await gradientImage(64, 48);
+    expect(contentHash(image)).toBe(contentHash(Buffer.from(image)));
+    expect(contentHash(image)).toHaveLength(64);
+  });
+
+  test('perceptual hash matches resized and re-encoded copies', async () => {
+    const original = await gradientImage(200, 150);
+    const copy = await sharp(original).resize(120, 90).jpeg({ quality: 70 }).toBuffer();
+
+    const a = await perceptualHash(original);
+    const b = await perceptualHash(copy);
+    expect(a).toHaveLength(16);
+    expect(contentHash(original)).not.toBe(contentHash(copy));
+    expect(hammingDistance(a, b)).toBeLessThanOrEqual(5);
+  });
+
+  test('hamming distance and bands', () => {
+    expect(hammingDistance('ff00', 'ff00')).toBe(0);
+    expect(hammingDistance('ff00', 'fe01')).toBe(2);
+    expect(hammingDistance('ff', 'ff00')).toBe(Infinity);
+    expect(hashBands('0123456789abcdef')).toEqual(
+      ['0:01', '1:23', '2:45', '3:67', '4:89', '5:ab', '6:cd', '7:ef']
+    );
+  });
+
+  test('undecodable bytes still get a content hash', async () => {
+    const hashes = await computeImageHashes(Buffer.from('not an image'));
+    expect(hashes.sha256).toHaveLength(64);
+    expect(hashes.dhash).toBeNull();
+  });
+});
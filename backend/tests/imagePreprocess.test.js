@@ -0,0 +1,68 @@
+const sharp = require('sharp');
+const { preprocessImage, brightnessSpread } = require('../utils/imagePreprocess');
+
+// Horizontal gradient between two brightness levels (a narrow range looks like a faded scan)
+async function gradientImage(width, height, { from = 0, to = 255 } = {}) {
+  const pixels = Buffer.alloc(width * height * 3);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const value = Math.round(from + (x / (width - 1)) * (to - from));
+      pixels.fill(value, (y * width + x) * 3, (y * width + x) * 3 + 3);
+    }
+  }
+  return sharp(pixels, { raw: { width, height, channels: 3 } });
+}
+
+describe('Image preprocessing', () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  test('applies EXIF orientation and strips metadata', async () => {
+    // Stored landscape, orientation 6 = display rotated 90° clockwise
+    const buffer = await (await gradientImage(80, 40)).jpeg().withMetadata({ orientation: 6 }).toBuffer();
+
+    const prepared = await preprocessImage({ buffer, mimeType: 'image/jpeg' });
+    expect(prepared.preprocessing.transforms).toEqual(['auto_orient', 'strip_metadata']);
+    expect(prepared.preprocessing.output).toMatchObject({ width: 40, height: 80 });
+
+    const metadata = await sharp(prepared.buffer).metadata();
+    expect(metadata.orientation).toBeUndefined();
+    expect(metadata.exif).toBeUndefined();
+  });
+
+  test('resizes to the configured max dimension', async () => {
+    process.env.IMAGE_MAX_DIMENSION = '100';
+    const buffer = await (await gradientImage(300, 150)).png().toBuffer();
+
+    const prepared = await preprocessImage({ buffer, mimeType: 'image/png' });
+    expect(prepared.mimeType).toBe('image/jpeg');
+    expect(prepared.preprocessing.transforms).toEqual(['resize']);
+    expect(prepared.preprocessing.original).toMatchObject({ width: 300, height: 150, format: 'png' });
+    expect(prepared.preprocessing.output).toMatchObject({ width: 100, height: 50 });
+  });
+
+  test('stretches the levels of faded images only', async () => {
+    const faded = await (await gradientImage(64, 64, { from: 110, to: 170 })).png().toBuffer();
+    const normal = await (await gradientImage(64, 64)).png().toBuffer();
+    expect(await brightnessSpread(faded)).toBeLessThan(70);
+
+    const prepared = await preprocessImage({ buffer: faded });
+    expect(prepared.preprocessing.transforms).toEqual(['auto_contrast']);
+    expect(await brightnessSpread(prepared.buffer)).toBeGreaterThan(200);
+    expect((await preprocessImage({ buffer: normal })).preprocessing.transforms).toEqual([]);
+
+    process.env.IMAGE_AUTO_CONTRAST = 'false';
+    expect((await preprocessImage({ buffer: faded })).preprocessing.transforms).toEqual([]);
+  });
+
+  test('keeps the original bytes when the image cannot be read', async () => {
+    const image = { buffer: Buffer.from('not an image'), mimeType: 'image/heic' };
+    const prepared = await preprocessImage(image);
+    expect(prepared.buffer).toBe(image.buffer);
+    expect(prepared.mimeType).toBe('image/heic');
+    expect(prepared.preprocessing).toBeNull();
+  });
+});
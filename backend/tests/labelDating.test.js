@@ -0,0 +1,62 @@
+const {
+  findLabelEvidence,
+  combineLabelConstraints,
+  interpretLabelText,
+  eraFitsConstraints,
+  describeYearRange,
+} = require('../utils/labelDating');
+
+describe('Label dating', () => {
+  test('dates RN numbers by issue year', () => {
+    const [finding] = findLabelEvidence('STYLED BY JOHNNY\nRN 45123\nSIZE 12');
+    expect(finding).toMatchObject({ type: 'rn', value: 45123, notBefore: 1975, notAfter: null, strength: 'strong' });
+
+    expect(findLabelEvidence('R.N. #13670')[0].notBefore).toBe(1959);
+    // Below the first RN: kept, but not dated
+    expect(findLabelEvidence('RN 4512')[0]).toMatchObject({ notBefore: null, strength: 'weak' });
+  });
+
+  test('finds union labels, origin marks and WPL numbers across OCR lines', () => {
+    const findings = findLabelEvidence('MADE IN\nWEST GERMANY\nWPL 1234\nI.L.G.W.U. AFL-CIO');
+    expect(findings.map(f => f.rule)).toEqual(['made_in_west_germany', 'wpl_number', 'ilgwu', 'afl_cio']);
+  });
+
+  test('ignores text without label evidence', () => {
+    expect(findLabelEvidence('')).toEqual([]);
+    expect(findLabelEvidence('SUMMER SALE 50% OFF')).toEqual([]);
+    expect(interpretLabelText('hello').constraints).toBeNull();
+  });
+
+  test('combines findings into one year range', () => {
+    const { constraints } = interpretLabelText('ILGWU AFL-CIO RN 26500 DRY CLEAN ONLY');
+    expect(constraints).toMatchObject({ notBefore: 1971, notAfter: 1995, conflicts: [] });
+    expect(constraints.basis).toEqual(expect.arrayContaining(['ilgwu', 'afl_cio', 'rn_number', 'care_instructions']));
+  });
+
+  test('weaker findings that contradict stronger ones are listed as conflicts', () => {
+    const constraints = combineLabelConstraints([
+      { rule: 'made_in_occupied_japan', notBefore: 1945, notAfter: 1952, strength: 'strong' },
+      { rule: 'care_instructions', notBefore: 1971, notAfter: null, strength: 'weak' },
+    ]);
+    expect(constraints).toEqual({
+      notBefore: 1945,
+      notAfter: 1952,
+      basis: ['made_in_occupied_japan'],
+      conflicts: ['care_instructions'],
+    });
+  });
+
+  test('checks an era against the constraints', () => {
+    const constraints = { notBefore: 1959, notAfter: 1990 };
+    expect(eraFitsConstraints({ startYear: 1950, endYear: 1959 }, constraints)).toBe(true);
+    expect(eraFitsConstraints({ startYear: 1940, endYear: 1949 }, constraints)).toBe(false);
+    expect(eraFitsConstraints({ startYear: null, endYear: null }, constraints)).toBeNull();
+    expect(eraFitsConstraints({ startYear: 1940, endYear: 1949 }, null)).toBeNull();
+  });
+
+  test('describes year ranges', () => {
+    expect(describeYearRange({ notBefore: 1949, notAfter: 1990 })).toBe('1949–1990');
+    expect(describeYearRange({ notBefore: 1970, notAfter: null })).toBe('1970 or later');
+    expect(describeYearRange({ notBefore: null, notAfter: 1995 })).toBe('1995 or earlier');
+  });
+});
@@ -0,0 +1,67 @@
+const {
+  matchLocale,
+  parseAcceptLanguage,
+  resolveLocaleSettings,
+  promptLocaleVariables,
+  describeSearchTargets
+} = require('../utils/locales');
+
+describe('Locales', () => {
+  test('matches language tags to supported locales', () => {
+    expect(matchLocale('de_de')).toBe('de-DE');
+    expect(matchLocale('de-AT')).toBe('de-DE');
+    expect(matchLocale('ja')).toBe('ja-JP');
+    expect(matchLocale('pt-BR')).toBeNull();
+    expect(matchLocale('')).toBeNull();
+  });
+
+  test('orders Accept-Language tags by quality', () => {
+    expect(parseAcceptLanguage('fr;q=0.5, de-DE, *;q=0.1, en;q=0.8')).toEqual(['de-DE', 'en', 'fr']);
+  });
+
+  test('request beats profile beats Accept-Language', () => {
+    const profile = { locale: 'fr-FR', searchLocales: ['fr-FR', 'xx'] };
+
+    // Saved search locales still apply when only the output locale is requested
+    expect(resolveLocaleSettings({ requested: 'it', profile, acceptLanguage: 'de' }))
+      .toEqual({ output: 'it-IT', search: ['fr-FR'], source: 'request' });
+    expect(resolveLocaleSettings({ requested: 'it', acceptLanguage: 'de' }))
+      .toEqual({ output: 'it-IT', search: ['it-IT', 'en-US'], source: 'request' });
+    expect(resolveLocaleSettings({ profile, acceptLanguage: 'de' }))
+      .toEqual({ output: 'fr-FR', search: ['fr-FR'], source: 'profile' });
+    expect(resolveLocaleSettings({ acceptLanguage: 'pt-BR, de;q=0.9' }))
+      .toEqual({ output: 'de-DE', search: ['de-DE', 'en-US'], source: 'header' });
+    expect(resolveLocaleSettings()).toEqual({ output: 'en-US', search: ['en-US'], source: 'default' });
+  });
+
+  test('rejects unsupported requested locales', () => {
+    expect(() => resolveLocaleSettings({ requested: 'tlh' })).toThrow(/Unsupported locale/);
+    expect(() => resolveLocaleSettings({ requestedSearch: ['de', 'xx'] })).toThrow(/Unsupported search locale/);
+  });
+
+  test('builds prompt variables for non-English search locales', () => {
+    expect(promptLocaleVariables({ output: 'de-DE', search: ['de-DE', 'en-GB'] })).toEqual({
+      output_language: 'de-DE (German)',
+      search_locales: 'de-DE (German)'
+    });
+    expect(promptLocaleVariables(null).search_locales).toBe('none');
+  });
+
+  test('groups queries per search locale and always keeps the English ones', () => {
+    const geminiResult = {
+      search_queries: { en: ['1950s swing dress'] },
+      localized_queries: { 'de-DE': ['Petticoat Kleid'], 'fr-FR': ['robe'] }
+    };
+
+    const targets = describeSearchTargets(geminiResult, { output: 'de-DE', search: ['de-DE'] });
+    expect(targets.map(t => [t.locale, t.queries])).toEqual([
+      ['de-DE', ['Petticoat Kleid']],
+      ['en-US', ['1950s swing dress']]
+    ]);
+    expect(targets[0].google).toContain('{query}');
+    expect(targets[0].marketplaces.length).toBeGreaterThan(0);
+
+    // Results saved before locales
+    expect(describeSearchTargets(geminiResult, null).map(t => t.locale)).toEqual(['en-US']);
+  });
+});
@@ -0,0 +1,80 @@
+const {
+  getModerationThresholds,
+  evaluateSafeSearch,
+  describeModeration,
+  contentBlockedError,
+} = require('../utils/moderation');
+const { runModeration } = require('../services/analysisPipeline');
+const { resetProviders } = require('../providers');
+
+const SAFE = { adult: 'VERY_UNLIKELY', violence: 'VERY_UNLIKELY', racy: 'UNLIKELY', medical: 'VERY_UNLIKELY', spoof: 'UNLIKELY' };
+
+describe('Content moderation', () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    resetProviders();
+  });
+
+  test('uses default thresholds unless configured', () => {
+    expect(getModerationThresholds().adult).toEqual({ block: 'LIKELY', flag: 'POSSIBLE' });
+    expect(getModerationThresholds().racy).toEqual({ block: null, flag: 'LIKELY' });
+
+    process.env.SAFESEARCH_RACY_BLOCK = 'very_likely';
+    process.env.SAFESEARCH_ADULT_FLAG = 'off';
+    expect(getModerationThresholds().racy.block).toBe('VERY_LIKELY');
+    expect(getModerationThresholds().adult.flag).toBeNull();
+  });
+
+  test('allows, flags and blocks by category', () => {
+    expect(evaluateSafeSearch(SAFE)).toMatchObject({ action: 'allow', checked: true, triggered: [] });
+
+    const flagged = evaluateSafeSearch({ ...SAFE, racy: 'LIKELY' });
+    expect(flagged.action).toBe('flag');
+    expect(flagged.triggered).toEqual([{ category: 'racy', likelihood: 'LIKELY', action: 'flag' }]);
+
+    const blocked = evaluateSafeSearch({ ...SAFE, adult: 'VERY_LIKELY', violence: 'POSSIBLE' });
+    expect(blocked.action).toBe('block');
+    expect(blocked.triggered.map(t => t.action)).toEqual(['block', 'flag']);
+    // Vision enum numbers work too (5 = VERY_LIKELY)
+    expect(evaluateSafeSearch({ ...SAFE, violence: 5 }).action).toBe('block');
+  });
+
+  test('a missing annotation is recorded as unchecked', () => {
+    expect(evaluateSafeSearch(null)).toEqual({ action: 'allow', checked: false, categories: null, triggered: [] });
+  });
+
+  test('blocked photos get a CONTENT_BLOCKED error naming the category', () => {
+    const moderation = evaluateSafeSearch({ ...SAFE, adult: 'LIKELY' });
+    expect(describeModeration(moderation)).toBe('likely adult content');
+
+    const error = contentBlockedError(moderation);
+    expect(error).toMatchObject({ status: 422, code: 'CONTENT_BLOCKED', moderation });
+    expect(error.message).toContain('likely adult content');
+  });
+
+  test('runModeration checks the image with SafeSearch', async () => {
+    process.env.VISION_PROVIDER = 'stub';
+    resetProviders();
+
+    const events = [];
+    const allowed = await runModeration('https://example.com/a.jpg', {
+      imageBuffer: Buffer.from('x'),
+      onEvent: (type, data) => events.push([type, data]),
+    });
+    expect(allowed).toMatchObject({ action: 'allow', checked: true, categories: SAFE });
+    expect(events).toEqual([]);
+
+    process.env.SAFESEARCH_SPOOF_BLOCK = 'UNLIKELY';
+    const blocked = await runModeration('https://example.com/a.jpg', {
+      imageBuffer: Buffer.from('x'),
+      onEvent: (type, data) => events.push([type, data]),
+    });
+    expect(blocked.action).toBe('block');
+    expect(events).toEqual([['moderation', { action: 'block', categories: ['spoof'] }]]);
+
+    process.env.MODERATION_ENABLED = 'false';
+    expect(await runModeration('https://example.com/a.jpg', { imageBuffer: Buffer.from('x') })).toBeNull();
+  });
+});
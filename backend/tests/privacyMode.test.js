@@ -0,0 +1,163 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+// In-memory stand-in for the parts of Firestore used by privacy mode; writes fail while mockWritesFail is set
+let mockWritesFail = false;
+jest.mock('../utils/firestore', () => {
+  const store = new Map();
+
+  function docRef(path) {
+    const write = (fn) => async (data) => {
+      if (mockWritesFail) throw new Error('Firestore unavailable');
+      fn(data);
+    };
+    return {
+      get: async () => ({ exists: store.has(path), data: () => store.get(path) }),
+      set: write(data => store.set(path, data)),
+      update: write(data => store.set(path, { ...store.get(path), ...data })),
+      delete: async () => { store.delete(path); }
+    };
+  }
+
+  return {
+    store,
+    firestore: { collection: (name) => ({ doc: (id) => docRef(`${name}/${id}`) }) }
+  };
+});
+
+// Scripted vision provider: the next annotate() returns these faces, or throws when set to an Error
+let mockFaces = [];
+jest.mock('../providers', () => ({
+  getVisionProvider: () => ({
+    name: 'scripted',
+    annotate: jest.fn(async () => {
+      if (mockFaces instanceof Error) throw mockFaces;
+      return { faceAnnotations: mockFaces };
+    })
+  })
+}));
+
+const { store } = require('../utils/firestore');
+const {
+  blurFaces,
+  createPrivateDerivative,
+  storePrivateImage,
+  getPrivateImage,
+  markPrivateImageMissing
+} = require('../services/privacyMode');
+const { createUsageRecorder } = require('../services/usageAccounting');
+
+// Black and white checkerboard: blurring turns any region of it grey
+async function checkerboard(width, height) {
+  const pixels = Buffer.alloc(width * height * 3);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const value = (Math.floor(x / 4) + Math.floor(y / 4)) % 2 === 0 ? 0 : 255;
+      pixels.fill(value, (y * width + x) * 3, (y * width + x) * 3 + 3);
+    }
+  }
+  return sharp(pixels, { raw: { width, height, channels: 3 } }).png().toBuffer();
+}
+
+// Standard deviation of a region's greyscale pixels (low = blurred)
+async function regionDetail(buffer, region) {
+  // stats() reads its input, so the region is cut out first
+  const stats = await sharp(await sharp(buffer).extract(region).greyscale().toBuffer()).stats();
+  return stats.channels[0].stdev;
+}
+
+function face(left, top, right, bottom) {
+  return {
+    boundingPoly: { vertices: [{ x: left, y: top }, { x: right, y: top }, { x: right, y: bottom }, { x: left, y: bottom }] }
+  };
+}
+
+describe('Privacy mode', () => {
+  afterEach(() => {
+    mockFaces = [];
+    mockWritesFail = false;
+    store.clear();
+  });
+
+  test('blurs face regions and leaves the rest of the photo', async () => {
+    const image = await checkerboard(200, 200);
+    const blurred = await blurFaces(image, [face(20, 20, 80, 80)]);
+
+    expect(blurred).toMatchObject({ mimeType: 'image/jpeg', width: 200, height: 200, faceCount: 1 });
+    expect(await regionDetail(blurred.buffer, { left: 30, top: 30, width: 40, height: 40 })).toBeLessThan(30);
+    expect(await regionDetail(blurred.buffer, { left: 130, top: 130, width: 40, height: 40 })).toBeGreaterThan(100);
+  });
+
+  test('scales the derivative down for display', async () => {
+    const image = await checkerboard(2000, 1000);
+    const blurred = await blurFaces(image, []);
+    expect(blurred).toMatchObject({ width: 1280, height: 640, faceCount: 0 });
+  });
+
+  test('creates a derivative from detected faces and counts the Vision unit', async () => {
+    mockFaces = [face(10, 10, 60, 60), face(100, 100, 150, 150)];
+    const usage = createUsageRecorder();
+    const events = [];
+
+    const { derivative, privacy } = await createPrivateDerivative(
+      { buffer: await checkerboard(200, 200) },
+      { usage, onEvent: (type, data) => events.push([type, data]) }
+    );
+    expect(derivative.faceCount).toBe(2);
+    expect(privacy).toEqual({ enabled: true, blurred: true, faceCount: 2, fullBlur: false, hasImage: true });
+    expect(usage.summary().visionUnits).toBe(1);
+    expect(events).toEqual([['faces_blurred', { count: 2, fullBlur: false }]]);
+  });
+
+  test('blurs the whole photo when face detection fails', async () => {
+    mockFaces = new Error('Vision unavailable');
+    const { derivative, privacy } = await createPrivateDerivative({ buffer: await checkerboard(200, 200) });
+
+    expect(privacy).toMatchObject({ blurred: true, fullBlur: true, hasImage: true });
+    expect(await regionDetail(derivative.buffer, { left: 130, top: 130, width: 40, height: 40 })).toBeLessThan(30);
+  });
+
+  test('has no image to show when the photo was not downloaded', async () => {
+    const { derivative, privacy } = await createPrivateDerivative(null);
+    expect(derivative).toBeNull();
+    expect(privacy).toMatchObject({ enabled: true, blurred: false, hasImage: false });
+  });
+
+  test('scales a detailed photo down until it fits in a Firestore document', async () => {
+    const noise = await sharp(crypto.randomBytes(1600 * 1200 * 3), { raw: { width: 1600, height: 1200, channels: 3 } })
+      .png()
+      .toBuffer();
+
+    const full = await blurFaces(noise, []);
+    expect(full).toMatchObject({ width: 1280, height: 960 });
+
+    const smaller = await blurFaces(noise, [], { maxBytes: full.buffer.length - 1 });
+    expect(smaller.buffer.length).toBeLessThan(full.buffer.length);
+    expect(smaller.width).toBeLessThanOrEqual(1280);
+  });
+
+  test('stores the derivative, but never one over the document size limit', async () => {
+    const derivative = await blurFaces(await checkerboard(200, 200), []);
+    expect(await storePrivateImage('r1', 'u1', derivative)).toBe(true);
+    expect(await getPrivateImage('r1')).toMatchObject({ userId: 'u1', mimeType: 'image/jpeg', width: 200 });
+
+    const oversized = { ...derivative, buffer: Buffer.alloc(1024 * 1024) };
+    expect(await storePrivateImage('r2', 'u1', oversized)).toBe(false);
+    expect(await getPrivateImage('r2')).toBeNull();
+
+    mockWritesFail = true;
+    expect(await storePrivateImage('r3', 'u1', derivative)).toBe(false);
+  });
+
+  test('a result whose image could not be stored shows no photo', async () => {
+    const privacy = { enabled: true, blurred: true, faceCount: 1, fullBlur: false, hasImage: true };
+    store.set('results/r1', { userId: 'u1', privacy });
+    // Blurred copy of an earlier version
+    store.set('resultImages/r1', { userId: 'u1', image: Buffer.from('old') });
+
+    const updated = await markPrivateImageMissing('r1', privacy);
+    expect(updated).toEqual({ ...privacy, hasImage: false });
+    expect(store.get('results/r1').privacy.hasImage).toBe(false);
+    expect(store.has('resultImages/r1')).toBe(false);
+  });
+});
@@ -0,0 +1,85 @@
+// Firestore is unavailable: only bundled templates and the env experiment are used
+jest.mock('../utils/firestore', () => ({
+  firestore: {
+    collection: () => {
+      throw new Error('offline');
+    }
+  }
+}));
+
+const { renderTemplate, assignVariant, getPrompt, clearPromptCache } = require('../services/promptTemplates');
+const { summarizeByPromptVersion } = require('../services/promptStats');
+
+const registry = {
+  defaultVersion: 'era-v4',
+  templates: { 'era-v4': {}, 'era-v5': {} },
+  experiment: { name: 'era', variants: [{ version: 'era-v5', percent: 30 }], assignment: 'user' }
+};
+
+describe('Prompt templates', () => {
+  afterEach(() => {
+    delete process.env.GEMINI_PROMPT_VARIANTS;
+    clearPromptCache();
+  });
+
+  test('renders variables and rejects missing ones', () => {
+    expect(renderTemplate('Give {{ count }} queries, max {{count}}', { count: 6 })).toBe('Give 6 queries, max 6');
+    expect(() => renderTemplate('{{missing}}', {})).toThrow(/"missing" has no value/);
+  });
+
+  test('renders the bundled default template', async () => {
+    const prompt = await getPrompt('era');
+    expect(prompt.version).toBe('era-v5');
+    expect(prompt.experiment).toBeNull();
+    expect(prompt.text).toContain('(6–10 queries)');
+    expect(prompt.text).not.toContain('{{');
+  });
+
+  test('renders an explicit version with overridden variables', async () => {
+    const prompt = await getPrompt('era', { version: 'era-v5', variables: { output_language: 'de-DE (German)' } });
+    expect(prompt.text).toContain('Write rationale and shopping_tips in de-DE (German)');
+
+    const previous = await getPrompt('era', { version: 'era-v4' });
+    expect(previous.version).toBe('era-v4');
+    expect(previous.text).not.toContain('localized_queries');
+  });
+
+  test('keeps users in their variant and splits by percentage', () => {
+    const first = assignVariant(registry, { userId: 'user-1' });
+    expect(assignVariant(registry, { userId: 'user-1' })).toEqual(first);
+
+    const versions = Array.from({ length: 1000 }, (_, i) => assignVariant(registry, { userId: `user-${i}` }).version);
+    const share = versions.filter(v => v === 'era-v5').length / versions.length;
+    expect(share).toBeGreaterThan(0.25);
+    expect(share).toBeLessThan(0.35);
+  });
+
+  test('falls back to the default for variants without a template', async () => {
+    process.env.GEMINI_PROMPT_VARIANTS = 'era-missing:100';
+    const prompt = await getPrompt('era', { userId: 'user-1' });
+    expect(prompt.version).toBe('era-v5');
+    expect(prompt.experiment).toMatchObject({ name: 'era', variant: 'era-v5', assignment: 'user' });
+  });
+});
+
+describe('Prompt stats', () => {
+  test('compares parse failures and feedback per prompt version', () => {
+    const stats = summarizeByPromptVersion([
+      { promptVersion: 'era-v4', geminiResult: { validation: { valid: true, repaired: true } }, feedback: { rating: 'correct' } },
+      { promptVersion: 'era-v4', geminiResult: { parse_error: true, validation: { valid: false } } },
+      { promptVersion: 'era-v5', geminiResult: { validation: { valid: true } }, feedback: { rating: 'incorrect', correction: { era: '1940s' } } },
+      { promptVersion: 'era-v4', geminiResult: {}, feedback: { rating: 'incorrect', original: { promptVersion: 'era-v3' } } }
+    ]);
+
+    expect(stats[0]).toMatchObject({
+      promptVersion: 'era-v4',
+      results: 3,
+      parseErrors: 1,
+      parseErrorRate: 0.333,
+      repaired: 1,
+      feedback: { rated: 1, correct: 1, partially_correct: 0, incorrect: 0 },
+      correctRate: 1
+    });
+    expect(stats[1]).toMatchObject({ promptVersion: 'era-v5', eraCorrections: 1, correctRate: 0 });
+  });
+});
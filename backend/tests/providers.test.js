@@ -0,0 +1,54 @@
+// Load environment variables before importing providers
+require('../config/env')();
+
+const { getVisionProvider, getLlmProvider, resetProviders } = require('../providers');
+
+describe('Analysis providers', () => {
+  const originalEnv = { ...process.env };
+
+  beforeEach(() => {
+    process.env.VISION_PROVIDER = 'stub';
+    process.env.LLM_PROVIDER = 'stub';
+    resetProviders();
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+    resetProviders();
+  });
+
+  test('stub vision provider only returns requested features', async () => {
+    const provider = getVisionProvider();
+    expect(provider.name).toBe('stub');
+
+    const result = await provider.annotate({ source: { imageUri: 'https://example.com/a.jpg' } }, [
+      { type: 'LABEL_DETECTION', maxResults: 20 }
+    ]);
+
+    expect(result.labelAnnotations.length).toBeGreaterThan(0);
+    expect(result.localizedObjectAnnotations).toBeUndefined();
+  });
+
+  test('stub vision provider is deterministic', async () => {
+    const features = [{ type: 'LABEL_DETECTION' }, { type: 'IMAGE_PROPERTIES' }];
+    const a = await getVisionProvider().annotate({}, features);
+    const b = await getVisionProvider().annotate({}, features);
+    expect(a).toEqual(b);
+  });
+
+  test('stub LLM provider returns parseable era JSON', async () => {
+    const llm = getLlmProvider();
+    expect(llm.isConfigured()).toBe(true);
+
+    const { text, model } = await llm.generate([{ text: 'prompt' }]);
+    const parsed = JSON.parse(text);
+    expect(model).toBe(llm.getModelName());
+    expect(parsed.era_primary).toBeDefined();
+    expect(parsed.top3_candidates).toHaveLength(3);
+  });
+
+  test('unknown provider names are rejected', () => {
+    process.env.VISION_PROVIDER = 'nope';
+    expect(() => getVisionProvider()).toThrow(/Unknown vision provider/);
+  });
+});
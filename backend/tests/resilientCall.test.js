@@ -0,0 +1,82 @@
+const { classifyError, backoffDelay, resilientCall, getBreakerStates, resetBreakers } = require('../utils/resilientCall');
+
+function httpError(status) {
+  const err = new Error(`Request failed with status code ${status}`);
+  err.response = { status };
+  return err;
+}
+
+describe('Resilient calls', () => {
+  const originalThreshold = process.env.BREAKER_FAILURE_THRESHOLD;
+  const originalReset = process.env.BREAKER_RESET_MS;
+
+  beforeEach(() => {
+    resetBreakers();
+    process.env.BREAKER_FAILURE_THRESHOLD = '3';
+    process.env.BREAKER_RESET_MS = '50';
+  });
+
+  afterAll(() => {
+    process.env.BREAKER_FAILURE_THRESHOLD = originalThreshold;
+    process.env.BREAKER_RESET_MS = originalReset;
+  });
+
+  test('classifies transient and fatal errors', () => {
+    expect(classifyError(httpError(503))).toBe('retryable');
+    expect(classifyError(httpError(429))).toBe('retryable');
+    expect(classifyError(httpError(404))).toBe('fatal');
+    expect(classifyError(httpError(401))).toBe('fatal');
+    expect(classifyError(Object.assign(new Error('reset'), { code: 'ECONNRESET' }))).toBe('retryable');
+    // gRPC UNAVAILABLE (Vision SDK)
+    expect(classifyError(Object.assign(new Error('14 UNAVAILABLE'), { code: 14 }))).toBe('retryable');
+    // Gemini SDK errors only carry the status in the message
+    expect(classifyError(new Error('Error fetching from https://x: [503 Service Unavailable] overloaded'))).toBe('retryable');
+    expect(classifyError(new Error('Error fetching from https://x: [400 Bad Request] invalid'))).toBe('fatal');
+    expect(classifyError(new Error('Unexpected token'))).toBe('fatal');
+  });
+
+  test('backs off exponentially with full jitter', () => {
+    expect(backoffDelay(0, { baseDelayMs: 100, random: () => 1 })).toBe(100);
+    expect(backoffDelay(3, { baseDelayMs: 100, random: () => 1 })).toBe(800);
+    expect(backoffDelay(10, { baseDelayMs: 100, maxDelayMs: 2000, random: () => 1 })).toBe(2000);
+    expect(backoffDelay(3, { baseDelayMs: 100, random: () => 0.5 })).toBe(400);
+  });
+
+  test('retries transient failures and gives up on fatal ones', async () => {
+    const flaky = jest.fn()
+      .mockRejectedValueOnce(httpError(503))
+      .mockResolvedValueOnce('ok');
+    await expect(resilientCall('gemini', flaky, { baseDelayMs: 1 })).resolves.toBe('ok');
+    expect(flaky).toHaveBeenCalledTimes(2);
+
+    const notFound = jest.fn().mockRejectedValue(httpError(404));
+    await expect(resilientCall('googlePhotos', notFound, { baseDelayMs: 1 })).rejects.toThrow(/404/);
+    expect(notFound).toHaveBeenCalledTimes(1);
+    expect(getBreakerStates().googlePhotos.consecutiveFailures).toBe(0);
+  });
+
+  test('opens the circuit, fails fast, then closes after a successful trial', async () => {
+    const down = jest.fn().mockRejectedValue(httpError(503));
+    await expect(resilientCall('vision', down, { retries: 5, baseDelayMs: 1 })).rejects.toThrow(/503/);
+    expect(down).toHaveBeenCalledTimes(3);
+    expect(getBreakerStates().vision).toMatchObject({ state: 'open', consecutiveFailures: 3 });
+
+    const call = jest.fn().mockResolvedValue('ok');
+    await expect(resilientCall('vision', call)).rejects.toMatchObject({ code: 'CIRCUIT_OPEN', status: 503 });
+    expect(call).not.toHaveBeenCalled();
+
+    await new Promise(resolve => setTimeout(resolve, 60));
+    await expect(resilientCall('vision', call)).resolves.toBe('ok');
+    expect(getBreakerStates().vision.state).toBe('closed');
+  });
+
+  test('a failed trial call opens the circuit again', async () => {
+    const down = jest.fn().mockRejectedValue(httpError(502));
+    await expect(resilientCall('gemini', down, { retries: 2, baseDelayMs: 1 })).rejects.toThrow();
+    await new Promise(resolve => setTimeout(resolve, 60));
+
+    await expect(resilientCall('gemini', down, { retries: 2, baseDelayMs: 1 })).rejects.toThrow(/502/);
+    expect(down).toHaveBeenCalledTimes(4);
+    expect(getBreakerStates().gemini.state).toBe('open');
+  });
+});
@@ -0,0 +1,116 @@
+// In-memory stand-in for the parts of Firestore used by the analysis cache
+jest.mock('../utils/firestore', () => {
+  const store = new Map();
+
+  function docRef(path) {
+    return {
+      path,
+      get: async () => ({
+        id: path.split('/').pop(),
+        exists: store.has(path),
+        data: () => store.get(path)
+      }),
+      set: async (data) => { store.set(path, data); }
+    };
+  }
+
+  // where(...) filters chain like Firestore queries ('==' and 'array-contains-any' only)
+  function query(path, filters = []) {
+    return {
+      where: (field, op, value) => query(path, [...filters, { field, op, value }]),
+      limit: () => query(path, filters),
+      get: async () => {
+        const docs = [...store.keys()]
+          .filter(key => key.startsWith(`${path}/`))
+          .filter(key => filters.every(({ field, op, value }) => {
+            const actual = store.get(key)[field];
+            return op === '==' ? actual === value : (actual || []).some(item => value.includes(item));
+          }))
+          .map(key => ({ id: key.split('/').pop(), data: () => store.get(key) }));
+        return { docs, size: docs.length, empty: docs.length === 0 };
+      }
+    };
+  }
+
+  return {
+    store,
+    firestore: {
+      collection: (name) => ({ ...query(name), doc: (id) => docRef(`${name}/${id}`) })
+    }
+  };
+});
+
+const originalEnv = { ...process.env };
+process.env.VISION_PROVIDER = 'stub';
+process.env.LLM_PROVIDER = 'stub';
+
+const { store } = require('../utils/firestore');
+const { findCachedAnalysis, storeCachedAnalysis } = require('../services/resultCache');
+
+const ORIGINAL = { sha256: 'a'.repeat(64), dhash: '0123456789abcdef' };
+// Re-encoded copy: different bytes, dHash 1 bit away
+const COPY = { sha256: 'b'.repeat(64), dhash: '0123456789abcdee' };
+
+const analysis = {
+  visionFeatures: { labels: ['Dress'], text: 'Handwritten: Margaret, 1956' },
+  geminiResult: { era_primary: '1950s' },
+  garments: [{ name: 'Dress' }]
+};
+
+describe('Analysis cache', () => {
+  beforeEach(() => {
+    store.clear();
+  });
+
+  afterAll(() => {
+    process.env = { ...originalEnv };
+  });
+
+  test('stores who the entry came from', async () => {
+    await storeCachedAnalysis(ORIGINAL, { ...analysis, userId: 'u1' });
+    expect(store.get(`analysisCache/${ORIGINAL.sha256}`)).toMatchObject({
+      userId: 'u1', contentHash: ORIGINAL.sha256, perceptualHash: ORIGINAL.dhash
+    });
+  });
+
+  test('reuses byte-identical images across users', async () => {
+    await storeCachedAnalysis(ORIGINAL, { ...analysis, userId: 'u1' });
+
+    const hit = await findCachedAnalysis(ORIGINAL, { userId: 'u2' });
+    expect(hit).toMatchObject({ match: 'exact', distance: 0, geminiResult: { era_primary: '1950s' } });
+  });
+
+  test('matches near-duplicates only among the same user\'s entries', async () => {
+    await storeCachedAnalysis(ORIGINAL, { ...analysis, userId: 'u1' });
+
+    const own = await findCachedAnalysis(COPY, { userId: 'u1' });
+    expect(own).toMatchObject({ match: 'near', distance: 1, key: ORIGINAL.sha256 });
+    expect(own.visionFeatures.text).toBe('Handwritten: Margaret, 1956');
+
+    // Another user's similar-looking photo does not get u1's text, web references or garment crops
+    expect(await findCachedAnalysis(COPY, { userId: 'u2' })).toBeNull();
+    expect(await findCachedAnalysis(COPY)).toBeNull();
+  });
+
+  test('ignores entries for another locale setting', async () => {
+    const locale = { output: 'fr-FR', search: ['fr-FR'] };
+    await storeCachedAnalysis(ORIGINAL, { ...analysis, userId: 'u1', locale });
+
+    expect(await findCachedAnalysis(ORIGINAL, { userId: 'u1' })).toBeNull();
+    expect(await findCachedAnalysis(COPY, { userId: 'u1', locale })).toMatchObject({ match: 'near' });
+  });
+
+  test('keeps each era prompt and template text apart', async () => {
+    const promptA = { version: 'era-v4', text: 'Date this outfit.' };
+    const promptB = { version: 'era-v5', text: 'Date this outfit, decade first.' };
+    await storeCachedAnalysis(ORIGINAL, { ...analysis, userId: 'u1', prompt: promptA });
+
+    expect(await findCachedAnalysis(ORIGINAL, { userId: 'u2', prompt: promptA })).toMatchObject({ match: 'exact' });
+    // Another experiment variant gets its own Gemini output
+    expect(await findCachedAnalysis(ORIGINAL, { userId: 'u2', prompt: promptB })).toBeNull();
+    expect(await findCachedAnalysis(COPY, { userId: 'u1', prompt: promptB })).toBeNull();
+    // A Firestore override of the same version changes the text
+    expect(await findCachedAnalysis(ORIGINAL, { userId: 'u1', prompt: { ...promptA, text: 'Edited prompt.' } })).toBeNull();
+  });
+});
+
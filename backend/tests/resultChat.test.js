@@ -0,0 +1,71 @@
+// Offline: stub LLM, Firestore only records updates (prompt templates fall back to the bundled ones)
+const mockUpdates = [];
+jest.mock('../utils/firestore', () => ({
+  firestore: {
+    collection: () => ({
+      where: () => {
+        throw new Error('offline');
+      },
+      doc: (id) => ({
+        get: async () => {
+          throw new Error('offline');
+        },
+        update: async (data) => mockUpdates.push({ id, data })
+      })
+    })
+  }
+}));
+
+process.env.LLM_PROVIDER = 'stub';
+
+const { parseQuestion, buildChatParts, askAboutResult } = require('../services/resultChat');
+
+const result = {
+  userId: 'user-1',
+  version: 2,
+  locale: { output: 'de-DE', search: ['de-DE'] },
+  geminiResult: { era_primary: '1950s', style_tags: ['swing'], rationale: 'Full skirt.', search_queries: { en: [] } },
+  visionFeatures: { labels: ['Dress:0.93'], clothing_keywords: [{ term: 'petticoat', category: 'silhouette' }] },
+  garments: [{ name: 'Dress', era: '1950s', style: 'Swing dress', discriminator: 'Circle skirt', box: {} }]
+};
+
+describe('Result chat', () => {
+  beforeEach(() => {
+    mockUpdates.length = 0;
+  });
+
+  test('validates questions', () => {
+    expect(parseQuestion({ question: '  Could this be 1960s?  ' })).toBe('Could this be 1960s?');
+    expect(() => parseQuestion({})).toThrow(/question is required/);
+    expect(() => parseQuestion({ question: 'x'.repeat(501) })).toThrow(/at most 500/);
+  });
+
+  test('grounds the question in the result, the thread and the photo', () => {
+    const parts = buildChatParts({
+      promptText: 'PROMPT',
+      result,
+      thread: [{ role: 'user', text: 'Hat?' }, { role: 'assistant', text: 'A pillbox hat.' }],
+      question: 'Shoes?',
+      image: { buffer: Buffer.from('img'), mimeType: 'image/png' }
+    });
+
+    const context = JSON.parse(parts[1].text.split('\n').slice(1).join('\n'));
+    expect(context.era_primary).toBe('1950s');
+    expect(context.garments).toEqual([{ name: 'Dress', era: '1950s', style: 'Swing dress', discriminator: 'Circle skirt' }]);
+    expect(context.vision_features.clothing_keywords).toEqual(['petticoat (silhouette)']);
+    expect(parts[2].text).toContain('User: Hat?\nExpert: A pillbox hat.');
+    expect(parts[3].text).toBe('### Question:\nShoes?');
+    expect(parts[4].inlineData).toEqual({ mimeType: 'image/png', data: Buffer.from('img').toString('base64') });
+  });
+
+  test('answers and appends both messages to the thread', async () => {
+    const thread = [{ role: 'user', text: 'Hat?', version: 1 }, { role: 'assistant', text: 'A pillbox hat.', version: 1 }];
+    const { answer, chat } = await askAboutResult('result-1', { ...result, chat: thread }, 'What shoes would go with this?');
+
+    expect(answer).toMatchObject({ role: 'assistant', version: 2, promptVersion: 'chat-v1', imageIncluded: false });
+    expect(answer.text).toMatch(/1950s/);
+    expect(chat.map(m => m.role)).toEqual(['user', 'assistant', 'user', 'assistant']);
+    expect(chat[2]).toMatchObject({ text: 'What shoes would go with this?', version: 2 });
+    expect(mockUpdates).toEqual([{ id: 'result-1', data: { chat } }]);
+  });
+});
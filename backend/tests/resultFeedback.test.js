@@ -0,0 +1,91 @@
+// In-memory stand-in for the parts of Firestore used by resultFeedback
+jest.mock('../utils/firestore', () => {
+  const store = new Map();
+
+  function docRef(path) {
+    return {
+      path,
+      set: async (data) => { store.set(path, data); },
+      update: async (data) => {
+        if (!store.has(path)) throw new Error(`No document to update: ${path}`);
+        store.set(path, { ...store.get(path), ...data });
+      },
+      delete: async () => { store.delete(path); }
+    };
+  }
+
+  return {
+    store,
+    firestore: {
+      collection: (name) => ({ doc: (id) => docRef(`${name}/${id}`) })
+    }
+  };
+});
+
+const { store } = require('../utils/firestore');
+const { parseFeedback, saveFeedback, deleteFeedback, feedbackToCsv } = require('../services/resultFeedback');
+
+const result = {
+  userId: 'u1',
+  photoId: 'p1',
+  version: 2,
+  modelName: 'gemini-test',
+  promptVersion: 'era-v4',
+  geminiResult: { era_primary: '1950s', style_tags: ['New Look'] }
+};
+
+describe('Result feedback', () => {
+  beforeEach(() => {
+    store.clear();
+    store.set('results/r1', { ...result });
+  });
+
+  test('validates and cleans the request body', () => {
+    expect(parseFeedback({ rating: 'incorrect', era: ' Late 1940s ', styleTags: ['Tea dress', ' ', 'Tea dress'] }))
+      .toEqual({ rating: 'incorrect', era: 'Late 1940s', styleTags: ['Tea dress'], note: null });
+
+    expect(() => parseFeedback({})).toThrow(/Provide a rating/);
+    expect(() => parseFeedback({ rating: 'meh' })).toThrow(expect.objectContaining({ status: 400 }));
+    expect(() => parseFeedback({ era: 'long ago' })).toThrow(/Unrecognized era/);
+    expect(() => parseFeedback({ styleTags: 'mod' })).toThrow(/styleTags/);
+  });
+
+  test('stores the correction next to the original model output', async () => {
+    const feedback = await saveFeedback('r1', result, parseFeedback({ rating: 'incorrect', era: 'Late 1940s', note: 'Wartime' }));
+
+    expect(feedback.original).toMatchObject({ era_primary: '1950s', style_tags: ['New Look'], version: 2, promptVersion: 'era-v4' });
+    expect(feedback.correction.canonicalEra).toMatchObject({ startYear: 1947, endYear: 1949 });
+
+    const stored = store.get('results/r1');
+    expect(stored.geminiResult.era_primary).toBe('1950s');
+    expect(stored.feedback.note).toBe('Wartime');
+    expect(store.get('analysisFeedback/r1')).toMatchObject({ resultId: 'r1', userId: 'u1', rating: 'incorrect' });
+
+    await deleteFeedback('r1');
+    expect(store.get('results/r1').feedback).toBeNull();
+    expect(store.has('analysisFeedback/r1')).toBe(false);
+  });
+
+  test('exports corrections as CSV', async () => {
+    const feedback = await saveFeedback('r1', result, parseFeedback({ era: '1940s', note: 'Shoulders, "padded"' }));
+    const csv = feedbackToCsv([{ resultId: 'r1', userId: 'u1', ...feedback }]);
+    const [header, row] = csv.trim().split('\n');
+
+    expect(header.split(',')).toEqual(expect.arrayContaining(['originalEra', 'correctedEra', 'eraMatches']));
+    expect(row).toContain('r1,u1,,1950s,1940s,false,New Look,,"Shoulders, ""padded""",2,gemini-test,era-v4,');
+  });
+
+  test('keeps spreadsheet formulas in CSV cells as text', () => {
+    const entry = (note, styleTags = []) => ({ resultId: 'r1', userId: 'u1', rating: 'incorrect', note, correction: { styleTags } });
+    const row = (entries) => feedbackToCsv(entries).trim().split('\n')[1];
+
+    expect(row([entry('=HYPERLINK("http://evil.example","x")')]))
+      .toContain(`"'=HYPERLINK(""http://evil.example"",""x"")"`);
+    expect(row([entry('+1')])).toContain(",'+1,");
+    expect(row([entry('-2+3')])).toContain(",'-2+3,");
+    expect(row([entry('@SUM(A1)')])).toContain(",'@SUM(A1),");
+    expect(row([entry('ok', ['=cmd'])])).toContain(",'=cmd,ok,");
+    // Only text is prefixed, and only when it starts the cell
+    expect(row([{ ...entry('a = b'), original: { version: -1 } }])).toContain(',a = b,-1,');
+  });
+});
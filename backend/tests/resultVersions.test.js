@@ -0,0 +1,114 @@
+// In-memory stand-in for the parts of Firestore used by resultVersions
+jest.mock('../utils/firestore', () => {
+  const store = new Map();
+
+  function docRef(path) {
+    return {
+      path,
+      collection: (name) => collectionRef(`${path}/${name}`),
+      get: async () => ({
+        id: path.split('/').pop(),
+        exists: store.has(path),
+        data: () => store.get(path),
+        ref: docRef(path)
+      }),
+      set: async (data) => { store.set(path, data); },
+      delete: async () => { store.delete(path); }
+    };
+  }
+
+  function collectionRef(path) {
+    return {
+      doc: (id) => docRef(`${path}/${id}`),
+      get: async () => {
+        const docs = [...store.keys()]
+          .filter(key => key.startsWith(`${path}/`) && !key.slice(path.length + 1).includes('/'))
+          .map(key => ({ id: key.split('/').pop(), data: () => store.get(key), ref: docRef(key) }));
+        return { docs, size: docs.length, empty: docs.length === 0 };
+      }
+    };
+  }
+
+  return {
+    store,
+    firestore: {
+      collection: collectionRef,
+      runTransaction: async (fn) => fn({
+        get: (ref) => ref.get(),
+        set: (ref, data) => store.set(ref.path, data)
+      })
+    }
+  };
+});
+
+const { store } = require('../utils/firestore');
+const {
+  saveResultVersion,
+  listResultVersions,
+  getResultVersion,
+  deleteResultVersions
+} = require('../services/resultVersions');
+
+describe('Result versions', () => {
+  beforeEach(() => {
+    store.clear();
+    // Result saved before versioning existed (no version field)
+    store.set('results/r1', {
+      userId: 'u1',
+      photoId: 'p1',
+      baseUrl: 'https://example.com/a.jpg',
+      geminiResult: { era_primary: '1940s', model_used: 'gemini-old' },
+      analyzedAt: '2024-01-01T00:00:00.000Z'
+    });
+  });
+
+  test('re-analysis archives the current result and bumps the version', async () => {
+    const version = await saveResultVersion('r1', {
+      userId: 'u1',
+      photoId: 'p1',
+      geminiResult: { era_primary: '1950s' },
+      modelName: 'gemini-2.5-flash',
+      promptVersion: 'era-v1',
+      analyzedAt: '2024-02-01T00:00:00.000Z'
+    });
+
+    expect(version).toBe(2);
+    expect(store.get('results/r1')).toMatchObject({
+      version: 2,
+      baseUrl: 'https://example.com/a.jpg',
+      geminiResult: { era_primary: '1950s' }
+    });
+    expect(store.get('results/r1/versions/1')).toMatchObject({
+      version: 1,
+      geminiResult: { era_primary: '1940s' }
+    });
+  });
+
+  test('lists versions newest first and fetches an archived one', async () => {
+    await saveResultVersion('r1', {
+      geminiResult: { era_primary: '1950s' },
+      modelName: 'gemini-2.5-flash',
+      promptVersion: 'era-v1'
+    });
+    const current = store.get('results/r1');
+
+    const versions = await listResultVersions('r1', current);
+    expect(versions.map(v => [v.version, v.current, v.era_primary, v.modelName])).toEqual([
+      [2, true, '1950s', 'gemini-2.5-flash'],
+      [1, false, '1940s', 'gemini-old']
+    ]);
+
+    const first = await getResultVersion('r1', current, 1);
+    expect(first).toMatchObject({ version: 1, userId: 'u1', latestVersion: 2 });
+    expect(first.geminiResult.era_primary).toBe('1940s');
+    expect(await getResultVersion('r1', current, 5)).toBeNull();
+  });
+
+  test('deletes archived versions', async () => {
+    await saveResultVersion('r1', { geminiResult: { era_primary: '1950s' } });
+    await saveResultVersion('r1', { geminiResult: { era_primary: '1960s' } });
+
+    expect(await deleteResultVersions('r1')).toBe(2);
+    expect(store.has('results/r1/versions/1')).toBe(false);
+  });
+});
@@ -0,0 +1,65 @@
+const { scoreSimilarity, rankSimilar } = require('../utils/similarity');
+
+function look({ era, tags = [], terms = [], colors = [] }) {
+  return {
+    geminiResult: { era_primary: era, style_tags: tags },
+    visionFeatures: {
+      clothing_keywords: terms.map(([term, parent]) => ({ term, parent: parent || null, category: 'garment_type' })),
+      color_analysis: { palette: colors.map(rgb => ({ rgb, score: 0.5 })) }
+    }
+  };
+}
+
+const swingDress = look({
+  era: '1950s',
+  tags: ['Swing', 'Rockabilly'],
+  terms: [['tea dress', 'dress'], ['polka dot']],
+  colors: [[200, 30, 40], [250, 250, 250]]
+});
+
+describe('Result similarity', () => {
+  test('identical looks score 1', () => {
+    const { score, factors } = scoreSimilarity(swingDress, swingDress);
+    expect(score).toBe(1);
+    expect(factors).toEqual({ era: 1, styleTags: 1, taxonomy: 1, colors: 1 });
+  });
+
+  test('combines partial era overlap, shared tags, taxonomy parents and colors', () => {
+    const other = look({
+      era: 'Late 1950s',
+      tags: ['swing', 'Mod'],
+      terms: [['day dress', 'dress']],
+      colors: [[190, 35, 45]]
+    });
+
+    const { score, factors, shared } = scoreSimilarity(swingDress, other);
+    expect(factors.era).toBe(0.3);
+    expect(factors.styleTags).toBe(0.333);
+    expect(factors.taxonomy).toBe(0.25);
+    expect(factors.colors).toBeGreaterThan(0.3);
+    expect(factors.colors).toBeLessThan(1);
+    expect(shared).toEqual({ styleTags: ['swing'], terms: ['dress'] });
+    expect(score).toBeGreaterThan(0.3);
+    expect(score).toBeLessThan(0.6);
+  });
+
+  test('leaves out factors without data', () => {
+    const noColors = look({ era: '1950s', tags: ['swing', 'rockabilly'], terms: [['tea dress', 'dress'], ['polka dot']] });
+    const { score, factors } = scoreSimilarity(swingDress, noColors);
+    expect(factors.colors).toBeNull();
+    expect(score).toBe(1);
+
+    expect(scoreSimilarity(look({ era: 'Undetermined' }), look({ era: '1950s' })).score).toBe(0);
+  });
+
+  test('ranks candidates and drops weak matches', () => {
+    const candidates = [
+      { id: 'far', data: look({ era: '1990s', tags: ['grunge'], colors: [[20, 80, 20]] }) },
+      { id: 'close', data: look({ era: '1950s', tags: ['swing'], colors: [[200, 30, 40]] }) },
+      { id: 'same', data: swingDress }
+    ];
+
+    expect(rankSimilar(swingDress, candidates).map(match => match.id)).toEqual(['same', 'close']);
+    expect(rankSimilar(swingDress, candidates, { limit: 1 })).toHaveLength(1);
+  });
+});
@@ -0,0 +1,36 @@
+const { tokenize, matchText, extractClothingKeywords } = require('../utils/taxonomy');
+
+const terms = (text) => matchText(text).map(entry => entry.term);
+
+describe('Garment taxonomy', () => {
+  test('tokenizes hyphens and folds plurals', () => {
+    expect(tokenize('A-line Dresses')).toEqual(['a', 'line', 'dress']);
+  });
+
+  test('matches whole tokens only', () => {
+    expect(terms('Tiered skirt')).toEqual(['skirt']);
+    expect(terms('Bow tie')).toEqual(['tie']);
+  });
+
+  test('resolves synonyms and prefers the longest phrase', () => {
+    expect(terms('Peter Pan collar')).toEqual(['peter pan collar']);
+    expect(terms('Tartan')).toEqual(['plaid']);
+    expect(terms('V-neck')).toEqual(['v-neck']);
+  });
+
+  test('builds structured keywords with the best source per term', () => {
+    const keywords = extractClothingKeywords([
+      { text: 'Day dress', score: 0.81, source: 'label' },
+      { text: 'Dress', score: 0.91, source: 'object' },
+      { text: 'Dress', score: 0.93, source: 'label' },
+      { text: 'Polka dot', score: 0.7, source: 'label' },
+      { text: 'Person', score: 0.95, source: 'object' }
+    ]);
+
+    expect(keywords).toEqual([
+      { term: 'dress', category: 'garment_type', parent: null, source: 'label', score: 0.93 },
+      { term: 'day dress', category: 'garment_type', parent: 'dress', source: 'label', score: 0.81 },
+      { term: 'polka dot', category: 'pattern', parent: null, source: 'label', score: 0.7 }
+    ]);
+  });
+});
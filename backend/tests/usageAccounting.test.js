@@ -0,0 +1,209 @@
+// In-memory stand-in for the parts of Firestore used by the usage counters
+jest.mock('../utils/firestore', () => {
+  const store = new Map();
+
+  // set(..., { merge: true }) with FieldValue.increment
+  function merge(path, data) {
+    const current = { ...(store.get(path) || {}) };
+    for (const [field, value] of Object.entries(data)) {
+      current[field] = value && value.increment !== undefined ? (current[field] || 0) + value.increment : value;
+    }
+    store.set(path, current);
+  }
+
+  function docRef(path) {
+    return {
+      path,
+      get: async () => ({ exists: store.has(path), data: () => store.get(path) })
+    };
+  }
+
+  // Transactions run one at a time, as Firestore retries one whose reads changed before it committed
+  let transactions = Promise.resolve();
+
+  return {
+    store,
+    FieldValue: { increment: (value) => ({ increment: value }) },
+    firestore: {
+      collection: (name) => ({ doc: (id) => docRef(`${name}/${id}`) }),
+      batch: () => {
+        const writes = [];
+        return {
+          set: (ref, data) => writes.push([ref.path, data]),
+          commit: async () => writes.forEach(([path, data]) => merge(path, data))
+        };
+      },
+      runTransaction: (fn) => {
+        const run = transactions.then(() => fn({
+          get: (ref) => ref.get(),
+          set: (ref, data) => merge(ref.path, data)
+        }));
+        transactions = run.catch(() => {});
+        return run;
+      }
+    }
+  };
+});
+
+const { store } = require('../utils/firestore');
+const {
+  getQuotaLimits,
+  periodsOf,
+  createUsageRecorder,
+  counterIncrements,
+  recordUsage,
+  releaseQuota,
+  assertWithinQuota,
+  remainingAnalyses,
+} = require('../services/usageAccounting');
+
+// Today's and this month's counters of a user
+function counters(userId) {
+  const { daily, monthly } = periodsOf();
+  return {
+    daily: store.get(`usageCounters/${userId}_${daily.key}`) || {},
+    monthly: store.get(`usageCounters/${userId}_${monthly.key}`) || {},
+  };
+}
+
+describe('Usage accounting', () => {
+  const originalDaily = process.env.USAGE_QUOTA_DAILY_ANALYSES;
+
+  afterEach(() => {
+    store.clear();
+    if (originalDaily === undefined) {
+      delete process.env.USAGE_QUOTA_DAILY_ANALYSES;
+    } else {
+      process.env.USAGE_QUOTA_DAILY_ANALYSES = originalDaily;
+    }
+  });
+
+  test('records Vision features, reported tokens and image bytes', () => {
+    const usage = createUsageRecorder();
+    usage.addImageBytes(2048);
+    usage.addVision([{ type: 'LABEL_DETECTION' }, { type: 'TEXT_DETECTION' }]);
+    usage.addLlmCall({ text: '{}', model: 'gemini-2.5-flash', usage: { inputTokens: 1200, outputTokens: 300 } });
+    usage.addLlmCall({ text: '{}', model: 'gemini-2.5-flash', usage: { inputTokens: 400, outputTokens: 100 } });
+
+    expect(usage.summary()).toEqual({
+      visionFeatures: ['LABEL_DETECTION', 'TEXT_DETECTION'],
+      visionUnits: 2,
+      geminiModel: 'gemini-2.5-flash',
+      geminiCalls: 2,
+      inputTokens: 1600,
+      outputTokens: 400,
+      totalTokens: 2000,
+      estimatedTokens: false,
+      imageBytes: 2048,
+    });
+  });
+
+  test('estimates tokens when the provider reports none', () => {
+    const usage = createUsageRecorder();
+    usage.addLlmCall(
+      { text: 'x'.repeat(40), model: 'stub-era-v1' },
+      [{ text: 'y'.repeat(400) }, { inlineData: { mimeType: 'image/jpeg', data: '' } }]
+    );
+
+    const summary = usage.summary();
+    expect(summary.estimatedTokens).toBe(true);
+    expect(summary.inputTokens).toBe(100 + 258);
+    expect(summary.outputTokens).toBe(10);
+  });
+
+  test('counts cached analyses and questions separately', () => {
+    const usage = { visionUnits: 4, geminiCalls: 1, inputTokens: 10, outputTokens: 5, imageBytes: 100 };
+
+    expect(counterIncrements(usage)).toMatchObject({ analyses: 1, visionUnits: 4, inputTokens: 10 });
+    expect(counterIncrements({ imageBytes: 100 }, { cached: true })).toEqual({
+      cachedAnalyses: 1, visionUnits: 0, geminiCalls: 0, inputTokens: 0, outputTokens: 0, imageBytes: 100,
+    });
+    expect(counterIncrements(usage, { kind: 'question' })).toMatchObject({ questions: 1 });
+    expect(counterIncrements(usage, { kind: 'question' }).analyses).toBeUndefined();
+  });
+
+  test('does not count a reserved analysis or question again', () => {
+    const usage = { visionUnits: 4, geminiCalls: 1, inputTokens: 10, outputTokens: 5, imageBytes: 100 };
+
+    expect(counterIncrements(usage, { reserved: true }).analyses).toBeUndefined();
+    expect(counterIncrements(usage, { reserved: true })).toMatchObject({ visionUnits: 4, inputTokens: 10 });
+    expect(counterIncrements(usage, { kind: 'question', reserved: true }).questions).toBeUndefined();
+    // A cache hit turns the reserved analysis into a cached one
+    expect(counterIncrements(usage, { cached: true, reserved: true })).toMatchObject({ analyses: -1, cachedAnalyses: 1 });
+  });
+
+  test('checks and reserves quota in one transaction', async () => {
+    process.env.USAGE_QUOTA_DAILY_ANALYSES = '2';
+
+    const attempts = await Promise.allSettled([1, 2, 3].map(() => assertWithinQuota('u1', { analyses: 1 }, { reserve: true })));
+    expect(attempts.map(a => a.status)).toEqual(['fulfilled', 'fulfilled', 'rejected']);
+    expect(attempts[2].reason).toMatchObject({ code: 'QUOTA_EXCEEDED', quota: { period: 'daily', metric: 'analyses', used: 2 } });
+    expect(counters('u1').daily.analyses).toBe(2);
+    expect(counters('u1').monthly.analyses).toBe(2);
+
+    // Checking without reserve only reads
+    await expect(assertWithinQuota('u2', { analyses: 1 })).resolves.toMatchObject({ daily: { used: { analyses: 0 } } });
+    expect(counters('u2').daily.analyses).toBeUndefined();
+  });
+
+  test('records reserved usage once and releases failed reservations', async () => {
+    const usage = { visionUnits: 4, geminiCalls: 1, inputTokens: 10, outputTokens: 5, imageBytes: 100 };
+
+    let { reservation } = await assertWithinQuota('u1', { analyses: 1 }, { reserve: true });
+    expect(reservation).toEqual({ analyses: 1, questions: 0, periodKeys: { daily: periodsOf().daily.key, monthly: periodsOf().monthly.key } });
+    await recordUsage('u1', usage, { reservation });
+    expect(counters('u1').daily).toMatchObject({ analyses: 1, visionUnits: 4, inputTokens: 10 });
+
+    ({ reservation } = await assertWithinQuota('u1', { analyses: 1 }, { reserve: true }));
+    await recordUsage('u1', { imageBytes: 50 }, { cached: true, reservation });
+    expect(counters('u1').daily).toMatchObject({ analyses: 1, cachedAnalyses: 1 });
+
+    ({ reservation } = await assertWithinQuota('u1', { analyses: 1, questions: 1 }, { reserve: true }));
+    await releaseQuota('u1', reservation);
+    expect(counters('u1').monthly).toMatchObject({ analyses: 1, questions: 0 });
+  });
+
+  test('adjusts the day and month a reservation was made in', async () => {
+    const reservation = { analyses: 1, questions: 0, periodKeys: { daily: 'day_2026-01-31', monthly: 'month_2026-01' } };
+    store.set('usageCounters/u1_day_2026-01-31', { analyses: 2 });
+    store.set('usageCounters/u1_month_2026-01', { analyses: 2 });
+
+    // Reserved before midnight, failed or served from the cache after it
+    await releaseQuota('u1', reservation);
+    await recordUsage('u1', { imageBytes: 50 }, { cached: true, reservation });
+
+    expect(store.get('usageCounters/u1_day_2026-01-31').analyses).toBe(0);
+    expect(store.get('usageCounters/u1_month_2026-01').analyses).toBe(0);
+    expect(counters('u1').daily).toMatchObject({ cachedAnalyses: 1, imageBytes: 50 });
+    expect(counters('u1').daily.analyses).toBeUndefined();
+  });
+
+  test('uses UTC days and months with their reset times', () => {
+    const periods = periodsOf(new Date('2026-12-31T23:30:00Z'));
+
+    expect(periods.daily.key).toBe('day_2026-12-31');
+    expect(periods.daily.resetsAt.toISOString()).toBe('2027-01-01T00:00:00.000Z');
+    expect(periods.monthly.key).toBe('month_2026-12');
+    expect(periods.monthly.resetsAt.toISOString()).toBe('2027-01-01T00:00:00.000Z');
+  });
+
+  test('reads quota limits from the environment', () => {
+    process.env.USAGE_QUOTA_DAILY_ANALYSES = '3';
+    expect(getQuotaLimits().daily.analyses).toBe(3);
+
+    process.env.USAGE_QUOTA_DAILY_ANALYSES = 'nonsense';
+    expect(getQuotaLimits().daily.analyses).toBe(50);
+  });
+
+  test('remaining analyses is the tighter of the daily and monthly quota', () => {
+    const status = {
+      daily: { remaining: { analyses: 7 } },
+      monthly: { remaining: { analyses: 2 } },
+    };
+    expect(remainingAnalyses(status)).toBe(2);
+    expect(remainingAnalyses({ daily: { remaining: { analyses: null } }, monthly: { remaining: { analyses: null } } }))
+      .toBe(Infinity);
+    // Unreadable counters do not block anyone
+    expect(remainingAnalyses(null)).toBe(Infinity);
+  });
+});
@@ -0,0 +1,74 @@
+const { webDetectionFeature, summarizeWebDetection, webPromptFeatures } = require('../utils/webDetection');
+const { runVision } = require('../services/analysisPipeline');
+const { resetProviders } = require('../providers');
+const annotationFixture = require('../providers/fixtures/visionAnnotation.json');
+
+describe('Web detection', () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    resetProviders();
+  });
+
+  test('is only requested when enabled', () => {
+    delete process.env.VISION_WEB_DETECTION;
+    expect(webDetectionFeature()).toBeNull();
+
+    process.env.VISION_WEB_DETECTION = 'true';
+    process.env.WEB_DETECTION_MAX_RESULTS = '5';
+    expect(webDetectionFeature()).toEqual({ type: 'WEB_DETECTION', maxResults: 5 });
+  });
+
+  test('summarizes entities, best guesses, pages and similar images', () => {
+    const summary = summarizeWebDetection(annotationFixture.webDetection);
+
+    expect(summary.bestGuessLabels).toEqual(['1950s polka dot swing dress']);
+    expect(summary.entities[0]).toEqual({ description: 'Dress', score: 0.82 });
+    // Full matches first, titles without highlight tags
+    expect(summary.pages[0]).toEqual({
+      url: 'https://www.example.com/archive/polka-dot-dress',
+      title: 'Vintage polka dot dress - Fashion Archive',
+      domain: 'example.com',
+      match: 'full',
+      imageUrl: 'https://images.example.com/archive/polka-dot-dress.jpg',
+    });
+    expect(summary.pages[1]).toMatchObject({ match: 'partial', title: 'Classic 1950s Day Dresses & How to Wear Them' });
+    expect(summary.similarImages).toHaveLength(2);
+  });
+
+  test('drops links that are not http(s)', () => {
+    const summary = summarizeWebDetection({
+      pagesWithMatchingImages: [{ url: 'javascript:alert(1)', pageTitle: 'x' }],
+      visuallySimilarImages: [{ url: 'data:image/png;base64,AAAA' }, { url: 'https://a.example/x.jpg' }],
+    });
+    expect(summary.pages).toEqual([]);
+    expect(summary.similarImages).toEqual(['https://a.example/x.jpg']);
+    expect(summarizeWebDetection(null)).toBeNull();
+  });
+
+  test('passes best guesses to the era model unless turned off', () => {
+    const summary = summarizeWebDetection(annotationFixture.webDetection);
+    process.env.VISION_WEB_DETECTION = 'true';
+    expect(webPromptFeatures(summary)).toMatchObject({
+      web_best_guess: ['1950s polka dot swing dress'],
+      web_entities: expect.arrayContaining(['Dress:0.82']),
+    });
+
+    process.env.GEMINI_WEB_EVIDENCE = 'false';
+    expect(webPromptFeatures(summary)).toEqual({});
+  });
+
+  test('runVision stores the summary when enabled', async () => {
+    process.env.VISION_PROVIDER = 'stub';
+    process.env.VISION_WEB_DETECTION = 'true';
+    resetProviders();
+
+    const features = await runVision('https://example.com/a.jpg', { imageBuffer: Buffer.from('x') });
+    expect(features.web_detection.bestGuessLabels).toEqual(['1950s polka dot swing dress']);
+
+    process.env.VISION_WEB_DETECTION = 'false';
+    const withoutWeb = await runVision('https://example.com/a.jpg', { imageBuffer: Buffer.from('x') });
+    expect(withoutWeb.web_detection).toBeNull();
+  });
+});
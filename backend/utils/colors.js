@@ -0,0 +1,168 @@
+// backend/utils/colors.js
+// Dominant color naming and decade palette matching
+// Colors are compared in CIE Lab space (CIE76 delta E), which tracks perceived difference
+// far better than RGB distance.
+const paletteLibrary = require('../data/colorPalettes.json');
+
+// Lab chroma below this is treated as a neutral (black/white/gray/beige-ish)
+const NEUTRAL_CHROMA = 12;
+// Neutrals appear in every decade, so they count less towards a decade match
+const NEUTRAL_WEIGHT = 0.3;
+// delta E at which a color no longer counts as matching a palette color
+const MATCH_DISTANCE = 35;
+
+function hexToRgb(hex) {
+    const value = parseInt(hex.replace('#', ''), 16);
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+function rgbToHex(rgb) {
+    return '#' + rgb.map(c => Math.max(0, Math.min(255, Math.round(c))).toString(16).padStart(2, '0')).join('');
+}
+
+// sRGB (D65) → CIE Lab
+function rgbToLab(rgb) {
+    const [r, g, b] = rgb.map(c => {
+        const v = c / 255;
+        return v > 0.04045 ? Math.pow((v + 0.055) / 1.055, 2.4) : v / 12.92;
+    });
+
+    const x = (r * 0.4124 + g * 0.3576 + b * 0.1805) / 0.95047;
+    const y = (r * 0.2126 + g * 0.7152 + b * 0.0722) / 1.0;
+    const z = (r * 0.0193 + g * 0.1192 + b * 0.9505) / 1.08883;
+
+    const f = (t) => (t > 0.008856 ? Math.cbrt(t) : 7.787 * t + 16 / 116);
+    const fx = f(x);
+    const fy = f(y);
+    const fz = f(z);
+
+    return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+}
+
+function deltaE(labA, labB) {
+    return Math.sqrt(
+        Math.pow(labA[0] - labB[0], 2) +
+        Math.pow(labA[1] - labB[1], 2) +
+        Math.pow(labA[2] - labB[2], 2)
+    );
+}
+
+function chroma(lab) {
+    return Math.sqrt(lab[1] * lab[1] + lab[2] * lab[2]);
+}
+
+// Precomputed Lab values of the library
+const NAMED_COLORS = paletteLibrary.colors.map(c => ({ ...c, lab: rgbToLab(hexToRgb(c.hex)) }));
+const DECADE_PALETTES = paletteLibrary.decades.map(d => ({
+    ...d,
+    labs: d.colors.map(hex => rgbToLab(hexToRgb(hex))),
+}));
+
+/**
+ * Closest named color for an RGB triple
+ * @returns {{ name: string, hex: string, distance: number }}
+ */
+function nameColor(rgb) {
+    const lab = rgbToLab(rgb);
+    let best = null;
+    for (const named of NAMED_COLORS) {
+        const distance = deltaE(lab, named.lab);
+        if (!best || distance < best.distance) {
+            best = { name: named.name, hex: named.hex, distance };
+        }
+    }
+    return { ...best, distance: Math.round(best.distance * 10) / 10 };
+}
+
+/**
+ * Named palette from Vision dominant colors; colors with the same name are merged
+ * @param {Array<{ rgb: number[], score: number }>} colors - visionFeatures.colors
+ * @returns {Array<{ name, hex, rgb, score, neutral }>} Sorted by score
+ */
+function buildPalette(colors = []) {
+    const byName = new Map();
+
+    for (const color of colors) {
+        if (!Array.isArray(color.rgb) || color.rgb.length !== 3) continue;
+
+        const { name } = nameColor(color.rgb);
+        const score = color.score || 0;
+        const existing = byName.get(name);
+        if (existing) {
+            existing.score += score;
+        } else {
+            byName.set(name, {
+                name,
+                hex: rgbToHex(color.rgb),
+                rgb: color.rgb,
+                score,
+                neutral: chroma(rgbToLab(color.rgb)) < NEUTRAL_CHROMA,
+            });
+        }
+    }
+
+    return [...byName.values()]
+        .map(entry => ({ ...entry, score: Math.round(entry.score * 1000) / 1000 }))
+        .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Score a palette against every decade palette in the library
+ * @param {Array<Object>} palette - From buildPalette
+ * @returns {{ monochrome: boolean, matches: Array<{ decade, label, score }> }}
+ *   monochrome: all colors are neutral (e.g. black-and-white photo), matches are then empty
+ */
+function matchDecadePalettes(palette) {
+    if (palette.length === 0 || palette.every(c => c.neutral)) {
+        return { monochrome: palette.length > 0, matches: [] };
+    }
+
+    const weighted = palette.map(c => ({
+        lab: rgbToLab(c.rgb),
+        weight: (c.score || 0) * (c.neutral ? NEUTRAL_WEIGHT : 1),
+    }));
+    const totalWeight = weighted.reduce((sum, c) => sum + c.weight, 0) || 1;
+
+    const matches = DECADE_PALETTES.map(decade => {
+        let score = 0;
+        for (const color of weighted) {
+            const distance = Math.min(...decade.labs.map(lab => deltaE(color.lab, lab)));
+            score += color.weight * Math.max(0, 1 - distance / MATCH_DISTANCE);
+        }
+        return {
+            decade: decade.decade,
+            label: decade.label,
+            score: Math.round((score / totalWeight) * 1000) / 1000,
+        };
+    });
+
+    return {
+        monochrome: false,
+        matches: matches.sort((a, b) => b.score - a.score),
+    };
+}
+
+/**
+ * Named palette plus decade palette matches for Vision dominant colors
+ * @returns {{ palette: Array<Object>, decadeMatches: Array<Object>, monochrome: boolean, libraryVersion: number }}
+ */
+function analyzeColors(colors) {
+    const palette = buildPalette(colors);
+    const { monochrome, matches } = matchDecadePalettes(palette);
+    return {
+        palette,
+        decadeMatches: matches,
+        monochrome,
+        libraryVersion: paletteLibrary.version,
+    };
+}
+
+module.exports = {
+    rgbToHex,
+    rgbToLab,
+    deltaE,
+    nameColor,
+    buildPalette,
+    matchDecadePalettes,
+    analyzeColors,
+};
@@ -0,0 +1,127 @@
+// backend/utils/confidenceCalibration.js
+// Confidence calibration
+// Gemini's self-reported confidence says nothing about how much evidence it had. The calibrated confidence
+// scales it by an evidence score built from the Vision signals, the taxonomy matches, whether the image itself
+// reached Gemini, and the image resolution.
+const sharp = require('sharp');
+const { normalizeEra } = require('./eras');
+
+// Weights of each evidence factor (sum to 1)
+const EVIDENCE_WEIGHTS = {
+    labels: 0.25,
+    objects: 0.2,
+    taxonomy: 0.25,
+    image: 0.2,
+    resolution: 0.1,
+};
+
+// Counts at which a factor is fully satisfied
+const FULL_LABEL_COUNT = 10;
+const FULL_OBJECT_COUNT = 3;
+const FULL_TAXONOMY_COUNT = 5;
+// Shorter image side (px) at which garment details are readable
+const FULL_RESOLUTION = 512;
+// Factor used when the resolution is not known (e.g. the download failed)
+const UNKNOWN_RESOLUTION = 0.5;
+
+// With no evidence at all the model confidence keeps this share
+const MIN_EVIDENCE_FACTOR = 0.25;
+
+const STRENGTH_THRESHOLDS = [
+    { min: 0.7, strength: 'strong' },
+    { min: 0.4, strength: 'moderate' },
+    { min: 0, strength: 'weak' },
+];
+
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+// "Dress:0.93" → 0.93
+function scoreOf(entry) {
+    const score = parseFloat(String(entry).split(':').pop());
+    return Number.isFinite(score) ? score : 0;
+}
+
+// Coverage (count up to fullCount) times the average score of the counted entries
+function signalFactor(scores, fullCount) {
+    if (scores.length === 0) return 0;
+    const top = [...scores].sort((a, b) => b - a).slice(0, fullCount);
+    const average = top.reduce((sum, s) => sum + s, 0) / top.length;
+    return Math.min(1, scores.length / fullCount) * average;
+}
+
+/**
+ * Width and height of an encoded image (EXIF orientation ignored, only the shorter side is used)
+ * @returns {Promise<{ width: number, height: number }|null>}
+ */
+async function readImageSize(buffer) {
+    if (!buffer) return null;
+    try {
+        const { width, height } = await sharp(buffer).metadata();
+        return width && height ? { width, height } : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Evidence factors in [0, 1]
+ * @param {Object} visionFeatures
+ * @param {Object} geminiResult - image_included tells whether the image was sent inline
+ * @param {{ width: number, height: number }|null} imageSize
+ */
+function evidenceFactors(visionFeatures, geminiResult, imageSize) {
+    return {
+        labels: round(signalFactor((visionFeatures?.labels || []).map(scoreOf), FULL_LABEL_COUNT)),
+        objects: round(signalFactor((visionFeatures?.objects || []).map(scoreOf), FULL_OBJECT_COUNT)),
+        taxonomy: round(signalFactor((visionFeatures?.clothing_keywords || []).map(k => k.score || 0), FULL_TAXONOMY_COUNT)),
+        image: geminiResult?.image_included ? 1 : 0,
+        resolution: imageSize
+            ? round(Math.min(1, Math.min(imageSize.width, imageSize.height) / FULL_RESOLUTION))
+            : UNKNOWN_RESOLUTION,
+    };
+}
+
+// Confidence of the candidate matching era_primary, otherwise the best candidate
+function modelConfidenceOf(geminiResult) {
+    const candidates = geminiResult?.top3_candidates || [];
+    const primary = normalizeEra(geminiResult?.era_primary);
+    if (primary.decade === null || candidates.length === 0) {
+        return 0;
+    }
+
+    const matching = candidates.find(c => normalizeEra(c.era).decade === primary.decade);
+    const confidence = matching
+        ? Number(matching.confidence)
+        : Math.max(...candidates.map(c => Number(c.confidence) || 0));
+    return Number.isFinite(confidence) ? Math.min(1, Math.max(0, confidence)) : 0;
+}
+
+/**
+ * Calibrate Gemini's confidence with the quality of the evidence behind it
+ * @param {Object} params - { visionFeatures, geminiResult, imageSize }
+ * @returns {{ model: number, calibrated: number, evidenceScore: number, evidenceStrength: 'strong'|'moderate'|'weak', factors: Object }}
+ */
+function calibrateConfidence({ visionFeatures, geminiResult, imageSize = null }) {
+    const factors = evidenceFactors(visionFeatures, geminiResult, imageSize);
+    const evidenceScore = round(Object.entries(EVIDENCE_WEIGHTS)
+        .reduce((sum, [name, weight]) => sum + weight * factors[name], 0));
+
+    const model = modelConfidenceOf(geminiResult);
+    const calibrated = round(model * (MIN_EVIDENCE_FACTOR + (1 - MIN_EVIDENCE_FACTOR) * evidenceScore));
+
+    return {
+        model,
+        calibrated,
+        evidenceScore,
+        evidenceStrength: STRENGTH_THRESHOLDS.find(t => evidenceScore >= t.min).strength,
+        factors,
+    };
+}
+
+module.exports = {
+    EVIDENCE_WEIGHTS,
+    readImageSize,
+    calibrateConfidence,
+};
@@ -0,0 +1,101 @@
+// backend/utils/eraDistribution.js
+// Probability distribution over decades (1900s–2020s) for an era result
+// Gemini is asked for decade_distribution directly; results without one (older prompts, cached entries)
+// get a distribution spread from the top-3 candidates over the years each candidate era covers.
+const { normalizeEra } = require('./eras');
+
+const FIRST_DECADE = 1900;
+const LAST_DECADE = 2020;
+const DECADES = [];
+for (let decade = FIRST_DECADE; decade <= LAST_DECADE; decade += 10) {
+    DECADES.push(decade);
+}
+
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+// Model output: { "1940s": 0.3, "1950s": 0.6 }; keys may also carry a sub-period ("Late 1940s")
+function weightsFromModel(distribution) {
+    const weights = new Map();
+    if (!distribution || typeof distribution !== 'object' || Array.isArray(distribution)) {
+        return weights;
+    }
+
+    for (const [key, value] of Object.entries(distribution)) {
+        const { decade } = normalizeEra(key);
+        const probability = Number(value);
+        if (!DECADES.includes(decade) || !Number.isFinite(probability) || probability <= 0) continue;
+        weights.set(decade, (weights.get(decade) || 0) + probability);
+    }
+    return weights;
+}
+
+// Spread a weight over the decades an era covers, by number of years in each decade
+function spreadEra(weights, era, weight) {
+    if (era.startYear === null || weight <= 0) return;
+
+    const start = Math.max(era.startYear, FIRST_DECADE);
+    const end = Math.min(era.endYear, LAST_DECADE + 9);
+    if (end < start) return;
+
+    const span = end - start + 1;
+    for (const decade of DECADES) {
+        const overlap = Math.min(end, decade + 9) - Math.max(start, decade) + 1;
+        if (overlap > 0) {
+            weights.set(decade, (weights.get(decade) || 0) + weight * (overlap / span));
+        }
+    }
+}
+
+function weightsFromCandidates(geminiResult) {
+    const weights = new Map();
+    const candidates = geminiResult?.top3_candidates || [];
+
+    for (const candidate of candidates) {
+        const confidence = Number(candidate?.confidence);
+        spreadEra(weights, normalizeEra(candidate?.era), Number.isFinite(confidence) ? confidence : 0);
+    }
+    if (weights.size === 0) {
+        spreadEra(weights, normalizeEra(geminiResult?.era_primary), 1);
+    }
+    return weights;
+}
+
+/**
+ * Normalized decade distribution for a Gemini era result
+ * @param {Object} geminiResult
+ * @returns {{ source: 'model'|'candidates'|'none', decades: Array<{ decade: number, label: string, probability: number }>, peak: number|null }}
+ *   decades always lists every decade from 1900s to 2020s; probabilities sum to 1 (all 0 when source is 'none')
+ */
+function buildEraDistribution(geminiResult) {
+    let source = 'model';
+    let weights = weightsFromModel(geminiResult?.decade_distribution);
+    if (weights.size === 0) {
+        source = 'candidates';
+        weights = weightsFromCandidates(geminiResult);
+    }
+
+    const total = [...weights.values()].reduce((sum, w) => sum + w, 0);
+    if (total <= 0) {
+        source = 'none';
+    }
+
+    const decades = DECADES.map(decade => ({
+        decade,
+        label: `${decade}s`,
+        probability: total > 0 ? round((weights.get(decade) || 0) / total) : 0,
+    }));
+
+    const best = decades.reduce((a, b) => (b.probability > a.probability ? b : a));
+    return {
+        source,
+        decades,
+        peak: best.probability > 0 ? best.decade : null,
+    };
+}
+
+module.exports = {
+    DECADES,
+    buildEraDistribution,
+};
@@ -0,0 +1,285 @@
+// backend/utils/eraResultSchema.js
+// JSON schemas for the era results returned by Gemini (whole outfit and single garment), with a small validator
+// Supports the subset of JSON Schema used below: type, required, properties,
+// additionalProperties (false or a schema), propertyNames (pattern), items, minItems, maxItems, minLength,
+// minimum, maximum, pattern
+
+const ERA_RESULT_SCHEMA = {
+    type: 'object',
+    required: ['era_primary', 'style_tags', 'top3_candidates', 'rationale', 'search_queries', 'shopping_tips'],
+    properties: {
+        era_primary: {
+            type: 'string',
+            // Decade with optional sub-period, parsed by utils/eras.js
+            pattern: '^((Early|Mid|Late) )?\\d{4}s$|^Undetermined$',
+        },
+        style_tags: {
+            type: 'array',
+            items: { type: 'string', minLength: 1 },
+        },
+        top3_candidates: {
+            type: 'array',
+            maxItems: 3,
+            items: {
+                type: 'object',
+                required: ['era', 'confidence'],
+                properties: {
+                    era: { type: 'string', minLength: 1 },
+                    style: { type: 'string' },
+                    confidence: { type: 'number', minimum: 0, maximum: 1 },
+                    discriminator: { type: 'string' },
+                },
+            },
+        },
+        // Optional: { "1940s": 0.3, "1950s": 0.6, ... }, normalized by utils/eraDistribution.js
+        decade_distribution: {
+            type: 'object',
+            propertyNames: { pattern: '^\\d{4}s$' },
+            additionalProperties: { type: 'number', minimum: 0, maximum: 1 },
+        },
+        rationale: { type: 'string', minLength: 1 },
+        search_queries: {
+            type: 'object',
+            required: ['en'],
+            additionalProperties: false,
+            properties: {
+                en: {
+                    type: 'array',
+                    minItems: 1,
+                    items: { type: 'string', minLength: 1 },
+                },
+            },
+        },
+        // Optional: { "de-DE": ["query", ...] } for non-English search locales (see utils/locales.js)
+        localized_queries: {
+            type: 'object',
+            propertyNames: { pattern: '^[a-z]{2}-[A-Z]{2}$' },
+            additionalProperties: {
+                type: 'array',
+                items: { type: 'string', minLength: 1 },
+            },
+        },
+        shopping_tips: {
+            type: 'array',
+            items: {
+                type: 'string',
+                // "*Category:* Description"
+                pattern: '^\\*[^*]+:\\*\\s+\\S',
+            },
+        },
+    },
+};
+
+// Era of one cropped garment (see services/garmentAnalysis.js)
+const GARMENT_RESULT_SCHEMA = {
+    type: 'object',
+    required: ['era', 'style', 'confidence', 'search_queries'],
+    properties: {
+        era: {
+            type: 'string',
+            pattern: '^((Early|Mid|Late) )?\\d{4}s$|^Undetermined$',
+        },
+        style: { type: 'string', minLength: 1 },
+        confidence: { type: 'number', minimum: 0, maximum: 1 },
+        discriminator: { type: 'string' },
+        search_queries: {
+            type: 'object',
+            required: ['en'],
+            additionalProperties: false,
+            properties: {
+                en: {
+                    type: 'array',
+                    minItems: 1,
+                    maxItems: 5,
+                    items: { type: 'string', minLength: 1 },
+                },
+            },
+        },
+    },
+};
+
+function typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    return typeof value;
+}
+
+function joinPath(path, key) {
+    if (typeof key === 'number') return `${path}[${key}]`;
+    return path ? `${path}.${key}` : key;
+}
+
+function validateNode(value, schema, path, errors) {
+    const actualType = typeOf(value);
+    if (schema.type && actualType !== schema.type) {
+        errors.push({ path, message: `must be ${schema.type}, got ${actualType}` });
+        return;
+    }
+
+    if (schema.type === 'string') {
+        if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+            errors.push({ path, message: 'must not be empty' });
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push({ path, message: `must match ${schema.pattern}` });
+        }
+    }
+
+    if (schema.type === 'number') {
+        if (!Number.isFinite(value)) {
+            errors.push({ path, message: 'must be a finite number' });
+        } else {
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                errors.push({ path, message: `must be >= ${schema.minimum}` });
+            }
+            if (schema.maximum !== undefined && value > schema.maximum) {
+                errors.push({ path, message: `must be <= ${schema.maximum}` });
+            }
+        }
+    }
+
+    if (schema.type === 'array') {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push({ path, message: `must have at least ${schema.minItems} item(s)` });
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push({ path, message: `must have at most ${schema.maxItems} item(s)` });
+        }
+        if (schema.items) {
+            value.forEach((item, index) => validateNode(item, schema.items, joinPath(path, index), errors));
+        }
+    }
+
+    if (schema.type === 'object') {
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) {
+                errors.push({ path: joinPath(path, key), message: 'is required' });
+            }
+        }
+        for (const [key, child] of Object.entries(value)) {
+            if (schema.propertyNames?.pattern && !new RegExp(schema.propertyNames.pattern).test(key)) {
+                errors.push({ path: joinPath(path, key), message: `key must match ${schema.propertyNames.pattern}` });
+                continue;
+            }
+            const childSchema = schema.properties?.[key];
+            if (childSchema) {
+                validateNode(child, childSchema, joinPath(path, key), errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push({ path: joinPath(path, key), message: 'is not allowed' });
+            } else if (typeof schema.additionalProperties === 'object') {
+                validateNode(child, schema.additionalProperties, joinPath(path, key), errors);
+            }
+        }
+    }
+}
+
+/**
+ * Extract JSON from model text (markdown fences and surrounding prose are ignored)
+ * @returns {{ value: any, error: string|null }}
+ */
+function parseModelJson(rawText) {
+    let text = (rawText || '').trim();
+
+    // Clean possible markdown code blocks
+    if (text.startsWith('```')) {
+        text = text
+            .replace(/^```json\s*/i, '')
+            .replace(/^```\s*/i, '')
+            .replace(/\s*```$/i, '')
+            .trim();
+    }
+
+    // Try to extract JSON (may be in the middle of text)
+    const jsonMatch = text.match(/\{[\s\S]*\}/);
+    if (jsonMatch) {
+        text = jsonMatch[0];
+    }
+
+    try {
+        return { value: JSON.parse(text), error: null };
+    } catch (parseError) {
+        return { value: null, error: `invalid JSON: ${parseError.message}` };
+    }
+}
+
+function validate(value, schema) {
+    const errors = [];
+    validateNode(value, schema, '', errors);
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Validate a parsed Gemini era result
+ * @param {Object} result
+ * @returns {{ valid: boolean, errors: Array<{ path: string, message: string }> }}
+ */
+function validateEraResult(result) {
+    return validate(result, ERA_RESULT_SCHEMA);
+}
+
+/**
+ * Validate a parsed single-garment result
+ */
+function validateGarmentResult(result) {
+    return validate(result, GARMENT_RESULT_SCHEMA);
+}
+
+/**
+ * Fill in missing fields and clamp values so a result that is still invalid after repair can be displayed
+ * (the validation errors are recorded separately)
+ */
+function normalizeEraResult(result) {
+    const normalized = { ...result };
+
+    if (typeof normalized.era_primary !== 'string' || !normalized.era_primary.trim()) {
+        normalized.era_primary = 'Undetermined';
+    }
+    if (!Array.isArray(normalized.style_tags)) normalized.style_tags = [];
+    if (!Array.isArray(normalized.top3_candidates)) normalized.top3_candidates = [];
+    if (typeof normalized.rationale !== 'string' || !normalized.rationale.trim()) {
+        normalized.rationale = 'No rationale provided.';
+    }
+    if (!normalized.search_queries || !Array.isArray(normalized.search_queries.en)) {
+        normalized.search_queries = { en: [] };
+    } else {
+        normalized.search_queries = { en: normalized.search_queries.en };
+    }
+    if (!Array.isArray(normalized.shopping_tips)) normalized.shopping_tips = [];
+    if (normalized.localized_queries !== undefined) {
+        const localized = {};
+        if (normalized.localized_queries && typeof normalized.localized_queries === 'object') {
+            for (const [locale, queries] of Object.entries(normalized.localized_queries)) {
+                if (Array.isArray(queries)) {
+                    localized[locale] = queries.filter(q => typeof q === 'string' && q.trim());
+                }
+            }
+        }
+        normalized.localized_queries = localized;
+    }
+    if (normalized.decade_distribution !== undefined &&
+        (typeof normalized.decade_distribution !== 'object' || Array.isArray(normalized.decade_distribution))) {
+        delete normalized.decade_distribution;
+    }
+
+    normalized.top3_candidates = normalized.top3_candidates
+        .filter(candidate => candidate && typeof candidate === 'object')
+        .slice(0, 3)
+        .map(candidate => {
+            const confidence = Number(candidate.confidence);
+            return {
+                ...candidate,
+                confidence: Number.isFinite(confidence) ? Math.min(1, Math.max(0, confidence)) : 0,
+            };
+        });
+
+    return normalized;
+}
+
+module.exports = {
+    ERA_RESULT_SCHEMA,
+    GARMENT_RESULT_SCHEMA,
+    parseModelJson,
+    validateEraResult,
+    validateGarmentResult,
+    normalizeEraResult,
+};
@@ -0,0 +1,276 @@
+// backend/utils/eras.js
+// Canonical era model
+// Gemini returns free-text eras ('1930s', 'Late 1950s', "mid-'60s", '1955-1962', 'Undetermined').
+// normalizeEra turns them into { decade, subPeriod, startYear, endYear, label, raw } so results
+// can be grouped, filtered and compared by year.
+
+// Sub-periods cover fixed parts of a decade
+const SUB_PERIODS = {
+    early: [0, 3],
+    mid: [4, 6],
+    late: [7, 9],
+};
+
+const DECADE_WORDS = {
+    twenties: 1920,
+    thirties: 1930,
+    forties: 1940,
+    fifties: 1950,
+    sixties: 1960,
+    seventies: 1970,
+    eighties: 1980,
+    nineties: 1990,
+};
+
+// Named periods that are not a decade
+const NAMED_PERIODS = {
+    victorian: { startYear: 1837, endYear: 1901, label: 'Victorian' },
+    edwardian: { startYear: 1901, endYear: 1910, label: 'Edwardian' },
+    y2k: { startYear: 1998, endYear: 2004, label: 'Y2K' },
+};
+
+const UNDETERMINED = {
+    decade: null,
+    subPeriod: null,
+    startYear: null,
+    endYear: null,
+    label: 'Undetermined',
+};
+
+function capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+// Two-digit decades are read as 19xx (vintage context), 00s/10s/20s as 20xx only when written as 4 digits
+function expandDecade(digits) {
+    const value = parseInt(digits, 10);
+    return digits.length === 2 ? 1900 + value : value;
+}
+
+/**
+ * Parse one era expression (no ranges), e.g. "late 1950s", "'60s", "1955", "fifties"
+ * @returns {Object|null} { decade, subPeriod, startYear, endYear }
+ */
+function parseSingleEra(text) {
+    const lower = text.toLowerCase().replace(/[’‘`]/g, "'").trim();
+
+    for (const [key, period] of Object.entries(NAMED_PERIODS)) {
+        if (lower.includes(key)) {
+            return {
+                decade: Math.floor(period.startYear / 10) * 10,
+                subPeriod: null,
+                startYear: period.startYear,
+                endYear: period.endYear,
+                namedLabel: period.label,
+            };
+        }
+    }
+
+    const subMatch = lower.match(/\b(early|mid|late)\b/);
+    const subPeriod = subMatch ? subMatch[1] : null;
+
+    let decade = null;
+    let year = null;
+
+    const decadeMatch = lower.match(/(?:^|[^0-9])'?(\d{4}|\d{2})'?s\b/);
+    const yearMatch = lower.match(/\b(1[89]\d{2}|20\d{2})\b/);
+    if (decadeMatch) {
+        decade = expandDecade(decadeMatch[1]);
+        decade = Math.floor(decade / 10) * 10;
+    } else if (yearMatch) {
+        year = parseInt(yearMatch[1], 10);
+        decade = Math.floor(year / 10) * 10;
+    } else {
+        const word = Object.keys(DECADE_WORDS).find(w => lower.includes(w));
+        if (word) decade = DECADE_WORDS[word];
+    }
+
+    if (decade === null) {
+        return null;
+    }
+
+    if (year !== null) {
+        return { decade, subPeriod: null, startYear: year, endYear: year };
+    }
+
+    const [from, to] = subPeriod ? SUB_PERIODS[subPeriod] : [0, 9];
+    return { decade, subPeriod, startYear: decade + from, endYear: decade + to };
+}
+
+// "early-to-mid 1960s", "mid to late '50s": one decade from the first sub-period's start to the second one's end
+const COMPOUND_SUB_PERIOD = /\b(early|mid|late)(?:\s*[–—-]\s*to\s*[–—-]\s*|\s+to\s+)(early|mid|late)\b[\s-]*(.+)$/i;
+
+function parseCompoundSubPeriod(text) {
+    const match = text.match(COMPOUND_SUB_PERIOD);
+    if (!match) return null;
+    const base = parseSingleEra(match[3]);
+    // Only a whole decade: "early to mid 1962" or "mid to late 1950s-1960s" are read as usual
+    if (!base || base.subPeriod || base.namedLabel || base.endYear - base.startYear !== 9 || /[–—/]|\bto\b/i.test(match[3])) {
+        return null;
+    }
+    const first = match[1].toLowerCase();
+    const second = match[2].toLowerCase();
+    return {
+        decade: base.decade,
+        subPeriod: null,
+        startYear: base.decade + SUB_PERIODS[first][0],
+        endYear: base.decade + SUB_PERIODS[second][1],
+        label: `${capitalize(first)} to ${second} ${base.decade}s`,
+    };
+}
+
+function labelFor(era) {
+    if (era.namedLabel) return era.namedLabel;
+    if (era.startYear === era.endYear) return String(era.startYear);
+    const decadeLabel = `${era.decade}s`;
+    return era.subPeriod ? `${capitalize(era.subPeriod)} ${decadeLabel}` : decadeLabel;
+}
+
+/**
+ * Normalize a free-text era into the canonical era model
+ * Ranges ("1950s-1960s", "late 1940s to early 1950s", "1955–62", "early-to-mid 1960s") span both ends;
+ * the decade is the decade of the range start.
+ * @param {string} raw
+ * @returns {{ decade: number|null, subPeriod: string|null, startYear: number|null, endYear: number|null, label: string, raw: string|null }}
+ */
+function normalizeEra(raw) {
+    if (typeof raw !== 'string' || !raw.trim()) {
+        return { ...UNDETERMINED, raw: raw ?? null };
+    }
+
+    const text = raw.trim();
+
+    // "1955-62": a bare two-digit end is a year in the same century
+    const shortRange = text.match(/^(1[89]\d{2}|20\d{2})\s*[–—-]\s*(\d{2})$/);
+    if (shortRange) {
+        const startYear = parseInt(shortRange[1], 10);
+        const endYear = Math.floor(startYear / 100) * 100 + parseInt(shortRange[2], 10);
+        if (endYear >= startYear) {
+            return {
+                decade: Math.floor(startYear / 10) * 10,
+                subPeriod: null,
+                startYear,
+                endYear,
+                label: `${startYear} – ${endYear}`,
+                raw: text,
+            };
+        }
+    }
+
+    const compound = parseCompoundSubPeriod(text);
+    if (compound) {
+        return { ...compound, raw: text };
+    }
+
+    // Range separators: dashes, "to", "/"; a hyphen only after a decade or year ("mid-1950s" is not a range)
+    const parts = text.split(/\s*(?:–|—|\bto\b|\/)\s*|(?<=\d0'?s|\d{4})\s*-\s*/i).filter(Boolean);
+    const eras = parts.map(parseSingleEra).filter(Boolean);
+    if (eras.length === 0) {
+        return { ...UNDETERMINED, raw: text };
+    }
+
+    const first = eras[0];
+    if (eras.length === 1) {
+        return {
+            decade: first.decade,
+            subPeriod: first.subPeriod,
+            startYear: first.startYear,
+            endYear: first.endYear,
+            label: labelFor(first),
+            raw: text,
+        };
+    }
+
+    const last = eras[eras.length - 1];
+    const startYear = Math.min(first.startYear, last.startYear);
+    const endYear = Math.max(first.endYear, last.endYear);
+    return {
+        decade: first.decade,
+        subPeriod: null,
+        startYear,
+        endYear,
+        label: `${labelFor(first)} – ${labelFor(last)}`,
+        raw: text,
+    };
+}
+
+/**
+ * Canonical eras for a Gemini result: primary plus the top-3 candidates
+ * @returns {{ era: Object, eraCandidates: Array<Object> }}
+ */
+function normalizeResultEras(geminiResult) {
+    return {
+        era: normalizeEra(geminiResult?.era_primary),
+        eraCandidates: (geminiResult?.top3_candidates || []).map(candidate => ({
+            ...normalizeEra(candidate.era),
+            style: candidate.style || null,
+            confidence: candidate.confidence ?? null,
+        })),
+    };
+}
+
+/**
+ * Parse era-range query parameters into a year range
+ * Accepts eraFrom/eraTo (years) and/or era (any era expression, e.g. "1950s" or "late 1960s")
+ * @returns {{ from: number, to: number }|null} null when no era filter was requested
+ * @throws {Error} with status 400 for unparseable values or an eraFrom after eraTo
+ */
+function parseEraRangeQuery({ era, eraFrom, eraTo } = {}) {
+    if (!era && !eraFrom && !eraTo) {
+        return null;
+    }
+
+    let from = -Infinity;
+    let to = Infinity;
+    const years = {};
+
+    if (era) {
+        const parsed = normalizeEra(String(era));
+        if (parsed.startYear === null) {
+            const err = new Error(`Unrecognized era "${era}"`);
+            err.status = 400;
+            throw err;
+        }
+        from = parsed.startYear;
+        to = parsed.endYear;
+    }
+
+    for (const [name, value] of [['eraFrom', eraFrom], ['eraTo', eraTo]]) {
+        if (value === undefined || value === '') continue;
+        const year = parseInt(value, 10);
+        if (!Number.isInteger(year) || String(year) !== String(value).trim()) {
+            const err = new Error(`${name} must be a year`);
+            err.status = 400;
+            throw err;
+        }
+        years[name] = year;
+        if (name === 'eraFrom') from = Math.max(from, year);
+        else to = Math.min(to, year);
+    }
+
+    if (years.eraFrom > years.eraTo) {
+        const err = new Error('eraFrom must not be after eraTo');
+        err.status = 400;
+        throw err;
+    }
+
+    return { from, to };
+}
+
+/**
+ * Whether a canonical era overlaps a year range
+ */
+function eraOverlaps(era, range) {
+    if (!era || era.startYear === null || era.startYear === undefined) {
+        return false;
+    }
+    return era.startYear <= range.to && era.endYear >= range.from;
+}
+
+module.exports = {
+    SUB_PERIODS,
+    normalizeEra,
+    normalizeResultEras,
+    parseEraRangeQuery,
+    eraOverlaps,
+};
@@ -0,0 +1,101 @@
+// backend/utils/imageHash.js
+// Image hashing for the analysis cache
+// - content hash: SHA-256 of the raw bytes (exact duplicates)
+// - perceptual hash: 64-bit dHash (near duplicates: re-encoded, resized, slightly cropped copies)
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+// dHash compares neighbouring pixels of a 9x8 greyscale thumbnail → 8x8 = 64 bits
+const DHASH_WIDTH = 9;
+const DHASH_HEIGHT = 8;
+
+// Split the 64-bit hash into 8 bands of 8 bits. Two hashes within Hamming distance 7
+// always share at least one identical band, which makes near-duplicate lookup indexable.
+const BAND_COUNT = 8;
+
+function contentHash(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Compute the dHash of an image
+ * @param {Buffer} buffer - Encoded image (JPEG, PNG, WebP, ...)
+ * @returns {Promise<string>} 16 hex chars
+ */
+async function perceptualHash(buffer) {
+    const pixels = await sharp(buffer)
+        .rotate() // Respect EXIF orientation so rotated copies hash the same
+        .greyscale()
+        .resize(DHASH_WIDTH, DHASH_HEIGHT, { fit: 'fill' })
+        .raw()
+        .toBuffer();
+
+    let bits = '';
+    for (let y = 0; y < DHASH_HEIGHT; y++) {
+        for (let x = 0; x < DHASH_WIDTH - 1; x++) {
+            const left = pixels[y * DHASH_WIDTH + x];
+            const right = pixels[y * DHASH_WIDTH + x + 1];
+            bits += left > right ? '1' : '0';
+        }
+    }
+
+    let hex = '';
+    for (let i = 0; i < bits.length; i += 4) {
+        hex += parseInt(bits.substring(i, i + 4), 2).toString(16);
+    }
+    return hex;
+}
+
+/**
+ * Number of differing bits between two hex hashes of equal length
+ */
+function hammingDistance(a, b) {
+    if (!a || !b || a.length !== b.length) {
+        return Infinity;
+    }
+
+    let distance = 0;
+    for (let i = 0; i < a.length; i++) {
+        let diff = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+        while (diff) {
+            distance += diff & 1;
+            diff >>= 1;
+        }
+    }
+    return distance;
+}
+
+/**
+ * Band keys for a perceptual hash, e.g. ['0:a3', '1:f0', ...]
+ */
+function hashBands(hash) {
+    const bandLength = hash.length / BAND_COUNT;
+    const bands = [];
+    for (let i = 0; i < BAND_COUNT; i++) {
+        bands.push(`${i}:${hash.substring(i * bandLength, (i + 1) * bandLength)}`);
+    }
+    return bands;
+}
+
+/**
+ * Compute both hashes for downloaded image bytes
+ * @returns {Promise<{ sha256: string, dhash: string|null }>}
+ */
+async function computeImageHashes(buffer) {
+    let dhash = null;
+    try {
+        dhash = await perceptualHash(buffer);
+    } catch (e) {
+        // Not decodable by sharp (e.g. unsupported format), exact matching still works
+        dhash = null;
+    }
+    return { sha256: contentHash(buffer), dhash };
+}
+
+module.exports = {
+    contentHash,
+    perceptualHash,
+    hammingDistance,
+    hashBands,
+    computeImageHashes,
+};
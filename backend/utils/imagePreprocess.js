@@ -0,0 +1,112 @@
+// backend/utils/imagePreprocess.js
+// Preprocessing of the downloaded photo before Vision, Gemini and garment crops all see it
+// - auto_orient: apply the EXIF orientation to the pixels (phones store portraits rotated)
+// - resize: longest side down to IMAGE_MAX_DIMENSION (Vision and Gemini gain nothing from 12 MP uploads)
+// - auto_contrast: stretch the levels of faded scans (IMAGE_AUTO_CONTRAST, on by default)
+// - strip_metadata: re-encode as JPEG without EXIF / XMP / IPTC (GPS and camera data never leave the server)
+// If sharp can't read the image the original bytes are used as-is.
+require('../config/env')();
+
+const sharp = require('sharp');
+const logger = require('./logger');
+
+const OUTPUT_QUALITY = 90;
+// Thumbnail used to measure contrast
+const STATS_SIZE = 64;
+// A photo whose 1st–99th percentile brightness spans less than this (of 255) counts as faded
+const FADED_SPREAD = 150;
+
+function getMaxDimension() {
+    const value = parseInt(process.env.IMAGE_MAX_DIMENSION || '2048', 10);
+    return Number.isFinite(value) && value > 0 ? value : 2048;
+}
+
+function isAutoContrastEnabled() {
+    return process.env.IMAGE_AUTO_CONTRAST !== 'false';
+}
+
+/**
+ * Brightness spread between the 1st and 99th percentile (0–255)
+ * @param {Buffer} buffer - Encoded image
+ */
+async function brightnessSpread(buffer) {
+    const pixels = await sharp(buffer)
+        .greyscale()
+        .resize(STATS_SIZE, STATS_SIZE, { fit: 'inside' })
+        .raw()
+        .toBuffer();
+
+    const sorted = Array.from(pixels).sort((a, b) => a - b);
+    const at = (fraction) => sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * fraction))];
+    return at(0.99) - at(0.01);
+}
+
+function hasMetadata(metadata) {
+    return !!(metadata.exif || metadata.xmp || metadata.iptc);
+}
+
+/**
+ * Prepare a downloaded image for analysis
+ * @param {{ buffer: Buffer, mimeType?: string }} image - Result of downloadImage
+ * @returns {Promise<{ buffer: Buffer, mimeType: string, preprocessing: Object|null }>}
+ *   preprocessing is { transforms: string[], original: { width, height, format, bytes }, output: { width, height, bytes } },
+ *   null when the image couldn't be processed (buffer and mimeType are then the original ones)
+ */
+async function preprocessImage(image) {
+    if (!image?.buffer) return image;
+
+    try {
+        const metadata = await sharp(image.buffer).metadata();
+        const transforms = [];
+
+        // rotate() without an angle applies the EXIF orientation; 1 means "already upright"
+        let pipeline = sharp(image.buffer).rotate();
+        if ((metadata.orientation || 1) > 1) {
+            transforms.push('auto_orient');
+        }
+
+        const maxDimension = getMaxDimension();
+        if (Math.max(metadata.width || 0, metadata.height || 0) > maxDimension) {
+            pipeline = pipeline.resize(maxDimension, maxDimension, { fit: 'inside', withoutEnlargement: true });
+            transforms.push('resize');
+        }
+
+        if (isAutoContrastEnabled() && await brightnessSpread(image.buffer) < FADED_SPREAD) {
+            pipeline = pipeline.normalise({ lower: 1, upper: 99 });
+            transforms.push('auto_contrast');
+        }
+
+        if (hasMetadata(metadata)) {
+            transforms.push('strip_metadata');
+        }
+
+        // JPEG has no alpha: transparent PNG areas become white instead of black
+        const { data, info } = await pipeline
+            .flatten({ background: '#ffffff' })
+            .jpeg({ quality: OUTPUT_QUALITY })
+            .toBuffer({ resolveWithObject: true });
+
+        return {
+            buffer: data,
+            mimeType: 'image/jpeg',
+            preprocessing: {
+                transforms,
+                original: {
+                    width: metadata.width || null,
+                    height: metadata.height || null,
+                    format: metadata.format || null,
+                    bytes: image.buffer.length,
+                },
+                output: { width: info.width, height: info.height, bytes: data.length },
+            },
+        };
+    } catch (error) {
+        logger.warn('[imagePreprocess] Could not preprocess image, using the original:', error.message);
+        return { ...image, preprocessing: null };
+    }
+}
+
+module.exports = {
+    preprocessImage,
+    brightnessSpread,
+};
@@ -0,0 +1,195 @@
+// backend/utils/labelDating.js
+// Garment label interpretation from OCR text (data: backend/data/labelReference.json)
+// Finds RN / WPL numbers, union labels, country-of-origin marks, care and fiber text, addresses and size formats,
+// dates each one with the reference table and combines them into one year range. Findings are applied strongest
+// first; one that would leave no years (e.g. a misread RN against "Made in West Germany") is listed as a conflict
+// instead of narrowing the range.
+const reference = require('../data/labelReference.json');
+
+const LABEL_REFERENCE_VERSION = reference.version;
+const STRENGTH_ORDER = { strong: 0, moderate: 1, weak: 2 };
+
+// Findings kept per analysis (OCR of a busy photo can match the same rule many times)
+const MAX_FINDINGS = 12;
+
+const RN_PATTERN = /\bR\.?\s?N\.?\s*(?:no\.?|#)?\s*(\d{4,6})\b/gi;
+const WPL_PATTERN = /\bW\.?\s?P\.?\s?L\.?\s*(?:no\.?|#)?\s*(\d{2,5})\b/gi;
+
+const RULES = reference.rules.map(rule => ({
+    ...rule,
+    regex: new RegExp(rule.pattern, rule.caseSensitive ? 'g' : 'gi'),
+}));
+
+// Label text spans lines in OCR output ("MADE IN\nWEST GERMANY")
+function normalizeOcrText(text) {
+    return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+// Year an RN number was issued (approximate, from the reference table)
+function rnIssueYear(number) {
+    let year = null;
+    for (const entry of reference.rn.issued) {
+        if (number >= entry.from) year = entry.year;
+    }
+    return year;
+}
+
+function rnFinding(match) {
+    const number = parseInt(match[1], 10);
+    if (number < reference.rn.firstNumber) {
+        // Below the first RN: a misread digit or a WPL number carried over, no date
+        return {
+            type: 'rn',
+            rule: 'rn_number',
+            text: match[0],
+            value: number,
+            notBefore: null,
+            notAfter: null,
+            strength: 'weak',
+            note: `RN ${number} is below the first issued RN (${reference.rn.firstNumber})`,
+        };
+    }
+    const year = rnIssueYear(number);
+    return {
+        type: 'rn',
+        rule: 'rn_number',
+        text: match[0],
+        value: number,
+        notBefore: year,
+        notAfter: null,
+        strength: 'strong',
+        note: `RN ${number} was issued around ${year}`,
+    };
+}
+
+function wplFinding(match) {
+    return {
+        type: 'wpl',
+        rule: 'wpl_number',
+        text: match[0],
+        value: parseInt(match[1], 10),
+        notBefore: reference.wpl.notBefore,
+        notAfter: reference.wpl.notAfter,
+        strength: reference.wpl.strength,
+        note: reference.wpl.note,
+    };
+}
+
+/**
+ * Label findings in OCR text
+ * @param {string} ocrText - Full TEXT_DETECTION description
+ * @returns {Array<{ type, rule, text, value, notBefore, notAfter, strength, note }>} In order of appearance
+ */
+function findLabelEvidence(ocrText) {
+    const text = normalizeOcrText(ocrText);
+    if (!text) return [];
+
+    const found = [];
+    for (const match of text.matchAll(RN_PATTERN)) {
+        found.push({ index: match.index, finding: rnFinding(match) });
+    }
+    for (const match of text.matchAll(WPL_PATTERN)) {
+        found.push({ index: match.index, finding: wplFinding(match) });
+    }
+    for (const rule of RULES) {
+        for (const match of text.matchAll(rule.regex)) {
+            found.push({
+                index: match.index,
+                finding: {
+                    type: rule.type,
+                    rule: rule.id,
+                    text: match[0],
+                    value: null,
+                    notBefore: rule.notBefore,
+                    notAfter: rule.notAfter,
+                    strength: rule.strength,
+                    note: rule.note,
+                },
+            });
+        }
+    }
+
+    // One finding per rule and value ("DRY CLEAN" twice says nothing new)
+    const seen = new Set();
+    return found
+        .sort((a, b) => a.index - b.index)
+        .map(entry => entry.finding)
+        .filter(finding => {
+            const key = `${finding.rule}:${finding.value ?? finding.text.toLowerCase()}`;
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        })
+        .slice(0, MAX_FINDINGS);
+}
+
+/**
+ * Year range allowed by the findings
+ * @returns {{ notBefore: number|null, notAfter: number|null, basis: string[], conflicts: string[] }|null}
+ *   null when no finding constrains the date; basis / conflicts list rule ids
+ */
+function combineLabelConstraints(findings = []) {
+    const dated = findings
+        .filter(f => f.notBefore !== null || f.notAfter !== null)
+        .sort((a, b) => STRENGTH_ORDER[a.strength] - STRENGTH_ORDER[b.strength]);
+    if (dated.length === 0) return null;
+
+    let notBefore = null;
+    let notAfter = null;
+    const basis = [];
+    const conflicts = [];
+
+    for (const finding of dated) {
+        const from = finding.notBefore === null ? notBefore : Math.max(finding.notBefore, notBefore ?? -Infinity);
+        const to = finding.notAfter === null ? notAfter : Math.min(finding.notAfter, notAfter ?? Infinity);
+        if (from !== null && to !== null && from > to) {
+            conflicts.push(finding.rule);
+            continue;
+        }
+        notBefore = from;
+        notAfter = to;
+        if (!basis.includes(finding.rule)) basis.push(finding.rule);
+    }
+
+    return { notBefore, notAfter, basis, conflicts };
+}
+
+/**
+ * Findings and combined constraints for OCR text
+ * @returns {{ findings: Array<Object>, constraints: Object|null, version: number }}
+ */
+function interpretLabelText(ocrText) {
+    const findings = findLabelEvidence(ocrText);
+    return {
+        findings,
+        constraints: combineLabelConstraints(findings),
+        version: LABEL_REFERENCE_VERSION,
+    };
+}
+
+/**
+ * Does a canonical era fit the label constraints? (null when either is unknown)
+ */
+function eraFitsConstraints(era, constraints) {
+    if (!constraints || !era || era.startYear === null || era.startYear === undefined) return null;
+    if (constraints.notBefore !== null && era.endYear < constraints.notBefore) return false;
+    if (constraints.notAfter !== null && era.startYear > constraints.notAfter) return false;
+    return true;
+}
+
+// "1970 or later", "1949–1990", "1995 or earlier"
+function describeYearRange({ notBefore, notAfter }) {
+    if (notBefore !== null && notAfter !== null) return `${notBefore}–${notAfter}`;
+    if (notBefore !== null) return `${notBefore} or later`;
+    if (notAfter !== null) return `${notAfter} or earlier`;
+    return 'undated';
+}
+
+module.exports = {
+    LABEL_REFERENCE_VERSION,
+    findLabelEvidence,
+    combineLabelConstraints,
+    interpretLabelText,
+    eraFitsConstraints,
+    describeYearRange,
+};
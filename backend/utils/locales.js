@@ -0,0 +1,175 @@
+// backend/utils/locales.js
+// Analysis locales (data: backend/data/locales.json)
+// A locale setting has an output locale (language of rationale and shopping tips) and the search locales that
+// get their own queries and marketplaces. English queries always live in search_queries.en; other languages
+// are returned by Gemini as localized_queries keyed by locale.
+const localeLibrary = require('../data/locales.json');
+
+const DEFAULT_LOCALE = localeLibrary.default;
+const LOCALES = new Map(localeLibrary.locales.map(entry => [entry.locale, entry]));
+// Search locales per analysis (each one adds queries to the Gemini output)
+const MAX_SEARCH_LOCALES = 3;
+
+function badRequest(message) {
+    const err = new Error(message);
+    err.status = 400;
+    return err;
+}
+
+function isEnglish(locale) {
+    return String(locale).startsWith('en-');
+}
+
+/**
+ * Supported locale for a language tag ("de", "de-AT", "de_DE", "ZH-cn"); same language wins over nothing
+ * @returns {string|null}
+ */
+function matchLocale(tag) {
+    if (typeof tag !== 'string' || !tag.trim()) return null;
+
+    const [language, region] = tag.trim().replace('_', '-').split('-');
+    const normalized = region ? `${language.toLowerCase()}-${region.toUpperCase()}` : language.toLowerCase();
+    if (LOCALES.has(normalized)) {
+        return normalized;
+    }
+
+    const sameLanguage = [...LOCALES.keys()].find(locale => locale.startsWith(`${language.toLowerCase()}-`));
+    return sameLanguage || null;
+}
+
+/**
+ * Language tags of an Accept-Language header, most preferred first
+ */
+function parseAcceptLanguage(header) {
+    return String(header || '')
+        .split(',')
+        .map(part => {
+            const [tag, ...params] = part.trim().split(';');
+            const q = params.map(p => p.trim()).find(p => p.startsWith('q='));
+            return { tag: tag.trim(), q: q ? parseFloat(q.slice(2)) : 1 };
+        })
+        .filter(entry => entry.tag && entry.tag !== '*' && entry.q > 0)
+        .sort((a, b) => b.q - a.q)
+        .map(entry => entry.tag);
+}
+
+function parseSearchLocales(value, { strict }) {
+    if (value === undefined || value === null) return null;
+
+    const tags = Array.isArray(value) ? value : String(value).split(',');
+    const locales = [];
+    for (const tag of tags) {
+        const locale = matchLocale(tag);
+        if (!locale) {
+            if (strict) throw badRequest(`Unsupported search locale "${tag}"`);
+            continue;
+        }
+        if (!locales.includes(locale)) locales.push(locale);
+    }
+    return locales.length > 0 ? locales : null;
+}
+
+/**
+ * Locale setting of an analysis
+ * Request values win over the user profile, then the browser's Accept-Language, then the default.
+ * @param {Object} params - { requested, requestedSearch, profile: { locale, searchLocales }, acceptLanguage }
+ * @returns {{ output: string, search: string[], source: 'request'|'profile'|'header'|'default' }}
+ * @throws {Error} with status 400 when a requested locale is not supported
+ */
+function resolveLocaleSettings({ requested = null, requestedSearch = null, profile = null, acceptLanguage = null } = {}) {
+    let output = null;
+    let source = 'default';
+
+    if (requested) {
+        output = matchLocale(requested);
+        if (!output) throw badRequest(`Unsupported locale "${requested}"`);
+        source = 'request';
+    } else if (matchLocale(profile?.locale)) {
+        output = matchLocale(profile.locale);
+        source = 'profile';
+    } else {
+        output = parseAcceptLanguage(acceptLanguage).map(matchLocale).find(Boolean) || null;
+        source = output ? 'header' : 'default';
+    }
+    output = output || DEFAULT_LOCALE;
+
+    const search = parseSearchLocales(requestedSearch, { strict: true })
+        || parseSearchLocales(profile?.searchLocales, { strict: false })
+        || (isEnglish(output) ? [output] : [output, DEFAULT_LOCALE]);
+
+    return { output, search: search.slice(0, MAX_SEARCH_LOCALES), source };
+}
+
+/**
+ * Search locales that need localized queries from Gemini (English ones use search_queries.en)
+ */
+function localizedQueryLocales(settings) {
+    return (settings?.search || []).filter(locale => !isEnglish(locale));
+}
+
+function describeLocale(locale) {
+    return `${locale} (${LOCALES.get(locale)?.language || locale})`;
+}
+
+/**
+ * Prompt template variables for a locale setting
+ */
+function promptLocaleVariables(settings) {
+    const output = settings?.output || DEFAULT_LOCALE;
+    const localized = localizedQueryLocales(settings);
+    return {
+        output_language: describeLocale(output),
+        search_locales: localized.length > 0 ? localized.map(describeLocale).join(', ') : 'none',
+    };
+}
+
+/**
+ * Search queries grouped per search locale, with the marketplaces to run them on
+ * @param {Object} geminiResult - search_queries.en and localized_queries
+ * @param {Object|null} settings - Locale setting of the result (results saved before locales: English only)
+ * @returns {Array<{ locale, label, google, marketplaces, queries }>}
+ */
+function describeSearchTargets(geminiResult, settings) {
+    const search = settings?.search?.length ? settings.search : [DEFAULT_LOCALE];
+    const englishQueries = geminiResult?.search_queries?.en || [];
+    const targets = [];
+
+    for (const locale of search) {
+        const entry = LOCALES.get(locale);
+        if (!entry) continue;
+        const queries = isEnglish(locale) ? englishQueries : (geminiResult?.localized_queries?.[locale] || []);
+        if (queries.length === 0) continue;
+        targets.push({
+            locale,
+            label: entry.label,
+            google: entry.google,
+            marketplaces: entry.marketplaces,
+            queries,
+        });
+    }
+
+    // English queries are always shown, even when no English locale was requested
+    if (!search.some(isEnglish) && englishQueries.length > 0) {
+        const entry = LOCALES.get(DEFAULT_LOCALE);
+        targets.push({
+            locale: DEFAULT_LOCALE,
+            label: entry.label,
+            google: entry.google,
+            marketplaces: entry.marketplaces,
+            queries: englishQueries,
+        });
+    }
+    return targets;
+}
+
+module.exports = {
+    DEFAULT_LOCALE,
+    SUPPORTED_LOCALES: [...LOCALES.keys()],
+    isEnglish,
+    matchLocale,
+    parseAcceptLanguage,
+    resolveLocaleSettings,
+    localizedQueryLocales,
+    promptLocaleVariables,
+    describeSearchTargets,
+};
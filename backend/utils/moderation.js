@@ -0,0 +1,120 @@
+// backend/utils/moderation.js
+// SafeSearch moderation: per-category thresholds decide whether a photo is analyzed, flagged or blocked
+// Vision rates each category (adult, violence, racy, medical, spoof) from VERY_UNLIKELY to VERY_LIKELY.
+// SAFESEARCH_<CATEGORY>_BLOCK / SAFESEARCH_<CATEGORY>_FLAG set the lowest likelihood that blocks the analysis or
+// flags the result ("off" disables). Racy and medical only flag by default: vintage swimwear, lingerie and
+// corsetry are fashion this app is meant to date.
+require('../config/env')();
+
+const LIKELIHOODS = ['UNKNOWN', 'VERY_UNLIKELY', 'UNLIKELY', 'POSSIBLE', 'LIKELY', 'VERY_LIKELY'];
+const CATEGORIES = ['adult', 'violence', 'racy', 'medical', 'spoof'];
+
+const DEFAULT_THRESHOLDS = {
+    adult: { block: 'LIKELY', flag: 'POSSIBLE' },
+    violence: { block: 'LIKELY', flag: 'POSSIBLE' },
+    racy: { block: 'off', flag: 'LIKELY' },
+    medical: { block: 'off', flag: 'LIKELY' },
+    spoof: { block: 'off', flag: 'off' },
+};
+
+// How a category reads in messages
+const CATEGORY_NAMES = {
+    adult: 'adult content',
+    violence: 'violent content',
+    racy: 'racy content',
+    medical: 'medical imagery',
+    spoof: 'edited or spoof imagery',
+};
+
+function isModerationEnabled() {
+    return process.env.MODERATION_ENABLED !== 'false';
+}
+
+// 'LIKELY' → 4; numbers are the Vision enum values; null for "off" or anything unrecognized
+function likelihoodRank(value) {
+    if (typeof value === 'number') {
+        return value >= 0 && value < LIKELIHOODS.length ? value : null;
+    }
+    const rank = LIKELIHOODS.indexOf(String(value || '').trim().toUpperCase());
+    return rank > 0 ? rank : null;
+}
+
+/**
+ * Block / flag threshold per category (env overrides the defaults)
+ * @returns {Object<string, { block: string|null, flag: string|null }>} null = never
+ */
+function getModerationThresholds() {
+    const thresholds = {};
+    for (const category of CATEGORIES) {
+        const read = (action) => {
+            const configured = process.env[`SAFESEARCH_${category.toUpperCase()}_${action.toUpperCase()}`];
+            const value = configured !== undefined && configured !== '' ? configured : DEFAULT_THRESHOLDS[category][action];
+            const rank = likelihoodRank(value);
+            return rank === null ? null : LIKELIHOODS[rank];
+        };
+        thresholds[category] = { block: read('block'), flag: read('flag') };
+    }
+    return thresholds;
+}
+
+/**
+ * Apply the thresholds to a SafeSearch annotation
+ * @param {Object|null} annotation - visionResult.safeSearchAnnotation
+ * @returns {{ action: 'allow'|'flag'|'block', checked: boolean, categories: Object|null,
+ *   triggered: Array<{ category, likelihood, action }> }}
+ */
+function evaluateSafeSearch(annotation, thresholds = getModerationThresholds()) {
+    if (!annotation) {
+        return { action: 'allow', checked: false, categories: null, triggered: [] };
+    }
+
+    const categories = {};
+    const triggered = [];
+    for (const category of CATEGORIES) {
+        const rank = likelihoodRank(annotation[category]) ?? 0;
+        categories[category] = LIKELIHOODS[rank];
+
+        const { block, flag } = thresholds[category];
+        if (block && rank >= likelihoodRank(block)) {
+            triggered.push({ category, likelihood: LIKELIHOODS[rank], action: 'block' });
+        } else if (flag && rank >= likelihoodRank(flag)) {
+            triggered.push({ category, likelihood: LIKELIHOODS[rank], action: 'flag' });
+        }
+    }
+
+    let action = 'allow';
+    if (triggered.some(t => t.action === 'block')) {
+        action = 'block';
+    } else if (triggered.length > 0) {
+        action = 'flag';
+    }
+    return { action, checked: true, categories, triggered };
+}
+
+// "likely adult content and possible violent content"
+function describeModeration(moderation) {
+    const relevant = (moderation?.triggered || []).filter(t => t.action === moderation.action);
+    return relevant
+        .map(t => `${t.likelihood.toLowerCase().replace(/_/g, ' ')} ${CATEGORY_NAMES[t.category]}`)
+        .join(' and ');
+}
+
+/**
+ * Error for a blocked photo (the dashboard explains code CONTENT_BLOCKED)
+ */
+function contentBlockedError(moderation) {
+    const err = new Error(`This photo was not analyzed: SafeSearch rated it as ${describeModeration(moderation)}.`);
+    err.status = 422;
+    err.code = 'CONTENT_BLOCKED';
+    err.moderation = moderation;
+    return err;
+}
+
+module.exports = {
+    CATEGORIES,
+    isModerationEnabled,
+    getModerationThresholds,
+    evaluateSafeSearch,
+    describeModeration,
+    contentBlockedError,
+};
@@ -0,0 +1,213 @@
+// backend/utils/resilientCall.js
+// Retries, backoff and circuit breaking for calls to external dependencies (Vision, Gemini, Google Photos, OAuth)
+// A call is retried when its error is retryable (network errors, timeouts, 408/429/5xx, gRPC UNAVAILABLE…), with
+// exponential backoff and full jitter. Each dependency has a circuit breaker: after BREAKER_FAILURE_THRESHOLD
+// consecutive retryable failures it opens and calls fail fast (status 503, code CIRCUIT_OPEN) until
+// BREAKER_RESET_MS has passed; then a single trial call decides whether it closes again.
+// Fatal errors (bad request, auth, not found) are thrown right away and do not count against the breaker.
+require('../config/env')();
+
+const logger = require('./logger');
+
+const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+const RETRYABLE_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'ENETUNREACH']);
+// gRPC status codes (Vision SDK): DEADLINE_EXCEEDED, RESOURCE_EXHAUSTED, ABORTED, INTERNAL, UNAVAILABLE
+const RETRYABLE_GRPC_CODES = new Set([4, 8, 10, 13, 14]);
+
+// Per-dependency defaults, overridable with RETRY_MAX_ATTEMPTS / BREAKER_FAILURE_THRESHOLD / BREAKER_RESET_MS
+const DEPENDENCIES = {
+    vision: { retries: 2, baseDelayMs: 300 },
+    gemini: { retries: 2, baseDelayMs: 1000 },
+    googlePhotos: { retries: 2, baseDelayMs: 300 },
+    googleOAuth: { retries: 1, baseDelayMs: 300 },
+};
+const MAX_DELAY_MS = 8000;
+
+// name -> breaker
+const breakers = new Map();
+
+function envInt(name, fallback) {
+    const value = parseInt(process.env[name], 10);
+    return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+// HTTP status of an axios error, an error with .status, or a Gemini SDK error ("[503 Service Unavailable] …")
+function statusOf(error) {
+    if (error?.response?.status) return error.response.status;
+    if (Number.isInteger(error?.status)) return error.status;
+    const match = /\[(\d{3}) [^\]]*\]/.exec(error?.message || '');
+    return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Is an error worth retrying?
+ * @returns {'retryable'|'fatal'}
+ */
+function classifyError(error) {
+    if (!error || error.code === 'CIRCUIT_OPEN') return 'fatal';
+
+    const status = statusOf(error);
+    if (status !== null) {
+        return RETRYABLE_STATUSES.has(status) ? 'retryable' : 'fatal';
+    }
+    if (RETRYABLE_CODES.has(error.code) || RETRYABLE_GRPC_CODES.has(error.code)) {
+        return 'retryable';
+    }
+    // fetch() network failures (Gemini SDK) carry no code
+    if (/fetch failed|socket hang up|timeout/i.test(error.message || '')) {
+        return 'retryable';
+    }
+    return 'fatal';
+}
+
+/**
+ * Delay before retry number `attempt` (0-based): random in [0, min(max, base * 2^attempt)]
+ */
+function backoffDelay(attempt, { baseDelayMs = 300, maxDelayMs = MAX_DELAY_MS, random = Math.random } = {}) {
+    return Math.round(random() * Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempt)));
+}
+
+function getBreaker(name) {
+    if (!breakers.has(name)) {
+        breakers.set(name, {
+            name,
+            state: 'closed',
+            consecutiveFailures: 0,
+            openedAt: null,
+            trialInFlight: false,
+            lastError: null,
+            lastFailureAt: null,
+            totalFailures: 0,
+        });
+    }
+    return breakers.get(name);
+}
+
+// May a call go through? Moves an open breaker to half_open once the reset time has passed
+function allowRequest(breaker, now = Date.now()) {
+    if (breaker.state === 'closed') return true;
+    if (breaker.state === 'open' && now - breaker.openedAt >= envInt('BREAKER_RESET_MS', 30000)) {
+        breaker.state = 'half_open';
+    }
+    if (breaker.state === 'half_open' && !breaker.trialInFlight) {
+        breaker.trialInFlight = true;
+        return true;
+    }
+    return false;
+}
+
+function recordSuccess(breaker) {
+    if (breaker.state !== 'closed') {
+        logger.info(`[resilientCall] Circuit for ${breaker.name} closed`);
+    }
+    breaker.state = 'closed';
+    breaker.consecutiveFailures = 0;
+    breaker.openedAt = null;
+    breaker.trialInFlight = false;
+}
+
+function recordFailure(breaker, error, now = Date.now()) {
+    breaker.consecutiveFailures += 1;
+    breaker.totalFailures += 1;
+    breaker.lastError = String(error?.message || error).substring(0, 200);
+    breaker.lastFailureAt = new Date(now).toISOString();
+    breaker.trialInFlight = false;
+
+    const threshold = envInt('BREAKER_FAILURE_THRESHOLD', 5);
+    if (breaker.state === 'half_open' || (breaker.state === 'closed' && breaker.consecutiveFailures >= threshold)) {
+        breaker.state = 'open';
+        breaker.openedAt = now;
+        logger.warn(`[resilientCall] Circuit for ${breaker.name} opened after ${breaker.consecutiveFailures} failures`);
+    }
+}
+
+function circuitOpenError(breaker) {
+    const retryAfterMs = Math.max(0, envInt('BREAKER_RESET_MS', 30000) - (Date.now() - (breaker.openedAt || Date.now())));
+    const err = new Error(`${breaker.name} is temporarily unavailable (circuit open)`);
+    err.status = 503;
+    err.code = 'CIRCUIT_OPEN';
+    err.dependency = breaker.name;
+    err.retryAfterMs = retryAfterMs;
+    return err;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Call a dependency with retries and its circuit breaker
+ * @param {string} dependency - 'vision' | 'gemini' | 'googlePhotos' | 'googleOAuth' (other names get the defaults)
+ * @param {Function} fn - (attempt) => Promise
+ * @param {Object} [options] - { retries, baseDelayMs, maxDelayMs, classify(error) }
+ * @returns {Promise<*>} Result of fn
+ * @throws The last error of fn, or a CIRCUIT_OPEN error (status 503) while the breaker is open
+ */
+async function resilientCall(dependency, fn, options = {}) {
+    const defaults = DEPENDENCIES[dependency] || { retries: 2, baseDelayMs: 300 };
+    const retries = options.retries ?? envInt('RETRY_MAX_ATTEMPTS', defaults.retries);
+    const classify = options.classify || classifyError;
+    const breaker = getBreaker(dependency);
+
+    for (let attempt = 0; ; attempt++) {
+        if (!allowRequest(breaker)) {
+            throw circuitOpenError(breaker);
+        }
+
+        try {
+            const result = await fn(attempt);
+            recordSuccess(breaker);
+            return result;
+        } catch (error) {
+            if (classify(error) !== 'retryable') {
+                // The dependency answered: fatal errors say nothing about its health
+                if (breaker.state === 'half_open') recordSuccess(breaker);
+                throw error;
+            }
+
+            recordFailure(breaker, error);
+            if (attempt >= retries || breaker.state === 'open') {
+                throw error;
+            }
+
+            const delay = backoffDelay(attempt, {
+                baseDelayMs: options.baseDelayMs ?? defaults.baseDelayMs,
+                maxDelayMs: options.maxDelayMs ?? MAX_DELAY_MS,
+            });
+            logger.warn(`[resilientCall] ${dependency} failed (${error.message}), retry ${attempt + 1}/${retries} in ${delay}ms`);
+            await sleep(delay);
+        }
+    }
+}
+
+/**
+ * Breaker state per dependency (for /api/health)
+ * @returns {Object} name -> { state, consecutiveFailures, totalFailures, lastError, lastFailureAt, retryAfterMs }
+ */
+function getBreakerStates() {
+    const names = new Set([...Object.keys(DEPENDENCIES), ...breakers.keys()]);
+    const states = {};
+    for (const name of names) {
+        const breaker = getBreaker(name);
+        states[name] = {
+            state: breaker.state,
+            consecutiveFailures: breaker.consecutiveFailures,
+            totalFailures: breaker.totalFailures,
+            lastError: breaker.lastError,
+            lastFailureAt: breaker.lastFailureAt,
+            retryAfterMs: breaker.state === 'open' ? circuitOpenError(breaker).retryAfterMs : 0,
+        };
+    }
+    return states;
+}
+
+// Tests can start from closed breakers
+function resetBreakers() {
+    breakers.clear();
+}
+
+module.exports = {
+    classifyError,
+    backoffDelay,
+    resilientCall,
+    getBreakerStates,
+    resetBreakers,
+};
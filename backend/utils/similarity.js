@@ -0,0 +1,151 @@
+// backend/utils/similarity.js
+// Similarity between two analysis results ("similar looks" in a user's collection)
+// The score is a weighted mean of four factors in [0, 1]: era overlap (year ranges of the canonical eras),
+// shared style tags, shared taxonomy terms and dominant-color distance. A factor that one of the results has no
+// data for (e.g. no palette) is left out and the remaining weights are rescaled.
+const { rgbToLab, deltaE } = require('./colors');
+const { normalizeEra } = require('./eras');
+
+// Weights of each factor (sum to 1)
+const SIMILARITY_WEIGHTS = {
+    era: 0.35,
+    styleTags: 0.25,
+    taxonomy: 0.2,
+    colors: 0.2,
+};
+
+// Average Lab distance at which the colors count as unrelated
+const COLOR_DISTANCE_SCALE = 50;
+// Palette colors compared per result
+const MAX_PALETTE_COLORS = 5;
+
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+function jaccard(a, b) {
+    if (a.size === 0 || b.size === 0) return null;
+    const shared = [...a].filter(value => b.has(value)).length;
+    return shared / (a.size + b.size - shared);
+}
+
+// Results saved before the canonical era model have no era field
+function eraOf(result) {
+    return result.era || normalizeEra(result.geminiResult?.era_primary);
+}
+
+// Overlapping years / years covered by either era ("Late 1950s" vs "1960s" → 0, "1950s" vs "Late 1950s" → 0.3)
+function eraFactor(a, b) {
+    const eraA = eraOf(a);
+    const eraB = eraOf(b);
+    if (eraA.startYear === null || eraB.startYear === null) return null;
+
+    const overlap = Math.min(eraA.endYear, eraB.endYear) - Math.max(eraA.startYear, eraB.startYear) + 1;
+    const covered = Math.max(eraA.endYear, eraB.endYear) - Math.min(eraA.startYear, eraB.startYear) + 1;
+    return Math.max(0, overlap) / covered;
+}
+
+function styleTagsOf(result) {
+    return new Set((result.geminiResult?.style_tags || []).map(tag => String(tag).trim().toLowerCase()).filter(Boolean));
+}
+
+// Taxonomy terms with their parents, so "tea dress" and "day dress" still share "dress"
+function taxonomyTermsOf(result) {
+    const terms = new Set();
+    for (const keyword of result.visionFeatures?.clothing_keywords || []) {
+        if (typeof keyword === 'string') {
+            terms.add(keyword);
+            continue;
+        }
+        if (keyword.term) terms.add(keyword.term);
+        if (keyword.parent) terms.add(keyword.parent);
+    }
+    return terms;
+}
+
+function paletteOf(result) {
+    return (result.visionFeatures?.color_analysis?.palette || [])
+        .filter(color => Array.isArray(color.rgb))
+        .slice(0, MAX_PALETTE_COLORS)
+        .map(color => ({ lab: rgbToLab(color.rgb), weight: color.score || 0 }));
+}
+
+// Score-weighted distance from each color of one palette to its closest color in the other
+// (colors count equally when the palette has no scores)
+function paletteDistance(from, to) {
+    const useScores = from.some(color => color.weight > 0);
+    let distance = 0;
+    let totalWeight = 0;
+    for (const color of from) {
+        const weight = useScores ? color.weight : 1;
+        distance += weight * Math.min(...to.map(other => deltaE(color.lab, other.lab)));
+        totalWeight += weight;
+    }
+    return distance / totalWeight;
+}
+
+function colorFactor(a, b) {
+    const paletteA = paletteOf(a);
+    const paletteB = paletteOf(b);
+    if (paletteA.length === 0 || paletteB.length === 0) return null;
+
+    const distance = (paletteDistance(paletteA, paletteB) + paletteDistance(paletteB, paletteA)) / 2;
+    return Math.max(0, 1 - distance / COLOR_DISTANCE_SCALE);
+}
+
+/**
+ * Similarity of two results (results docs or versions)
+ * @returns {{ score: number, factors: { era, styleTags, taxonomy, colors }, shared: { styleTags: string[], terms: string[] } }}
+ *   factors are null when one of the results has no data for them
+ */
+function scoreSimilarity(a, b) {
+    const tagsA = styleTagsOf(a);
+    const tagsB = styleTagsOf(b);
+    const termsA = taxonomyTermsOf(a);
+    const termsB = taxonomyTermsOf(b);
+
+    const factors = {
+        era: eraFactor(a, b),
+        styleTags: jaccard(tagsA, tagsB),
+        taxonomy: jaccard(termsA, termsB),
+        colors: colorFactor(a, b),
+    };
+
+    let weighted = 0;
+    let totalWeight = 0;
+    for (const [name, weight] of Object.entries(SIMILARITY_WEIGHTS)) {
+        if (factors[name] === null) continue;
+        weighted += weight * factors[name];
+        totalWeight += weight;
+    }
+
+    return {
+        score: totalWeight > 0 ? round(weighted / totalWeight) : 0,
+        factors: Object.fromEntries(Object.entries(factors).map(([name, value]) => [name, value === null ? null : round(value)])),
+        shared: {
+            styleTags: [...tagsA].filter(tag => tagsB.has(tag)),
+            terms: [...termsA].filter(term => termsB.has(term)),
+        },
+    };
+}
+
+/**
+ * Rank candidate results by similarity to a target result
+ * @param {Object} target - Result data
+ * @param {Array<{ id: string, data: Object }>} candidates
+ * @param {Object} [options] - { limit, minScore }
+ * @returns {Array<{ id, data, score, factors, shared }>} Best first
+ */
+function rankSimilar(target, candidates, { limit = 8, minScore = 0.2 } = {}) {
+    return candidates
+        .map(candidate => ({ ...candidate, ...scoreSimilarity(target, candidate.data) }))
+        .filter(match => match.score >= minScore)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+}
+
+module.exports = {
+    SIMILARITY_WEIGHTS,
+    scoreSimilarity,
+    rankSimilar,
+};
@@ -0,0 +1,101 @@
+// backend/utils/taxonomy.js
+// Garment taxonomy matching (data: backend/data/garmentTaxonomy.json)
+// Matching works on whole word tokens ("tie" no longer matches inside "tiered"),
+// and the longest synonym wins where matches overlap ("peter pan collar" over "collar").
+const taxonomy = require('../data/garmentTaxonomy.json');
+
+// Light plural folding so "Dresses"/"dress" and "Buttons"/"button" compare equal
+function stem(token) {
+    if (token.length > 4 && /(sses|xes|ches|shes)$/.test(token)) {
+        return token.slice(0, -2);
+    }
+    if (token.length > 3 && token.endsWith('s') && !token.endsWith('ss')) {
+        return token.slice(0, -1);
+    }
+    return token;
+}
+
+/**
+ * Lowercase word tokens; hyphens and punctuation separate words ("A-line" → ["a", "line"])
+ */
+function tokenize(text) {
+    return String(text || '')
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(Boolean)
+        .map(stem);
+}
+
+// Every synonym of every term, pre-tokenized
+const PHRASES = taxonomy.terms.flatMap(entry =>
+    [entry.term, ...(entry.synonyms || [])].map(synonym => ({
+        entry,
+        tokens: tokenize(synonym),
+    }))
+).filter(phrase => phrase.tokens.length > 0);
+
+/**
+ * Find taxonomy terms in one text; overlapping matches keep the longest phrase
+ * @returns {Array<Object>} Matched taxonomy entries
+ */
+function matchText(text) {
+    const tokens = tokenize(text);
+    const candidates = [];
+
+    for (const phrase of PHRASES) {
+        const length = phrase.tokens.length;
+        for (let start = 0; start + length <= tokens.length; start++) {
+            if (phrase.tokens.every((token, i) => tokens[start + i] === token)) {
+                candidates.push({ entry: phrase.entry, start, length });
+            }
+        }
+    }
+
+    candidates.sort((a, b) => b.length - a.length);
+    const used = new Set();
+    const matched = [];
+    for (const candidate of candidates) {
+        const span = Array.from({ length: candidate.length }, (_, i) => candidate.start + i);
+        if (span.some(index => used.has(index))) continue;
+        span.forEach(index => used.add(index));
+        if (!matched.includes(candidate.entry)) {
+            matched.push(candidate.entry);
+        }
+    }
+    return matched;
+}
+
+/**
+ * Structured clothing keywords from Vision texts
+ * @param {Array<{ text: string, score: number, source: string }>} inputs - e.g. labels (source 'label'), objects ('object')
+ * @returns {Array<{ term, category, parent, source, score }>} One entry per term (best score), sorted by score
+ */
+function extractClothingKeywords(inputs = []) {
+    const byTerm = new Map();
+
+    for (const input of inputs) {
+        for (const entry of matchText(input.text)) {
+            const score = Math.round((input.score || 0) * 1000) / 1000;
+            const existing = byTerm.get(entry.term);
+            if (!existing || score > existing.score) {
+                byTerm.set(entry.term, {
+                    term: entry.term,
+                    category: entry.category,
+                    parent: entry.parent || null,
+                    source: input.source,
+                    score,
+                });
+            }
+        }
+    }
+
+    return [...byTerm.values()].sort((a, b) => b.score - a.score);
+}
+
+module.exports = {
+    TAXONOMY_VERSION: taxonomy.version,
+    CATEGORIES: taxonomy.categories,
+    tokenize,
+    matchText,
+    extractClothingKeywords,
+};
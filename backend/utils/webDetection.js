@@ -0,0 +1,122 @@
+// backend/utils/webDetection.js
+// Vision WEB_DETECTION: where else the photo (or pictures like it) appears on the web
+// Optional (VISION_WEB_DETECTION=true): it is billed as an extra Vision feature. The summary keeps web entities,
+// best-guess labels, pages with full or partial matches and visually similar images; best-guess labels and the
+// top entities can be passed to the era model as extra evidence (GEMINI_WEB_EVIDENCE).
+require('../config/env')();
+
+const MAX_ENTITIES = 10;
+const MAX_PAGES = 8;
+const MAX_SIMILAR_IMAGES = 8;
+// Entities and labels sent to the era prompt
+const PROMPT_ENTITIES = 5;
+
+function isWebDetectionEnabled() {
+    return process.env.VISION_WEB_DETECTION === 'true';
+}
+
+function isWebEvidenceForModelEnabled() {
+    return isWebDetectionEnabled() && process.env.GEMINI_WEB_EVIDENCE !== 'false';
+}
+
+/**
+ * Vision feature request, or null when web detection is off
+ */
+function webDetectionFeature() {
+    if (!isWebDetectionEnabled()) return null;
+    const maxResults = parseInt(process.env.WEB_DETECTION_MAX_RESULTS || '10', 10);
+    return { type: 'WEB_DETECTION', maxResults: Number.isFinite(maxResults) && maxResults > 0 ? maxResults : 10 };
+}
+
+// Only http(s) links are shown to users
+function safeUrl(url) {
+    try {
+        const parsed = new URL(String(url || ''));
+        return parsed.protocol === 'https:' || parsed.protocol === 'http:' ? parsed.toString() : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Page titles come with <b> highlight tags and HTML entities; plain text here, result.js escapes it
+function cleanTitle(title) {
+    return String(title || '')
+        .replace(/<[^>]*>/g, '')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&amp;/g, '&')
+        .trim();
+}
+
+function round(value) {
+    return Math.round((value || 0) * 1000) / 1000;
+}
+
+/**
+ * Compact summary of a WebDetection response
+ * @param {Object|null} webDetection - visionResult.webDetection
+ * @returns {{ entities: Array<{ description, score }>, bestGuessLabels: string[],
+ *   pages: Array<{ url, title, domain, match: 'full'|'partial', imageUrl }>, similarImages: string[] }|null}
+ */
+function summarizeWebDetection(webDetection) {
+    if (!webDetection) return null;
+
+    const entities = (webDetection.webEntities || [])
+        .filter(entity => entity.description)
+        .map(entity => ({ description: entity.description, score: round(entity.score) }))
+        .slice(0, MAX_ENTITIES);
+
+    const bestGuessLabels = [...new Set((webDetection.bestGuessLabels || [])
+        .map(label => String(label.label || '').trim())
+        .filter(Boolean))];
+
+    const pages = [];
+    for (const page of webDetection.pagesWithMatchingImages || []) {
+        const url = safeUrl(page.url);
+        if (!url) continue;
+        const full = page.fullMatchingImages || [];
+        const partial = page.partialMatchingImages || [];
+        pages.push({
+            url,
+            title: cleanTitle(page.pageTitle) || new URL(url).hostname,
+            domain: new URL(url).hostname.replace(/^www\./, ''),
+            match: full.length > 0 ? 'full' : 'partial',
+            imageUrl: safeUrl((full[0] || partial[0])?.url),
+        });
+    }
+    // Full matches (the same photo) before partial ones (crops, edits)
+    pages.sort((a, b) => (a.match === b.match ? 0 : a.match === 'full' ? -1 : 1));
+
+    const similarImages = [...new Set((webDetection.visuallySimilarImages || [])
+        .map(image => safeUrl(image.url))
+        .filter(Boolean))]
+        .slice(0, MAX_SIMILAR_IMAGES);
+
+    return { entities, bestGuessLabels, pages: pages.slice(0, MAX_PAGES), similarImages };
+}
+
+/**
+ * Web evidence for the era prompt (empty when disabled or nothing was found)
+ * @returns {{ web_best_guess?: string[], web_entities?: string[] }}
+ */
+function webPromptFeatures(summary) {
+    if (!summary || !isWebEvidenceForModelEnabled()) return {};
+
+    const features = {};
+    if (summary.bestGuessLabels.length > 0) {
+        features.web_best_guess = summary.bestGuessLabels;
+    }
+    if (summary.entities.length > 0) {
+        features.web_entities = summary.entities.slice(0, PROMPT_ENTITIES).map(e => `${e.description}:${e.score}`);
+    }
+    return features;
+}
+
+module.exports = {
+    isWebDetectionEnabled,
+    webDetectionFeature,
+    summarizeWebDetection,
+    webPromptFeatures,
+};
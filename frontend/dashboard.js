@@ -22,8 +22,9 @@ async function ensureLoggedIn() {
             nameSpan.textContent = user.name || 'User';
         }
 
-        // Setup picker button (photos will be loaded in DOMContentLoaded)
+        // Setup picker + "Analyze all" buttons (photos will be loaded in DOMContentLoaded)
         setupPickerButton();
+        setupAnalyzeAllButton();
     } catch (err) {
         Logger.error('ensureLoggedIn error:', err);
         window.location.href = '/signin.html';
@@ -174,6 +175,12 @@ function renderOriginalCarousel(items) {
         return;
     }
 
+    // "Analyze all" only makes sense when something is pending
+    const analyzeAllBtn = document.getElementById('btnAnalyzeAll');
+    if (analyzeAllBtn) {
+        analyzeAllBtn.style.display = items && items.length > 0 ? '' : 'none';
+    }
+
     if (!items || items.length === 0) {
         Logger.log('[renderOriginalCarousel] No items to render, showing empty state');
         DOM.toggle(emptyDiv, true);
@@ -233,13 +240,18 @@ function renderOriginalCarousel(items) {
         // If item has id (Firestore doc id), use it; otherwise use photoId field
         const photoId = item.id || item.photoId || '';
         const firestoreDocId = item.id; // Firestore document ID
+        // Blocked by SafeSearch on an earlier attempt: blurred, with the reason on hover
+        const blocked = item.moderation && item.moderation.action === 'block';
         
         return `
-            <div class="carousel-card" data-index="${idx}" data-photo-id="${photoId}" data-doc-id="${firestoreDocId}">
+            <div class="carousel-card${blocked ? ' moderation-blocked' : ''}" data-index="${idx}" data-photo-id="${photoId}" data-doc-id="${firestoreDocId}">
                 <div class="position-relative">
                     <img src="${proxyUrl || imgUrl}" alt="${filename}" 
                          data-fallback-url="${imgUrl}"
                          loading="lazy">
+                    ${blocked ? `<span class="moderation-badge" title="${describeBlockedPhoto(item.moderation)}">
+                        <i class="bi bi-slash-circle"></i> Blocked
+                    </span>` : ''}
                     <button class="photo-delete-btn" data-photo-id="${photoId}" title="Delete photo">
                         <i class="bi bi-x-circle"></i>
                     </button>
@@ -400,6 +412,38 @@ function hideLoadingOverlay() {
     if (overlay) {
         overlay.style.display = 'none';
     }
+    clearOverlayEvents();
+    const resultLink = document.getElementById('loadingResultLink');
+    if (resultLink) {
+        resultLink.classList.add('d-none');
+    }
+}
+
+// Overlay text for each analysis job stage
+const ANALYSIS_STAGE_MESSAGES = {
+    queued: 'Waiting for an analysis slot...',
+    downloading: 'Downloading image...',
+    vision: 'Extracting features with Vision API...',
+    gemini: 'Dating the outfit with Gemini...',
+    garments: 'Dating individual garments...',
+    saving: 'Saving analysis result...',
+    completed: 'Analysis completed!'
+};
+
+// Append a progress event to the overlay's live event log
+function appendOverlayEvent(message) {
+    const list = document.getElementById('loadingEvents');
+    if (!list || !message) return;
+
+    const li = document.createElement('li');
+    li.textContent = message;
+    list.appendChild(li);
+    list.scrollTop = list.scrollHeight;
+}
+
+function clearOverlayEvents() {
+    const list = document.getElementById('loadingEvents');
+    if (list) list.innerHTML = '';
 }
 
 async function handlePhotoClick(photoId, docId, photoData) {
@@ -439,19 +483,36 @@ async function handlePhotoClick(photoId, docId, photoData) {
         // Use photoId (Google Photos ID) as primary identifier, or use docId if not available
         const analysisPhotoId = photoId || docId;
         
+        // Backend enqueues a job and returns right away
         const analyzeData = await apiPost('/api/analysis/analyze', {
             photoId: analysisPhotoId,
             imageUrl: imageUrl,
-            baseUrl: photoData.baseUrl
+            baseUrl: photoData.baseUrl,
+            docId: docId
         });
         
-        Logger.log(`[handlePhotoClick] Analysis completed: ${analyzeData.resultId}`);
+        Logger.log(`[handlePhotoClick] Analysis job queued: ${analyzeData.jobId}`);
         
-        // 3. Navigate to result page
+        // 3. Stream job progress until it finishes
+        clearOverlayEvents();
+        const resultLink = document.getElementById('loadingResultLink');
+        if (resultLink) {
+            resultLink.href = `result.html?job=${encodeURIComponent(analyzeData.jobId)}`;
+            resultLink.classList.remove('d-none');
+        }
+        const job = await watchAnalysisJob(analyzeData.jobId, (event) => {
+            const message = event.message || ANALYSIS_STAGE_MESSAGES[event.stage] || 'Analyzing image...';
+            showLoadingOverlay(`${message} (${event.progress || 0}%)`);
+            appendOverlayEvent(message);
+        });
+        
+        Logger.log(`[handlePhotoClick] Analysis completed: ${job.resultId}`);
+        
+        // 4. Navigate to result page
         showLoadingOverlay('Analysis completed! Redirecting...');
         setTimeout(() => {
             hideLoadingOverlay();
-            window.location.href = `result.html?id=${analyzeData.resultId}`;
+            window.location.href = `result.html?id=${job.resultId}`;
         }, 500);
         
     } catch (error) {
@@ -459,12 +520,167 @@ async function handlePhotoClick(photoId, docId, photoData) {
         hideLoadingOverlay();
         const userMessage = ErrorHandler.handleApiError(error, 'handlePhotoClick');
         Notification.error(userMessage);
+        loadUsageQuota();
+    }
+}
+
+// "Not analyzed: likely adult content" for a blocked photo's badge
+function describeBlockedPhoto(moderation) {
+    const reasons = (moderation.triggered || [])
+        .filter(t => t.action === 'block')
+        .map(t => `${t.likelihood.toLowerCase().replace(/_/g, ' ')} ${t.category} content`);
+    return `Not analyzed by content moderation${reasons.length ? ': ' + reasons.join(', ') : ''}`;
+}
+
+// Bind "Analyze all" button: analyze every pending photo in one batch
+function setupAnalyzeAllButton() {
+    const btn = document.getElementById('btnAnalyzeAll');
+    if (!btn) return;
+
+    btn.addEventListener('click', async () => {
+        if (!confirm('Analyze all pending photos? This may take a few minutes.')) {
+            return;
+        }
+
+        btn.disabled = true;
+        try {
+            await analyzeAllPending();
+        } finally {
+            btn.disabled = false;
+        }
+    });
+}
+
+// Start a batch for all pending photos and show aggregate progress until it finishes
+async function analyzeAllPending() {
+    try {
+        showLoadingOverlay('Queueing pending photos for analysis...');
+
+        const batch = await apiPost('/api/analysis/batch', { all: true });
+        Logger.log('[analyzeAllPending] Batch created:', batch);
+
+        if (!batch.counts || batch.counts.total === 0) {
+            hideLoadingOverlay();
+            Notification.info('No pending photos to analyze.');
+            return;
+        }
+
+        const status = await waitForAnalysisBatch(batch.batchId, (status) => {
+            const { total, completed, failed, skipped } = status.counts;
+            const finished = completed + failed + skipped;
+            showLoadingOverlay(`Analyzed ${finished} of ${total} photos (${status.progress}%)${failed ? ` — ${failed} failed` : ''}`);
+        });
+
+        hideLoadingOverlay();
+        await Promise.all([
+            loadPendingPhotos(),
+            loadAnalyzedPhotos(),
+            loadUsageQuota()
+        ]);
+
+        const { completed, failed, skipped } = status.counts;
+        const blocked = (status.items || []).filter(item => item.errorCode === 'CONTENT_BLOCKED').length;
+        if (failed || skipped) {
+            Notification.error(`Analyzed ${completed} photos, ${failed + skipped} could not be analyzed`
+                + (blocked ? ` (${blocked} blocked by content moderation).` : '.'));
+        } else {
+            Notification.success(`Analyzed ${completed} photos.`);
+        }
+    } catch (error) {
+        Logger.error('[analyzeAllPending] Error:', error);
+        hideLoadingOverlay();
+        const userMessage = ErrorHandler.handleApiError(error, 'analyzeAllPending');
+        Notification.error(userMessage);
+    }
+}
+
+// Poll GET /api/analysis/batch/:batchId until every photo has finished
+async function waitForAnalysisBatch(batchId, onProgress = () => {}) {
+    const pollInterval = 2000;
+    const maxAttempts = 450; // 450 * 2s = 15 minutes
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        const status = await apiGet(`/api/analysis/batch/${encodeURIComponent(batchId)}`);
+        onProgress(status);
+
+        if (status.done) {
+            return status;
+        }
+        await new Promise(resolve => setTimeout(resolve, pollInterval));
     }
+
+    throw new Error('Batch analysis is taking longer than expected. Please check back later.');
 }
 
 // Use Notification from utils.js, keep showNotification as alias for compatibility
 const showNotification = Notification.show;
 
+// Quota pill: "12 of 50 analyses left today" (nothing for unlimited metrics)
+function renderQuotaPill(period, metric, noun) {
+    const limit = period.limits?.[metric];
+    const remaining = period.remaining?.[metric];
+    if (!limit || remaining === null || remaining === undefined) return '';
+
+    const level = remaining === 0 ? 'quota-out' : remaining <= Math.ceil(limit * 0.1) ? 'quota-low' : '';
+    const resets = new Date(period.resetsAt).toLocaleString();
+    return `<span class="quota-pill ${level}" title="Resets ${resets}">${remaining} of ${limit} ${noun} left</span>`;
+}
+
+// Load remaining quota (GET /api/analysis/usage) into the welcome section
+async function loadUsageQuota() {
+    const container = document.getElementById('usageQuota');
+    if (!container) return;
+
+    try {
+        const usage = await apiGet('/api/analysis/usage');
+        const pills = [
+            renderQuotaPill(usage.daily, 'analyses', 'analyses today'),
+            renderQuotaPill(usage.monthly, 'analyses', 'analyses this month'),
+            renderQuotaPill(usage.daily, 'questions', 'questions today'),
+            renderQuotaPill(usage.daily, 'tokens', 'AI tokens today'),
+            renderQuotaPill(usage.monthly, 'tokens', 'AI tokens this month'),
+        ].filter(Boolean);
+
+        container.innerHTML = pills.join('');
+        container.style.display = pills.length > 0 ? 'flex' : 'none';
+    } catch (error) {
+        // Quota display is informational only
+        Logger.warn('[loadUsageQuota] Error:', error);
+        container.style.display = 'none';
+    }
+}
+
+// Privacy mode switch (GET /api/me, saved with PUT /api/me/preferences); applies to analyses started afterwards
+async function setupPrivacyToggle() {
+    const toggle = document.getElementById('privacyModeToggle');
+    if (!toggle) return;
+
+    try {
+        const profile = await apiGet('/api/me');
+        toggle.checked = profile.privacyMode === true;
+        toggle.disabled = false;
+    } catch (error) {
+        Logger.warn('[setupPrivacyToggle] Could not load privacy setting:', error);
+        return;
+    }
+
+    toggle.addEventListener('change', async () => {
+        const privacyMode = toggle.checked;
+        toggle.disabled = true;
+        try {
+            await apiPut('/api/me/preferences', { privacyMode });
+            Notification.success(privacyMode
+                ? 'Privacy mode on: faces will be blurred in new analyses'
+                : 'Privacy mode off');
+        } catch (error) {
+            toggle.checked = !privacyMode;
+            Notification.error(ErrorHandler.handleApiError(error, 'setupPrivacyToggle'));
+        } finally {
+            toggle.disabled = false;
+        }
+    });
+}
+
 // Load analyzed photos
 async function loadAnalyzedPhotos() {
     try {
@@ -504,7 +720,12 @@ function renderAnalyzedCarousel(items) {
         let imgUrl = '';
         let proxyUrl = '';
         
-        if (item.baseUrl || item.imageUrl) {
+        if (item.privacy?.enabled) {
+            // Privacy mode: only the face-blurred copy is shown (no copy → placeholder)
+            proxyUrl = item.privacy.hasImage
+                ? `/api/analysis/result/${encodeURIComponent(item.id)}/image?v=${item.version || 1}`
+                : '';
+        } else if (item.baseUrl || item.imageUrl) {
             const url = item.baseUrl || item.imageUrl;
             if (url.includes('=')) {
                 imgUrl = url.replace(/=[^&]*/, '=w400-h400');
@@ -514,7 +735,7 @@ function renderAnalyzedCarousel(items) {
             proxyUrl = `/api/photos/proxy?url=${encodeURIComponent(imgUrl)}`;
         }
         
-        const era = item.geminiResult?.era_primary || 'Unknown';
+        const era = item.era?.label || item.geminiResult?.era_primary || 'Unknown';
         const resultId = item.id;
 
         return `
@@ -671,10 +892,12 @@ document.addEventListener('DOMContentLoaded', async () => {
     originalCarouselIndex = 0;
     analyzedCarouselIndex = 0;
     
-    // Load both carousels
+    // Load both carousels, the remaining quota and the privacy setting
     await Promise.all([
         loadPendingPhotos(),
-        loadAnalyzedPhotos()
+        loadAnalyzedPhotos(),
+        loadUsageQuota(),
+        setupPrivacyToggle()
     ]);
     
     // Check URL parameter, auto-open picker if needed
@@ -707,7 +930,8 @@ document.addEventListener('visibilitychange', async () => {
         try {
             await Promise.all([
                 loadPendingPhotos(),
-                loadAnalyzedPhotos()
+                loadAnalyzedPhotos(),
+                loadUsageQuota()
             ]);
         } catch (error) {
             Logger.error('[dashboard] Error reloading carousels:', error);
@@ -723,7 +947,8 @@ window.addEventListener('pageshow', async (event) => {
         try {
             await Promise.all([
                 loadPendingPhotos(),
-                loadAnalyzedPhotos()
+                loadAnalyzedPhotos(),
+                loadUsageQuota()
             ]);
         } catch (error) {
             Logger.error('[dashboard] Error reloading carousels:', error);
@@ -1,19 +1,55 @@
 // frontend/result.js
 // Uses utility functions from utils.js
 
-// Get resultId from URL
+// Get resultId from URL (or jobId for an analysis that is still running)
 const resultId = URLUtils.getParam('id');
+const jobId = URLUtils.getParam('job');
 
-if (!resultId) {
-    ErrorHandler.showError('No result ID provided');
-} else {
+if (resultId) {
     loadResult(resultId);
+} else if (jobId) {
+    watchJob(jobId);
+} else {
+    ErrorHandler.showError('No result ID provided');
+}
+
+// Show live analysis progress, then load the result when the job completes
+async function watchJob(jobId) {
+    const container = DOM.getElement('resultContainer');
+    container.innerHTML = `
+        <div class="card progress-card">
+            <div class="section-title">Analyzing your photo</div>
+            <div class="meter"><span id="jobProgressBar" style="width: 0%"></span></div>
+            <ul class="progress-events" id="jobEvents"></ul>
+        </div>
+    `;
+    const bar = document.getElementById('jobProgressBar');
+    const list = document.getElementById('jobEvents');
+
+    try {
+        const { resultId } = await watchAnalysisJob(jobId, (event) => {
+            if (bar) bar.style.width = `${event.progress || 0}%`;
+            if (list && event.message) {
+                const li = document.createElement('li');
+                li.textContent = event.message;
+                list.appendChild(li);
+            }
+        });
+
+        // Swap ?job= for ?id= so a reload shows the saved result
+        window.history.replaceState({}, document.title, `result.html?id=${encodeURIComponent(resultId)}`);
+        await loadResult(resultId);
+    } catch (error) {
+        Logger.error('Watch job error:', error);
+        ErrorHandler.showError(error.message || 'Analysis failed');
+    }
 }
 
 async function loadResult(resultId) {
     try {
         const result = await apiGet(`/api/analysis/result/${resultId}`);
         renderResult(result);
+        setupVersionControls(result);
     } catch (error) {
         Logger.error('Load result error:', error);
         const userMessage = ErrorHandler.handleApiError(error, 'loadResult');
@@ -29,27 +65,9 @@ function renderResult(result) {
     Logger.log('[renderResult] Image URL:', imageUrl);
     Logger.log('[renderResult] Full result:', result);
 
-    // Build image proxy URL
-    let displayImageUrl = '';
-    if (imageUrl) {
-        let imgUrl = imageUrl;
-        
-        // Handle Google Photos URL format
-        // Some URLs already have parameters (e.g., =w400-h400), replace them
-        // Some URLs don't have parameters, add them
-        // Check if URL ends with a parameter pattern
-        if (imgUrl.includes('=')) {
-            // Replace existing size parameter
-            imgUrl = imgUrl.replace(/=[^&]*/, '=w800-h800');
-        } else {
-            // Add size parameter
-            // For Google Photos URLs, append =w800-h800
-            imgUrl = `${imgUrl}=w800-h800`;
-        }
-        
-        Logger.log('[renderResult] Final image URL for proxy:', imgUrl.substring(0, 150));
-        displayImageUrl = `/api/photos/proxy?url=${encodeURIComponent(imgUrl)}`;
-    } else {
+    // Build image proxy URL (privacy mode: the face-blurred copy, never the original)
+    const displayImageUrl = resultImageUrl(result, 800);
+    if (!imageUrl) {
         Logger.warn('[renderResult] No image URL found in result');
     }
 
@@ -58,10 +76,22 @@ function renderResult(result) {
         <div class="results-grid">
             <!-- Left: results -->
             <div class="card">
+                <div class="version-bar">
+                    <select class="form-select form-select-sm" id="versionSelect" disabled>
+                        <option>Version ${result.version || 1}</option>
+                    </select>
+                    <button type="button" class="btn btn-sm btn-outline-secondary" id="btnReanalyze">
+                        <i class="bi bi-arrow-repeat"></i> Re-analyze
+                    </button>
+                </div>
                 <div class="section-title">Vintage insights</div>
                 <div class="kv">
                     <div class="small">Primary era</div>
-                    <div class="era-badge">${geminiResult.era_primary || '-'}</div>
+                    <div>
+                        <span class="era-badge">${(result.era && result.era.label) || geminiResult.era_primary || '-'}</span>
+                        ${formatEraYears(result.era)}
+                    </div>
+                    ${renderConfidence(result.confidence)}
                     <div class="small">Style tags</div>
                     <div class="chips" data-chip-type="style-tag">
                         ${(geminiResult.style_tags || []).map(tag => {
@@ -83,29 +113,42 @@ function renderResult(result) {
                     `).join('')}
                 </div>
 
+                ${renderEraTimeline(result.eraDistribution)}
+
                 <div class="section-title">Why</div>
                 <div class="callout small">${geminiResult.rationale || 'No rationale provided.'}</div>
 
+                ${renderGarments(result.garments || [])}
+
+                ${renderLabelEvidence(result.visionFeatures && result.visionFeatures.label_evidence, result.labelDating)}
+
                 <div class="section-title">Search queries</div>
-                <div class="chips" data-chip-type="search-query">
-                    ${((geminiResult.search_queries && geminiResult.search_queries.en) || []).map(q => {
-                        const safeQuery = String(q || '').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
-                        return `<span class="chip" data-search="${safeQuery}" title="Search '${q}' on Google">${q}</span>`;
-                    }).join('')}
-                </div>
+                ${renderSearchTargets(result.searchTargets || [], geminiResult)}
 
                 <div class="section-title">Shopping tips</div>
                 ${renderTips(geminiResult.shopping_tips || [])}
+
+                ${renderFeedbackForm()}
+
+                ${renderChatPanel()}
             </div>
 
             <!-- Right: image -->
             <div class="card">
                 <div class="section-title">Your photo</div>
+                ${renderPrivacyNotice(result.privacy)}
+                ${renderModerationNotice(result.moderation)}
                 <div class="preview">
-                    <img src="${displayImageUrl}" alt="Analyzed photo" 
-                         data-fallback-url="${imageUrl}"
-                         loading="lazy">
+                    <div class="preview-frame">
+                        <img src="${displayImageUrl}" alt="Analyzed photo" 
+                             data-fallback-url="${result.privacy ? '' : imageUrl}"
+                             loading="lazy">
+                        ${renderGarmentBoxes(result.garments || [])}
+                    </div>
                 </div>
+                ${renderColorAnalysis(result.visionFeatures && result.visionFeatures.color_analysis)}
+                ${renderSeenElsewhere(result.visionFeatures && result.visionFeatures.web_detection)}
+                <div id="similarLooks"></div>
                 <div class="small" style="marginTop:16px; text-align:center">
                     <a href="dashboard.html" class="analyze-link">Analyze another image</a>
                 </div>
@@ -126,10 +169,611 @@ function renderResult(result) {
     
     // Bind chip click events (using event delegation)
     setupChipClickHandlers(container);
+    setupGarmentHighlight(container);
+    setupFeedbackControls(result);
+    setupChatPanel(result);
+    loadSimilarLooks(result);
+}
+
+// Proxied image URL at a given size (the proxy avoids CORS and 403 issues with Google Photos)
+function buildProxyImageUrl(imageUrl, size) {
+    if (!imageUrl) return '';
+
+    // Google Photos URLs may already carry a size parameter (e.g. =w400-h400): replace it, otherwise add one
+    const sizeParam = `=w${size}-h${size}`;
+    const imgUrl = imageUrl.includes('=') ? imageUrl.replace(/=[^&]*/, sizeParam) : `${imageUrl}${sizeParam}`;
+    return `/api/photos/proxy?url=${encodeURIComponent(imgUrl)}`;
+}
+
+// Photo of a result for display: the face-blurred copy for privacy-mode results ('' when there is none),
+// otherwise the proxied original
+function resultImageUrl(item, size) {
+    if (item.privacy && item.privacy.enabled) {
+        return item.privacy.hasImage
+            ? `/api/analysis/result/${encodeURIComponent(item.id)}/image?v=${item.version || 1}`
+            : '';
+    }
+    return buildProxyImageUrl(item.baseUrl || item.imageUrl, size);
+}
+
+// "Faces blurred" note above the photo of a privacy-mode result
+function renderPrivacyNotice(privacy) {
+    if (!privacy || !privacy.enabled) return '';
+
+    let text;
+    if (!privacy.hasImage) {
+        text = 'Privacy mode: the photo is hidden because no blurred copy could be made';
+    } else if (privacy.fullBlur) {
+        text = 'Privacy mode: faces could not be detected, so the whole photo is blurred';
+    } else if (privacy.faceCount > 0) {
+        text = `Privacy mode: ${privacy.faceCount} face${privacy.faceCount === 1 ? '' : 's'} blurred`;
+    } else {
+        text = 'Privacy mode: no faces found to blur';
+    }
+    return `<div class="privacy-notice"><i class="bi bi-shield-lock"></i> ${text}</div>`;
+}
+
+// Note for a result SafeSearch flagged (blocked photos never get a result)
+function renderModerationNotice(moderation) {
+    if (!moderation || moderation.action !== 'flag') return '';
+    const reasons = (moderation.triggered || [])
+        .map(t => `${t.likelihood.toLowerCase().replace(/_/g, ' ')} ${t.category}`);
+    return `<div class="moderation-notice"><i class="bi bi-flag"></i> Flagged by content moderation${reasons.length ? ': ' + reasons.join(', ') : ''}</div>`;
+}
+
+// "Similar in your collection": the user's other results ranked by era, style tags, garments and colors
+async function loadSimilarLooks(result) {
+    const container = document.getElementById('similarLooks');
+    if (!container || !result.id) return;
+
+    let items;
+    try {
+        ({ items } = await apiGet(`/api/analysis/result/${result.id}/similar?limit=8`));
+    } catch (error) {
+        Logger.warn('[loadSimilarLooks] Failed to load similar results:', error);
+        return;
+    }
+    if (!items || !items.length) return;
+
+    container.innerHTML = `
+        <div class="section-title">Similar in your collection</div>
+        <div class="similar-strip">
+            ${items.map(item => {
+                const reasons = [];
+                if (item.era && item.era.label) reasons.push(item.era.label);
+                reasons.push(...((item.shared && item.shared.styleTags) || []).slice(0, 2));
+                const title = `${Math.round(item.score * 100)}% similar${reasons.length ? ': ' + reasons.join(', ') : ''}`;
+                return `
+                    <a class="similar-item" href="result.html?id=${encodeURIComponent(item.id)}" title="${title.replace(/"/g, '&quot;')}">
+                        <img src="${resultImageUrl(item, 200)}" alt="Similar look" loading="lazy">
+                        <span class="similar-score">${Math.round(item.score * 100)}%</span>
+                    </a>
+                `;
+            }).join('')}
+        </div>
+    `;
+
+    // Hide thumbnails whose image is gone (expired Google Photos URLs)
+    container.querySelectorAll('.similar-item img').forEach(img => {
+        img.addEventListener('error', () => img.closest('.similar-item').remove());
+    });
+}
+
+// Rating, era / style tag corrections and a note; values are filled in by setupFeedbackControls
+function renderFeedbackForm() {
+    return `
+        <div class="section-title">Is this right?</div>
+        <div class="feedback-form" id="feedbackForm">
+            <div class="btn-group btn-group-sm feedback-rating" role="group">
+                <button type="button" class="btn btn-outline-success" data-rating="correct">
+                    <i class="bi bi-hand-thumbs-up"></i> Correct
+                </button>
+                <button type="button" class="btn btn-outline-warning" data-rating="partially_correct">Partly</button>
+                <button type="button" class="btn btn-outline-danger" data-rating="incorrect">
+                    <i class="bi bi-hand-thumbs-down"></i> Wrong
+                </button>
+            </div>
+            <input type="text" class="form-control form-control-sm" id="feedbackEra"
+                   placeholder="Correct era, e.g. Late 1940s" maxlength="40">
+            <input type="text" class="form-control form-control-sm" id="feedbackTags"
+                   placeholder="Correct style tags, comma separated">
+            <textarea class="form-control form-control-sm" id="feedbackNote" rows="2" maxlength="1000"
+                      placeholder="Anything else we got wrong?"></textarea>
+            <div class="feedback-actions">
+                <button type="button" class="btn btn-sm btn-primary" id="btnSaveFeedback">Send feedback</button>
+                <span class="small" id="feedbackStatus"></span>
+            </div>
+        </div>
+    `;
+}
+
+function setupFeedbackControls(result) {
+    const form = document.getElementById('feedbackForm');
+    if (!form) return;
+
+    const feedback = result.feedback || null;
+    let rating = feedback ? feedback.rating : null;
+    const eraInput = document.getElementById('feedbackEra');
+    const tagsInput = document.getElementById('feedbackTags');
+    const noteInput = document.getElementById('feedbackNote');
+    const status = document.getElementById('feedbackStatus');
+    const saveButton = document.getElementById('btnSaveFeedback');
+
+    const showRating = () => {
+        form.querySelectorAll('[data-rating]').forEach(button => {
+            button.classList.toggle('active', button.getAttribute('data-rating') === rating);
+        });
+    };
+
+    if (feedback) {
+        eraInput.value = (feedback.correction && feedback.correction.era) || '';
+        tagsInput.value = ((feedback.correction && feedback.correction.styleTags) || []).join(', ');
+        noteInput.value = feedback.note || '';
+        status.textContent = 'Thanks, your feedback is saved.';
+    }
+    showRating();
+
+    form.querySelectorAll('[data-rating]').forEach(button => {
+        button.addEventListener('click', () => {
+            const value = button.getAttribute('data-rating');
+            rating = rating === value ? null : value;
+            showRating();
+        });
+    });
+
+    saveButton.addEventListener('click', async () => {
+        const body = {
+            rating,
+            era: eraInput.value.trim() || null,
+            styleTags: tagsInput.value.trim()
+                ? tagsInput.value.split(',').map(tag => tag.trim()).filter(Boolean)
+                : null,
+            note: noteInput.value.trim() || null
+        };
+
+        saveButton.disabled = true;
+        try {
+            await apiPut(`/api/analysis/result/${result.id}/feedback`, body);
+            status.textContent = 'Thanks, your feedback is saved.';
+            Notification.success('Feedback saved');
+        } catch (error) {
+            Logger.error('Save feedback error:', error);
+            Notification.error(ErrorHandler.handleApiError(error, 'saveFeedback'));
+        } finally {
+            saveButton.disabled = false;
+        }
+    });
+}
+
+// Follow-up questions about this result; the thread is filled in by setupChatPanel
+function renderChatPanel() {
+    return `
+        <div class="section-title">Ask about this look</div>
+        <div class="chat-panel" id="chatPanel">
+            <div class="chat-thread" id="chatThread" aria-live="polite"></div>
+            <form class="chat-form" id="chatForm">
+                <input type="text" class="form-control form-control-sm" id="chatQuestion" maxlength="500"
+                       placeholder="e.g. What shoes would go with this? Could it be 1960s instead?" autocomplete="off">
+                <button type="submit" class="btn btn-sm btn-primary" id="btnAsk">Ask</button>
+                <button type="button" class="btn btn-sm btn-outline-secondary" id="btnClearChat" title="Clear conversation">
+                    <i class="bi bi-trash"></i>
+                </button>
+            </form>
+        </div>
+    `;
+}
+
+function renderChatMessages(thread, messages, shownVersion) {
+    if (!messages.length) {
+        thread.innerHTML = '<div class="small text-muted">No questions yet. Ask about the era, styling or where to shop.</div>';
+        return;
+    }
+
+    thread.innerHTML = '';
+    messages.forEach(message => {
+        const bubble = document.createElement('div');
+        bubble.className = `chat-message chat-${message.role === 'user' ? 'user' : 'assistant'}`;
+        // textContent: answers are model output, never HTML
+        bubble.textContent = message.text;
+        if (message.version && message.version !== shownVersion) {
+            const note = document.createElement('div');
+            note.className = 'chat-version small';
+            note.textContent = `About version ${message.version}`;
+            bubble.appendChild(note);
+        }
+        thread.appendChild(bubble);
+    });
+    thread.scrollTop = thread.scrollHeight;
+}
+
+function setupChatPanel(result) {
+    const form = document.getElementById('chatForm');
+    const thread = document.getElementById('chatThread');
+    if (!form || !thread) return;
+
+    const input = document.getElementById('chatQuestion');
+    const askButton = document.getElementById('btnAsk');
+    const clearButton = document.getElementById('btnClearChat');
+    const shownVersion = result.version || 1;
+    let messages = result.chat || [];
+
+    renderChatMessages(thread, messages, shownVersion);
+    clearButton.disabled = messages.length === 0;
+
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const question = input.value.trim();
+        if (!question) return;
+
+        askButton.disabled = true;
+        input.disabled = true;
+        // Show the question right away, the answer can take a few seconds
+        renderChatMessages(thread, [...messages, { role: 'user', text: question, version: result.latestVersion || shownVersion }], shownVersion);
+        try {
+            const { chat } = await apiPost(`/api/analysis/result/${result.id}/chat`, { question });
+            messages = chat;
+            input.value = '';
+        } catch (error) {
+            Logger.error('Ask question error:', error);
+            Notification.error(ErrorHandler.handleApiError(error, 'askQuestion'));
+        } finally {
+            renderChatMessages(thread, messages, shownVersion);
+            clearButton.disabled = messages.length === 0;
+            askButton.disabled = false;
+            input.disabled = false;
+            input.focus();
+        }
+    });
+
+    clearButton.addEventListener('click', async () => {
+        clearButton.disabled = true;
+        try {
+            await apiDelete(`/api/analysis/result/${result.id}/chat`);
+            messages = [];
+            renderChatMessages(thread, messages, shownVersion);
+        } catch (error) {
+            Logger.error('Clear conversation error:', error);
+            Notification.error(ErrorHandler.handleApiError(error, 'clearChat'));
+            clearButton.disabled = false;
+        }
+    });
+}
+
+// Per-garment findings, numbered like the boxes drawn on the photo
+function renderGarments(garments) {
+    if (!garments.length) return '';
+
+    return `
+        <div class="section-title">Garments</div>
+        <div class="garment-list">
+            ${garments.map(g => `
+                <div class="garment-card" data-garment="${g.index}">
+                    <div class="garment-head">
+                        <span class="garment-number">${g.index}</span>
+                        <span class="garment-name">${escapeHtml(g.name)}</span>
+                        <span class="era-badge garment-era">${escapeHtml((g.canonicalEra && g.canonicalEra.label) || g.era || '-')}</span>
+                        <span class="pct">${Math.round((g.confidence || 0) * 100)}%</span>
+                    </div>
+                    <div class="small">${escapeHtml([g.style, g.discriminator].filter(Boolean).join(' — '))}</div>
+                    <div class="chips" data-chip-type="search-query">
+                        ${((g.search_queries && g.search_queries.en) || [])
+                            .map(q => `<span class="chip" data-search="${escapeHtml(q)}" title="Search '${escapeHtml(q)}' on Google">${escapeHtml(q)}</span>`)
+                            .join('')}
+                    </div>
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
+
+// "1970 or later", "1949–1990", "1995 or earlier" (same wording as backend/utils/labelDating.js)
+function formatYearRange(range) {
+    const from = range.notBefore;
+    const to = range.notAfter;
+    if (from != null && to != null) return `${from}–${to}`;
+    if (from != null) return `${from} or later`;
+    if (to != null) return `${to} or earlier`;
+    return 'undated';
+}
+
+// Dated label findings (RN/WPL numbers, union labels, country of origin, care/fiber text) and the years they allow
+function renderLabelEvidence(evidence, labelDating) {
+    if (!evidence || !(evidence.findings || []).length) return '';
+
+    const conflicts = (labelDating && labelDating.conflicts) || [];
+    return `
+        <div class="section-title">Label evidence</div>
+        ${labelDating
+            ? `<div class="label-range">
+                    Label allows <strong>${formatYearRange(labelDating)}</strong>
+                    ${labelDating.eraFits === false
+                        ? '<span class="label-warning"><i class="bi bi-exclamation-triangle"></i> the era estimate falls outside these years</span>'
+                        : ''}
+               </div>`
+            : ''}
+        <div class="label-findings">
+            ${evidence.findings.map(f => `
+                <div class="label-finding ${conflicts.includes(f.rule) ? 'label-conflict' : ''}" title="${escapeHtml(f.note)}">
+                    <span class="label-type">${escapeHtml(f.type)}</span>
+                    <span class="label-text">${escapeHtml(f.text)}</span>
+                    <span class="label-years label-${escapeHtml(f.strength)}">${escapeHtml(formatYearRange(f))}</span>
+                </div>
+            `).join('')}
+        </div>
+        ${conflicts.length
+            ? '<div class="small">Struck-through findings contradict stronger ones and were not used.</div>'
+            : ''}
+    `;
+}
+
+// Garment boxes over the photo (box values are fractions of the image size)
+function renderGarmentBoxes(garments) {
+    return garments.filter(g => g.box).map(g => `
+        <div class="garment-box" data-garment="${g.index}" title="${escapeHtml(g.name)}: ${escapeHtml(g.era)}"
+             style="left:${g.box.left * 100}%; top:${g.box.top * 100}%; width:${g.box.width * 100}%; height:${g.box.height * 100}%">
+            <span class="garment-number">${g.index}</span>
+        </div>
+    `).join('');
+}
+
+// Probability per decade as a timeline, bars scaled to the most likely decade
+function renderEraTimeline(distribution) {
+    if (!distribution || distribution.source === 'none' || !(distribution.decades || []).length) return '';
+
+    const max = Math.max(...distribution.decades.map(d => d.probability || 0)) || 1;
+    return `
+        <div class="section-title">Era timeline</div>
+        <div class="era-timeline">
+            ${distribution.decades.map(d => {
+                const pct = Math.round((d.probability || 0) * 100);
+                const peak = d.decade === distribution.peak ? 'peak' : '';
+                return `
+                    <div class="era-timeline-col ${peak}" title="${d.label}: ${pct}%">
+                        <div class="era-timeline-bar"><span style="height: ${Math.round(((d.probability || 0) / max) * 100)}%"></span></div>
+                        <div class="era-timeline-label">'${String(d.decade).slice(2)}</div>
+                    </div>
+                `;
+            }).join('')}
+        </div>
+        ${distribution.source === 'candidates'
+            ? '<div class="small">Estimated from the top-3 candidates.</div>'
+            : ''}
+    `;
+}
+
+// Named palette swatches and the decade palettes they match best
+function renderColorAnalysis(colorAnalysis) {
+    if (!colorAnalysis || !(colorAnalysis.palette || []).length) return '';
+
+    const matches = (colorAnalysis.decadeMatches || []).slice(0, 3);
+    return `
+        <div class="section-title">Colors</div>
+        <div class="swatches">
+            ${colorAnalysis.palette.map(c => `
+                <div class="swatch" title="${c.name} ${c.hex}">
+                    <span class="swatch-color" style="background:${c.hex}"></span>
+                    <span class="swatch-name">${c.name}</span>
+                    <span class="small">${Math.round((c.score || 0) * 100)}%</span>
+                </div>
+            `).join('')}
+        </div>
+        ${colorAnalysis.monochrome
+            ? '<div class="small">Black-and-white photo: colors are not used as a dating signal.</div>'
+            : `
+                <div class="small palette-title">Palette looks most like</div>
+                <div style="display:grid; gap:8px;">
+                    ${matches.map(m => `
+                        <div class="cand" title="${m.label || ''}">
+                            <div class="title">${m.decade}</div>
+                            <div class="pct">${Math.round((m.score || 0) * 100)}%</div>
+                            <div class="meter"><span style="width: ${Math.round((m.score || 0) * 100)}%"></span></div>
+                            <div class="small" style="grid-column:1 / -1">${m.label || ''}</div>
+                        </div>
+                    `).join('')}
+                </div>
+            `}
+    `;
+}
+
+// Web detection references: best-guess labels, web entities, pages with the same photo and similar images
+function renderSeenElsewhere(web) {
+    if (!web) return '';
+    const pages = web.pages || [];
+    const similar = web.similarImages || [];
+    const labels = [...(web.bestGuessLabels || []), ...(web.entities || []).map(e => e.description)];
+    if (!pages.length && !similar.length && !labels.length) return '';
+
+    // Titles and labels come from third-party pages
+    return `
+        <div class="section-title">Seen elsewhere</div>
+        ${labels.length
+            ? `<div class="chips" data-chip-type="web-label">
+                    ${[...new Set(labels)].map(label => `<span class="chip" data-search="${escapeHtml(label)}" title="Search '${escapeHtml(label)}' on Google">${escapeHtml(label)}</span>`).join('')}
+               </div>`
+            : ''}
+        ${pages.length
+            ? `<ul class="web-pages">
+                    ${pages.map(p => `
+                        <li>
+                            <a href="${escapeHtml(p.url)}" target="_blank" rel="noopener noreferrer">${escapeHtml(p.title)}</a>
+                            <span class="small">${escapeHtml(p.domain)} · ${p.match === 'full' ? 'same photo' : 'partial match'}</span>
+                        </li>
+                    `).join('')}
+               </ul>`
+            : ''}
+        ${similar.length
+            ? `<div class="small palette-title">Visually similar</div>
+               <div class="web-similar">
+                    ${similar.map(url => `
+                        <a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer">
+                            <img src="${escapeHtml(url)}" alt="Visually similar image" loading="lazy" referrerpolicy="no-referrer">
+                        </a>
+                    `).join('')}
+               </div>`
+            : ''}
+    `;
+}
+
+// Highlight a garment's box and finding together on hover
+function setupGarmentHighlight(container) {
+    container.querySelectorAll('[data-garment]').forEach(el => {
+        const index = el.getAttribute('data-garment');
+        const toggle = (active) => {
+            container.querySelectorAll(`[data-garment="${index}"]`)
+                .forEach(match => match.classList.toggle('active', active));
+        };
+        el.addEventListener('mouseenter', () => toggle(true));
+        el.addEventListener('mouseleave', () => toggle(false));
+    });
+}
+
+// Load the version list into the switcher and bind the re-analyze button
+// (renderResult replaces the controls, so this runs after every render)
+async function setupVersionControls(result) {
+    const select = document.getElementById('versionSelect');
+    const reanalyzeButton = document.getElementById('btnReanalyze');
+    const shownVersion = result.version || 1;
+
+    if (reanalyzeButton) {
+        reanalyzeButton.addEventListener('click', () => reanalyze(result.id));
+    }
+    if (!select) return;
+
+    try {
+        const { versions } = await apiGet(`/api/analysis/result/${result.id}/versions`);
+        select.innerHTML = versions.map(v => {
+            const parts = [`Version ${v.version}`];
+            if (v.current) parts.push('latest');
+            if (v.eraLabel || v.era_primary) parts.push(v.eraLabel || v.era_primary);
+            if (v.modelName) parts.push(v.modelName);
+            const date = formatVersionDate(v.analyzedAt);
+            if (date) parts.push(date);
+            const selected = v.version === shownVersion ? 'selected' : '';
+            return `<option value="${v.version}" ${selected}>${parts.join(' · ')}</option>`;
+        }).join('');
+        select.disabled = versions.length < 2;
+    } catch (error) {
+        Logger.warn('[setupVersionControls] Failed to load versions:', error);
+        return;
+    }
+
+    select.addEventListener('change', () => showVersion(result.id, parseInt(select.value, 10)));
+}
+
+async function showVersion(resultId, version) {
+    try {
+        const result = await apiGet(`/api/analysis/result/${resultId}/versions/${version}`);
+        renderResult(result);
+        setupVersionControls(result);
+    } catch (error) {
+        Logger.error('Load version error:', error);
+        Notification.error(ErrorHandler.handleApiError(error, 'showVersion'));
+    }
+}
+
+async function reanalyze(resultId) {
+    const button = document.getElementById('btnReanalyze');
+    if (button) button.disabled = true;
+
+    try {
+        const { jobId } = await apiPost(`/api/analysis/result/${resultId}/reanalyze`, {});
+        window.history.replaceState({}, document.title, `result.html?job=${encodeURIComponent(jobId)}`);
+        await watchJob(jobId);
+    } catch (error) {
+        Logger.error('Re-analyze error:', error);
+        Notification.error(ErrorHandler.handleApiError(error, 'reanalyze'));
+        if (button) button.disabled = false;
+    }
+}
+
+// Calibrated confidence with the evidence strength behind it (kv rows)
+function renderConfidence(confidence) {
+    if (!confidence) return '';
+
+    const strength = confidence.evidenceStrength || 'weak';
+    const factors = confidence.factors || {};
+    const details = [
+        `Vision labels ${Math.round((factors.labels || 0) * 100)}%`,
+        `objects ${Math.round((factors.objects || 0) * 100)}%`,
+        `garment terms ${Math.round((factors.taxonomy || 0) * 100)}%`,
+        factors.image ? 'image seen by Gemini' : 'image not seen by Gemini',
+        `resolution ${Math.round((factors.resolution || 0) * 100)}%`
+    ].join(', ');
+
+    return `
+        <div class="small">Confidence</div>
+        <div>
+            <strong>${Math.round((confidence.calibrated || 0) * 100)}%</strong>
+            <span class="small">(model said ${Math.round((confidence.model || 0) * 100)}%)</span>
+        </div>
+        <div class="small">Evidence</div>
+        <div>
+            <span class="evidence-badge evidence-${strength}" title="${details}">${strength.charAt(0).toUpperCase() + strength.slice(1)}</span>
+        </div>
+    `;
+}
+
+// Year range of a canonical era, e.g. "1957–1959" (nothing for a single year or undetermined)
+function formatEraYears(era) {
+    if (!era || era.startYear == null || era.startYear === era.endYear) {
+        return '';
+    }
+    return `<span class="era-years">${era.startYear}–${era.endYear}</span>`;
+}
+
+// Firestore timestamps arrive as { _seconds } (or seconds) after JSON serialization
+function formatVersionDate(value) {
+    if (!value) return '';
+    const seconds = value._seconds ?? value.seconds;
+    const date = seconds !== undefined ? new Date(seconds * 1000) : new Date(value);
+    return isNaN(date.getTime()) ? '' : date.toLocaleDateString();
+}
+
+// Search queries per search locale, each with a picker for Google or a local marketplace
+function renderSearchTargets(targets, geminiResult) {
+    if (!targets.length) {
+        // Results from older backends have no searchTargets
+        targets = [{
+            locale: 'en-US',
+            label: 'English',
+            google: null,
+            marketplaces: [],
+            queries: (geminiResult.search_queries && geminiResult.search_queries.en) || []
+        }];
+    }
+
+    return targets.map(target => {
+        const sites = [
+            { name: 'Google', searchUrl: target.google },
+            ...(target.marketplaces || [])
+        ].filter(site => site.searchUrl);
+
+        return `
+            <div class="search-locale" data-locale-group="${escapeHtml(target.locale)}" data-search-url="${escapeHtml(target.google)}">
+                <div class="search-locale-header">
+                    <span class="small">${escapeHtml(target.label)} <span class="text-muted">(${escapeHtml(target.locale)})</span></span>
+                    ${sites.length > 1 ? `
+                        <select class="form-select form-select-sm search-site" aria-label="Search on">
+                            ${sites.map(site => `<option value="${escapeHtml(site.searchUrl)}">${escapeHtml(site.name)}</option>`).join('')}
+                        </select>
+                    ` : ''}
+                </div>
+                <div class="chips" data-chip-type="search-query">
+                    ${target.queries
+                        .map(q => `<span class="chip" data-search="${escapeHtml(q)}" title="Search '${escapeHtml(q)}'">${escapeHtml(q)}</span>`)
+                        .join('')}
+                </div>
+            </div>
+        `;
+    }).join('');
 }
 
 // Setup chip click event handlers
 function setupChipClickHandlers(container) {
+    // Bind once, the container is re-rendered when switching versions
+    if (container.dataset.chipHandlersBound) return;
+    container.dataset.chipHandlersBound = 'true';
+
     // Use event delegation to listen for clicks on all .chip elements
     container.addEventListener('click', (e) => {
         const chip = e.target.closest('.chip');
@@ -137,7 +781,15 @@ function setupChipClickHandlers(container) {
             e.preventDefault();
             e.stopPropagation();
             const searchQuery = chip.getAttribute('data-search');
-            if (searchQuery) {
+            if (!searchQuery) return;
+
+            // Search queries use the site picked for their locale, tags always go to Google
+            const group = chip.closest('[data-locale-group]');
+            const site = group?.querySelector('.search-site');
+            const template = site ? site.value : group?.getAttribute('data-search-url');
+            if (template) {
+                openSearchUrl(template, searchQuery);
+            } else {
                 // Only open in new tab, don't navigate current page
                 openGoogle(searchQuery);
             }
@@ -327,3 +979,15 @@ function openGoogle(q) {
 // Ensure function is available in global scope
 window.openGoogle = openGoogle;
 
+// Open a search URL template ("...?q={query}") in a new tab
+function openSearchUrl(template, q) {
+    try {
+        const searchUrl = template.replace('{query}', encodeURIComponent(String(q).trim()));
+        Logger.log('[openSearchUrl] Opening search:', searchUrl);
+        window.open(searchUrl, '_blank', 'noopener,noreferrer');
+    } catch (error) {
+        Logger.error('[openSearchUrl] Error opening search:', error);
+        Notification.error('Failed to open search. Please check if popups are blocked.');
+    }
+}
+
@@ -81,6 +81,16 @@ async function apiPost(url, body) {
     });
 }
 
+/**
+ * PUT request
+ */
+async function apiPut(url, body) {
+    return apiRequest(url, {
+        method: 'PUT',
+        body: JSON.stringify(body || {})
+    });
+}
+
 /**
  * DELETE request
  */
@@ -142,6 +152,19 @@ const DOM = {
     }
 };
 
+/**
+ * Escape text for HTML content and attribute values (model output, OCR text and user input
+ * are inserted with template strings)
+ */
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 /**
  * Error handling utilities
  */
@@ -171,7 +194,14 @@ const ErrorHandler = {
         
         let userMessage = 'An error occurred. Please try again.';
         
-        if (error.message.includes('401') || error.message.includes('Not authenticated')) {
+        if (error.code === 'QUOTA_EXCEEDED' || error.code === 'JOB_INTERRUPTED') {
+            // Job that hit the quota after it was queued (e.g. the rest of a batch),
+            // or that a server restart stopped (analyzing again is safe)
+            userMessage = error.message;
+        } else if (error.code === 'CONTENT_BLOCKED') {
+            // SafeSearch blocked the photo: the message names the category
+            userMessage = `${error.message} Photos with explicit or violent content can't be analyzed.`;
+        } else if (error.message.includes('401') || error.message.includes('Not authenticated')) {
             userMessage = 'Please sign in to continue.';
             setTimeout(() => {
                 window.location.href = '/signin.html';
@@ -180,6 +210,18 @@ const ErrorHandler = {
             userMessage = 'The requested resource was not found.';
         } else if (error.message.includes('500')) {
             userMessage = 'Server error. Please try again later.';
+        } else if (error.message.includes(' 400 ') || error.message.includes(' 429 ')) {
+            // Validation errors carry a readable { error } body (e.g. an unrecognized era),
+            // quota errors (code QUOTA_EXCEEDED) say which quota is used up and when it resets
+            const body = /- (\{.*\})$/.exec(error.message);
+            if (error.message.includes(' 429 ')) {
+                userMessage = 'Too many requests. Please try again later.';
+            }
+            try {
+                userMessage = (body && JSON.parse(body[1]).error) || userMessage;
+            } catch (parseError) {
+                // Keep the generic message
+            }
         }
 
         return userMessage;
@@ -239,6 +281,98 @@ const URLUtils = {
     }
 };
 
+/**
+ * Watch an analysis job until it finishes
+ * Uses the Server-Sent Events stream (GET /api/analysis/jobs/:jobId/events) and falls back to
+ * polling GET /api/analysis/jobs/:jobId if EventSource is unavailable or the stream breaks.
+ * @param {string} jobId
+ * @param {Function} onProgress - called with { type, stage, progress, message, data }
+ * @returns {Promise<Object>} finished job info: { resultId }
+ */
+function watchAnalysisJob(jobId, onProgress = () => {}) {
+    if (!jobId) {
+        return Promise.reject(new Error('Job ID is required'));
+    }
+
+    if (typeof EventSource === 'undefined') {
+        return pollAnalysisJob(jobId, onProgress);
+    }
+
+    return new Promise((resolve, reject) => {
+        const source = new EventSource(`/api/analysis/jobs/${encodeURIComponent(jobId)}/events`, { withCredentials: true });
+        let finished = false;
+
+        const parse = (e) => {
+            try {
+                return JSON.parse(e.data);
+            } catch (err) {
+                Logger.warn('[watchAnalysisJob] Bad event payload:', e.data);
+                return null;
+            }
+        };
+
+        source.addEventListener('progress', (e) => {
+            const event = parse(e);
+            if (event) onProgress(event);
+        });
+
+        source.addEventListener('completed', (e) => {
+            finished = true;
+            source.close();
+            const event = parse(e) || {};
+            onProgress(event);
+            resolve({ resultId: event.data?.resultId });
+        });
+
+        source.addEventListener('failed', (e) => {
+            finished = true;
+            source.close();
+            const event = parse(e) || {};
+            reject(jobError(event.data?.error, event.data?.code));
+        });
+
+        source.onerror = () => {
+            if (finished) return;
+            finished = true;
+            source.close();
+            Logger.warn('[watchAnalysisJob] Event stream failed, falling back to polling');
+            pollAnalysisJob(jobId, onProgress).then(resolve, reject);
+        };
+    });
+}
+
+// Error for a failed job; codes QUOTA_EXCEEDED / CONTENT_BLOCKED / JOB_INTERRUPTED keep the server message for ErrorHandler
+function jobError(message, code = null) {
+    const error = new Error(message || 'Analysis failed');
+    error.code = code;
+    return error;
+}
+
+/**
+ * Poll GET /api/analysis/jobs/:jobId until the job completes or fails
+ */
+async function pollAnalysisJob(jobId, onProgress = () => {}) {
+    const pollInterval = 1500;
+    const maxAttempts = 160; // 160 * 1.5s = 4 minutes
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        const job = await apiGet(`/api/analysis/jobs/${encodeURIComponent(jobId)}`);
+        Logger.log(`[pollAnalysisJob] ${jobId}: ${job.status}/${job.stage} (attempt ${attempt})`);
+
+        if (job.status === 'completed') {
+            return { resultId: job.resultId };
+        }
+        if (job.status === 'failed') {
+            throw jobError(job.error, job.errorCode);
+        }
+
+        onProgress({ type: job.stage, stage: job.stage, progress: job.progress || 0, message: null, data: {} });
+        await new Promise(resolve => setTimeout(resolve, pollInterval));
+    }
+
+    throw new Error('Analysis is taking longer than expected. Please check back later.');
+}
+
 /**
  * Debounce function
  */
@@ -274,13 +408,16 @@ if (typeof module !== 'undefined' && module.exports) {
         Logger,
         apiGet,
         apiPost,
+        apiPut,
         apiDelete,
         apiRequest,
         apiRequestWithRetry,
         DOM,
+        escapeHtml,
         ErrorHandler,
         Notification,
         URLUtils,
+        watchAnalysisJob,
         debounce,
         throttle,
         CONFIG